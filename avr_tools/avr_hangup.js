@@ -1,38 +1,40 @@
-require("dotenv").config();
+const { postAmiAction, describeAmiError } = require("../utils/avr_ami");
+const { createLogger } = require("../utils/logger");
 
-const axios = require("axios");
+const logger = createLogger("avr_hangup");
+
+// Longest wait for the goodbye audio before hanging up anyway
+const MAX_GOODBYE_WAIT_MS = 10000;
 
 module.exports = {
   name: "avr_hangup",
+  // Leaves room for the goodbye to finish playing
+  timeout_ms: MAX_GOODBYE_WAIT_MS + 5000,
   description:
-    "Ends the conversation once the maintenance is booked or if no availability is found.",
+    "Ends the conversation once the maintenance is booked or if no availability is found. Say goodbye before calling it: the call is hung up once your goodbye has been played.",
   input_schema: {
     type: "object",
     properties: {},
     required: [],
   },
-  handler: async (uuid, {}) => {
-    console.log("Hangup call");
-    const url = process.env.AMI_URL || "http://127.0.0.1:6006";
+  handler: async (uuid, args, context) => {
+    // Let the caller hear the goodbye instead of cutting it off
+    if (context?.waitForPlayout) {
+      let timer;
+      await Promise.race([
+        context.waitForPlayout(),
+        new Promise((resolve) => (timer = setTimeout(resolve, MAX_GOODBYE_WAIT_MS))),
+      ]);
+      clearTimeout(timer);
+    }
+
+    logger.info("Hangup call");
     try {
-      const res = await axios.post(`${url}/hangup`, { uuid });
-      console.log("Hangup response:", res.data);
-      return res.data.message;
+      const data = await postAmiAction("hangup", { uuid }, { signal: context?.signal });
+      context?.setEndReason?.("avr_hangup");
+      return data.message;
     } catch (error) {
-      console.error("Full error during hangup:", error); // Log the full error object
-      if (error.response) {
-        // The request was made and the server responded with a status code
-        // that falls out of the range of 2xx
-        console.error("Hangup error response data:", error.response.data);
-        console.error("Hangup error response status:", error.response.status);
-      } else if (error.request) {
-        // The request was made but no response was received
-        console.error("Hangup error: No response received for request:", error.request);
-      } else {
-        // Something happened in setting up the request that triggered an Error
-        console.error("Hangup error message:", error.message);
-      }
-      return `Error during hangup: ${error.message}`;
+      return describeAmiError("hangup", error);
     }
   },
 };
@@ -0,0 +1,31 @@
+const { postAmiAction, describeAmiError } = require("../utils/avr_ami");
+const { createLogger } = require("../utils/logger");
+
+const logger = createLogger("avr_hold");
+
+module.exports = {
+  name: "avr_hold",
+  description:
+    "Puts the caller on hold with music, e.g. while you look something up. Tell the caller first, and take them off hold with avr_unhold before speaking again.",
+  input_schema: {
+    type: "object",
+    properties: {},
+    required: [],
+  },
+  handler: async (uuid, args, context) => {
+    logger.info("Hold call");
+    try {
+      const data = await postAmiAction(
+        "hold",
+        {
+          uuid,
+          music_class: context?.toolSettings?.avr_hold?.music_class || "default",
+        },
+        { signal: context?.signal }
+      );
+      return data.message;
+    } catch (error) {
+      return describeAmiError("hold", error);
+    }
+  },
+};
@@ -0,0 +1,49 @@
+const { postAmiAction, describeAmiError } = require("../utils/avr_ami");
+const { createLogger } = require("../utils/logger");
+
+const logger = createLogger("avr_set_variable");
+
+// Asterisk channel variable names
+const VARIABLE_NAME = /^[A-Za-z_][A-Za-z0-9_]{0,79}$/;
+
+module.exports = {
+  name: "avr_set_variable",
+  description:
+    "Sets a channel variable on the call, so the dialplan can route or log the call after the conversation, e.g. the reason for calling or the customer number.",
+  input_schema: {
+    type: "object",
+    properties: {
+      name: {
+        type: "string",
+        description: "Name of the variable: letters, digits and underscores.",
+      },
+      value: {
+        type: "string",
+        description: "Value of the variable.",
+      },
+    },
+    required: ["name", "value"],
+  },
+  handler: async (uuid, { name, value }, context) => {
+    if (!VARIABLE_NAME.test(name)) {
+      return `Error: "${name}" is not a valid variable name.`;
+    }
+    // The bot profile can restrict which variables the model may set
+    const allowed = context?.toolSettings?.avr_set_variable?.allowed_variables;
+    if (Array.isArray(allowed) && !allowed.includes(name)) {
+      return `Error: the variable ${name} may not be set. Allowed variables: ${allowed.join(", ")}`;
+    }
+
+    logger.info("Setting call variable", { name });
+    try {
+      const data = await postAmiAction(
+        "variables",
+        { uuid, variables: { [name]: value } },
+        { signal: context?.signal }
+      );
+      return data.message;
+    } catch (error) {
+      return describeAmiError("set variable", error);
+    }
+  },
+};
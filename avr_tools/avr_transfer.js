@@ -1,7 +1,8 @@
 
-require("dotenv").config();
+const { postAmiAction, describeAmiError } = require("../utils/avr_ami");
+const { createLogger } = require("../utils/logger");
 
-const axios = require("axios");
+const logger = createLogger("avr_transfer");
 
 module.exports = {
   name: "avr_transfer",
@@ -26,24 +27,29 @@ module.exports = {
   },
   handler: async (
     uuid,
-    { transfer_extension, transfer_context, transfer_priority }
+    { transfer_extension, transfer_context, transfer_priority },
+    context
   ) => {
-    console.log("Transfering call to:", transfer_extension);
-    console.log("UUID:", uuid);
+    logger.info("Transferring the call", { extension: transfer_extension });
 
     try {
-      const url = process.env.AMI_URL || "http://127.0.0.1:6006";
-      const res = await axios.post(`${url}/transfer`, {
-        uuid,
-        exten: transfer_extension,
-        context: transfer_context || "demo",
-        priority: transfer_priority || 1,
-      });
-      console.log("Transfer response:", res.data);
-      return res.data.message;
+      const data = await postAmiAction(
+        "transfer",
+        {
+          uuid,
+          exten: transfer_extension,
+          context:
+            transfer_context ||
+            context?.toolSettings?.avr_transfer?.transfer_context ||
+            "demo",
+          priority: transfer_priority || 1,
+        },
+        { signal: context?.signal }
+      );
+      context?.setEndReason?.("transfer");
+      return data.message;
     } catch (error) {
-      console.error("Error during transfer:", error.message);
-      return `Error during transfer: ${error.message}`;
+      return describeAmiError("transfer", error);
     }
   },
 };
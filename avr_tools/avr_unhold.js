@@ -0,0 +1,23 @@
+const { postAmiAction, describeAmiError } = require("../utils/avr_ami");
+const { createLogger } = require("../utils/logger");
+
+const logger = createLogger("avr_unhold");
+
+module.exports = {
+  name: "avr_unhold",
+  description: "Takes the caller off hold, so you can speak with them again.",
+  input_schema: {
+    type: "object",
+    properties: {},
+    required: [],
+  },
+  handler: async (uuid, args, context) => {
+    logger.info("Unhold call");
+    try {
+      const data = await postAmiAction("unhold", { uuid }, { signal: context?.signal });
+      return data.message;
+    } catch (error) {
+      return describeAmiError("unhold", error);
+    }
+  },
+};
@@ -0,0 +1,66 @@
+const { postAmiAction, describeAmiError } = require("../utils/avr_ami");
+const { createLogger } = require("../utils/logger");
+
+const logger = createLogger("avr_warm_transfer");
+
+module.exports = {
+  name: "avr_warm_transfer",
+  // Waits for the agent to answer and accept the call
+  timeout_ms: 90000,
+  description:
+    "Transfers the call to a human agent after briefing them. The agent's phone rings and, once answered, they hear the summary before being connected to the caller. Tell the caller you are putting them through first. If the agent does not answer or declines, the caller stays with you.",
+  input_schema: {
+    type: "object",
+    properties: {
+      transfer_extension: {
+        type: "string",
+        description: "The extension of the agent to transfer the call to.",
+      },
+      summary: {
+        type: "string",
+        description:
+          "Short briefing for the agent: who is calling, what they need and what was done so far.",
+      },
+      transfer_context: {
+        type: "string",
+        description: "The context to transfer the call to.",
+      },
+      transfer_priority: {
+        type: "string",
+        description: "The priority of the transfer.",
+      },
+    },
+    required: ["transfer_extension", "summary"],
+  },
+  handler: async (
+    uuid,
+    { transfer_extension, summary, transfer_context, transfer_priority },
+    context
+  ) => {
+    logger.info("Warm transfer of the call", { extension: transfer_extension });
+    const settings = context?.toolSettings?.avr_warm_transfer || {};
+    try {
+      const data = await postAmiAction(
+        "warm_transfer",
+        {
+          uuid,
+          exten: transfer_extension,
+          context:
+            transfer_context ||
+            settings.transfer_context ||
+            context?.toolSettings?.avr_transfer?.transfer_context ||
+            "demo",
+          priority: transfer_priority || 1,
+          whisper: summary,
+          timeout: settings.ring_timeout_seconds || 30,
+        },
+        { signal: context?.signal }
+      );
+      // The service only answers with success once the agent is connected
+      context?.setEndReason?.("transfer");
+      return data.message;
+    } catch (error) {
+      return describeAmiError("warm transfer", error);
+    }
+  },
+};
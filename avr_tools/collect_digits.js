@@ -0,0 +1,70 @@
+const { COLLECT_DEFAULTS } = require("../utils/dtmf");
+const { createLogger } = require("../utils/logger");
+
+const logger = createLogger("collect_digits");
+
+module.exports = {
+  name: "collect_digits",
+  // Waits for the caller, so it needs more time than the default tool timeout
+  timeout_ms: 120000,
+  // The digits may be a PIN: logs and the transcript get them masked
+  sensitive: true,
+  description:
+    "Collects digits the caller types on the phone keypad, such as a PIN, an account number or a menu choice. First tell the caller what to enter and how to finish (e.g. 'followed by the hash key'), then call this tool: it returns once the caller presses the terminator, enters max_digits digits or stops typing.",
+  input_schema: {
+    type: "object",
+    properties: {
+      min_digits: {
+        type: "integer",
+        description: "Fewest digits that make a valid entry. Defaults to 1.",
+      },
+      max_digits: {
+        type: "integer",
+        description: `Input ends automatically after this many digits. Defaults to ${COLLECT_DEFAULTS.maxDigits}.`,
+      },
+      terminator: {
+        type: "string",
+        description: `Key that ends the input, '#' or '*'. Defaults to '${COLLECT_DEFAULTS.terminator}'.`,
+      },
+      timeout_seconds: {
+        type: "number",
+        description: `How long to wait for the first digit. Defaults to ${COLLECT_DEFAULTS.timeoutMs / 1000}.`,
+      },
+      inter_digit_timeout_seconds: {
+        type: "number",
+        description: `How long to wait for each next digit. Defaults to ${COLLECT_DEFAULTS.interDigitTimeoutMs / 1000}.`,
+      },
+    },
+    required: [],
+  },
+  handler: async (
+    uuid,
+    { min_digits, max_digits, terminator, timeout_seconds, inter_digit_timeout_seconds } = {},
+    context
+  ) => {
+    if (!context?.dtmf) {
+      return "Error: keypad input is not available on this call.";
+    }
+    const seconds = (value) => (value > 0 ? value * 1000 : undefined);
+    const minDigits = min_digits > 0 ? min_digits : 1;
+    context.signal?.addEventListener("abort", () => context.dtmf.cancel(), { once: true });
+    const { digits, reason } = await context.dtmf.collect({
+      maxDigits: max_digits > 0 ? max_digits : undefined,
+      terminator: terminator === "*" || terminator === "#" ? terminator : undefined,
+      timeoutMs: seconds(timeout_seconds),
+      interDigitTimeoutMs: seconds(inter_digit_timeout_seconds),
+    });
+    logger.info("Digits collected", { count: digits.length, reason });
+
+    if (reason === "cancelled") {
+      return "The digit collection was cancelled.";
+    }
+    if (digits.length === 0) {
+      return "The caller did not enter any digits.";
+    }
+    if (digits.length < minDigits) {
+      return `The caller entered only ${digits.length} of at least ${minDigits} digits: ${digits}`;
+    }
+    return `The caller entered: ${digits}`;
+  },
+};
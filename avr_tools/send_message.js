@@ -0,0 +1,74 @@
+require("dotenv").config();
+
+const axios = require("axios");
+const { createLogger } = require("../utils/logger");
+
+const logger = createLogger("send_message");
+
+const CHANNELS = ["sms", "whatsapp"];
+
+module.exports = {
+  name: "send_message",
+  description:
+    "Sends a text message to the caller by SMS or WhatsApp, e.g. a booking confirmation, an address or a link. Ask the caller before sending. By default it goes to the number the caller is calling from.",
+  input_schema: {
+    type: "object",
+    properties: {
+      text: {
+        type: "string",
+        description: "The message to send. Keep it short.",
+      },
+      channel: {
+        type: "string",
+        enum: CHANNELS,
+        description: "How to send the message. Defaults to sms.",
+      },
+      to: {
+        type: "string",
+        description:
+          "Phone number to send the message to, in international format, only when the caller asks for another number.",
+      },
+    },
+    required: ["text"],
+  },
+  manifest: {
+    version: "1.0.0",
+    env: ["MESSAGING_URL"],
+  },
+  handler: async (uuid, { text, channel, to }, context) => {
+    const settings = context?.toolSettings?.send_message || {};
+    const callerNumber = context?.metadata?.caller_number;
+    // Sending to any number the model is told is opt-in, against SMS abuse
+    if (to && to !== callerNumber && !settings.allow_other_numbers) {
+      return "Error: messages can only be sent to the number the caller is calling from.";
+    }
+    const recipient = to || callerNumber;
+    if (!recipient) {
+      return "Error: the caller's number is unknown, so no message can be sent.";
+    }
+
+    logger.info("Sending message", { channel: channel || "sms" });
+    try {
+      const res = await axios.post(
+        process.env.MESSAGING_URL,
+        {
+          uuid,
+          channel: channel || "sms",
+          to: recipient,
+          from: settings.from || context?.metadata?.dialed_number || null,
+          text,
+        },
+        {
+          headers: process.env.MESSAGING_TOKEN
+            ? { Authorization: `Bearer ${process.env.MESSAGING_TOKEN}` }
+            : {},
+          signal: context?.signal,
+        }
+      );
+      return res.data?.message || `The message was sent to ${recipient}.`;
+    } catch (error) {
+      logger.error("Error sending message", { error: error.message });
+      return `Error sending the message: ${error.response?.data?.message || error.message}`;
+    }
+  },
+};
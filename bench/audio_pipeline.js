@@ -0,0 +1,103 @@
+/**
+ * audio_pipeline.js
+ * Benchmarks the per-call audio pipeline: caller audio upsampled to 16kHz and
+ * Gemini audio downsampled to 8kHz and cut into 20ms frames, as in index.js.
+ *
+ * Every simulated call processes the given duration of audio in both
+ * directions as fast as possible; the CPU time used is then expressed as a
+ * share of one core per real-time call.
+ *
+ * Usage: npm run bench -- [calls] [seconds]
+ *   calls: concurrent calls (default: 50)
+ *   seconds: seconds of audio per call (default: 60)
+ */
+
+const { PerformanceObserver } = require("perf_hooks");
+const { createResampler } = require("../utils/resampler");
+const { createFramer } = require("../utils/framer");
+
+const CALLER_CHUNK_SAMPLES = 160; // 20ms at 8kHz, as sent by AVR
+const GEMINI_CHUNK_SAMPLES = 960; // 40ms at 24kHz, a typical Live API chunk
+
+/**
+ * Builds a chunk of a sine tone so the resamplers work on real signal.
+ * @param {number} samples
+ * @param {number} sampleRate
+ * @returns {Buffer}
+ */
+function tone(samples, sampleRate) {
+  const data = new Int16Array(samples);
+  for (let i = 0; i < samples; i++) {
+    data[i] = Math.round(8000 * Math.sin((2 * Math.PI * 440 * i) / sampleRate));
+  }
+  return Buffer.from(data.buffer);
+}
+
+async function main() {
+  const calls = parseInt(process.argv[2] || "50", 10);
+  const seconds = parseInt(process.argv[3] || "60", 10);
+
+  const pipelines = [];
+  for (let i = 0; i < calls; i++) {
+    pipelines.push({
+      upsampler: await createResampler(8000, 16000),
+      downsampler: await createResampler(24000, 8000),
+      framer: createFramer(160),
+    });
+  }
+
+  const callerChunk = tone(CALLER_CHUNK_SAMPLES, 8000);
+  const geminiChunk = tone(GEMINI_CHUNK_SAMPLES, 24000);
+  const callerChunks = (seconds * 8000) / CALLER_CHUNK_SAMPLES;
+  const geminiChunks = (seconds * 24000) / GEMINI_CHUNK_SAMPLES;
+
+  let gcCount = 0;
+  let gcMs = 0;
+  const observer = new PerformanceObserver((list) => {
+    for (const entry of list.getEntries()) {
+      gcCount++;
+      gcMs += entry.duration;
+    }
+  });
+  observer.observe({ entryTypes: ["gc"] });
+
+  let bytesOut = 0;
+  const heapBefore = process.memoryUsage().heapUsed;
+  const cpuBefore = process.cpuUsage();
+  const wallBefore = process.hrtime.bigint();
+
+  // Interleave the calls chunk by chunk, like concurrent sessions would
+  for (let step = 0; step < callerChunks; step++) {
+    for (const pipeline of pipelines) {
+      bytesOut += pipeline.upsampler.process(callerChunk).length;
+      if (step % 2 === 0 && step / 2 < geminiChunks) {
+        pipeline.framer.write(pipeline.downsampler.process(geminiChunk), (frame) => {
+          bytesOut += frame.toString("base64").length;
+        });
+      }
+    }
+  }
+
+  const cpu = process.cpuUsage(cpuBefore);
+  const wallMs = Number(process.hrtime.bigint() - wallBefore) / 1e6;
+  const heapAfter = process.memoryUsage().heapUsed;
+  await new Promise((resolve) => setImmediate(resolve));
+  observer.disconnect();
+  pipelines.forEach(({ upsampler, downsampler }) => {
+    upsampler.destroy();
+    downsampler.destroy();
+  });
+
+  const cpuMs = (cpu.user + cpu.system) / 1000;
+  const perCall = (cpuMs / (calls * seconds * 1000)) * 100;
+  console.log(`Calls: ${calls}, audio per call: ${seconds}s (${bytesOut} bytes produced)`);
+  console.log(`Wall time: ${wallMs.toFixed(0)}ms, CPU time: ${cpuMs.toFixed(0)}ms`);
+  console.log(`CPU per real-time call: ${perCall.toFixed(3)}% of one core`);
+  console.log(`Estimated calls per core: ${Math.floor(100 / perCall)}`);
+  console.log(`GC: ${gcCount} collections, ${gcMs.toFixed(1)}ms; heap delta: ${((heapAfter - heapBefore) / 1e6).toFixed(1)}MB`);
+}
+
+main().catch((error) => {
+  console.error("Benchmark failed:", error);
+  process.exit(1);
+});
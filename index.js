@@ -5,158 +5,257 @@
  * performing necessary audio format conversions and WebSocket communication.
  *
  * Client Protocol:
- * - Send {"type": "init", "uuid": "uuid"} to initialize session
+ * - Connect with "Authorization: Bearer <token>" or "?token=<token>" when
+ *   WS_AUTH_TOKEN or WS_JWT_SECRET is set (see utils/ws_guard.js)
+ * - Send {"type": "init", "uuid": "uuid"} to initialize session, optionally with
+ *   "config": {...} overriding Live session options for this call (see utils/live_config.js),
+ *   "audioFormat": {"encoding", "sampleRate", "frameMs"} (see utils/audio_format.js)
+ *   and "metadata": {"caller_number", ...} describing the call (see utils/call_metadata.js)
+ * - Receive {"type": "audio_format", "encoding", "sampleRate", "frameMs"} confirming
+ *   the format in use, when audioFormat was sent
  * - Send {"type": "audio", "audio": "base64_encoded_audio"} to stream audio
- * - Receive {"type": "audio", "audio": "base64_encoded_audio"} for responses
- * - Receive {"type": "error", "message": "error_message"} for errors
+ * - Send {"type": "dtmf", "digit": "5", "duration": 120} when the caller presses a key
+ * - Send {"type": "close"} (or "end") to end the call; the server cleans up and closes
+ * - Receive {"type": "audio", "audio": "base64_encoded_audio"} for responses, paced at
+ *   real-time speed
+ * - Receive {"type": "interruption"} when the caller talks over the response: audio
+ *   received but not played yet must be dropped
+ * - Receive {"type": "error", "message": "error_message"} for errors, including
+ *   invalid messages and messages sent in the wrong state (see utils/client_protocol.js):
+ *   nothing but init is accepted before init, and init only once
  *
  * @author Agent Voice Response <info@agentvoiceresponse.com>
  * @see https://www.agentvoiceresponse.com
  */
 
+const http = require("http");
+const https = require("https");
 const WebSocket = require("ws");
-const { create } = require("@alexanderolsen/libsamplerate-js");
 const { GoogleGenAI, Modality } = require("@google/genai");
-const axios = require("axios");
 const fs = require("fs").promises;
 const path = require("path"); // Added path import
-const { loadTools, getToolHandler } = require("./loadTools");
+const { initTools, loadTools, isToolEnabled } = require("./loadTools");
+const {
+  loadLiveOptions,
+  resolveLiveOptions,
+  buildLiveConfig,
+} = require("./utils/live_config");
+const { getDefaultProfile, loadBotProfile } = require("./utils/bot_profile");
+const { parseCallMetadata } = require("./utils/call_metadata");
+const { createTranscriptRecorder } = require("./utils/transcript");
+const { sendCallRecord, startSpoolRetry } = require("./utils/call_webhook");
+const { createCallRecorder, startRetention } = require("./utils/recording");
+const { createResampler } = require("./utils/resampler");
+const { createFramer } = require("./utils/framer");
+const { createPlayout } = require("./utils/playout");
+const {
+  DEFAULT_AUDIO_FORMAT,
+  negotiateAudioFormat,
+  getFrameSamples,
+  createCodec,
+} = require("./utils/audio_format");
+const { normalizeDigit, createDtmfReceiver } = require("./utils/dtmf");
+const { createToolRuntime } = require("./utils/tool_runtime");
+const { toGeminiSchema } = require("./utils/json_schema");
+const { connectMcpServers, closeMcpServers } = require("./utils/mcp_client");
+const metrics = require("./utils/metrics");
+const { addReadinessCheck, handleMonitoringRequest } = require("./utils/monitoring");
+const {
+  createLogger,
+  runInCallContext,
+  bindCallContext,
+  captureConsole,
+} = require("./utils/logger");
+const {
+  authenticateRequest,
+  isOriginAllowed,
+  createRateLimiter,
+  startKeepalive,
+  loadTlsOptions,
+} = require("./utils/ws_guard");
+const {
+  SESSION_STATES,
+  parseClientMessage,
+  isAccepted,
+} = require("./utils/client_protocol");
 
 require("dotenv").config();
 
+// JSON lines for every log, including the console output of libraries
+captureConsole();
+const logger = createLogger("index");
+
 // Global map to store transcripts for each session
 const transcripts = new Map();
-console.log("Global transcripts map initialized.");
 
-// Global map to store file handles for each session's audio streams
-const audioFileHandles = new Map();
+// Reconnection settings used when the Gemini Live socket drops mid-call
+const MAX_RECONNECT_ATTEMPTS = parseInt(process.env.GEMINI_RECONNECT_ATTEMPTS || "3", 10);
+const RECONNECT_BUFFER_MS = parseInt(process.env.GEMINI_RECONNECT_BUFFER_MS || "10000", 10);
 
-/**
- * Saves an audio chunk to a date-wise, bot-wise directory structure.
- * Appends to a file specific to the session and speaker type.
- *
- * @param {string} type - 'user' or 'ai'
- * @param {string} sessionUuid - The UUID of the current session.
- * @param {Buffer} chunkBuffer - The audio chunk to save.
- */
-const saveAudioChunk = async (type, sessionUuid, chunkBuffer) => {
-  const audioSaveDir = process.env.AUDIO_SAVE_DIR || "./saved_audios";
-  const botName = process.env.BOT_NAME || "gemini_bot";
-  const today = new Date().toISOString().slice(0, 10); // YYYY-MM-DD
+// Caller audio kept while the first Gemini session is set up, sent once it is ready
+const EARLY_AUDIO_BUFFER_MS = parseInt(process.env.EARLY_AUDIO_BUFFER_MS || "5000", 10);
+const MAX_RESEED_TURNS = 50;
 
-  const sessionDir = path.join(audioSaveDir, today, botName, sessionUuid);
-  const filePath = path.join(sessionDir, `${type}_audio.pcm`);
+// Gemini expects 16kHz audio and answers at 24kHz, whatever the client format
+const GEMINI_INPUT_SAMPLE_RATE = 16000;
+const GEMINI_OUTPUT_SAMPLE_RATE = 24000;
 
-  // Ensure directory exists
-  await fs.mkdir(sessionDir, { recursive: true });
+// How far ahead of its play time outbound audio is sent to the client
+const OUTBOUND_AUDIO_LEAD_MS = parseInt(process.env.OUTBOUND_AUDIO_LEAD_MS || "60", 10);
 
-  // Append chunk to file. Use a global map to store file handles
-  // to avoid opening/closing for each chunk and ensure sequential writes.
-  const handleKey = `${sessionUuid}-${type}`;
-  let fileHandle = audioFileHandles.get(handleKey);
+// Share of the Gemini messages carrying audio that are logged at debug level
+const LOG_AUDIO_SAMPLE_RATE = parseFloat(process.env.LOG_AUDIO_SAMPLE_RATE || "0");
 
-  if (!fileHandle) {
-    fileHandle = await fs.open(filePath, "a"); // Open in append mode
-    audioFileHandles.set(handleKey, fileHandle);
-  }
+// Shutdown: how long calls in progress may go on, and how long ending the
+// remaining ones (transcripts, recordings, call records) may take after that
+const SHUTDOWN_DRAIN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_DRAIN_TIMEOUT_MS || "30000", 10);
+const SHUTDOWN_FLUSH_TIMEOUT_MS = 15000;
 
-  await fileHandle.write(chunkBuffer);
-};
+// Connection limits: concurrent calls (0 for no limit) and size of one client message
+const MAX_CONCURRENT_SESSIONS = parseInt(process.env.MAX_CONCURRENT_SESSIONS || "0", 10);
+const WS_MAX_PAYLOAD_BYTES = parseInt(process.env.WS_MAX_PAYLOAD_BYTES || "1048576", 10);
+
+// Calls in progress, drained on shutdown
+const activeCalls = new Set();
+let shuttingDown = false;
 
 /**
- * Stream Processing
+ * Converts transcript entries into conversation turns, used to re-seed a new
+ * Gemini session when the previous one could not be resumed.
+ *
+ * @param {Array<{speaker: string, text: string}>} entries - Transcript entries
+ * @returns {Array<object>} Content turns for sendClientContent
  */
+const transcriptToTurns = (entries) =>
+  entries
+    .filter((entry) => entry.text && entry.speaker !== "Tool")
+    .slice(-MAX_RESEED_TURNS)
+    .map((entry) => ({
+      role: entry.speaker === "AI" ? "model" : "user",
+      parts: [
+        {
+          text:
+            entry.speaker === "DTMF" ? describeDigits(entry.text) : entry.text,
+        },
+      ],
+    }));
 
-// Global audio resamplers - created once and shared across all connections
-let globalDownsampler = null;
-let globalUpsampler = null;
+/**
+ * Describes keypad digits to the model.
+ * @param {string} digits
+ * @returns {string}
+ */
+const describeDigits = (digits) =>
+  `(The caller pressed ${digits} on the phone keypad.)`;
 
 /**
- * Initializes global audio resamplers for format conversion.
- * Called once at server startup.
+ * Logs a Gemini message at debug level. The logger replaces audio payloads
+ * with their size, and only LOG_AUDIO_SAMPLE_RATE of the audio messages are
+ * logged at all, as they arrive many times per second.
+ *
+ * @param {object} message - Live API server message
  */
-const initializeResamplers = async () => {
-  try {
-    globalDownsampler = await create(1, 24000, 8000); //1 channel, 24kHz to 8kHz
-    globalUpsampler = await create(1, 8000, 16000); //1 channel, 8kHz to 16kHz
-    console.log("Global audio resamplers initialized");
-  } catch (error) {
-    console.error("Error initializing resamplers:", error);
-    process.exit(1);
-  }
+const logGeminiMessage = (message) => {
+  if (!logger.isDebugEnabled()) return;
+  const hasAudio = message.serverContent?.modelTurn?.parts?.some((part) => part?.inlineData);
+  if (hasAudio && Math.random() >= LOG_AUDIO_SAMPLE_RATE) return;
+  logger.debug("Gemini message", { message });
 };
 
-const connectToGeminiSdk = async (sessionUuid, callbacks) => {
-  const model =
-    process.env.GEMINI_MODEL ||
-    "gemini-live-2.5-flash-preview-native-audio-12-2025";
+/**
+ * Builds the tool selection of a call from its bot profile.
+ *
+ * @param {object} profile - Bot profile of the call
+ * @returns {object} Filter for loadTools and isToolEnabled
+ */
+const getToolFilter = (profile) => ({
+  enabled: profile.tools,
+  disabled: profile.disabledTools,
+  toolSettings: profile.toolSettings,
+});
+
+/**
+ * Opens a Gemini Live session for a call.
+ *
+ * @param {string} sessionUuid - The UUID of the call
+ * @param {object} callbacks - Live API callbacks (onopen, onmessage, onerror, onclose)
+ * @param {object} options
+ * @param {object} options.profile - Bot profile of the call (see utils/bot_profile.js)
+ * @param {string} [options.resumptionHandle] - Handle of a previous session to resume
+ * @param {object} [options.liveOverrides] - Per-call overrides of the Live session options
+ * @returns {Promise<object>} The Live session
+ */
+const connectToGeminiSdk = async (sessionUuid, callbacks, options) => {
+  const { profile } = options;
+  const model = profile.model;
 
   const config = {
     responseModalities: [Modality.AUDIO],
-    systemInstruction: "You are a helpful assistant.",
+    systemInstruction: profile.systemInstruction,
   };
 
-  if (process.env.GEMINI_INSTRUCTIONS) {
-    config.systemInstruction = process.env.GEMINI_INSTRUCTIONS;
-    console.log("Using GEMINI_INSTRUCTIONS from environment variable");
-  } else if (process.env.GEMINI_URL_INSTRUCTIONS) {
-    try {
-      const response = await axios.get(process.env.GEMINI_URL_INSTRUCTIONS, {
-        headers: {
-          "Content-Type": "application/json",
-          "X-AVR-UUID": sessionUuid,
-        },
-      });
-      console.log("Instructions loaded from GEMINI_URL_INSTRUCTIONS");
-      const data = await response.data;
-      console.log(data);
-      config.systemInstruction = data.system;
-    } catch (error) {
-      console.error(
-        `Error loading instructions from ${process.env.GEMINI_URL_INSTRUCTIONS}: ${error.message}`,
-      );
-    }
-  } else if (process.env.GEMINI_FILE_INSTRUCTIONS) {
-    try {
-      const data = await fs.readFile(
-        process.env.GEMINI_FILE_INSTRUCTIONS,
-        "utf8",
-      );
-      console.log("Using GEMINI_FILE_INSTRUCTIONS from environment variable");
-      console.log(data);
-      config.systemInstruction = data;
-    } catch (error) {
-      console.error(
-        `Error loading instructions from ${process.env.GEMINI_FILE_INSTRUCTIONS}: ${error.message}`,
-      );
-    }
-  } else {
-    console.log("Using default instructions");
-    config.systemInstruction =
-      "You are a helpful assistant and answer in a friendly tone.";
-  }
-
   try {
-    const tools = loadTools();
+    // Only the tools the bot profile enables and provides the settings for
+    const tools = loadTools(getToolFilter(profile)).map((tool) => ({
+      ...tool,
+      // MCP and HTTP tools may use JSON schema features Gemini does not accept
+      parameters: toGeminiSchema(tool.parameters),
+    }));
     config.tools = [{ functionDeclarations: tools }];
-    console.log(`Loaded ${tools.length} tools for Gemini.`);
+    logger.info("Loaded tools for Gemini", { tools: tools.map((tool) => tool.name) });
   } catch (error) {
-    console.error(`Error loading tools for Gemini: ${error.message}`);
+    logger.error("Error loading tools for Gemini", { error });
   }
 
-  console.log("Gemini Session Config:", config);
-  console.log("Gemini Session Model:", model);
+  // Voice, language, compression, VAD and transcription settings
+  Object.assign(
+    config,
+    buildLiveConfig(
+      resolveLiveOptions({ ...profile.liveOptions, ...options.liveOverrides }),
+    ),
+  );
+
+  if (process.env.GEMINI_SESSION_RESUMPTION !== "false") {
+    // Ask the server for resumption handles; pass the last one to resume a dropped session
+    config.sessionResumption = options.resumptionHandle
+      ? { handle: options.resumptionHandle }
+      : {};
+  }
+
+  logger.debug("Gemini session config", { model, config });
 
   const ai = new GoogleGenAI({
     apiKey: process.env.GEMINI_API_KEY || "",
     apiVersion: "v1alpha",
   });
 
-  const session = await ai.live.connect({
-    model: model,
-    callbacks,
-    config,
-  });
+  // The SDK waits for the socket to open and never settles when it fails to:
+  // an error or close before onopen rejects the connection instead
+  let opened = false;
+  let rejectConnect;
+  const failed = new Promise((resolve, reject) => (rejectConnect = reject));
+  const session = await Promise.race([
+    ai.live.connect({
+      model: model,
+      callbacks: {
+        ...callbacks,
+        onopen() {
+          opened = true;
+          callbacks.onopen?.();
+        },
+        onerror(e) {
+          if (opened) callbacks.onerror?.(e);
+          else rejectConnect(new Error(`Gemini connection failed: ${e?.message || "socket error"}`));
+        },
+        onclose(e) {
+          if (opened) callbacks.onclose?.(e);
+          else rejectConnect(new Error(`Gemini connection closed during setup with code ${e?.code}`));
+        },
+      },
+      config,
+    }),
+    failed,
+  ]);
 
   return session;
 };
@@ -168,282 +267,739 @@ const connectToGeminiSdk = async (sessionUuid, callbacks) => {
  * @param {WebSocket} clientWs - Client WebSocket connection
  */
 const handleClientConnection = (clientWs) => {
-  console.log("New client WebSocket connection received");
+  // Every line logged for this call carries its session UUID, once known
+  const logContext = { session: null };
+  const inCall = (fn) => bindCallContext(logContext, fn);
+  logger.info("New client WebSocket connection received");
+  metrics.activeSessions.inc();
+  let state = SESSION_STATES.AWAITING_INIT; // See utils/client_protocol.js
   let sessionUuid = null;
+  let liveOverrides = {};
+  let transcript = null; // Assembles transcription fragments into turns
+  let botProfile = getDefaultProfile();
+  let metadata = parseCallMetadata(null); // Caller ID, dialed number, ... from init
+
+  // Call record sent to the post-call webhook
+  const startedAt = new Date();
+  let initAt = null; // When the client sent init, for the time to first audio
+  let endReason = null;
+  const toolCalls = [];
+  let audioFiles = {};
+  let recorder = null; // Set when the bot profile enables recordings
+
+  // Client misbehavior: message floods and connections that went silent
+  const rateLimiter = createRateLimiter();
+  const stopKeepalive = startKeepalive(clientWs, () => {
+    logger.warn("Client did not answer the keepalive ping, terminating the connection");
+    setEndReason("error");
+  });
+  let toolRuntime = null; // Runs the tool calls of the model, created on init
+  let callEnded = null; // Resolves once cleanup is done
+
+  // Handle of this call for the shutdown drain
+  let markFinished;
+  const call = {
+    finished: new Promise((resolve) => (markFinished = resolve)),
+    /**
+     * Asks the model to end the conversation.
+     * @param {string} text - Instruction for the model
+     */
+    wrapUp(text) {
+      if (session && !reconnecting) session.sendRealtimeInput({ text });
+    },
+    /**
+     * Ends the call from the server side.
+     * @param {string} reason - End reason of the call record
+     * @returns {Promise<void>}
+     */
+    end(reason) {
+      setEndReason(reason);
+      return endCall();
+    },
+  };
+  activeCalls.add(call);
+
+  /**
+   * Records why the call ended; the first reason wins.
+   * @param {string} reason - caller_hangup, avr_hangup, transfer, shutdown or error
+   */
+  const setEndReason = (reason) => {
+    if (!endReason) endReason = reason;
+  };
 
-  let audioBuffer8k = [];
   let session = null;
-  let audioFrames = [];
+
+  // Keypad digits go to the model, or to the collect_digits tool while it waits
+  const dtmf = createDtmfReceiver({ onDigits: sendDigitsToGemini });
+
+  // Audio pipeline of this call, created on init and destroyed on cleanup
+  let audioFormat = DEFAULT_AUDIO_FORMAT;
+  let codec = createCodec(audioFormat.encoding);
+  let upsampler = null; // Caller audio to 16kHz
+  let downsampler = null; // 24kHz Gemini audio to the client sample rate
+  let framer = null;
+  let playout = null; // Paces outbound frames and tracks what was played
+
+  // Gemini reconnection state: each opened session gets a generation number so
+  // callbacks from a replaced session are ignored
+  let sessionGeneration = 0;
+  let resumptionHandle = null;
+  let reconnecting = false;
+  let reconnectFailures = 0;
+  let pendingAudio = [];
+  let pendingAudioBytes = 0;
+
+  // Caller audio received while connecting, at the client sample rate
+  let earlyAudio = [];
+  let earlyAudioBytes = 0;
+  let audioBeforeInitReported = false;
 
   /**
-   * Processes Gemini audio chunks by downsampling and extracting frames.
-   * Converts 24kHz audio to 8kHz and extracts 20ms frames (160 samples).
+   * Converts a Gemini audio chunk to the client format and queues it in
+   * frames for playout. The incomplete last frame waits for the next chunk.
    *
-   * @param {Buffer} inputBuffer - Raw audio buffer from Gemini
-   * @returns {Buffer[]} Array of 20ms audio frames
+   * @param {Buffer} inputBuffer - 24kHz PCM audio from Gemini
    */
-  function processGeminiAudioChunk(inputBuffer) {
-    // Convert Buffer to Int16Array for processing
-    const inputSamples = new Int16Array(
-      inputBuffer.buffer,
-      inputBuffer.byteOffset,
-      inputBuffer.length / 2,
-    );
-
-    // Downsample from 24kHz to 8kHz using global downsampler
-    const downsampledSamples = globalDownsampler.full(inputSamples);
+  function sendGeminiAudioToClient(inputBuffer) {
+    if (!downsampler) return;
+    framer.write(downsampler.process(inputBuffer), (frame) => {
+      playout.push(codec.encode(frame).toString("base64"));
+    });
+  }
 
-    // Accumulate samples in buffer
-    audioBuffer8k = audioBuffer8k.concat(Array.from(downsampledSamples));
+  /**
+   * Stops the model's audio: drops what was not played yet and tells the
+   * client to do the same, then records how much of the turn was heard.
+   *
+   * @param {string} source - Who interrupted: model or caller
+   */
+  function interruptPlayback(source) {
+    framer?.clear();
+    const played = playout?.interrupt();
+    metrics.interruptions.inc({ source });
+    if (played) metrics.droppedFrames.inc({ direction: "outbound" }, played.droppedFrames);
+    transcript?.interrupt(played);
+    recorder?.interrupt();
+    clientWs.send(JSON.stringify({ type: "interruption" }));
+  }
 
-    // Extract 20ms frames (160 samples = 320 bytes)
-    const audioFrames = [];
-    while (audioBuffer8k.length >= 160) {
-      const frame = audioBuffer8k.slice(0, 160);
-      audioBuffer8k = audioBuffer8k.slice(160);
+  /**
+   * Selects the client audio format of this call. A client that asked for a
+   * format is told which one is in use, since invalid fields fall back to the
+   * default.
+   *
+   * @param {object} [requested] - The audioFormat of the init message
+   */
+  function applyAudioFormat(requested) {
+    const { format, problems } = negotiateAudioFormat(requested);
+    if (problems.length > 0) {
+      logger.warn("Invalid audio format fields", { problems });
+    }
+    audioFormat = format;
+    codec = createCodec(format.encoding);
+    logger.info("Audio format", { format });
+    if (requested !== undefined) {
+      clientWs.send(JSON.stringify({ type: "audio_format", ...format }));
+    }
+  }
 
-      // Convert to PCM16LE Buffer (320 bytes)
-      audioFrames.push(Buffer.from(Int16Array.from(frame).buffer));
+  /**
+   * Tells the client about an error, if it is still connected.
+   * @param {string} message
+   */
+  function sendError(message) {
+    if (clientWs.readyState === WebSocket.OPEN) {
+      clientWs.send(JSON.stringify({ type: "error", message }));
     }
+  }
 
-    return audioFrames;
+  /**
+   * Creates the resamplers and framer of this call for the negotiated format.
+   */
+  async function createAudioPipeline() {
+    upsampler = await createResampler(audioFormat.sampleRate, GEMINI_INPUT_SAMPLE_RATE);
+    downsampler = await createResampler(GEMINI_OUTPUT_SAMPLE_RATE, audioFormat.sampleRate);
+    framer = createFramer(getFrameSamples(audioFormat));
+    playout = createPlayout({
+      frameMs: audioFormat.frameMs,
+      leadMs: OUTBOUND_AUDIO_LEAD_MS,
+      send: (audio) => {
+        if (initAt) {
+          metrics.timeToFirstAudio.observe((Date.now() - initAt) / 1000);
+          initAt = null;
+        }
+        clientWs.send(JSON.stringify({ type: "audio", audio }));
+      },
+    });
   }
 
   /**
-   * Converts 8kHz audio to 16kHz for sending to Gemini API.
-   *
-   * @param {Buffer} inputBuffer - 8kHz audio buffer
-   * @returns {Buffer} 16kHz audio buffer
+   * Frees the resamplers and stops the playout of this call.
    */
-  function convert8kTo16k(inputBuffer) {
-    const inputSamples = new Int16Array(
-      inputBuffer.buffer,
-      inputBuffer.byteOffset,
-      inputBuffer.length / 2,
-    );
-    const upsampledSamples = globalUpsampler.full(inputSamples);
-    return Buffer.from(Int16Array.from(upsampledSamples).buffer);
+  function destroyAudioPipeline() {
+    upsampler?.destroy();
+    downsampler?.destroy();
+    playout?.destroy();
+    upsampler = null;
+    downsampler = null;
+    framer = null;
+    playout = null;
   }
 
   // Handle client WebSocket messages
-  clientWs.on("message", async (data) => {
+  clientWs.on("message", inCall(async (data) => {
+    if (!rateLimiter.take()) {
+      if (clientWs.readyState === WebSocket.OPEN) {
+        logger.warn("Client message rate limit exceeded, closing the connection");
+        metrics.rejectedConnections.inc({ reason: "rate_limit" });
+        setEndReason("error");
+        clientWs.close(1008, "Message rate limit exceeded");
+      }
+      return;
+    }
+    if (state === SESSION_STATES.CLOSING) return;
+    const { message, error } = parseClientMessage(data);
+    if (error) {
+      logger.warn("Invalid client message", { error });
+      sendError(error);
+      return;
+    }
+    if (!isAccepted(state, message.type)) {
+      if (message.type === "audio") metrics.droppedFrames.inc({ direction: "inbound" });
+      // Audio arrives many times per second: a client streaming it before init is told once
+      if (message.type === "audio" && audioBeforeInitReported) return;
+      if (message.type === "audio") audioBeforeInitReported = true;
+      logger.warn("Unexpected client message", { type: message.type, state });
+      sendError(
+        message.type === "init"
+          ? "Session already initialized"
+          : `Unexpected ${message.type} message: send init first`,
+      );
+      return;
+    }
+
     try {
-      const message = JSON.parse(data);
       switch (message.type) {
         case "init":
+          state = SESSION_STATES.CONNECTING;
           sessionUuid = message.uuid;
-          console.log("Session UUID:", sessionUuid);
+          logContext.session = sessionUuid;
+          initAt = Date.now();
+          liveOverrides = message.config || {};
+          metadata = parseCallMetadata(sessionUuid, message.metadata);
+          logger.info("Call initialized", { metadata });
+          toolRuntime = createToolRuntime({
+            sessionUuid,
+            // Tools left out of the bot profile are refused even if requested
+            isEnabled: (name) => isToolEnabled(name, getToolFilter(botProfile)),
+            getContext: () => ({
+              transcripts,
+              toolSettings: botProfile.toolSettings,
+              metadata,
+              dtmf,
+              // Resolves once the audio queued so far has been played
+              waitForPlayout: () => playout?.drained() ?? Promise.resolve(),
+              // Called by tools that ended the call, once the AMI service confirmed it
+              setEndReason,
+            }),
+          });
+          applyAudioFormat(message.audioFormat);
           transcripts.set(sessionUuid, []); // Initialize transcript for this session
-          console.log(`Transcript initialized for session ${sessionUuid}.`);
+          transcript = createTranscriptRecorder(transcripts.get(sessionUuid));
           // Initialize Gemini connection when client is ready
           initializeGeminiConnection();
           break;
 
-        case "audio":
-          // Handle audio data from client
-          if (message.audio && session) {
-            const audioBuffer = Buffer.from(message.audio, "base64");
-            // Save user audio (8kHz PCM from client)
-            if (process.env.SAVE_AUDIO_CHUNKS === 'true') {
-              saveAudioChunk("user", sessionUuid, audioBuffer).catch(console.error);
-            }
-            const upsampledAudio = convert8kTo16k(audioBuffer);
-            session.sendRealtimeInput({
-              audio: {
-                data: upsampledAudio.toString("base64"),
-                mimeType: "audio/pcm;rate=16000",
-              },
-            });
+        case "audio": {
+          const audioBuffer = codec.decode(Buffer.from(message.audio, "base64"));
+          if (state === SESSION_STATES.CONNECTING) bufferEarlyAudio(audioBuffer);
+          else sendCallerAudio(audioBuffer);
+          break;
+        }
+
+        case "dtmf": {
+          const digit = normalizeDigit(message.digit);
+          if (!digit) {
+            logger.warn("Invalid DTMF digit from client", { digit: message.digit });
+            sendError(`Invalid DTMF digit: ${String(message.digit).slice(0, 8)}`);
+            break;
           }
+          // Digits are caller input and may be a PIN: debug only, and sensitive ones never
+          logger.debug(dtmf.collecting ? "DTMF digit collected" : "DTMF digit", {
+            digit: dtmf.sensitive ? undefined : digit,
+            durationMs: message.duration,
+          });
+          dtmf.press(digit);
           break;
+        }
 
-        default:
-          console.log("Unknown message type from client:", message.type);
+        case "close":
+        case "end":
+          logger.info("Client ended the call", { reason: message.reason });
+          setEndReason("caller_hangup");
+          endCall();
           break;
       }
     } catch (error) {
-      console.error("Error processing client message:", error);
+      logger.error("Error processing client message", { error });
     }
-  });
+  }));
 
-  // Initialize Gemini connection
-  const initializeGeminiConnection = async () => {
-    try {
-      session = await connectToGeminiSdk(sessionUuid, {
-        onopen: function () {
-          console.debug("Gemini Session Opened");
+  /**
+   * Records caller audio and sends it to Gemini.
+   * @param {Buffer} audioBuffer - PCM audio at the client sample rate
+   */
+  function sendCallerAudio(audioBuffer) {
+    if (!upsampler) return;
+    // Save user audio (PCM at the client sample rate)
+    recorder?.write("user", audioBuffer).catch((error) =>
+      logger.error("Error recording caller audio", { error }),
+    );
+    // While reconnecting, sendAudioToGemini buffers instead of sending
+    sendAudioToGemini(upsampler.process(audioBuffer));
+  }
+
+  /**
+   * Keeps caller audio received before the Gemini session is ready, so what the
+   * caller says right away is not lost. The buffer keeps the most recent
+   * EARLY_AUDIO_BUFFER_MS of audio.
+   *
+   * @param {Buffer} audioBuffer - PCM audio at the client sample rate
+   */
+  function bufferEarlyAudio(audioBuffer) {
+    earlyAudio.push(audioBuffer);
+    earlyAudioBytes += audioBuffer.length;
+    const maxBytes = (EARLY_AUDIO_BUFFER_MS / 1000) * audioFormat.sampleRate * 2;
+    while (earlyAudioBytes > maxBytes && earlyAudio.length > 0) {
+      earlyAudioBytes -= earlyAudio.shift().length;
+      metrics.droppedFrames.inc({ direction: "inbound" });
+    }
+  }
+
+  /**
+   * Moves the call to live once the first Gemini session is set up, and sends
+   * it the caller audio buffered meanwhile.
+   */
+  function goLive() {
+    state = SESSION_STATES.LIVE;
+    const buffered = earlyAudio;
+    earlyAudio = [];
+    earlyAudioBytes = 0;
+    if (buffered.length > 0) {
+      logger.info("Sending early caller audio to Gemini", { chunks: buffered.length });
+      sendCallerAudio(Buffer.concat(buffered));
+    }
+  }
+
+  /**
+   * Sends caller audio to Gemini, or buffers it while the session is being
+   * re-established. The buffer keeps the most recent RECONNECT_BUFFER_MS of audio.
+   *
+   * @param {Buffer} audio16k - 16kHz PCM audio, reused by the upsampler afterwards
+   */
+  function sendAudioToGemini(audio16k) {
+    if (session && !reconnecting) {
+      session.sendRealtimeInput({
+        audio: {
+          data: audio16k.toString("base64"),
+          mimeType: "audio/pcm;rate=16000",
         },
-        onmessage: async function (message) {
-          console.log("Gemini Message:", JSON.stringify(message, null, 2));
+      });
+      return;
+    }
+    pendingAudio.push(Buffer.from(audio16k));
+    pendingAudioBytes += audio16k.length;
+    const maxBytes = (RECONNECT_BUFFER_MS / 1000) * 16000 * 2;
+    while (pendingAudioBytes > maxBytes && pendingAudio.length > 0) {
+      pendingAudioBytes -= pendingAudio.shift().length;
+      metrics.droppedFrames.inc({ direction: "inbound" });
+    }
+  }
+
+  /**
+   * Forwards keypad digits to the model as text input.
+   * @param {string} digits
+   * @param {object} [options]
+   * @param {boolean} [options.sensitive] - Typed during or right after a digit
+   *   collection: only stored masked
+   */
+  function sendDigitsToGemini(digits, { sensitive = false } = {}) {
+    transcript?.addDtmf(sensitive ? digits.replace(/./g, "*") : digits);
+    if (!session || reconnecting) {
+      logger.warn("Keypad digits dropped: no Gemini session");
+      return;
+    }
+    session.sendRealtimeInput({
+      text: describeDigits(digits.split("").join(" ")),
+    });
+  }
+
+  /**
+   * Sends the audio buffered during a reconnection to the new session.
+   */
+  function flushPendingAudio() {
+    const buffered = pendingAudio;
+    pendingAudio = [];
+    pendingAudioBytes = 0;
+    if (buffered.length > 0) {
+      logger.info("Flushing buffered audio to the new Gemini session", {
+        chunks: buffered.length,
+      });
+      sendAudioToGemini(Buffer.concat(buffered));
+    }
+  }
+
+  /**
+   * Opens a Gemini session whose callbacks are bound to this connection.
+   * When no resumption handle is given but history is, the new session is
+   * re-seeded with the conversation so far.
+   *
+   * @param {object} [options]
+   * @param {string} [options.resumptionHandle] - Handle of the session to resume
+   * @param {Array<object>} [options.history] - Transcript entries to re-seed with
+   * @returns {Promise<object>} The Live session
+   */
+  const openGeminiSession = async ({ resumptionHandle: handle, history } = {}) => {
+    const generation = ++sessionGeneration;
+    const isCurrent = () => generation === sessionGeneration;
+    let setupDone = false;
+    let liveSession = null;
+    const connectStartedAt = Date.now();
+
+    liveSession = await connectToGeminiSdk(
+      sessionUuid,
+      {
+        onopen: inCall(function () {
+          logger.debug("Gemini session opened");
+        }),
+        onmessage: inCall(async function (message) {
+          logGeminiMessage(message);
 
           // Check for setup complete
           if (message.setupComplete) {
-            console.log("Setup complete, session ready");
+            logger.info("Gemini setup complete, session ready");
+            setupDone = true;
+            metrics.geminiConnect.observe((Date.now() - connectStartedAt) / 1000);
+            if (isCurrent()) reconnectFailures = 0;
+            if (isCurrent() && state === SESSION_STATES.CONNECTING) goLive();
             return;
           }
 
-          // ASR output from Gemini (user's speech) - input transcription
-          if (message.text) {
-            if (transcripts.has(sessionUuid)) {
-              transcripts.get(sessionUuid).push({
-                speaker: "User",
-                text: message.text,
-                timestamp: new Date().toISOString(),
-              });
-              console.log("User says:", message.text);
-              console.log("Transcripts:", transcripts.get(sessionUuid));
+          // Keep the latest handle so a dropped session can be resumed
+          if (message.sessionResumptionUpdate) {
+            const { resumable, newHandle } = message.sessionResumptionUpdate;
+            if (resumable && newHandle && isCurrent()) {
+              resumptionHandle = newHandle;
+            }
+          }
+
+          // The server is about to close the stream (e.g. session duration limit)
+          if (message.goAway) {
+            logger.info("Gemini session goAway received", {
+              timeLeft: message.goAway.timeLeft,
+            });
+            if (isCurrent()) reconnectGemini("goAway");
+            return;
+          }
+
+          // Caller and model speech, streamed as transcription fragments
+          const serverContent = message.serverContent;
+          if (serverContent) {
+            if (serverContent.inputTranscription?.text) {
+              // The server only interrupts turns it is still generating: the
+              // tail of a finished turn is cut here when the caller talks over it
+              if (playout?.playingCompletedTurn) {
+                logger.info("Caller talked over the playback");
+                interruptPlayback("caller");
+              }
+              transcript?.addInput(serverContent.inputTranscription.text);
+            }
+            if (serverContent.outputTranscription?.text) {
+              transcript?.addOutput(serverContent.outputTranscription.text);
+            }
+            if (serverContent.interrupted) {
+              logger.info("Gemini session interruption");
+              interruptPlayback("model");
+            }
+            if (serverContent.turnComplete) {
+              transcript?.completeTurn();
+              playout?.endTurn();
             }
           }
 
           // Model Turn with parts (audio + text output)
           if (message.serverContent?.modelTurn?.parts) {
-            const modelTurn = message.serverContent.modelTurn;
-            console.log("Model Turn received:", modelTurn);
-            const parts = modelTurn.parts;
-            console.log("Parts count:", parts?.length);
+            const parts = message.serverContent.modelTurn.parts;
             for (let i = 0; i < parts?.length; i++) {
               const part = parts[i];
-              console.log(`Part ${i}:`, JSON.stringify(part, null, 2));
 
               // Handle Audio
               if (part?.inlineData) {
                 const inlineData = part.inlineData;
-                console.log(
-                  "Processing audio chunk, size:",
-                  inlineData.data?.length,
-                );
                 const audioChunk = Buffer.from(inlineData.data, "base64");
                 // Save AI audio (24kHz PCM from Gemini)
-                if (process.env.SAVE_AUDIO_CHUNKS === 'true') {
-                  saveAudioChunk("ai", sessionUuid, audioChunk).catch(console.error);
-                }
-                audioFrames = processGeminiAudioChunk(audioChunk);
-                // Send audio frames to client
-                audioFrames.forEach((frame) => {
-                  clientWs.send(
-                    JSON.stringify({
-                      type: "audio",
-                      audio: frame.toString("base64"),
-                    }),
-                  );
-                });
-              }
-              // Text content from Gemini's response (AI speaking) - output transcription
-              if (part?.text) {
-                console.log("AI text transcription received:", part.text);
-                if (transcripts.has(sessionUuid)) {
-                  transcripts.get(sessionUuid).push({
-                    speaker: "AI",
-                    text: part.text,
-                    timestamp: new Date().toISOString(),
-                  });
-                  console.log("AI says:", part.text);
-                }
+                recorder?.write("ai", audioChunk).catch((error) =>
+                  logger.error("Error recording model audio", { error }),
+                );
+                sendGeminiAudioToClient(audioChunk);
               }
             }
           } else if (message.toolCall?.functionCalls) {
-            console.log(
-              "Gemini Session Tool Calls:",
-              message.toolCall.functionCalls,
-            );
+            const calls = message.toolCall.functionCalls;
+            logger.info("Gemini session tool calls", {
+              calls: calls.map(({ id, name, args }) => ({ id, name, args })),
+            });
+            for (const fc of calls) transcript?.addToolCall(fc.name, fc.args);
+            const outcomes = await toolRuntime.run(calls);
+
             const functionResponses = [];
-            for (const fc of message.toolCall.functionCalls) {
-              const handler = getToolHandler(fc.name);
-              const obj = {
-                id: fc.id,
-                name: fc.name,
-                response: { result: "" },
-              };
-              if (!handler) {
-                obj.response.result = `I'm sorry, I cannot retrieve the requested information.`;
-                functionResponses.push(obj);
-              } else {
-                obj.response.result = await handler(sessionUuid, fc.args, {
-                  transcripts,
-                });
-                functionResponses.push(obj);
+            outcomes.forEach(({ status, response, redacted, startedAt, endedAt }, i) => {
+              const fc = calls[i];
+              const toolCall = { name: fc.name, args: fc.args || {}, status, startedAt, endedAt };
+              if (status === "cancelled") {
+                logger.info("Gemini session tool call cancelled", { tool: fc.name });
+                transcript?.addToolResult(fc.name, "cancelled");
+                toolCalls.push(toolCall);
+                return;
               }
-              console.log("Gemini Session Tool Response:", obj.response.result);
-            }
+              functionResponses.push({ id: fc.id, name: fc.name, response });
+              const result = status === "ok" ? response.result : response.error;
+              // Results of sensitive tools, such as a PIN, are only logged and stored masked
+              const shown = redacted ?? result;
+              transcript?.addToolResult(fc.name, shown);
+              toolCalls.push({ ...toolCall, result: shown });
+              logger.info("Gemini session tool response", { tool: fc.name, status, result: shown });
+            });
 
+            if (functionResponses.length === 0) return;
+            // The tools may outlast the session that asked for them: a session
+            // replaced meanwhile, even a resumed one, no longer expects the responses
+            if (!isCurrent() || !session) {
+              logger.warn("Dropping tool responses of a replaced Gemini session", {
+                tools: functionResponses.map(({ name }) => name),
+              });
+              return;
+            }
             session.sendToolResponse({ functionResponses });
-          } else if (message.serverContent?.interrupted) {
-            console.log("Gemini Session Interruption");
-            audioFrames = [];
-            clientWs.send(JSON.stringify({ type: "interruption" }));
-          } else {
-            // console.log("Gemini Session Message:", message);
+          } else if (message.toolCallCancellation?.ids) {
+            // The caller interrupted the model while its tool calls were running
+            toolRuntime.cancel(message.toolCallCancellation.ids);
           }
-        },
-        onerror: function (e) {
-          console.error("Gemini Session Error:", e);
+        }),
+        onerror: inCall(function (e) {
+          logger.error("Gemini session error", { error: e?.error ?? e?.message ?? e });
+          if (!isCurrent()) return;
           clientWs.send(
             JSON.stringify({
               type: "error",
               message: e.message,
             }),
           );
-        },
-        onclose: function (event) {
-          console.info(
-            "Gemini Session Closed. Code:",
-            event.code,
-            "Reason:",
-            event.reason,
-          );
-          clientWs.close();
-        },
+        }),
+        onclose: inCall(function (event) {
+          logger.info("Gemini session closed", { code: event.code, reason: event.reason });
+          if (!isCurrent() || state === SESSION_STATES.CLOSING) return;
+          if (!setupDone) {
+            // Rejected during setup, most likely an expired resumption handle
+            reconnectFailures++;
+            resumptionHandle = null;
+          }
+          reconnectGemini(`closed with code ${event.code}`);
+        }),
+      },
+      { profile: botProfile, resumptionHandle: handle, liveOverrides },
+    );
+
+    if (!handle && history && history.length > 0) {
+      liveSession.sendClientContent({
+        turns: [
+          ...transcriptToTurns(history),
+          {
+            role: "user",
+            parts: [
+              {
+                text: "(The call connection was briefly interrupted. Continue the conversation from where it stopped without greeting again.)",
+              },
+            ],
+          },
+        ],
+        turnComplete: false,
       });
+    }
+
+    return liveSession;
+  };
+
+  /**
+   * Replaces the current Gemini session after a goAway or an unexpected close,
+   * resuming it with the last resumption handle when possible and re-seeding a
+   * fresh session with the transcript otherwise. Caller audio is buffered
+   * meanwhile; the caller is only hung up on once every attempt has failed.
+   *
+   * @param {string} reason - Why the session is being replaced, for logging
+   */
+  const reconnectGemini = async (reason) => {
+    if (reconnecting || state === SESSION_STATES.CLOSING) return;
+    if (reconnectFailures >= MAX_RECONNECT_ATTEMPTS) {
+      logger.error("Giving up on the Gemini session", { failedReconnections: reconnectFailures });
+      clientWs.send(
+        JSON.stringify({ type: "error", message: "Gemini connection lost" }),
+      );
+      setEndReason("error");
+      clientWs.close();
+      return;
+    }
+
+    reconnecting = true;
+    const previous = session;
+    session = null;
+    // Turns cut short by the drop are kept as they are
+    transcript?.flush();
+    logger.info("Reconnecting Gemini session", {
+      reason,
+      mode: resumptionHandle ? "resume" : "re-seed from transcript",
+    });
+
+    try {
+      if (reconnectFailures > 0) {
+        await new Promise((resolve) => setTimeout(resolve, reconnectFailures * 1000));
+      }
+      session = await openGeminiSession(
+        resumptionHandle
+          ? { resumptionHandle }
+          : { history: transcripts.get(sessionUuid) || [] },
+      );
+    } catch (error) {
+      logger.error("Error reconnecting Gemini session", { error });
+      reconnectFailures++;
+      resumptionHandle = null;
+    }
+
+    reconnecting = false;
+    if (previous) previous.close();
+
+    if (state === SESSION_STATES.CLOSING) {
+      if (session) session.close();
+      return;
+    }
+    if (!session) {
+      reconnectGemini(reason);
+      return;
+    }
+    flushPendingAudio();
+  };
+
+  // Initialize Gemini connection
+  const initializeGeminiConnection = async () => {
+    try {
+      botProfile = await loadBotProfile(sessionUuid, metadata);
+      await createAudioPipeline();
+      if (state === SESSION_STATES.CLOSING) {
+        destroyAudioPipeline();
+        return;
+      }
+      if (botProfile.saveAudio) {
+        recorder = createCallRecorder(sessionUuid, botProfile.name, {
+          userSampleRate: audioFormat.sampleRate,
+        });
+      }
+      session = await openGeminiSession();
+      // The call may have ended while the session was being opened
+      if (state === SESSION_STATES.CLOSING) {
+        session.close();
+        session = null;
+        return;
+      }
       // begin gemini conversation
       session.sendRealtimeInput({
-        text: "Please start the conversation.",
+        text: botProfile.greeting
+          ? `Please start the conversation by greeting the caller with: "${botProfile.greeting}"`
+          : "Please start the conversation.",
       });
     } catch (error) {
-      console.error("Error initializing Gemini connection:", error);
-      clientWs.send(
-        JSON.stringify({
-          type: "error",
-          message: "Failed to initialize Gemini connection",
-        }),
-      );
+      logger.error("Error initializing Gemini connection", { error });
+      setEndReason("error");
+      if (clientWs.readyState === WebSocket.OPEN) {
+        clientWs.send(
+          JSON.stringify({
+            type: "error",
+            message: "Failed to initialize Gemini connection",
+          }),
+        );
+        clientWs.close(1011, "Gemini connection failed");
+      }
+      // Without a model there is no call: clean up now rather than wait for the client
+      endCall();
     }
   };
 
   // Handle client WebSocket close
-  clientWs.on("close", () => {
-    console.log("Client WebSocket connection closed");
-    cleanup();
-  });
+  clientWs.on("close", inCall(() => {
+    logger.info("Client WebSocket connection closed");
+    endCall();
+  }));
 
-  clientWs.on("error", (err) => {
-    console.error("Client WebSocket error:", err);
-    cleanup();
-  });
+  clientWs.on("error", inCall((err) => {
+    logger.error("Client WebSocket error", { error: err });
+    setEndReason("error");
+    endCall();
+  }));
+
+  /**
+   * Ends the call once, whoever ends it, and removes it from the active calls.
+   * @returns {Promise<void>} Resolves once the call is cleaned up
+   */
+  function endCall() {
+    if (!callEnded) {
+      callEnded = cleanup()
+        .catch((error) => logger.error("Error cleaning up the call", { error }))
+        .finally(() => {
+          activeCalls.delete(call);
+          markFinished();
+        });
+    }
+    return callEnded;
+  }
 
   /**
-   * Cleans up resources, closes connections, and saves final transcript.
+   * Cleans up resources, closes connections, saves the final transcript and
+   * sends the call record to the post-call webhook.
    */
   async function cleanup() {
+    if (state === SESSION_STATES.CLOSING) return;
+    state = SESSION_STATES.CLOSING;
+    setEndReason("caller_hangup");
+    const endedAt = new Date();
+    metrics.activeSessions.dec();
+    if (sessionUuid) {
+      metrics.calls.inc({ end_reason: endReason });
+      metrics.callDuration.observe((endedAt - startedAt) / 1000);
+    }
+    pendingAudio = [];
+    earlyAudio = [];
+    stopKeepalive();
+    dtmf.cancel();
+    toolRuntime?.cancelAll();
     if (session) session.close();
     if (clientWs) clientWs.close();
+    destroyAudioPipeline();
 
-    // Close any open audio file handles for this session
-    const handleUserKey = `${sessionUuid}-user`;
-    if (audioFileHandles.has(handleUserKey)) {
-      await audioFileHandles.get(handleUserKey).close();
-      audioFileHandles.delete(handleUserKey);
-      console.log(`User audio file handle for session ${sessionUuid} closed.`);
-    }
-
-    const handleAiKey = `${sessionUuid}-ai`;
-    if (audioFileHandles.has(handleAiKey)) {
-      await audioFileHandles.get(handleAiKey).close();
-      audioFileHandles.delete(handleAiKey);
-      console.log(`AI audio file handle for session ${sessionUuid} closed.`);
+    // Turn the raw audio of this session into WAV files
+    if (recorder) {
+      try {
+        audioFiles = await recorder.finalize();
+        logger.info("Recordings saved", { audioFiles });
+      } catch (error) {
+        logger.error("Failed to save recordings", { error });
+      }
     }
 
-    if (sessionUuid && transcripts.has(sessionUuid)) {
-      const finalTranscript = transcripts.get(sessionUuid);
+    transcript?.flush();
+    const finalTranscript = transcripts.get(sessionUuid) || [];
+    if (sessionUuid && transcripts.has(sessionUuid) && !botProfile.saveTranscript) {
+      transcripts.delete(sessionUuid);
+      logger.info("Transcript saving disabled");
+    } else if (sessionUuid && transcripts.has(sessionUuid)) {
       const logFilePath = `logs/transcript-${sessionUuid}.txt`;
 
       const formattedTranscript = finalTranscript
@@ -451,73 +1007,197 @@ const handleClientConnection = (clientWs) => {
         .join("\n");
 
       try {
+        await fs.mkdir(path.dirname(logFilePath), { recursive: true });
         await fs.writeFile(logFilePath, formattedTranscript);
-        console.log(
-          `Transcript for session ${sessionUuid} saved to ${logFilePath}`,
-        );
+        logger.info("Transcript saved", { path: logFilePath });
       } catch (error) {
-        console.error(
-          `Failed to save transcript for session ${sessionUuid}:`,
-          error,
-        );
+        logger.error("Failed to save transcript", { error });
       } finally {
         transcripts.delete(sessionUuid);
-        console.log(
-          `Transcript for session ${sessionUuid} cleared from memory.`,
-        );
       }
     }
+
+    if (sessionUuid) {
+      await sendCallRecord({
+        uuid: sessionUuid,
+        bot: botProfile.name,
+        metadata,
+        startedAt: startedAt.toISOString(),
+        endedAt: endedAt.toISOString(),
+        durationSeconds: Math.round((endedAt - startedAt) / 1000),
+        endReason,
+        transcript: botProfile.saveTranscript ? finalTranscript : [],
+        toolCalls,
+        audioFiles,
+      }, {
+        // No time for retries: undelivered records are spooled for the next start
+        retries: shuttingDown ? 0 : undefined,
+      });
+    }
   }
 };
 
 /**
- * Global cleanup function to destroy resamplers when process is terminated.
+ * Waits for a promise, at most a given time.
+ *
+ * @param {Promise} promise
+ * @param {number} ms
+ * @returns {Promise<boolean>} True if the promise settled in time
  */
-const cleanupGlobalResources = () => {
-  console.log("Cleaning up global resources...");
-  if (globalDownsampler) {
-    globalDownsampler.destroy();
-    globalDownsampler = null;
+const settlesWithin = (promise, ms) => {
+  let timer;
+  return Promise.race([
+    promise.then(() => true),
+    new Promise((resolve) => (timer = setTimeout(() => resolve(false), ms))),
+  ]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Shuts down without losing calls: new connections are refused and /readyz
+ * fails, calls in progress get SHUTDOWN_DRAIN_TIMEOUT_MS to finish, optionally
+ * after the model is asked to wrap up, and the remaining calls are then ended
+ * with their transcripts, recordings and call records saved. A second signal
+ * exits at once.
+ *
+ * @param {string} signal
+ */
+const shutdown = async (signal) => {
+  if (shuttingDown) {
+    logger.warn("Received the signal again, exiting without draining", { signal });
+    process.exit(1);
   }
-  if (globalUpsampler) {
-    globalUpsampler.destroy();
-    globalUpsampler = null;
+  shuttingDown = true;
+  logger.info("Shutting down gracefully: draining active calls", {
+    signal,
+    activeCalls: activeCalls.size,
+  });
+
+  if (process.env.SHUTDOWN_WRAP_UP === "true") {
+    const seconds = Math.round(SHUTDOWN_DRAIN_TIMEOUT_MS / 1000);
+    for (const call of activeCalls) {
+      call.wrapUp(
+        `(The service is about to restart. Within the next ${seconds} seconds, politely tell the caller you have to end the call, say goodbye and end the call.)`,
+      );
+    }
   }
-  console.log("Global resources cleaned up");
-};
 
-// Handle process termination signals
-process.on("SIGINT", () => {
-  console.log("Received SIGINT, shutting down gracefully...");
-  cleanupGlobalResources();
-  process.exit(0);
-});
+  const calls = () => [...activeCalls];
+  const drained = await settlesWithin(
+    Promise.all(calls().map((call) => call.finished)),
+    SHUTDOWN_DRAIN_TIMEOUT_MS,
+  );
+  if (!drained) {
+    logger.warn("Drain timeout reached, ending the remaining calls", {
+      activeCalls: activeCalls.size,
+    });
+    const flushed = await settlesWithin(
+      Promise.all(calls().map((call) => call.end("shutdown"))),
+      SHUTDOWN_FLUSH_TIMEOUT_MS,
+    );
+    if (!flushed) logger.error("Some calls could not be saved before shutdown");
+  }
 
-process.on("SIGTERM", () => {
-  console.log("Received SIGTERM, shutting down gracefully...");
-  cleanupGlobalResources();
+  await closeMcpServers();
+  logger.info("Shutdown complete");
   process.exit(0);
-});
+};
+
+// Handle process termination signals
+process.on("SIGINT", () => shutdown("SIGINT"));
+process.on("SIGTERM", () => shutdown("SIGTERM"));
 
-// Initialize resamplers and start server
+// Validate the configuration and start server
 const startServer = async () => {
   try {
-    await initializeResamplers();
+    try {
+      loadLiveOptions();
+    } catch (error) {
+      logger.error(error.message);
+      process.exit(1);
+    }
+    initTools();
+    await connectMcpServers();
+    // Deliver call records left over from a previous run
+    startSpoolRetry();
+    startRetention();
+
+    // Readiness: calls need the Gemini key and working resamplers
+    let resamplerReady = false;
+    try {
+      (await createResampler(8000, GEMINI_INPUT_SAMPLE_RATE)).destroy();
+      resamplerReady = true;
+    } catch (error) {
+      logger.error("Resampler initialization failed", { error });
+    }
+    addReadinessCheck("gemini_api_key", () => Boolean(process.env.GEMINI_API_KEY));
+    addReadinessCheck("resampler", () => resamplerReady);
+    addReadinessCheck("accepting_calls", () => !shuttingDown);
+    addReadinessCheck(
+      "capacity",
+      () => !MAX_CONCURRENT_SESSIONS || activeCalls.size < MAX_CONCURRENT_SESSIONS,
+    );
 
-    // Create WebSocket server
+    // Create WebSocket server, sharing its port with the monitoring endpoints
+    // unless MONITORING_PORT moves them to a port of their own
     const PORT = process.env.PORT || 6037;
-    const wss = new WebSocket.Server({ port: PORT });
+    const MONITORING_PORT = process.env.MONITORING_PORT;
+    const requestListener = (req, res) => {
+      if (MONITORING_PORT) {
+        res.writeHead(404);
+        res.end();
+        return;
+      }
+      handleMonitoringRequest(req, res);
+    };
+    const tlsOptions = loadTlsOptions();
+    const server = tlsOptions
+      ? https.createServer(tlsOptions, requestListener)
+      : http.createServer(requestListener);
+    const wss = new WebSocket.Server({
+      server,
+      maxPayload: WS_MAX_PAYLOAD_BYTES,
+      verifyClient: ({ req, origin }, callback) => {
+        const refuse = (status, reason, message, headers) => {
+          logger.warn("WebSocket connection refused", {
+            reason: message,
+            address: req.socket.remoteAddress,
+          });
+          metrics.rejectedConnections.inc({ reason });
+          callback(false, status, message, headers);
+        };
+        // Calls in progress are drained on shutdown, new ones go elsewhere
+        if (shuttingDown) return refuse(503, "shutdown", "Server shutting down");
+        if (!isOriginAllowed(origin)) return refuse(403, "origin", "Origin not allowed");
+        const auth = authenticateRequest(req);
+        if (!auth.ok) {
+          return refuse(401, "unauthorized", `Unauthorized: ${auth.reason}`, {
+            "WWW-Authenticate": "Bearer",
+          });
+        }
+        if (MAX_CONCURRENT_SESSIONS && activeCalls.size >= MAX_CONCURRENT_SESSIONS) {
+          return refuse(503, "capacity", "Too many concurrent sessions", { "Retry-After": "5" });
+        }
+        callback(true);
+      },
+    });
 
     wss.on("connection", (clientWs) => {
-      console.log("New client connected");
-      handleClientConnection(clientWs);
+      runInCallContext({ session: null }, () => handleClientConnection(clientWs));
     });
 
-    console.log(
-      `Gemini Speech-to-Speech WebSocket server running on port ${PORT}`,
-    );
+    server.listen(PORT, () => {
+      logger.info("Gemini Speech-to-Speech WebSocket server running", {
+        port: PORT,
+        tls: Boolean(tlsOptions),
+      });
+    });
+    if (MONITORING_PORT) {
+      http.createServer(handleMonitoringRequest).listen(MONITORING_PORT, () => {
+        logger.info("Health and metrics endpoints running", { port: MONITORING_PORT });
+      });
+    }
   } catch (error) {
-    console.error("Failed to start server:", error);
+    logger.error("Failed to start server", { error });
     process.exit(1);
   }
 };
@@ -1,78 +1,342 @@
 const fs = require('fs');
 const path = require('path');
+const YAML = require('yaml');
+const { createHttpTool } = require('./utils/http_tool');
+const { checkSchema } = require('./utils/json_schema');
+const { createLogger } = require('./utils/logger');
+
+const logger = createLogger('tools');
 
 /**
- * Loads all available tools from both avr_tools and tools directories
- * @returns {Array} List of all available tools
+ * Tool registry.
+ *
+ * Tools are loaded once at startup from avr_tools (project tools), tools (user
+ * custom tools) and the extra directories listed in TOOLS_DIRS, in that order:
+ * when two directories define the same tool name, the first one wins.
+ *
+ * A tool module exports:
+ * - name {string}: function name given to the model (letters, digits, _ and -)
+ * - description {string}
+ * - input_schema {object}: JSON schema of the arguments
+ * - handler {function(sessionUuid, args, context)}
+ * - timeout_ms {number} (optional): see utils/tool_runtime.js
+ * - manifest {object} (optional):
+ *   - version {string}
+ *   - env {string[]}: environment variables the tool needs; without them the
+ *     tool is not registered
+ *   - settings {string[]}: tool_settings paths (e.g. "calendar.calendar_id")
+ *     the bot profile must provide; without them the tool is left out of the call
+ *
+ * A .json, .yaml or .yml file declares HTTP tools instead: a list of
+ * definitions under "tools", or a single definition (see utils/http_tool.js).
+ *
+ * Tools can also be registered at runtime by other sources, such as MCP
+ * servers (see utils/mcp_client.js). Tool files win over them on a name clash.
+ *
+ * With TOOLS_HOT_RELOAD (default: true) the directories are watched and a
+ * changed tool file is loaded again. Calls in progress keep their tool list;
+ * their next tool call runs the new handler. Only the tool file itself is
+ * reloaded, not the modules it requires.
  */
-function loadTools() {
-  // Define tool directory paths
-  const avrToolsDir = path.join(__dirname, 'avr_tools');  // Project-provided tools
-  const toolsDir = path.join(__dirname, 'tools');         // User custom tools
-  
-  let allTools = [];
-  
-  // Helper function to load tools from a directory
-  const loadToolsFromDir = (dirPath) => {
-    if (!fs.existsSync(dirPath)) return [];
-    
-    return fs.readdirSync(dirPath)
-      .map(file => {
-        try {
-          const tool = require(path.join(dirPath, file));
-          return {
-            name: tool.name,
-            description: tool.description || '',
-            parameters: tool.input_schema || {},
-          };
-        } catch (error) {
-          console.error(`Error loading tool from file: ${file}`);
-          console.error(error);
-          return null;
-        }
-      })
-      .filter(tool => tool !== null);
-  };
-
-  // Load tools from both directories
-  allTools = [
-    ...loadToolsFromDir(avrToolsDir),  // Project tools
-    ...loadToolsFromDir(toolsDir)      // Custom tools
+
+const TOOL_NAME_PATTERN = /^[A-Za-z_][\w-]{0,63}$/;
+
+// Changes to a file arrive as several events: wait for them to settle
+const RELOAD_DELAY_MS = 200;
+
+const TOOL_FILE_EXTENSIONS = ['.js', '.json', '.yaml', '.yml'];
+const isToolFile = file => TOOL_FILE_EXTENSIONS.includes(path.extname(file));
+
+let registry = new Map();  // Tool name -> { tool, file }
+let initialized = false;
+const externalTools = new Map();  // Source name -> Array of tools
+const watchers = [];
+
+/**
+ * Lists the tool directories, in priority order
+ * @returns {Array<string>} Absolute directory paths
+ */
+function getToolDirs() {
+  const extraDirs = (process.env.TOOLS_DIRS || '')
+    .split(',')
+    .map(dir => dir.trim())
+    .filter(Boolean)
+    .map(dir => path.resolve(dir));
+  return [
+    path.join(__dirname, 'avr_tools'),  // Project tools
+    path.join(__dirname, 'tools'),      // User custom tools
+    ...extraDirs
   ];
+}
+
+/**
+ * Checks the shape of a tool module
+ * @param {*} tool - Exports of the tool file
+ * @returns {Array<string>} The problems found, empty when the module is valid
+ */
+function validateToolModule(tool) {
+  if (!tool || typeof tool !== 'object') return ['does not export an object'];
+  const problems = [];
+  if (typeof tool.name !== 'string' || !TOOL_NAME_PATTERN.test(tool.name)) {
+    problems.push('name must be 1-64 letters, digits, _ or -, not starting with a digit or -');
+  }
+  if (tool.description !== undefined && typeof tool.description !== 'string') {
+    problems.push('description must be a string');
+  }
+  if (tool.input_schema !== undefined &&
+      (tool.input_schema === null || typeof tool.input_schema !== 'object')) {
+    problems.push('input_schema must be an object');
+  } else if (tool.input_schema !== undefined) {
+    problems.push(...checkSchema(tool.input_schema));
+  }
+  if (typeof tool.handler !== 'function') problems.push('handler must be a function');
+  if (tool.timeout_ms !== undefined && !(Number.isFinite(tool.timeout_ms) && tool.timeout_ms > 0)) {
+    problems.push('timeout_ms must be a positive number');
+  }
+  const manifest = tool.manifest;
+  if (manifest !== undefined) {
+    const isNameList = value => value === undefined ||
+      (Array.isArray(value) && value.every(item => typeof item === 'string'));
+    if (!manifest || typeof manifest !== 'object') {
+      problems.push('manifest must be an object');
+    } else if (!isNameList(manifest.env) || !isNameList(manifest.settings)) {
+      problems.push('manifest env and settings must be lists of names');
+    }
+  }
+  return problems;
+}
 
-  // Warning if no tools found
-  if (allTools.length === 0) {
-    console.warn(`No tools found in ${avrToolsDir} or ${toolsDir}`);
+/**
+ * Checks a tool and its environment requirements
+ * @param {*} tool - Tool module
+ * @param {string} source - Where the tool comes from, for logging
+ * @returns {boolean}
+ */
+function checkTool(tool, source) {
+  const problems = validateToolModule(tool);
+  if (problems.length > 0) {
+    logger.error('Ignoring invalid tool', { source, problems });
+    return false;
   }
+  const missingEnv = (tool.manifest?.env || []).filter(name => !process.env[name]);
+  if (missingEnv.length > 0) {
+    logger.warn('Tool disabled, missing environment variables', { tool: tool.name, missingEnv });
+    return false;
+  }
+  return true;
+}
 
-  return allTools;
+/**
+ * Reads the HTTP tool definitions of a .json or .yaml file
+ * @param {string} file - Absolute path of the file
+ * @returns {Array<object>} The tools
+ */
+function loadHttpToolFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  const data = path.extname(file) === '.json' ? JSON.parse(text) : YAML.parse(text);
+  const definitions = Array.isArray(data?.tools) ? data.tools : [data];
+  return definitions
+    .map((definition, index) => {
+      const source = `${file} (tool ${definition?.name || index + 1})`;
+      const { tool, problems } = createHttpTool(definition);
+      if (!tool) {
+        logger.error('Ignoring invalid tool', { source, problems });
+        return null;
+      }
+      return checkTool(tool, source) ? tool : null;
+    })
+    .filter(tool => tool !== null);
 }
 
 /**
- * Gets the handler for a specific tool
- * @param {string} name - Name of the tool
- * @returns {Function} Tool handler
- * @throws {Error} If the tool is not found
- */
-function getToolHandler(name) {
-  // Possible paths for the tool file
-  const possiblePaths = [
-    path.join(__dirname, 'avr_tools', `${name}.js`),  // First check in avr_tools
-    path.join(__dirname, 'tools', `${name}.js`)       // Then check in tools
-  ];
+ * Loads the tools of a tool file
+ * @param {string} file - Absolute path of the tool file
+ * @param {boolean} [fresh] - Bypass the require cache
+ * @returns {Array<object>} The valid tools of the file
+ */
+function loadToolFile(file, fresh = false) {
+  try {
+    if (path.extname(file) !== '.js') return loadHttpToolFile(file);
+    if (fresh) delete require.cache[require.resolve(file)];
+    const tool = require(file);
+    return checkTool(tool, file) ? [tool] : [];
+  } catch (error) {
+    logger.error('Error loading tool file', { file, error });
+    return [];
+  }
+}
+
+/**
+ * Lists the tool files of a directory
+ * @param {string} dirPath
+ * @returns {Array<string>} Absolute file paths
+ */
+function listToolFiles(dirPath) {
+  if (!fs.existsSync(dirPath)) return [];
+  return fs.readdirSync(dirPath)
+    .filter(isToolFile)
+    .sort()
+    .map(file => path.join(dirPath, file));
+}
+
+/**
+ * Builds the registry from every tool directory. Files already loaded come
+ * from the require cache, except the changed one.
+ * @param {string} [changedFile] - Tool file to load again
+ */
+function buildRegistry(changedFile = null) {
+  const entries = new Map();
+  for (const dirPath of getToolDirs()) {
+    for (const file of listToolFiles(dirPath)) {
+      for (const tool of loadToolFile(file, file === changedFile)) {
+        const existing = entries.get(tool.name);
+        if (existing) {
+          logger.warn('Duplicate tool ignored', { tool: tool.name, file, definedIn: existing.file });
+          continue;
+        }
+        entries.set(tool.name, { tool, file });
+      }
+    }
+  }
+  for (const [source, tools] of externalTools) {
+    for (const tool of tools) {
+      if (!checkTool(tool, source)) continue;
+      const existing = entries.get(tool.name);
+      if (existing) {
+        logger.warn('Duplicate tool ignored', { tool: tool.name, source, definedIn: existing.file });
+        continue;
+      }
+      entries.set(tool.name, { tool, file: source });
+    }
+  }
+  // Swapped in one go, so tool calls never see a half-built registry
+  registry = entries;
+  initialized = true;
+
+  if (registry.size === 0) {
+    logger.warn('No tools found', { dirs: getToolDirs() });
+  } else {
+    logger.info('Registered tools', { tools: [...registry.keys()] });
+  }
+}
 
-  // Find the first valid path
-  const toolPath = possiblePaths.find(path => fs.existsSync(path));
-  
-  if (!toolPath) {
-    throw new Error(`Tool "${name}" not found in any available directory`);
+/**
+ * Watches the tool directories and reloads changed tool files
+ */
+function watchToolDirs() {
+  const pending = new Map();  // File -> reload timer
+  for (const dirPath of getToolDirs()) {
+    if (!fs.existsSync(dirPath)) continue;
+    try {
+      const watcher = fs.watch(dirPath, (eventType, filename) => {
+        if (!filename || !isToolFile(filename)) return;
+        const file = path.join(dirPath, filename);
+        clearTimeout(pending.get(file));
+        pending.set(file, setTimeout(() => {
+          pending.delete(file);
+          logger.info('Tool file changed, reloading tools', { file });
+          buildRegistry(file);
+        }, RELOAD_DELAY_MS));
+      });
+      watcher.unref();
+      watchers.push(watcher);
+    } catch (error) {
+      logger.error('Cannot watch tool directory', { dir: dirPath, error: error.message });
+    }
   }
+}
+
+/**
+ * Builds the tool registry and starts watching the tool directories.
+ * Called once at startup; the other functions build the registry on first use otherwise.
+ */
+function initTools() {
+  buildRegistry();
+  if (process.env.TOOLS_HOT_RELOAD !== 'false' && watchers.length === 0) watchToolDirs();
+}
+
+const ensureRegistry = () => {
+  if (!initialized) buildRegistry();
+};
+
+/**
+ * Registers the tools of a runtime source, replacing its previous tools
+ * @param {string} source - Name of the source, e.g. "MCP server crm"
+ * @param {Array<object>} tools - Tool modules
+ */
+function registerExternalTools(source, tools) {
+  externalTools.set(source, tools);
+  buildRegistry();
+}
+
+/**
+ * Removes the tools of a runtime source
+ * @param {string} source - Name of the source
+ */
+function unregisterExternalTools(source) {
+  if (externalTools.delete(source)) buildRegistry();
+}
+
+/**
+ * Reads a tool_settings path such as "calendar.calendar_id"
+ * @param {object} toolSettings
+ * @param {string} settingPath
+ * @returns {*}
+ */
+const getSetting = (toolSettings, settingPath) =>
+  settingPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), toolSettings);
 
-  const tool = require(toolPath);
-  // Return a function that wraps the actual handler, injecting the context
-  return async (sessionUuid, args, context) => {
-    return await tool.handler(sessionUuid, args, context);
-  };
+/**
+ * Tells whether a tool may be used in a call
+ * @param {string} name - Name of the tool
+ * @param {object} [filter] - Tool selection of the call
+ * @param {Array<string>|null} [filter.enabled] - Only these tools, all when null
+ * @param {Array<string>} [filter.disabled] - Never these tools
+ * @param {object} [filter.toolSettings] - Tool settings of the call, checked against the manifest
+ * @returns {boolean}
+ */
+function isToolEnabled(name, { enabled = null, disabled = [], toolSettings = {} } = {}) {
+  ensureRegistry();
+  const entry = registry.get(name);
+  if (!entry) return false;
+  if (enabled && !enabled.includes(name)) return false;
+  if (disabled.includes(name)) return false;
+  const missing = (entry.tool.manifest?.settings || [])
+    .filter(settingPath => getSetting(toolSettings, settingPath) == null);
+  return missing.length === 0;
+}
+
+/**
+ * Lists the function declarations of the available tools
+ * @param {object} [filter] - Tool selection of the call, see isToolEnabled
+ * @returns {Array} List of all available tools
+ */
+function loadTools(filter) {
+  ensureRegistry();
+  return [...registry.values()]
+    .filter(({ tool }) => !filter || isToolEnabled(tool.name, filter))
+    .map(({ tool }) => ({
+      name: tool.name,
+      description: tool.description || '',
+      parameters: tool.input_schema || {},
+    }));
+}
+
+/**
+ * Finds the module of a specific tool
+ * @param {string} name - Name of the tool
+ * @returns {object|null} The tool module, or null if the tool is not found
+ */
+function findTool(name) {
+  ensureRegistry();
+  return registry.get(name)?.tool || null;
 }
 
-module.exports = { loadTools, getToolHandler };
\ No newline at end of file
+module.exports = {
+  initTools,
+  loadTools,
+  isToolEnabled,
+  findTool,
+  registerExternalTools,
+  unregisterExternalTools
+};
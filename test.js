@@ -1,5 +1,5 @@
 require("dotenv").config({ path: "../../.env" });
 
-const { checkAvailability } = require("./utils/google_calendar_helper");
+const { checkAvailability } = require("./utils/calendar");
 
 checkAvailability("2025-12-24", "09:00", 30).then(result => console.log("Result:", result)).catch(err => console.error("Error:", err));
\ No newline at end of file
@@ -0,0 +1,138 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { DEFAULT_AUDIO_FORMAT, negotiateAudioFormat, getFrameSamples, createCodec } = require("../utils/audio_format");
+const { encodeMuLaw, decodeMuLaw, encodeALaw, decodeALaw } = require("../utils/g711");
+const { createLiveServer, waitFor } = require("./fixtures/live_server");
+const { startServer } = require("./fixtures/avr_server");
+
+// Every 16-bit sample value
+const ALL_SAMPLES = Int16Array.from({ length: 65536 }, (_, i) => i - 32768);
+const ALL_BYTES = Buffer.from(Array.from({ length: 256 }, (_, i) => i));
+
+describe("G.711", () => {
+  for (const [name, encode, decode, silence] of [
+    ["µ-law", encodeMuLaw, decodeMuLaw, 0xff],
+    ["A-law", encodeALaw, decodeALaw, 0xd5],
+  ]) {
+    it(`encodes ${name} within the companding error`, () => {
+      assert.deepEqual(encode(new Int16Array([0])), Buffer.from([silence]));
+      const decoded = decode(encode(ALL_SAMPLES));
+      for (let i = 0; i < ALL_SAMPLES.length; i++) {
+        const sample = ALL_SAMPLES[i];
+        // Beyond the clipping level the error grows with the sample
+        if (Math.abs(sample) > 32000) continue;
+        assert.ok(
+          Math.abs(decoded[i] - sample) <= Math.max(Math.abs(sample), 256) / 16,
+          `${sample} decoded as ${decoded[i]}`,
+        );
+      }
+    });
+
+    it(`decodes every ${name} byte to a value that encodes back to it`, () => {
+      const encoded = encode(decode(ALL_BYTES));
+      for (let byte = 0; byte < 256; byte++) {
+        // µ-law has a negative zero, encoded as the positive one
+        if (name === "µ-law" && byte === 0x7f) continue;
+        assert.equal(encoded[byte], byte);
+      }
+    });
+  }
+});
+
+describe("audio format negotiation", () => {
+  it("uses 8kHz slin in 20ms frames when the client asks for nothing", () => {
+    assert.deepEqual(negotiateAudioFormat(undefined), { format: DEFAULT_AUDIO_FORMAT, problems: [] });
+    assert.equal(getFrameSamples(DEFAULT_AUDIO_FORMAT), 160);
+  });
+
+  it("accepts encodings, codec names, sample rates and frame sizes", () => {
+    assert.deepEqual(negotiateAudioFormat({ encoding: "PCMU", frameMs: 10 }).format, {
+      encoding: "ulaw",
+      sampleRate: 8000,
+      frameMs: 10,
+    });
+    assert.deepEqual(negotiateAudioFormat({ encoding: "slin16" }).format, { encoding: "slin", sampleRate: 16000, frameMs: 20 });
+    const { format, problems } = negotiateAudioFormat({ encoding: "slin", sampleRate: "24000", frameMs: 30 });
+    assert.deepEqual(format, { encoding: "slin", sampleRate: 24000, frameMs: 30 });
+    assert.deepEqual(problems, []);
+    assert.equal(getFrameSamples(format), 720);
+  });
+
+  it("replaces invalid fields by the default and reports them", () => {
+    assert.deepEqual(negotiateAudioFormat({ encoding: "opus", sampleRate: 44100, frameMs: 25 }), {
+      format: DEFAULT_AUDIO_FORMAT,
+      problems: [
+        'unsupported encoding "opus"',
+        'unsupported sampleRate "44100", expected one of 8000, 16000, 24000',
+        'unsupported frameMs "25", expected one of 10, 20, 30',
+      ],
+    });
+    assert.deepEqual(negotiateAudioFormat({ encoding: "alaw", sampleRate: 16000 }), {
+      format: { encoding: "alaw", sampleRate: 8000, frameMs: 20 },
+      problems: ["encoding alaw requires sampleRate 8000"],
+    });
+    assert.deepEqual(negotiateAudioFormat("ulaw").problems, ["audioFormat must be an object"]);
+  });
+
+  it("transcodes between the client encoding and 16-bit PCM", () => {
+    const pcm = Buffer.from(new Int16Array([0, 1000, -1000, 20000]).buffer);
+    const ulaw = createCodec("ulaw");
+    assert.equal(ulaw.encode(pcm).length, 4);
+    assert.deepEqual(ulaw.decode(ulaw.encode(pcm)), Buffer.from(decodeMuLaw(encodeMuLaw(new Int16Array(pcm.buffer))).buffer));
+    assert.equal(createCodec("slin").encode(pcm), pcm);
+  });
+});
+
+describe("client audio format", () => {
+  let gemini;
+  let server;
+
+  before(async () => {
+    gemini = createLiveServer();
+    await gemini.listen();
+    server = await startServer({ GOOGLE_GEMINI_BASE_URL: gemini.baseUrl });
+  });
+
+  after(async () => {
+    await server.stop();
+    await gemini.close();
+  });
+
+  it("transcodes audio in both directions in the negotiated format", async () => {
+    const client = await server.connect();
+    client.send({ type: "init", uuid: "ulaw-call", audioFormat: { encoding: "pcmu", frameMs: 10 } });
+    const live = await waitFor(() => gemini.sessions[0]);
+    await live.waitForMessage("setup");
+    assert.deepEqual(client.messages[0], { type: "audio_format", encoding: "ulaw", sampleRate: 8000, frameMs: 10 });
+
+    // 100ms of caller audio: 800 µ-law bytes become 16kHz PCM for Gemini
+    client.send({ type: "audio", audio: Buffer.alloc(800, 0xff).toString("base64") });
+    const { mimeType, data } = await waitFor(() => live.received.find((message) => message.realtimeInput?.audio)?.realtimeInput.audio);
+    assert.equal(mimeType, "audio/pcm;rate=16000");
+    assert.ok(Buffer.from(data, "base64").length > 0);
+
+    // 200ms of 24kHz model audio comes back as 10ms µ-law frames of 80 bytes,
+    // less what the resampler holds back
+    const modelAudio = Buffer.alloc(24 * 200 * 2).toString("base64");
+    live.send({ serverContent: { modelTurn: { parts: [{ inlineData: { mimeType: "audio/pcm;rate=24000", data: modelAudio } }] } } });
+    const frames = await waitFor(() => {
+      const audio = client.messages.filter((message) => message.type === "audio");
+      return audio.length >= 15 && audio;
+    });
+    for (const frame of frames) {
+      assert.deepEqual(Buffer.from(frame.audio, "base64"), Buffer.alloc(80, 0xff));
+    }
+    client.send({ type: "close" });
+    await client.closed;
+  });
+
+  it("tells the client which fields were rejected by confirming the default", async () => {
+    const client = await server.connect();
+    client.send({ type: "init", uuid: "opus-call", audioFormat: { encoding: "opus" } });
+    await waitFor(() => client.messages.length > 0);
+    assert.deepEqual(client.messages[0], { type: "audio_format", ...DEFAULT_AUDIO_FORMAT });
+    client.send({ type: "close" });
+    await client.closed;
+  });
+});
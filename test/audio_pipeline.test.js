@@ -0,0 +1,128 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createResampler, toSamples } = require("../utils/resampler");
+const { createFramer } = require("../utils/framer");
+
+/**
+ * Builds 16-bit PCM of a sine wave.
+ * @param {number} sampleRate
+ * @param {number} frequency
+ * @param {number} samples
+ * @param {number} [start] - Index of the first sample, to continue a wave
+ * @returns {Buffer}
+ */
+function sine(sampleRate, frequency, samples, start = 0) {
+  const pcm = new Int16Array(samples);
+  for (let i = 0; i < samples; i++) {
+    pcm[i] = Math.round(8000 * Math.sin((2 * Math.PI * frequency * (start + i)) / sampleRate));
+  }
+  return Buffer.from(pcm.buffer);
+}
+
+/**
+ * Resamples a stream chunk by chunk, copying each output.
+ * @param {object} resampler
+ * @param {Buffer[]} chunks
+ * @returns {Int16Array}
+ */
+function resampleStream(resampler, chunks) {
+  const output = Buffer.concat(chunks.map((chunk) => Buffer.from(resampler.process(chunk))));
+  return toSamples(output);
+}
+
+const chunksOf = (sampleRate, frequency, count, size) =>
+  Array.from({ length: count }, (_, i) => sine(sampleRate, frequency, size, i * size));
+
+const largestStep = (samples, from = 0) => {
+  let largest = 0;
+  for (let i = from + 1; i < samples.length; i++) largest = Math.max(largest, Math.abs(samples[i] - samples[i - 1]));
+  return largest;
+};
+
+describe("resampler", () => {
+  it("passes audio through when the rates match", async () => {
+    const resampler = await createResampler(8000, 8000);
+    const chunk = sine(8000, 440, 160);
+    assert.equal(resampler.process(chunk), chunk);
+    resampler.destroy();
+  });
+
+  it("keeps filter state across chunks, so the output has no clicks", async () => {
+    const resampler = await createResampler(24000, 8000);
+    const output = resampleStream(resampler, chunksOf(24000, 300, 50, 480));
+    resampler.destroy();
+
+    // 24 000 samples at 24 kHz are 8 000 at 8 kHz, less the filter latency
+    assert.ok(Math.abs(output.length - 8000) < 100, `got ${output.length} samples`);
+    // A 300 Hz sine of amplitude 8000 moves at most ~1900 per sample at 8 kHz;
+    // a filter reset at a chunk boundary would jump far more
+    assert.ok(largestStep(output, 100) < 2500, `largest step ${largestStep(output, 100)}`);
+  });
+
+  it("keeps concurrent streams apart", async () => {
+    const low = chunksOf(8000, 200, 20, 160);
+    const high = chunksOf(8000, 1000, 20, 160);
+
+    const alone = await createResampler(8000, 16000);
+    const expected = resampleStream(alone, low);
+    alone.destroy();
+
+    const first = await createResampler(8000, 16000);
+    const second = await createResampler(8000, 16000);
+    const parts = [];
+    low.forEach((chunk, i) => {
+      parts.push(Buffer.from(first.process(chunk)));
+      second.process(high[i]);
+    });
+    first.destroy();
+    second.destroy();
+
+    assert.deepEqual(toSamples(Buffer.concat(parts)), expected);
+  });
+});
+
+describe("framer", () => {
+  const collect = (framer, chunks) => {
+    const frames = [];
+    for (const chunk of chunks) framer.write(chunk, (frame) => frames.push(Buffer.from(frame)));
+    return frames;
+  };
+
+  it("cuts a stream into whole frames across chunk boundaries", () => {
+    const framer = createFramer(160);
+    const stream = sine(8000, 440, 1000);
+    const frames = collect(framer, [stream.subarray(0, 100), stream.subarray(100, 900), stream.subarray(900)]);
+
+    assert.equal(frames.length, 6);
+    assert.ok(frames.every((frame) => frame.length === 320));
+    assert.deepEqual(Buffer.concat(frames), stream.subarray(0, 1920));
+    assert.equal(framer.buffered, 40);
+  });
+
+  it("handles chunks larger than the ring", () => {
+    const framer = createFramer(160, 4);
+    const stream = sine(8000, 440, 160 * 10 + 50);
+    const frames = collect(framer, [stream]);
+    assert.equal(frames.length, 10);
+    assert.deepEqual(Buffer.concat(frames), stream.subarray(0, 3200));
+    assert.equal(framer.buffered, 50);
+  });
+
+  it("accepts chunks that are not aligned on a sample", () => {
+    const framer = createFramer(160);
+    const stream = sine(8000, 440, 320);
+    const unaligned = Buffer.alloc(stream.length + 1).subarray(1);
+    stream.copy(unaligned);
+    assert.deepEqual(Buffer.concat(collect(framer, [unaligned])), stream);
+  });
+
+  it("drops the incomplete frame on clear", () => {
+    const framer = createFramer(160);
+    collect(framer, [sine(8000, 440, 100)]);
+    framer.clear();
+    assert.equal(framer.buffered, 0);
+    const stream = sine(8000, 440, 160, 100);
+    assert.deepEqual(collect(framer, [stream]), [stream]);
+  });
+});
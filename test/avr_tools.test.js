@@ -0,0 +1,122 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+
+const avrHold = require("../avr_tools/avr_hold");
+const avrUnhold = require("../avr_tools/avr_unhold");
+const avrSetVariable = require("../avr_tools/avr_set_variable");
+const avrTransfer = require("../avr_tools/avr_transfer");
+const avrWarmTransfer = require("../avr_tools/avr_warm_transfer");
+const avrHangup = require("../avr_tools/avr_hangup");
+
+describe("AVR AMI tools", () => {
+  let server;
+  let requests;
+  // Status and body the stub AMI service answers with, per action
+  let replies;
+  let savedAmiUrl;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        const action = req.url.slice(1);
+        requests.push({ method: req.method, action, body: JSON.parse(body) });
+        const [status, reply] = replies[action] || [200, { message: `${action} done` }];
+        res.writeHead(status, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(reply));
+      });
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    savedAmiUrl = process.env.AMI_URL;
+    process.env.AMI_URL = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    if (savedAmiUrl === undefined) delete process.env.AMI_URL;
+    else process.env.AMI_URL = savedAmiUrl;
+    return new Promise((resolve) => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = [];
+    replies = {};
+  });
+
+  /**
+   * Builds a tool context recording the end reasons set by the tool.
+   * @param {object} [toolSettings]
+   */
+  const createContext = (toolSettings = {}) => {
+    const endReasons = [];
+    return { toolSettings, endReasons, setEndReason: (reason) => endReasons.push(reason) };
+  };
+
+  it("puts the caller on hold with the configured music class", async () => {
+    const result = await avrHold.handler("call-1", {}, createContext({ avr_hold: { music_class: "jazz" } }));
+    assert.equal(result, "hold done");
+    assert.deepEqual(requests, [{ method: "POST", action: "hold", body: { uuid: "call-1", music_class: "jazz" } }]);
+  });
+
+  it("takes the caller off hold", async () => {
+    assert.equal(await avrUnhold.handler("call-1", {}, createContext()), "unhold done");
+    assert.deepEqual(requests[0].body, { uuid: "call-1" });
+  });
+
+  it("sets allowed channel variables only", async () => {
+    const context = createContext({ avr_set_variable: { allowed_variables: ["REASON"] } });
+    assert.equal(await avrSetVariable.handler("call-1", { name: "REASON", value: "billing" }, context), "variables done");
+    assert.deepEqual(requests[0].body, { uuid: "call-1", variables: { REASON: "billing" } });
+
+    assert.match(await avrSetVariable.handler("call-1", { name: "OTHER", value: "x" }, context), /^Error: the variable OTHER/);
+    assert.match(await avrSetVariable.handler("call-1", { name: "1BAD", value: "x" }, context), /not a valid variable name/);
+    assert.equal(requests.length, 1);
+  });
+
+  it("records a transfer once the service confirms it", async () => {
+    const context = createContext({ avr_transfer: { transfer_context: "agents" } });
+    await avrTransfer.handler("call-1", { transfer_extension: "200" }, context);
+    assert.deepEqual(requests[0].body, { uuid: "call-1", exten: "200", context: "agents", priority: 1 });
+    assert.deepEqual(context.endReasons, ["transfer"]);
+  });
+
+  it("briefs the agent on a warm transfer", async () => {
+    const context = createContext({ avr_warm_transfer: { ring_timeout_seconds: 20 } });
+    replies.warm_transfer = [200, { message: "Transferred to the agent" }];
+    const result = await avrWarmTransfer.handler(
+      "call-1",
+      { transfer_extension: "201", summary: "Jane wants a refund" },
+      context,
+    );
+    assert.equal(result, "Transferred to the agent");
+    assert.deepEqual(requests[0].body, {
+      uuid: "call-1",
+      exten: "201",
+      context: "demo",
+      priority: 1,
+      whisper: "Jane wants a refund",
+      timeout: 20,
+    });
+    assert.deepEqual(context.endReasons, ["transfer"]);
+  });
+
+  it("keeps the call going when the agent declines, whatever the message says", async () => {
+    const context = createContext();
+    replies.warm_transfer = [409, { message: "Transferred nowhere: agent declined" }];
+    const result = await avrWarmTransfer.handler("call-1", { transfer_extension: "201", summary: "Refund" }, context);
+    assert.equal(result, "Error during warm transfer: Transferred nowhere: agent declined");
+    assert.deepEqual(context.endReasons, []);
+  });
+
+  it("records the hangup only when it succeeded", async () => {
+    const context = createContext();
+    await avrHangup.handler("call-1", {}, context);
+    assert.deepEqual(context.endReasons, ["avr_hangup"]);
+
+    const failed = createContext();
+    replies.hangup = [404, { message: "Unknown call" }];
+    assert.equal(await avrHangup.handler("call-1", {}, failed), "Error during hangup: Unknown call");
+    assert.deepEqual(failed.endReasons, []);
+  });
+});
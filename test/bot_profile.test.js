@@ -0,0 +1,128 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+
+const { getDefaultProfile, loadBotProfile } = require("../utils/bot_profile");
+
+// Responses of the stub GEMINI_URL_INSTRUCTIONS web service, keyed by session UUID
+const RESPONSES = {
+  full: {
+    status: 200,
+    body: JSON.stringify({
+      system: "You answer for the dentist.",
+      name: "dentist",
+      model: "gemini-test-model",
+      voice: "Kore",
+      language: "nl-NL",
+      config: { temperature: 0.2 },
+      greeting: "Hello, dentist speaking.",
+      tools: ["find_available_slots", "avr_transfer"],
+      disabled_tools: ["avr_hangup"],
+      tool_settings: { avr_transfer: { context: "dentist" }, calendar: { calendar_id: "dentist.ics" } },
+      save_audio: true,
+      save_transcript: false,
+    }),
+  },
+  partial: { status: 200, body: JSON.stringify({ system: "Partial profile." }) },
+  invalid_fields: {
+    status: 200,
+    body: JSON.stringify({ system: "Typed badly.", name: "../escape", tools: "all", save_audio: "yes", voice: "Puck" }),
+  },
+  array: { status: 200, body: JSON.stringify(["not", "a", "profile"]) },
+  not_json: { status: 200, body: "<html>oops</html>" },
+  server_error: { status: 500, body: "{}" },
+};
+
+describe("bot profile", () => {
+  let server;
+  let saved;
+  const requests = [];
+
+  before(async () => {
+    saved = { ...process.env };
+    server = http.createServer((req, res) => {
+      requests.push(req.headers);
+      const { status, body } = RESPONSES[req.headers["x-avr-uuid"]];
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(body);
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  });
+
+  after(() => {
+    process.env = saved;
+    return new Promise((resolve) => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    for (const name of ["GEMINI_INSTRUCTIONS", "GEMINI_FILE_INSTRUCTIONS", "TOOLS_ENABLED", "TOOLS_DISABLED", "SAVE_AUDIO_CHUNKS", "SAVE_TRANSCRIPTS"]) {
+      delete process.env[name];
+    }
+    process.env.GEMINI_URL_INSTRUCTIONS = `http://127.0.0.1:${server.address().port}/profile`;
+    process.env.GEMINI_MODEL = "gemini-env-model";
+    process.env.BOT_NAME = "env_bot";
+  });
+
+  it("applies every field returned by the web service", async () => {
+    const profile = await loadBotProfile("full");
+    assert.equal(requests.at(-1)["x-avr-uuid"], "full");
+    assert.deepEqual(profile, {
+      name: "dentist",
+      systemInstruction: "You answer for the dentist.",
+      model: "gemini-test-model",
+      greeting: "Hello, dentist speaking.",
+      liveOptions: { temperature: 0.2, voice: "Kore", languageCode: "nl-NL" },
+      tools: ["find_available_slots", "avr_transfer"],
+      disabledTools: ["avr_hangup"],
+      toolSettings: { avr_transfer: { context: "dentist" }, calendar: { calendar_id: "dentist.ics" } },
+      saveAudio: true,
+      saveTranscript: false,
+    });
+  });
+
+  it("falls back to the environment for missing fields", async () => {
+    process.env.TOOLS_ENABLED = "avr_transfer, avr_hangup";
+    process.env.SAVE_AUDIO_CHUNKS = "true";
+    const profile = await loadBotProfile("partial");
+    assert.deepEqual(profile, {
+      ...getDefaultProfile(),
+      systemInstruction: "Partial profile.",
+    });
+    assert.equal(profile.model, "gemini-env-model");
+    assert.equal(profile.name, "env_bot");
+    assert.deepEqual(profile.tools, ["avr_transfer", "avr_hangup"]);
+    assert.equal(profile.saveAudio, true);
+  });
+
+  it("ignores fields of the wrong type and keeps the valid ones", async () => {
+    const profile = await loadBotProfile("invalid_fields");
+    assert.equal(profile.systemInstruction, "Typed badly.");
+    assert.equal(profile.name, "env_bot");
+    assert.equal(profile.tools, null);
+    assert.equal(profile.saveAudio, false);
+    assert.deepEqual(profile.liveOptions, { voice: "Puck" });
+  });
+
+  for (const uuid of ["array", "not_json", "server_error"]) {
+    it(`uses the defaults when the response is malformed (${uuid})`, async () => {
+      assert.deepEqual(await loadBotProfile(uuid), getDefaultProfile());
+    });
+  }
+
+  it("uses the defaults when the web service is unreachable", async () => {
+    const closed = http.createServer();
+    await new Promise((resolve) => closed.listen(0, "127.0.0.1", resolve));
+    const { port } = closed.address();
+    await new Promise((resolve) => closed.close(resolve));
+    process.env.GEMINI_URL_INSTRUCTIONS = `http://127.0.0.1:${port}/profile`;
+    assert.deepEqual(await loadBotProfile("full"), getDefaultProfile());
+  });
+
+  it("prefers GEMINI_INSTRUCTIONS over the web service", async () => {
+    process.env.GEMINI_INSTRUCTIONS = "From the environment.";
+    const count = requests.length;
+    const profile = await loadBotProfile("full");
+    assert.equal(profile.systemInstruction, "From the environment.");
+    assert.equal(requests.length, count);
+  });
+});
@@ -0,0 +1,68 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const calendar = require("../utils/calendar");
+
+const BOOKED_FROM = "+31 6 12345678";
+const OTHER_NUMBER = "+31 6 87654321";
+
+describe("appointment identity checks", () => {
+  let saved;
+  let workDir;
+  let appointmentId;
+
+  before(async () => {
+    saved = { ...process.env };
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), "avr-calendar-"));
+    process.env.CALENDAR_PROVIDER = "ics";
+    process.env.CALENDAR_ICS_FILE = path.join(workDir, "calendar.ics");
+    process.env.CALENDAR_TIME_ZONE = "Europe/Amsterdam";
+    const booked = await calendar.bookAppointment("John Doe", "john@example.com", "2030-01-08", "10:00", 30, "Check-up", {
+      properties: { sessionUuid: "call-1", callerNumber: BOOKED_FROM },
+    });
+    assert.match(booked, /successfully booked/);
+    const found = await calendar.findAppointments({ callerNumber: BOOKED_FROM, name: "John Doe" }, "2030-01-08");
+    appointmentId = /appointment ID: (.*)\)/.exec(found)[1];
+  });
+
+  after(() => {
+    process.env = saved;
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  const find = (identity) => calendar.findAppointments(identity, "2030-01-08");
+
+  it("finds the appointment from the booking number with the full name", async () => {
+    assert.match(await find({ callerNumber: "0612345678", name: "doe john" }), /Found 1 appointment/);
+  });
+
+  it("refuses a surname alone, even from the booking number", async () => {
+    assert.match(await find({ callerNumber: BOOKED_FROM, name: "Doe" }), /No appointment matching/);
+  });
+
+  it("refuses a single factor from another number", async () => {
+    assert.match(await find({ callerNumber: OTHER_NUMBER, email: "john@example.com", name: "John Doe" }), /No appointment matching/);
+    assert.match(await find({ callerNumber: OTHER_NUMBER, phone: BOOKED_FROM, name: "John Doe" }), /No appointment matching/);
+  });
+
+  it("accepts the email address and phone number of the booking from another number", async () => {
+    const identity = { callerNumber: OTHER_NUMBER, email: "JOHN@example.com", phone: BOOKED_FROM, name: "John Doe" };
+    assert.match(await find(identity), /Found 1 appointment/);
+  });
+
+  it("asks for both factors when the caller's number is unknown", async () => {
+    assert.match(await find({ email: "john@example.com", name: "John Doe" }), /ask for both the email address and the phone number/);
+  });
+
+  it("does not cancel an appointment for a caller who only knows the surname", async () => {
+    const refused = await calendar.cancelAppointment(appointmentId, { callerNumber: BOOKED_FROM, name: "Doe" });
+    assert.match(refused, /No appointment matching/);
+    assert.match(await find({ callerNumber: BOOKED_FROM, name: "John Doe" }), /Found 1 appointment/);
+
+    const cancelled = await calendar.cancelAppointment(appointmentId, { callerNumber: BOOKED_FROM, name: "John Doe" });
+    assert.match(cancelled, /has been cancelled/);
+  });
+});
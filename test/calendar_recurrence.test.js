@@ -0,0 +1,155 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+
+const ical = require("../utils/calendar/ical");
+const recurrence = require("../utils/calendar/recurrence");
+const icsProvider = require("../utils/calendar/ics_provider");
+const caldavProvider = require("../utils/calendar/caldav_provider");
+const calendar = require("../utils/calendar");
+
+const FIXTURE = path.join(__dirname, "fixtures", "recurring.ics");
+
+const utc = (value) => new Date(value);
+const busyBetween = (start, end) => icsProvider.getBusy(utc(start), utc(end), FIXTURE);
+const toIso = (slots) => slots.map(({ start, end }) => [start.toISOString(), end.toISOString()]);
+
+describe("ical recurrence properties", () => {
+  it("keeps RRULE, EXDATE and RECURRENCE-ID on the parsed events", () => {
+    const events = ical.parseEvents(fs.readFileSync(FIXTURE, "utf8"));
+    const [master, override] = events.filter(event => event.id === "team-meeting@example.com");
+    assert.equal(master.rrule, "FREQ=WEEKLY;BYDAY=MO,WE;UNTIL=20251231T225959Z");
+    assert.deepEqual(master.exdates, [utc("2025-03-10T09:00:00Z")]);
+    assert.equal(master.timeZone, "Europe/Amsterdam");
+    assert.deepEqual(override.recurrenceId, utc("2025-03-12T09:00:00Z"));
+  });
+});
+
+describe("ics provider with recurring events", () => {
+  it("reports every weekly occurrence as busy", async () => {
+    const busy = await busyBetween("2025-03-03T00:00:00Z", "2025-03-08T00:00:00Z");
+    assert.deepEqual(toIso(busy), [
+      ["2025-03-03T09:00:00.000Z", "2025-03-03T10:00:00.000Z"],
+      ["2025-03-05T09:00:00.000Z", "2025-03-05T10:00:00.000Z"],
+    ]);
+  });
+
+  it("skips occurrences removed with EXDATE", async () => {
+    assert.deepEqual(await busyBetween("2025-03-10T00:00:00Z", "2025-03-11T00:00:00Z"), []);
+  });
+
+  it("uses the overriding event instead of the original occurrence", async () => {
+    const busy = await busyBetween("2025-03-12T00:00:00Z", "2025-03-13T00:00:00Z");
+    assert.deepEqual(toIso(busy), [["2025-03-12T13:00:00.000Z", "2025-03-12T14:00:00.000Z"]]);
+  });
+
+  it("keeps the wall-clock time across the DST change", async () => {
+    const busy = await busyBetween("2025-03-31T00:00:00Z", "2025-04-01T00:00:00Z");
+    assert.deepEqual(toIso(busy), [["2025-03-31T08:00:00.000Z", "2025-03-31T09:00:00.000Z"]]);
+  });
+
+  it("stops at UNTIL", async () => {
+    assert.equal((await busyBetween("2025-12-29T00:00:00Z", "2025-12-30T00:00:00Z")).length, 1);
+    assert.deepEqual(await busyBetween("2026-01-05T00:00:00Z", "2026-01-06T00:00:00Z"), []);
+  });
+
+  it("expands ordinal BYDAY rules and stops after COUNT occurrences", async () => {
+    const busy = await busyBetween("2025-01-01T00:00:00Z", "2025-06-01T00:00:00Z");
+    const reviews = toIso(busy).filter(([start]) => start.endsWith("T15:00:00.000Z") || start.endsWith("T14:00:00.000Z"));
+    assert.deepEqual(reviews, [
+      ["2025-01-31T15:00:00.000Z", "2025-01-31T16:00:00.000Z"],
+      ["2025-02-28T15:00:00.000Z", "2025-02-28T16:00:00.000Z"],
+      ["2025-03-28T15:00:00.000Z", "2025-03-28T16:00:00.000Z"],
+    ]);
+  });
+
+  it("does not count transparent recurring events as busy", async () => {
+    const events = await icsProvider.listEvents(utc("2027-05-01T00:00:00Z"), utc("2027-05-02T00:00:00Z"), FIXTURE);
+    assert.deepEqual(events.map(event => event.summary), ["Labour day"]);
+    assert.deepEqual(await busyBetween("2027-05-01T00:00:00Z", "2027-05-02T00:00:00Z"), []);
+  });
+
+  it("returns the master event by UID", async () => {
+    const event = await icsProvider.getEvent("team-meeting@example.com", FIXTURE);
+    assert.equal(event.summary, "Team meeting");
+  });
+});
+
+describe("checkAvailability with an ics calendar", () => {
+  let saved;
+  before(() => {
+    saved = { ...process.env };
+    process.env.CALENDAR_PROVIDER = "ics";
+    process.env.CALENDAR_ICS_FILE = FIXTURE;
+    process.env.CALENDAR_TIME_ZONE = "Europe/Amsterdam";
+  });
+  after(() => {
+    process.env = saved;
+  });
+
+  it("refuses a slot taken by a recurring meeting", async () => {
+    const result = await calendar.checkAvailability("2025-03-17", "10:00", 30);
+    assert.match(result, /NOT available/);
+  });
+
+  it("offers a slot freed by EXDATE", async () => {
+    const result = await calendar.checkAvailability("2025-03-10", "10:00", 30);
+    assert.match(result, /is available/);
+  });
+});
+
+describe("recurrence.parseRule", () => {
+  it("reads a date UNTIL as the end of that day in the event time zone", () => {
+    const rule = recurrence.parseRule("FREQ=DAILY;UNTIL=20250301", "Europe/Amsterdam");
+    assert.deepEqual(rule.until, utc("2025-03-01T22:59:59.999Z"));
+  });
+
+  it("returns null for frequencies that are not expanded", () => {
+    assert.equal(recurrence.parseRule("FREQ=HOURLY;COUNT=5", "UTC"), null);
+  });
+});
+
+describe("caldav provider with recurring events", () => {
+  let server;
+  let requests;
+
+  before(async () => {
+    requests = [];
+    // Answers like a server that ignores <c:expand>: the recurrence rules are sent as stored
+    const data = fs.readFileSync(FIXTURE, "utf8").replace(/&/g, "&amp;").replace(/</g, "&lt;");
+    server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", chunk => (body += chunk));
+      req.on("end", () => {
+        requests.push({ method: req.method, body });
+        res.writeHead(207, { "Content-Type": "application/xml; charset=utf-8" });
+        res.end(
+          '<?xml version="1.0" encoding="utf-8"?>' +
+            '<d:multistatus xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav"><d:response>' +
+            "<d:href>/calendars/test/recurring.ics</d:href>" +
+            '<d:propstat><d:prop><d:getetag>"1"</d:getetag>' +
+            `<c:calendar-data>${data}</c:calendar-data>` +
+            "</d:prop></d:propstat></d:response></d:multistatus>",
+        );
+      });
+    });
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  it("asks the server to expand recurring events over the range", async () => {
+    const url = `http://127.0.0.1:${server.address().port}/calendars/test/`;
+    await caldavProvider.getBusy(utc("2025-03-17T00:00:00Z"), utc("2025-03-18T00:00:00Z"), url);
+    assert.equal(requests.at(-1).method, "REPORT");
+    assert.match(requests.at(-1).body, /<c:expand start="20250317T000000Z" end="20250318T000000Z"\/>/);
+  });
+
+  it("expands the rules itself when the server does not", async () => {
+    const url = `http://127.0.0.1:${server.address().port}/calendars/test/`;
+    const busy = await caldavProvider.getBusy(utc("2025-03-17T00:00:00Z"), utc("2025-03-18T00:00:00Z"), url);
+    assert.deepEqual(toIso(busy), [["2025-03-17T09:00:00.000Z", "2025-03-17T10:00:00.000Z"]]);
+  });
+});
@@ -0,0 +1,134 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const timezone = require("../utils/calendar/timezone");
+const slots = require("../utils/calendar/slots");
+
+const businessHours = (overrides = {}) => ({
+  openingHours: slots.parseOpeningHours("mon-fri 09:00-12:00,13:00-17:00"),
+  holidays: new Set(),
+  bufferMinutes: 0,
+  minLeadMinutes: 0,
+  intervalMinutes: 30,
+  ...overrides,
+});
+
+const toLocal = (found, timeZone = "Europe/Amsterdam") =>
+  found.map(({ start }) => {
+    const { date, time } = timezone.formatInTimeZone(start, timeZone);
+    return `${date} ${time}`;
+  });
+
+describe("timezone", () => {
+  it("converts wall-clock times with the offset in effect on that date", () => {
+    assert.equal(timezone.zonedTimeToUtc("2025-01-15", "10:00", "Europe/Amsterdam").toISOString(), "2025-01-15T09:00:00.000Z");
+    assert.equal(timezone.zonedTimeToUtc("2025-07-15", "10:00", "Europe/Amsterdam").toISOString(), "2025-07-15T08:00:00.000Z");
+    assert.equal(timezone.zonedTimeToUtc("2025-07-15", "10:00", "America/New_York").toISOString(), "2025-07-15T14:00:00.000Z");
+  });
+
+  it("moves a time skipped by the spring DST change past the gap", () => {
+    const instant = timezone.zonedTimeToUtc("2025-03-30", "02:30", "Europe/Amsterdam");
+    assert.equal(timezone.formatInTimeZone(instant, "Europe/Amsterdam").time, "03:30");
+  });
+
+  it("formats instants back into the time zone", () => {
+    const formatted = timezone.formatInTimeZone(new Date("2025-10-26T00:30:00Z"), "Europe/Amsterdam");
+    assert.deepEqual(formatted, { date: "2025-10-26", time: "02:30", weekday: "Sunday" });
+  });
+
+  it("adds days across month and year ends", () => {
+    assert.equal(timezone.addDays("2025-02-28"), "2025-03-01");
+    assert.equal(timezone.addDays("2025-12-31", 2), "2026-01-02");
+  });
+
+  it("describes ranges crossing midnight with the end date", () => {
+    const start = new Date("2025-06-02T21:30:00Z");
+    const end = new Date("2025-06-02T22:30:00Z");
+    assert.equal(
+      timezone.describeRange(start, end, "Europe/Amsterdam"),
+      "Monday 2025-06-02 from 23:30 to Tuesday 2025-06-03 00:30 (Europe/Amsterdam)",
+    );
+  });
+
+  it("rejects unknown time zones", () => {
+    assert.equal(timezone.isValidTimeZone("Europe/Amsterdam"), true);
+    assert.equal(timezone.isValidTimeZone("Mars/Olympus"), false);
+  });
+});
+
+describe("slots.parseOpeningHours", () => {
+  it("parses day ranges and split intervals", () => {
+    const hours = slots.parseOpeningHours("mon-fri 09:00-12:30,13:30-17:00; sat 10:00-14:00");
+    assert.deepEqual(hours[1], [{ from: 540, to: 750 }, { from: 810, to: 1020 }]);
+    assert.deepEqual(hours[6], [{ from: 600, to: 840 }]);
+    assert.equal(hours[0], undefined);
+  });
+
+  it("wraps day ranges around the end of the week", () => {
+    const hours = slots.parseOpeningHours("sat-mon 10:00-24:00");
+    assert.deepEqual(Object.keys(hours).sort(), ["0", "1", "6"]);
+    assert.equal(hours[0][0].to, 1440);
+  });
+
+  it("rejects malformed rules", () => {
+    assert.throws(() => slots.parseOpeningHours("weekdays 09:00-17:00"), /Invalid opening hours rule/);
+    assert.throws(() => slots.parseOpeningHours("mon 17:00-09:00"), /Invalid opening hours range/);
+  });
+});
+
+describe("slots.findFreeSlots", () => {
+  const search = (overrides) =>
+    slots.findFreeSlots({
+      startDate: "2025-03-17",
+      endDate: "2025-03-21",
+      durationMinutes: 30,
+      busy: [],
+      timeZone: "Europe/Amsterdam",
+      businessHours: businessHours(),
+      now: new Date("2025-03-01T00:00:00Z"),
+      ...overrides,
+    });
+
+  it("starts at opening time on the interval", () => {
+    assert.deepEqual(toLocal(search()), ["2025-03-17 09:00", "2025-03-17 09:30", "2025-03-17 10:00"]);
+  });
+
+  it("skips busy intervals widened by the buffer", () => {
+    const busy = [{ start: new Date("2025-03-17T08:00:00Z"), end: new Date("2025-03-17T09:00:00Z") }];
+    assert.deepEqual(toLocal(search({ busy })), ["2025-03-17 10:00", "2025-03-17 10:30", "2025-03-17 11:00"]);
+    assert.deepEqual(
+      toLocal(search({ busy, businessHours: businessHours({ bufferMinutes: 15 }) })),
+      ["2025-03-17 10:30", "2025-03-17 11:00", "2025-03-17 11:30"],
+    );
+  });
+
+  it("keeps slots inside an interval and honours the preference", () => {
+    const found = search({ durationMinutes: 60, preference: "afternoon", maxResults: 5 });
+    assert.deepEqual(toLocal(found), [
+      "2025-03-17 13:00",
+      "2025-03-17 13:30",
+      "2025-03-17 14:00",
+      "2025-03-17 14:30",
+      "2025-03-17 15:00",
+    ]);
+    const morning = search({ durationMinutes: 60, preference: "morning", maxResults: 10 });
+    assert.ok(toLocal(morning).every(slot => slot < "2025-03-17 12:00" || !slot.startsWith("2025-03-17")));
+    assert.ok(morning.every(({ end }) => timezone.formatInTimeZone(end, "Europe/Amsterdam").time <= "12:00"));
+  });
+
+  it("skips weekends, holidays and slots before the lead time", () => {
+    const found = search({
+      startDate: "2025-03-15",
+      businessHours: businessHours({ holidays: new Set(["2025-03-17"]), minLeadMinutes: 60 }),
+      now: new Date("2025-03-18T08:10:00Z"),
+    });
+    assert.deepEqual(toLocal(found), ["2025-03-18 10:30", "2025-03-18 11:00", "2025-03-18 11:30"]);
+  });
+
+  it("quotes the same local hours on both sides of a DST change", () => {
+    const found = search({ startDate: "2025-03-28", endDate: "2025-03-31", maxResults: 20 });
+    const firstOfDay = (date) => found.find(({ start }) => timezone.formatInTimeZone(start, "Europe/Amsterdam").date === date);
+    assert.equal(firstOfDay("2025-03-28").start.toISOString(), "2025-03-28T08:00:00.000Z");
+    assert.equal(firstOfDay("2025-03-31").start.toISOString(), "2025-03-31T07:00:00.000Z");
+  });
+});
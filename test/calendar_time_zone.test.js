@@ -0,0 +1,87 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const path = require("path");
+
+const ical = require("../utils/calendar/ical");
+const { loadBotProfile } = require("../utils/bot_profile");
+const findAvailableSlotsTool = require("../tools/find_available_slots");
+
+const FIXTURE = path.join(__dirname, "fixtures", "recurring.ics");
+
+// Profiles served by the stub GEMINI_URL_INSTRUCTIONS web service, keyed by session UUID
+const PROFILES = {
+  amsterdam: { system: "Amsterdam office", tool_settings: { calendar: { time_zone: "Europe/Amsterdam" } } },
+  new_york: { system: "New York office", tool_settings: { calendar: { time_zone: "America/New_York" } } },
+  invalid: { system: "Nowhere", tool_settings: { calendar: { time_zone: "Mars/Olympus", calendar_id: "mars.ics" } } },
+};
+
+describe("per-bot calendar time zone", () => {
+  let server;
+  let saved;
+
+  before(async () => {
+    saved = { ...process.env };
+    server = http.createServer((req, res) => {
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(PROFILES[req.headers["x-avr-uuid"]]));
+    });
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    delete process.env.GEMINI_INSTRUCTIONS;
+    process.env.GEMINI_URL_INSTRUCTIONS = `http://127.0.0.1:${server.address().port}/profile`;
+    process.env.CALENDAR_PROVIDER = "ics";
+    process.env.CALENDAR_ICS_FILE = FIXTURE;
+    process.env.CALENDAR_TIME_ZONE = "Europe/London";
+    process.env.CALENDAR_OPENING_HOURS = "mon-fri 09:00-17:00";
+    process.env.CALENDAR_HOLIDAYS = "";
+    process.env.CALENDAR_BUFFER_MINUTES = "0";
+  });
+
+  after(() => {
+    process.env = saved;
+    return new Promise(resolve => server.close(resolve));
+  });
+
+  // First slot on a Monday far from the fixture's events, quoted in UTC to compare instants
+  const firstSlot = async (toolSettings) => {
+    const result = await findAvailableSlotsTool.handler(
+      "session",
+      { start_date: "2030-01-07", end_date: "2030-01-07", duration_minutes: 30, max_results: 1, time_zone: "UTC" },
+      { toolSettings },
+    );
+    return /- (.*)/.exec(result)?.[1] ?? result;
+  };
+
+  it("opens at 09:00 in each profile's own time zone", async () => {
+    const amsterdam = await loadBotProfile("amsterdam");
+    const newYork = await loadBotProfile("new_york");
+    assert.equal(await firstSlot(amsterdam.toolSettings), "Monday 2030-01-07 from 08:00 to 08:30 (UTC)");
+    assert.equal(await firstSlot(newYork.toolSettings), "Monday 2030-01-07 from 14:00 to 14:30 (UTC)");
+  });
+
+  it("falls back to CALENDAR_TIME_ZONE for profiles without one", async () => {
+    assert.equal(await firstSlot({}), "Monday 2030-01-07 from 09:00 to 09:30 (UTC)");
+  });
+
+  it("quotes slots in the profile's time zone by default", async () => {
+    const newYork = await loadBotProfile("new_york");
+    const result = await findAvailableSlotsTool.handler(
+      "session",
+      { start_date: "2030-01-07", end_date: "2030-01-07", duration_minutes: 30, max_results: 1 },
+      { toolSettings: newYork.toolSettings },
+    );
+    assert.match(result, /Monday 2030-01-07 from 09:00 to 09:30 \(America\/New_York\)/);
+  });
+
+  it("drops an invalid time zone from the profile and keeps the other settings", async () => {
+    const profile = await loadBotProfile("invalid");
+    assert.equal(profile.systemInstruction, "Nowhere");
+    assert.deepEqual(profile.toolSettings, { calendar: { calendar_id: "mars.ics" } });
+  });
+
+  it("reads floating iCalendar times in the given time zone", () => {
+    const text = "BEGIN:VEVENT\r\nUID:floating\r\nDTSTART:20300107T090000\r\nDTEND:20300107T100000\r\nEND:VEVENT\r\n";
+    assert.equal(ical.parseEvents(text, "America/New_York")[0].start.toISOString(), "2030-01-07T14:00:00.000Z");
+    assert.equal(ical.parseEvents(text)[0].start.toISOString(), "2030-01-07T09:00:00.000Z");
+  });
+});
@@ -0,0 +1,119 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+
+const { parseCallMetadata, renderTemplate, metadataHeaders } = require("../utils/call_metadata");
+const { loadBotProfile } = require("../utils/bot_profile");
+
+const METADATA = {
+  caller_number: "+31612345678",
+  caller_name: "Renée",
+  dialed_number: "+31201234567",
+  language: "nl-NL",
+  channel_variables: { QUEUE: "sales" },
+  custom: { customer_id: "C-42", vip: true },
+};
+
+describe("call metadata", () => {
+  it("keeps the standard fields and the key/value maps", () => {
+    assert.deepEqual(parseCallMetadata("call-1", METADATA), {
+      uuid: "call-1",
+      caller_number: "+31612345678",
+      caller_name: "Renée",
+      dialed_number: "+31201234567",
+      language: "nl-NL",
+      channel_variables: { QUEUE: "sales" },
+      custom: { customer_id: "C-42", vip: "true" },
+    });
+  });
+
+  it("ignores invalid fields and cuts long values", () => {
+    const metadata = parseCallMetadata("call-2", {
+      caller_number: { number: "+31612345678" },
+      caller_name: "x".repeat(300),
+      channel_variables: "QUEUE=sales",
+      custom: { nested: { a: 1 }, ok: 1 },
+    });
+    assert.equal(metadata.caller_number, null);
+    assert.equal(metadata.caller_name, "x".repeat(256));
+    assert.deepEqual(metadata.channel_variables, {});
+    assert.deepEqual(metadata.custom, { ok: "1" });
+  });
+
+  it("uses empty metadata when it is missing or not an object", () => {
+    const empty = {
+      uuid: "call-3",
+      caller_number: null,
+      caller_name: null,
+      dialed_number: null,
+      language: null,
+      channel_variables: {},
+      custom: {},
+    };
+    assert.deepEqual(parseCallMetadata("call-3", undefined), empty);
+    assert.deepEqual(parseCallMetadata("call-3", ["+31612345678"]), empty);
+  });
+
+  it("fills in template placeholders, with fallbacks", () => {
+    const metadata = parseCallMetadata("call-4", METADATA);
+    assert.equal(
+      renderTemplate("Call {{uuid}} from {{ caller_number }} for {{channel_variables.QUEUE}}, customer {{customer_id}}", metadata),
+      "Call call-4 from +31612345678 for sales, customer C-42",
+    );
+    assert.equal(renderTemplate("Hello {{custom.nickname|there}}, {{unknown}}!", metadata), "Hello there, !");
+    assert.equal(renderTemplate("Hello {{caller_name}}", null), "Hello {{caller_name}}");
+  });
+
+  it("describes the call in ASCII request headers", () => {
+    const metadata = parseCallMetadata("call-5", METADATA);
+    const headers = metadataHeaders(metadata);
+    assert.equal(headers["X-AVR-Caller-Number"], "+31612345678");
+    assert.equal(headers["X-AVR-Dialed-Number"], "+31201234567");
+    assert.equal(headers["X-AVR-Language"], "nl-NL");
+    assert.match(headers["X-AVR-Metadata"], /^[\x20-\x7e]+$/);
+    assert.deepEqual(JSON.parse(headers["X-AVR-Metadata"]), metadata);
+  });
+});
+
+describe("call metadata in the bot profile", () => {
+  let server;
+  let saved;
+  let headers;
+
+  before(async () => {
+    saved = { ...process.env };
+    server = http.createServer((req, res) => {
+      headers = req.headers;
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({
+        system: "You help {{caller_name|our customer}} of queue {{channel_variables.QUEUE}}.",
+        greeting: "Hello {{caller_name|there}}!",
+      }));
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    delete process.env.GEMINI_INSTRUCTIONS;
+    process.env.GEMINI_URL_INSTRUCTIONS = `http://127.0.0.1:${server.address().port}/profile`;
+  });
+
+  after(() => {
+    process.env = saved;
+    return new Promise((resolve) => server.close(resolve));
+  });
+
+  it("sends the metadata to the instructions web service and templates its answer", async () => {
+    const profile = await loadBotProfile("call-6", parseCallMetadata("call-6", METADATA));
+    assert.equal(headers["x-avr-uuid"], "call-6");
+    assert.equal(headers["x-avr-caller-number"], "+31612345678");
+    assert.equal(JSON.parse(headers["x-avr-metadata"]).custom.customer_id, "C-42");
+    assert.equal(profile.systemInstruction, "You help Renée of queue sales.");
+    assert.equal(profile.greeting, "Hello Renée!");
+    assert.equal(profile.liveOptions.languageCode, "nl-NL");
+  });
+
+  it("falls back when the caller is unknown", async () => {
+    const profile = await loadBotProfile("call-7", parseCallMetadata("call-7", {}));
+    assert.equal(profile.systemInstruction, "You help our customer of queue .");
+    assert.equal(profile.greeting, "Hello there!");
+    assert.equal(profile.liveOptions.languageCode, undefined);
+  });
+});
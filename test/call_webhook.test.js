@@ -0,0 +1,139 @@
+const { describe, it, before, after, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+
+const { sendCallRecord, flushSpool } = require("../utils/call_webhook");
+const { createLiveServer, waitFor } = require("./fixtures/live_server");
+const { startServer } = require("./fixtures/avr_server");
+
+describe("post-call webhook", () => {
+  let server;
+  let saved;
+  let spoolDir;
+  // Statuses answered to the next requests, then 200
+  let statuses;
+  const received = [];
+
+  before(async () => {
+    saved = { ...process.env };
+    server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        const status = statuses.shift() ?? 200;
+        if (status === 200) received.push({ uuid: req.headers["x-avr-uuid"], record: JSON.parse(body) });
+        res.writeHead(status);
+        res.end();
+      });
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  });
+
+  after(() => {
+    process.env = saved;
+    return new Promise((resolve) => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    statuses = [];
+    received.length = 0;
+    spoolDir = fs.mkdtempSync(path.join(os.tmpdir(), "avr-spool-"));
+    process.env.POST_CALL_WEBHOOK_URL = `http://127.0.0.1:${server.address().port}/calls`;
+    process.env.POST_CALL_WEBHOOK_SPOOL_DIR = spoolDir;
+  });
+
+  afterEach(() => {
+    fs.rmSync(spoolDir, { recursive: true, force: true });
+  });
+
+  const spooled = () => fs.readdirSync(spoolDir).sort();
+
+  it("posts the record with the call's UUID", async () => {
+    const record = { uuid: "call-1", endReason: "caller_hangup", transcript: [] };
+    assert.equal(await sendCallRecord(record), true);
+    assert.deepEqual(received, [{ uuid: "call-1", record }]);
+    assert.deepEqual(spooled(), []);
+  });
+
+  it("retries a failed delivery", async () => {
+    statuses = [503];
+    assert.equal(await sendCallRecord({ uuid: "call-2" }, { retries: 1 }), true);
+    assert.deepEqual(received.map(({ uuid }) => uuid), ["call-2"]);
+  });
+
+  it("spools the record when every attempt fails and delivers it later", async () => {
+    statuses = [500];
+    assert.equal(await sendCallRecord({ uuid: "call-3" }, { retries: 0 }), false);
+    const [file] = spooled();
+    assert.match(file, /^\d+-call-3\.json$/);
+    assert.deepEqual(JSON.parse(fs.readFileSync(path.join(spoolDir, file), "utf8")), { uuid: "call-3" });
+
+    assert.equal(await flushSpool(), 1);
+    assert.deepEqual(received.map(({ uuid }) => uuid), ["call-3"]);
+    assert.deepEqual(spooled(), []);
+  });
+
+  it("keeps spooled records while the webhook is still down", async () => {
+    fs.writeFileSync(path.join(spoolDir, "1-a.json"), JSON.stringify({ uuid: "a" }));
+    fs.writeFileSync(path.join(spoolDir, "2-b.json"), JSON.stringify({ uuid: "b" }));
+    statuses = [502];
+    assert.equal(await flushSpool(), 0);
+    assert.deepEqual(spooled(), ["1-a.json", "2-b.json"]);
+    assert.equal(await flushSpool(), 2);
+    assert.deepEqual(received.map(({ uuid }) => uuid), ["a", "b"]);
+  });
+
+  it("sets unreadable spool files aside instead of blocking the spool", async () => {
+    fs.writeFileSync(path.join(spoolDir, "1-broken.json"), "{");
+    fs.writeFileSync(path.join(spoolDir, "2-ok.json"), JSON.stringify({ uuid: "ok" }));
+    assert.equal(await flushSpool(), 1);
+    assert.deepEqual(spooled(), ["1-broken.json.invalid"]);
+  });
+
+  it("does nothing without POST_CALL_WEBHOOK_URL", async () => {
+    delete process.env.POST_CALL_WEBHOOK_URL;
+    fs.writeFileSync(path.join(spoolDir, "1-a.json"), JSON.stringify({ uuid: "a" }));
+    assert.equal(await sendCallRecord({ uuid: "call-4" }), false);
+    assert.equal(await flushSpool(), 0);
+    assert.deepEqual(received, []);
+    assert.deepEqual(spooled(), ["1-a.json"]);
+  });
+});
+
+describe("call record", () => {
+  let gemini;
+  let server;
+
+  before(async () => {
+    gemini = createLiveServer();
+    await gemini.listen();
+    server = await startServer({ GOOGLE_GEMINI_BASE_URL: gemini.baseUrl });
+  });
+
+  after(async () => {
+    await server.stop();
+    await gemini.close();
+  });
+
+  it("describes the call, its end reason and its tool calls", async () => {
+    const client = await server.connect();
+    client.send({ type: "init", uuid: "recorded", metadata: { caller_number: "+31612345678" } });
+    const live = await waitFor(() => gemini.sessions[0]);
+    await live.waitForMessage("setup");
+    live.send({ toolCall: { functionCalls: [{ id: "t1", name: "get_transcript", args: {} }] } });
+    await live.waitForMessage("toolResponse");
+    client.ws.close();
+
+    const record = await server.waitForRecord("recorded");
+    assert.equal(record.endReason, "caller_hangup");
+    assert.equal(record.bot, "gemini_bot");
+    assert.equal(record.metadata.caller_number, "+31612345678");
+    assert.ok(Date.parse(record.endedAt) >= Date.parse(record.startedAt));
+    assert.equal(typeof record.durationSeconds, "number");
+    assert.deepEqual(record.toolCalls.map(({ name, status }) => ({ name, status })), [{ name: "get_transcript", status: "ok" }]);
+    assert.deepEqual(record.audioFiles, {});
+  });
+});
@@ -0,0 +1,94 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { normalizeDigit, createDtmfReceiver } = require("../utils/dtmf");
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const createReceiver = () => {
+  const forwarded = [];
+  const receiver = createDtmfReceiver({
+    onDigits: (digits, { sensitive }) => forwarded.push({ digits, sensitive }),
+    groupMs: 10,
+  });
+  const press = (digits) => [...digits].forEach((digit) => receiver.press(digit));
+  return { receiver, forwarded, press };
+};
+
+describe("dtmf", () => {
+  it("normalizes keypad digits and rejects anything else", () => {
+    assert.equal(normalizeDigit("a"), "A");
+    assert.equal(normalizeDigit(5), "5");
+    assert.equal(normalizeDigit("12"), null);
+    assert.equal(normalizeDigit(undefined), null);
+  });
+
+  it("forwards digits pressed in quick succession as one group", async () => {
+    const { forwarded, press } = createReceiver();
+    press("12");
+    await delay(30);
+    press("3");
+    await delay(30);
+    assert.deepEqual(forwarded, [
+      { digits: "12", sensitive: false },
+      { digits: "3", sensitive: false },
+    ]);
+  });
+
+  it("gives digits to a running collection instead of the model", async () => {
+    const { receiver, forwarded, press } = createReceiver();
+    const collected = receiver.collect({ terminator: "#" });
+    assert.equal(receiver.collecting, true);
+    press("4711#");
+    assert.deepEqual(await collected, { digits: "4711", reason: "terminator" });
+    assert.equal(receiver.collecting, false);
+    await delay(30);
+    assert.deepEqual(forwarded, []);
+  });
+
+  it("ends a collection at max digits or when the caller stops typing", async () => {
+    const { receiver, press } = createReceiver();
+    const full = receiver.collect({ maxDigits: 2 });
+    press("12");
+    assert.deepEqual(await full, { digits: "12", reason: "max_digits" });
+
+    const silent = receiver.collect({ timeoutMs: 20, interDigitTimeoutMs: 20 });
+    assert.deepEqual(await silent, { digits: "", reason: "timeout" });
+  });
+
+  it("includes digits pressed just before the collection started", async () => {
+    const { receiver, forwarded, press } = createReceiver();
+    press("9");
+    const collected = receiver.collect({ maxDigits: 2 });
+    press("8");
+    assert.deepEqual(await collected, { digits: "98", reason: "max_digits" });
+    assert.deepEqual(forwarded, []);
+  });
+
+  it("flags digits typed right after a collection as sensitive", async () => {
+    const { receiver, forwarded, press } = createReceiver();
+    const collected = receiver.collect({ maxDigits: 4, interDigitTimeoutMs: 100 });
+    press("12345");
+    assert.deepEqual(await collected, { digits: "1234", reason: "max_digits" });
+    assert.equal(receiver.sensitive, true);
+    await delay(30);
+    assert.deepEqual(forwarded, [{ digits: "5", sensitive: true }]);
+
+    await delay(100);
+    assert.equal(receiver.sensitive, false);
+    press("0");
+    await delay(30);
+    assert.deepEqual(forwarded.at(-1), { digits: "0", sensitive: false });
+  });
+
+  it("cancels the collection and drops digits not forwarded yet", async () => {
+    const { receiver, forwarded, press } = createReceiver();
+    press("7");
+    receiver.cancel();
+    const collected = receiver.collect();
+    receiver.cancel();
+    assert.deepEqual(await collected, { digits: "", reason: "cancelled" });
+    await delay(30);
+    assert.deepEqual(forwarded, []);
+  });
+});
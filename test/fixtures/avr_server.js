@@ -0,0 +1,132 @@
+/**
+ * Runs index.js in a child process for the end-to-end tests. The server gets a
+ * scratch working directory and only the environment the test passes, plus a
+ * stub post-call webhook collecting the call records.
+ */
+
+const { spawn } = require("child_process");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const WebSocket = require("ws");
+const { waitFor } = require("./live_server");
+
+const INDEX = path.join(__dirname, "..", "..", "index.js");
+
+const listen = (server) => new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+const freePort = async () => {
+  const server = http.createServer();
+  await listen(server);
+  const { port } = server.address();
+  await new Promise((resolve) => server.close(resolve));
+  return port;
+};
+
+/**
+ * Starts the server and waits until it accepts connections.
+ * @param {object} env - Environment of the server
+ * @returns {Promise<object>} The server: port, records, workDir, logs, connect(),
+ *   waitForRecord(), shutdown() and stop()
+ */
+async function startServer(env) {
+  const records = [];
+  const webhook = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      records.push(JSON.parse(body));
+      res.end();
+    });
+  });
+  await listen(webhook);
+
+  // Transcripts, recordings and spool files are written relative to the working directory
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "avr-test-"));
+  const port = await freePort();
+  const child = spawn(process.execPath, [INDEX], {
+    cwd: workDir,
+    env: {
+      PORT: String(port),
+      GEMINI_API_KEY: "test",
+      GEMINI_INSTRUCTIONS: "You are a test bot.",
+      POST_CALL_WEBHOOK_URL: `http://127.0.0.1:${webhook.address().port}/calls`,
+      TOOLS_HOT_RELOAD: "false",
+      ...env,
+    },
+    stdio: ["ignore", "pipe", "inherit"],
+  });
+  let output = "";
+  child.stdout.on("data", (chunk) => (output += chunk));
+  const exited = new Promise((resolve) => child.once("exit", (code) => resolve(code)));
+  await new Promise((resolve, reject) => {
+    child.stdout.on("data", () => output.includes("WebSocket server running") && resolve());
+    child.on("exit", (code) => reject(new Error(`Server exited with code ${code}:\n${output}`)));
+  });
+
+  return {
+    port,
+    records,
+    workDir,
+    // Log lines written so far, parsed
+    get logs() {
+      return output
+        .split("\n")
+        .filter((line) => line.startsWith("{"))
+        .map((line) => JSON.parse(line));
+    },
+
+    /**
+     * Opens a client connection.
+     * @param {object} [options] - Options of the WebSocket client, such as headers
+     * @param {string} [options.path] - Path and query of the upgrade request
+     * @returns {Promise<object>} The client: ws, messages, send(message) and closed
+     */
+    async connect({ path: requestPath = "", ...options } = {}) {
+      const ws = new WebSocket(`ws://127.0.0.1:${port}${requestPath}`, options);
+      const client = {
+        ws,
+        messages: [],
+        send: (message) => ws.send(JSON.stringify(message)),
+        closed: new Promise((resolve) => ws.on("close", (code, reason) => resolve({ code, reason: reason.toString() }))),
+      };
+      ws.on("message", (data) => client.messages.push(JSON.parse(data)));
+      await new Promise((resolve, reject) => {
+        ws.on("open", resolve);
+        ws.on("error", reject);
+      });
+      return client;
+    },
+
+    /**
+     * Waits for the call record of a call.
+     * @param {string} uuid
+     * @returns {Promise<object>}
+     */
+    waitForRecord: (uuid) => waitFor(() => records.find((record) => record.uuid === uuid)),
+
+    /**
+     * Sends a termination signal to the server.
+     * @param {string} [signal]
+     * @returns {Promise<number|null>} Exit code, once the server has exited
+     */
+    shutdown(signal = "SIGTERM") {
+      child.kill(signal);
+      return exited;
+    },
+
+    async stop() {
+      if (child.exitCode === null && child.signalCode === null) {
+        child.kill("SIGKILL");
+        await exited;
+      }
+      await new Promise((resolve) => webhook.close(resolve));
+      fs.rmSync(workDir, { recursive: true, force: true });
+    },
+  };
+}
+
+module.exports = {
+  startServer,
+};
@@ -0,0 +1,78 @@
+/**
+ * Stub of the Gemini Live API WebSocket endpoint, for the tests that run index.js.
+ * Point the SDK at it with GOOGLE_GEMINI_BASE_URL. Each connection is recorded
+ * as a session with the messages it received, and its setup is answered with
+ * setupComplete unless the stub refuses connections.
+ */
+
+const http = require("http");
+const WebSocket = require("ws");
+
+/**
+ * Polls until a check returns a truthy value.
+ * @param {function(): *} check
+ * @param {number} [timeoutMs]
+ * @returns {Promise<*>} The value returned by the check
+ */
+async function waitFor(check, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = check();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error(`Timed out waiting for ${check}`);
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+/**
+ * Creates the stub server.
+ * @returns {object} The stub: listen(), close(), sessions, refuse and baseUrl
+ */
+function createLiveServer() {
+  const server = http.createServer();
+  const wss = new WebSocket.Server({ noServer: true });
+  const stub = {
+    sessions: [],
+    // When true, WebSocket upgrades are answered with 503
+    refuse: false,
+    get baseUrl() {
+      return `http://127.0.0.1:${server.address().port}`;
+    },
+    listen: () => new Promise((resolve) => server.listen(0, "127.0.0.1", resolve)),
+    close() {
+      for (const client of wss.clients) client.terminate();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+
+  server.on("upgrade", (req, socket, head) => {
+    if (stub.refuse) {
+      socket.end("HTTP/1.1 503 Service Unavailable\r\nContent-Length: 0\r\n\r\n");
+      return;
+    }
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      const session = {
+        received: [],
+        closed: false,
+        send: (message) => ws.send(JSON.stringify(message)),
+        close: () => ws.close(),
+        // First received message holding the field, once it arrives
+        waitForMessage: (field) => waitFor(() => session.received.find((message) => message[field])),
+      };
+      ws.on("message", (data) => {
+        const message = JSON.parse(data);
+        session.received.push(message);
+        if (message.setup) session.send({ setupComplete: {} });
+      });
+      ws.on("close", () => (session.closed = true));
+      stub.sessions.push(session);
+    });
+  });
+
+  return stub;
+}
+
+module.exports = {
+  createLiveServer,
+  waitFor,
+};
@@ -0,0 +1,52 @@
+/**
+ * mcp_server.js
+ * Minimal MCP server over stdio used by test/mcp_client.test.js.
+ *
+ * Tools:
+ * - get.weather: echoes its arguments and the TEST_TOKEN environment variable
+ * - fail: always reports an error
+ * - add_tool: registers the "extra" tool and notifies the client of the change
+ */
+
+const { Server } = require("@modelcontextprotocol/sdk/server/index.js");
+const { StdioServerTransport } = require("@modelcontextprotocol/sdk/server/stdio.js");
+const { ListToolsRequestSchema, CallToolRequestSchema } = require("@modelcontextprotocol/sdk/types.js");
+
+const tools = [
+  {
+    name: "get.weather",
+    description: "Weather for a city",
+    inputSchema: { type: "object", properties: { city: { type: "string" } }, required: ["city"] },
+  },
+  { name: "fail", description: "Fails", inputSchema: { type: "object", properties: {} } },
+  { name: "add_tool", description: "Adds the extra tool", inputSchema: { type: "object", properties: {} } },
+];
+
+const server = new Server(
+  { name: "test-server", version: "1.0.0" },
+  { capabilities: { tools: { listChanged: true } } },
+);
+
+server.setRequestHandler(ListToolsRequestSchema, async () => ({ tools }));
+
+server.setRequestHandler(CallToolRequestSchema, async ({ params }) => {
+  const text = (value) => ({ content: [{ type: "text", text: value }] });
+  switch (params.name) {
+    case "get.weather":
+      return text(`Sunny in ${params.arguments.city}, token ${process.env.TEST_TOKEN}`);
+    case "fail":
+      return { ...text("the weather service is down"), isError: true };
+    case "add_tool":
+      if (!tools.some((tool) => tool.name === "extra")) {
+        tools.push({ name: "extra", description: "Added later", inputSchema: { type: "object", properties: {} } });
+      }
+      await server.sendToolListChanged();
+      return text("added");
+    case "extra":
+      return text("extra result");
+    default:
+      return { ...text(`unknown tool ${params.name}`), isError: true };
+  }
+});
+
+server.connect(new StdioServerTransport());
@@ -0,0 +1,168 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createLiveServer, waitFor } = require("./fixtures/live_server");
+const { startServer } = require("./fixtures/avr_server");
+
+describe("Gemini connection", () => {
+  let gemini;
+  let server;
+
+  before(async () => {
+    gemini = createLiveServer();
+    await gemini.listen();
+    server = await startServer({ GOOGLE_GEMINI_BASE_URL: gemini.baseUrl });
+  });
+
+  after(async () => {
+    await server.stop();
+    await gemini.close();
+  });
+
+  it("reports a failed connection, closes the client socket and ends the call", async () => {
+    // Like an unreachable or overloaded endpoint
+    gemini.refuse = true;
+    try {
+      const client = await server.connect();
+      client.send({ type: "init", uuid: "gemini-down" });
+      assert.deepEqual(await client.closed, { code: 1011, reason: "Gemini connection failed" });
+      assert.deepEqual(client.messages, [{ type: "error", message: "Failed to initialize Gemini connection" }]);
+      const record = await server.waitForRecord("gemini-down");
+      assert.equal(record.endReason, "error");
+    } finally {
+      gemini.refuse = false;
+    }
+  });
+
+  /**
+   * Starts a call and waits until its Gemini session is set up.
+   * @param {string} uuid
+   * @returns {Promise<{client: object, live: object}>}
+   */
+  const startCall = async (uuid) => {
+    const count = gemini.sessions.length;
+    const client = await server.connect();
+    client.send({ type: "init", uuid });
+    const live = await waitFor(() => gemini.sessions[count]);
+    await live.waitForMessage("setup");
+    return { client, live };
+  };
+
+  const toolCall = (id, name, args = {}) => ({ toolCall: { functionCalls: [{ id, name, args }] } });
+
+  it("sends tool responses to the session that asked", async () => {
+    const { client, live } = await startCall("tool-response");
+    live.send(toolCall("t1", "get_transcript"));
+    const { toolResponse } = await live.waitForMessage("toolResponse");
+    assert.deepEqual(toolResponse.functionResponses.map(({ id, name }) => ({ id, name })), [
+      { id: "t1", name: "get_transcript" },
+    ]);
+    client.send({ type: "close" });
+    await client.closed;
+  });
+
+  it("drops the tool responses of a session replaced while the tool ran", async () => {
+    const { client, live } = await startCall("tool-resumed");
+    // collect_digits runs until the caller types the digits
+    live.send(toolCall("t1", "collect_digits", { max_digits: 2 }));
+    await waitFor(() => server.logs.some((line) => line.session === "tool-resumed" && line.msg === "Gemini session tool calls"));
+    live.send({ sessionResumptionUpdate: { resumable: true, newHandle: "handle-1" } });
+    live.send({ goAway: { timeLeft: "1s" } });
+
+    const resumed = await waitFor(() => gemini.sessions[gemini.sessions.indexOf(live) + 1]);
+    const { setup } = await resumed.waitForMessage("setup");
+    assert.equal(setup.sessionResumption.handle, "handle-1");
+    await waitFor(() => live.closed);
+
+    client.send({ type: "dtmf", digit: "1" });
+    client.send({ type: "dtmf", digit: "2" });
+    await waitFor(() => server.logs.some((line) => line.session === "tool-resumed" && line.msg === "Dropping tool responses of a replaced Gemini session"));
+    assert.equal(resumed.received.some((message) => message.toolResponse), false);
+    assert.equal(live.received.some((message) => message.toolResponse), false);
+    client.send({ type: "close" });
+    await client.closed;
+  });
+
+  /**
+   * Waits for the session opened after a given one.
+   * @param {object} live
+   * @returns {Promise<object>} The new session, once its setup arrived
+   */
+  const nextSession = async (live) => {
+    const next = await waitFor(() => gemini.sessions[gemini.sessions.indexOf(live) + 1]);
+    await next.waitForMessage("setup");
+    return next;
+  };
+
+  it("resumes a dropped session with the latest handle", async () => {
+    const { client, live } = await startCall("resumed");
+    live.send({ sessionResumptionUpdate: { resumable: true, newHandle: "handle-1" } });
+    live.send({ sessionResumptionUpdate: { resumable: true, newHandle: "handle-2" } });
+    live.close();
+
+    const resumed = await nextSession(live);
+    assert.equal(resumed.received[0].setup.sessionResumption.handle, "handle-2");
+    assert.equal(resumed.received.some((message) => message.clientContent), false);
+    client.send({ type: "close" });
+    assert.deepEqual(client.messages, []);
+    assert.equal((await server.waitForRecord("resumed")).endReason, "caller_hangup");
+  });
+
+  it("re-seeds a fresh session with the transcript when there is no handle", async () => {
+    const { client, live } = await startCall("reseeded");
+    live.send({ serverContent: { inputTranscription: { text: "I need a plumber." } } });
+    live.send({ serverContent: { outputTranscription: { text: "When suits you?" }, turnComplete: true } });
+    client.send({ type: "dtmf", digit: "3" });
+    await waitFor(() => live.received.some((message) => /pressed 3/.test(message.realtimeInput?.text)));
+    live.close();
+
+    const fresh = await nextSession(live);
+    assert.equal(fresh.received[0].setup.sessionResumption?.handle, undefined);
+    const { clientContent } = await fresh.waitForMessage("clientContent");
+    assert.deepEqual(clientContent.turns.slice(0, 3), [
+      { role: "user", parts: [{ text: "I need a plumber." }] },
+      { role: "model", parts: [{ text: "When suits you?" }] },
+      { role: "user", parts: [{ text: "(The caller pressed 3 on the phone keypad.)" }] },
+    ]);
+    assert.match(clientContent.turns[3].parts[0].text, /briefly interrupted/);
+    client.send({ type: "close" });
+    await client.closed;
+  });
+
+  it("buffers caller audio until the session is back", async () => {
+    const { client, live } = await startCall("buffered");
+    gemini.refuse = true;
+    live.close();
+    const failures = () =>
+      server.logs.filter((line) => line.session === "buffered" && line.msg === "Error reconnecting Gemini session").length;
+    try {
+      await waitFor(() => failures() === 1);
+      // 100ms of 8kHz audio while there is no session
+      client.send({ type: "audio", audio: Buffer.alloc(1600).toString("base64") });
+      // The next attempt comes a second later, long after the audio arrived
+      await waitFor(() => failures() === 2);
+    } finally {
+      gemini.refuse = false;
+    }
+
+    const back = await nextSession(live);
+    const audio = await waitFor(() => back.received.find((message) => message.realtimeInput?.audio));
+    assert.equal(audio.realtimeInput.audio.mimeType, "audio/pcm;rate=16000");
+    assert.ok(server.logs.some((line) => line.session === "buffered" && line.msg === "Flushing buffered audio to the new Gemini session"));
+    client.send({ type: "close" });
+    await client.closed;
+  });
+
+  it("hangs up once every reconnection attempt failed", async () => {
+    const { client, live } = await startCall("lost");
+    gemini.refuse = true;
+    try {
+      live.close();
+      assert.equal((await waitFor(() => client.messages.find((message) => message.type === "error"), 10000)).message, "Gemini connection lost");
+      await client.closed;
+      assert.equal((await server.waitForRecord("lost")).endReason, "error");
+    } finally {
+      gemini.refuse = false;
+    }
+  });
+});
@@ -0,0 +1,96 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+
+const { createHttpTool } = require("../utils/http_tool");
+
+describe("http tool", () => {
+  it("requires the environment variables of its placeholders", () => {
+    const { tool } = createHttpTool({
+      name: "lookup_customer",
+      url: "https://crm.example.com/customers?phone={{metadata.caller_number}}",
+      headers: { Authorization: "Bearer {{env.CRM_TOKEN}}", "X-Region": "{{args.region|env.CRM_REGION|'eu'}}" },
+    });
+    assert.deepEqual(tool.manifest.env, ["CRM_TOKEN", "CRM_REGION"]);
+  });
+
+  it("ignores env. outside placeholders", () => {
+    const { tool } = createHttpTool({
+      name: "lookup_order",
+      url: "https://api.env.example.com/orders/{{args.order_id}}",
+      headers: { "X-Source": "env.production" },
+    });
+    assert.deepEqual(tool.manifest.env, []);
+  });
+
+  it("reports invalid definitions", () => {
+    const { tool, problems } = createHttpTool({ name: "broken", method: "FETCH" });
+    assert.equal(tool, null);
+    assert.deepEqual(problems, ["url is required", "method must be one of GET, POST, PUT, PATCH, DELETE"]);
+  });
+
+  it("reports parameter patterns that are not valid regular expressions", () => {
+    const { tool, problems } = createHttpTool({
+      name: "lookup_order",
+      url: "https://api.example.com/orders/{{args.order_id}}",
+      parameters: { type: "object", properties: { order_id: { type: "string", pattern: "(" } } },
+    });
+    assert.equal(tool, null);
+    assert.match(problems[0], /^parameters\.properties\.order_id\.pattern is not a valid regular expression/);
+  });
+
+  describe("handler", () => {
+    let server;
+    let received;
+    let baseUrl;
+
+    before(async () => {
+      server = http.createServer((req, res) => {
+        let body = "";
+        req.on("data", (chunk) => (body += chunk));
+        req.on("end", () => {
+          received = { method: req.method, url: req.url, headers: req.headers, body };
+          res.writeHead(200, { "Content-Type": "application/json" });
+          res.end(JSON.stringify({ data: { summary: "Gold customer" } }));
+        });
+      });
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => new Promise((resolve) => server.close(resolve)));
+
+    it("renders placeholders into the request and returns the response field", async () => {
+      process.env.TEST_HTTP_TOOL_TOKEN = "secret";
+      const { tool } = createHttpTool({
+        name: "add_note",
+        method: "POST",
+        url: `${baseUrl}/customers/{{metadata.caller_number}}/notes`,
+        headers: { Authorization: "Bearer {{env.TEST_HTTP_TOOL_TOKEN}}" },
+        query: { lang: "{{args.lang|'en'}}" },
+        body: { session: "{{uuid}}", note: "{{args.note}}" },
+        response_field: "data.summary",
+      });
+      const result = await tool.handler("call-1", { note: "Call back" }, { metadata: { caller_number: "+31 6" } });
+      delete process.env.TEST_HTTP_TOOL_TOKEN;
+
+      assert.equal(result, "Gold customer");
+      assert.equal(received.method, "POST");
+      assert.equal(received.url, "/customers/%2B31%206/notes?lang=en");
+      assert.equal(received.headers.authorization, "Bearer secret");
+      assert.deepEqual(JSON.parse(received.body), { session: "call-1", note: "Call back" });
+    });
+
+    it("inserts env values into the url as they are and encodes arguments", async () => {
+      process.env.TEST_HTTP_TOOL_BASE_URL = `${baseUrl}/api/v2`;
+      const { tool } = createHttpTool({
+        name: "get_order",
+        url: "{{env.TEST_HTTP_TOOL_BASE_URL}}/orders/{{args.order_id}}?view={{args.view|'summary/short'}}",
+      });
+      await tool.handler("call-1", { order_id: "A/12?x=1" }, {});
+      delete process.env.TEST_HTTP_TOOL_BASE_URL;
+
+      assert.equal(received.url, "/api/v2/orders/A%2F12%3Fx%3D1?view=summary/short");
+    });
+  });
+});
@@ -0,0 +1,63 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { StartSensitivity, EndSensitivity } = require("@google/genai");
+
+const { OPTIONS, loadLiveOptions, resolveLiveOptions, buildLiveConfig } = require("../utils/live_config");
+
+describe("live config", () => {
+  let saved;
+  beforeEach(() => {
+    saved = { ...process.env };
+    for (const { env } of Object.values(OPTIONS)) delete process.env[env];
+  });
+  afterEach(() => {
+    process.env = saved;
+  });
+
+  it("maps the voice activity detection options", () => {
+    process.env.GEMINI_VAD_START_SENSITIVITY = "low";
+    process.env.GEMINI_VAD_END_SENSITIVITY = "high";
+    process.env.GEMINI_VAD_SILENCE_DURATION_MS = "800";
+    const config = buildLiveConfig(loadLiveOptions());
+    assert.deepEqual(config.realtimeInputConfig, {
+      automaticActivityDetection: {
+        startOfSpeechSensitivity: StartSensitivity.START_SENSITIVITY_LOW,
+        endOfSpeechSensitivity: EndSensitivity.END_SENSITIVITY_HIGH,
+        silenceDurationMs: 800,
+      },
+    });
+  });
+
+  it("keeps automatic activity detection on with GEMINI_VAD_DISABLED=false", () => {
+    process.env.GEMINI_VAD_DISABLED = "false";
+    const config = buildLiveConfig(loadLiveOptions());
+    assert.equal(config.realtimeInputConfig, undefined);
+  });
+
+  it("refuses to start with GEMINI_VAD_DISABLED=true", () => {
+    process.env.GEMINI_VAD_DISABLED = "true";
+    assert.throws(
+      () => loadLiveOptions(),
+      /GEMINI_VAD_DISABLED: vadDisabled=true is not supported: manual activity detection is not implemented/,
+    );
+  });
+
+  it("ignores a per-call override disabling activity detection", () => {
+    loadLiveOptions();
+    const options = resolveLiveOptions({ vadDisabled: true, vadSilenceDurationMs: 600 });
+    assert.equal(options.vadDisabled, false);
+    assert.deepEqual(buildLiveConfig(options).realtimeInputConfig, {
+      automaticActivityDetection: { silenceDurationMs: 600 },
+    });
+  });
+
+  it("lists every invalid variable", () => {
+    process.env.GEMINI_TEMPERATURE = "3";
+    process.env.GEMINI_VAD_END_SENSITIVITY = "medium";
+    assert.throws(() => loadLiveOptions(), (error) => {
+      assert.match(error.message, /GEMINI_TEMPERATURE: temperature must be a number between 0 and 2/);
+      assert.match(error.message, /GEMINI_VAD_END_SENSITIVITY: vadEndSensitivity must be one of high, low/);
+      return true;
+    });
+  });
+});
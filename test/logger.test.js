@@ -0,0 +1,111 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createLogger, runInCallContext, redactText, sanitize } = require("../utils/logger");
+
+describe("logger", () => {
+  let saved;
+  beforeEach(() => {
+    saved = { ...process.env };
+    delete process.env.LOG_REDACT;
+    delete process.env.LOG_LEVEL;
+  });
+  afterEach(() => {
+    process.env = saved;
+  });
+
+  describe("redactText", () => {
+    it("masks email addresses", () => {
+      assert.equal(redactText("mail j.doe+calls@example.co.uk today"), "mail [email] today");
+    });
+
+    it("masks card numbers that pass the Luhn check", () => {
+      assert.equal(redactText("card 4111 1111 1111 1111 ok"), "card [card] ok");
+      assert.equal(redactText("card 4111-1111-1111-1112"), "card 4111-1111-1111-1112");
+    });
+
+    it("masks phone numbers down to their last two digits", () => {
+      assert.equal(redactText("call +31 6 12345678 now"), "call [phone ..78] now");
+      assert.equal(redactText("06-12345678"), "[phone ..78]");
+      assert.equal(redactText("(020) 123 4567"), "[phone ..67]");
+    });
+
+    it("leaves timestamps, dates, times and identifiers alone", () => {
+      for (const text of [
+        "at 1718000000000",
+        "on 2025-06-01 10:00",
+        "at 2025-06-01T10:00:00.000Z",
+        "order 12345678",
+        "uuid 4f1c2d3e-1234-5678-9abc-def012345678",
+      ]) {
+        assert.equal(redactText(text), text);
+      }
+    });
+  });
+
+  describe("sanitize", () => {
+    it("masks the values of personal data fields, however they look", () => {
+      const fields = sanitize({ caller_number: "anonymous", client_name: "John Doe", tool: "book_appointment", client_email: "" });
+      assert.deepEqual(fields, { caller_number: "[redacted]", client_name: "[redacted]", tool: "book_appointment", client_email: "" });
+    });
+
+    it("masks personal data in nested values and arrays", () => {
+      const fields = sanitize({ metadata: { Phone: "+31612345678" }, notes: ["write to john@example.com"] });
+      assert.deepEqual(fields, { metadata: { Phone: "[redacted]" }, notes: ["write to [email]"] });
+    });
+
+    it("keeps errors, buffers, audio and long strings out of the way", () => {
+      const error = Object.assign(new Error("failed for john@example.com"), { code: "ECONNRESET" });
+      const fields = sanitize({ error, chunk: Buffer.alloc(320), audio: "A".repeat(300), text: "x".repeat(2100) });
+      assert.equal(fields.error.message, "failed for [email]");
+      assert.equal(fields.error.code, "ECONNRESET");
+      assert.equal(fields.chunk, "[320 bytes]");
+      assert.equal(fields.audio, "[300 base64 chars]");
+      assert.equal(fields.text, `${"x".repeat(2000)}...`);
+    });
+
+    it("leaves values unmasked with LOG_REDACT=false, but still drops audio", () => {
+      process.env.LOG_REDACT = "false";
+      const fields = sanitize({ caller_number: "+31612345678", note: "mail john@example.com", audio: "A".repeat(300) });
+      assert.deepEqual(fields, { caller_number: "+31612345678", note: "mail john@example.com", audio: "[300 base64 chars]" });
+    });
+  });
+
+  describe("createLogger", () => {
+    let lines;
+    let write;
+    beforeEach(() => {
+      lines = [];
+      write = process.stdout.write;
+      process.stdout.write = (chunk) => lines.push(JSON.parse(chunk));
+    });
+    afterEach(() => {
+      process.stdout.write = write;
+    });
+
+    it("writes JSON lines with the component, the call's session and masked fields", () => {
+      const logger = createLogger("test");
+      runInCallContext({ session: "call-1" }, () => logger.info("Call from +31 6 12345678", { caller_number: "+31612345678" }));
+      assert.equal(lines.length, 1);
+      const { time, ...line } = lines[0];
+      assert.ok(!Number.isNaN(Date.parse(time)));
+      assert.deepEqual(line, {
+        level: "info",
+        component: "test",
+        session: "call-1",
+        msg: "Call from [phone ..78]",
+        caller_number: "[redacted]",
+      });
+    });
+
+    it("drops lines below LOG_LEVEL", () => {
+      process.env.LOG_LEVEL = "warn";
+      const logger = createLogger("test");
+      logger.info("hidden");
+      logger.debug("hidden");
+      logger.warn("shown");
+      assert.deepEqual(lines.map((line) => line.msg), ["shown"]);
+      assert.equal(logger.isDebugEnabled(), false);
+    });
+  });
+});
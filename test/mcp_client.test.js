@@ -0,0 +1,83 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+const { connectMcpServers, closeMcpServers } = require("../utils/mcp_client");
+const { findTool } = require("../loadTools");
+
+const SERVER = path.join(__dirname, "fixtures", "mcp_server.js");
+
+/**
+ * Waits until a condition holds.
+ * @param {function(): boolean} condition
+ * @param {number} [timeoutMs]
+ */
+async function waitFor(condition, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error("condition not met in time");
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+}
+
+describe("mcp client", () => {
+  before(async () => {
+    process.env.TEST_MCP_TOKEN = "s3cret";
+    process.env.MCP_SERVERS = JSON.stringify({
+      mcpServers: {
+        weather: {
+          command: process.execPath,
+          args: [SERVER],
+          env: { TEST_TOKEN: "{{env.TEST_MCP_TOKEN}}" },
+          prefix: "wx_",
+          tools: ["get.weather", "fail", "add_tool", "extra"],
+        },
+        filtered: { command: process.execPath, args: [SERVER], prefix: "only_", tools: ["fail"] },
+        broken: { command: process.execPath, url: "http://127.0.0.1:1/mcp" },
+        disabled: { command: process.execPath, args: [SERVER], prefix: "off_", enabled: false },
+      },
+    });
+    await connectMcpServers();
+  });
+
+  after(async () => {
+    await closeMcpServers();
+    delete process.env.MCP_SERVERS;
+    delete process.env.TEST_MCP_TOKEN;
+  });
+
+  it("registers the tools of a stdio server under valid, prefixed names", () => {
+    const tool = findTool("wx_get_weather");
+    assert.ok(tool);
+    assert.equal(tool.description, "Weather for a city");
+    assert.deepEqual(tool.input_schema.required, ["city"]);
+  });
+
+  it("forwards calls and passes the expanded environment to the server", async () => {
+    const result = await findTool("wx_get_weather").handler("call-1", { city: "Utrecht" }, {});
+    assert.equal(result, "Sunny in Utrecht, token s3cret");
+  });
+
+  it("turns tool errors into exceptions", async () => {
+    await assert.rejects(findTool("wx_fail").handler("call-1", {}, {}), /the weather service is down/);
+  });
+
+  it("only registers the listed tools, and skips invalid and disabled servers", () => {
+    assert.ok(findTool("only_fail"));
+    assert.equal(findTool("only_get_weather"), null);
+    assert.equal(findTool("off_get_weather"), null);
+  });
+
+  it("follows the server's tool list changes", async () => {
+    assert.equal(findTool("wx_extra"), null);
+    await findTool("wx_add_tool").handler("call-1", {}, {});
+    await waitFor(() => findTool("wx_extra") !== null);
+    assert.equal(await findTool("wx_extra").handler("call-1", {}, {}), "extra result");
+  });
+
+  it("removes the tools when the servers are closed", async () => {
+    await closeMcpServers();
+    assert.equal(findTool("wx_get_weather"), null);
+    assert.equal(findTool("only_fail"), null);
+  });
+});
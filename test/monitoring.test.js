@@ -0,0 +1,123 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+
+const { addReadinessCheck, handleMonitoringRequest } = require("../utils/monitoring");
+const metrics = require("../utils/metrics");
+const { createLiveServer, waitFor } = require("./fixtures/live_server");
+const { startServer } = require("./fixtures/avr_server");
+
+/**
+ * Sends a request and reads the response.
+ * @param {number} port
+ * @param {string} path
+ * @param {string} [method]
+ * @returns {Promise<{status: number, type: string, body: string}>}
+ */
+const request = (port, path, method = "GET") =>
+  new Promise((resolve, reject) => {
+    const req = http.request({ host: "127.0.0.1", port, path, method }, (res) => {
+      let body = "";
+      res.on("data", (chunk) => (body += chunk));
+      res.on("end", () => resolve({ status: res.statusCode, type: res.headers["content-type"], body }));
+    });
+    req.on("error", reject);
+    req.end();
+  });
+
+// Value of a metric sample in the Prometheus text format, 0 when absent
+const sample = (text, name) => {
+  const line = text.split("\n").find((candidate) => candidate.startsWith(`${name} `));
+  return line ? Number(line.slice(name.length + 1)) : 0;
+};
+
+describe("monitoring endpoints", () => {
+  let server;
+  let port;
+  let keyPresent = true;
+
+  before(async () => {
+    addReadinessCheck("gemini_api_key", () => keyPresent);
+    addReadinessCheck("broken", () => {
+      throw new Error("check crashed");
+    });
+    server = http.createServer(handleMonitoringRequest);
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    port = server.address().port;
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  it("answers the liveness probe", async () => {
+    const { status, body } = await request(port, "/healthz");
+    assert.equal(status, 200);
+    assert.deepEqual(JSON.parse(body), { status: "ok" });
+  });
+
+  it("reports each readiness check and fails when one does not pass", async () => {
+    const { status, body } = await request(port, "/readyz");
+    assert.equal(status, 503);
+    assert.deepEqual(JSON.parse(body), { status: "not_ready", checks: { gemini_api_key: true, broken: false } });
+    keyPresent = false;
+    assert.equal(JSON.parse((await request(port, "/readyz")).body).checks.gemini_api_key, false);
+  });
+
+  it("exposes the Prometheus metrics", async () => {
+    metrics.toolCalls.inc({ tool: "get_transcript", status: "ok" });
+    const { status, type, body } = await request(port, "/metrics");
+    assert.equal(status, 200);
+    assert.match(type, /^text\/plain/);
+    assert.equal(sample(body, 'avr_sts_tool_calls_total{tool="get_transcript",status="ok"}'), 1);
+    assert.match(body, /^avr_sts_process_cpu_seconds_total /m);
+  });
+
+  it("refuses other paths and methods", async () => {
+    assert.equal((await request(port, "/")).status, 404);
+    assert.equal((await request(port, "/healthz", "POST")).status, 405);
+  });
+});
+
+describe("server monitoring", () => {
+  let gemini;
+  let server;
+
+  before(async () => {
+    gemini = createLiveServer();
+    await gemini.listen();
+    server = await startServer({ GOOGLE_GEMINI_BASE_URL: gemini.baseUrl });
+  });
+
+  after(async () => {
+    await server.stop();
+    await gemini.close();
+  });
+
+  it("is ready once started, on the WebSocket port", async () => {
+    const { status, body } = await request(server.port, "/readyz");
+    assert.equal(status, 200);
+    assert.deepEqual(JSON.parse(body).checks, { gemini_api_key: true, resampler: true, accepting_calls: true, capacity: true });
+  });
+
+  it("counts sessions, Gemini connections, tool calls and ended calls", async () => {
+    const metricsText = async () => (await request(server.port, "/metrics")).body;
+    const client = await server.connect();
+    client.send({ type: "init", uuid: "measured" });
+    const live = await waitFor(() => gemini.sessions[0]);
+    await live.waitForMessage("setup");
+    live.send({ toolCall: { functionCalls: [{ id: "t1", name: "get_transcript", args: {} }] } });
+    await live.waitForMessage("toolResponse");
+
+    let text = await metricsText();
+    assert.equal(sample(text, "avr_sts_active_sessions"), 1);
+    assert.equal(sample(text, "avr_sts_gemini_connect_seconds_count"), 1);
+    assert.equal(sample(text, 'avr_sts_tool_calls_total{tool="get_transcript",status="ok"}'), 1);
+    assert.equal(sample(text, 'avr_sts_tool_call_duration_seconds_count{tool="get_transcript"}'), 1);
+
+    client.send({ type: "close" });
+    await server.waitForRecord("measured");
+    text = await metricsText();
+    assert.equal(sample(text, "avr_sts_active_sessions"), 0);
+    assert.equal(sample(text, 'avr_sts_calls_total{end_reason="caller_hangup"}'), 1);
+    assert.equal(sample(text, "avr_sts_call_duration_seconds_count"), 1);
+  });
+});
@@ -0,0 +1,132 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createPlayout } = require("../utils/playout");
+const { createLiveServer, waitFor } = require("./fixtures/live_server");
+const { startServer } = require("./fixtures/avr_server");
+
+describe("playout queue", () => {
+  let sent;
+  let playout;
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ["setTimeout", "Date"], now: 0 });
+    sent = [];
+    playout = createPlayout({ frameMs: 20, leadMs: 60, send: (frame) => sent.push(frame) });
+  });
+
+  afterEach(() => {
+    playout.destroy();
+    mock.timers.reset();
+  });
+
+  // Advances the clock in small steps, so each timer sees its own time
+  const advance = (ms) => {
+    for (let i = 0; i < ms; i += 5) mock.timers.tick(5);
+  };
+
+  const pushFrames = (count) => {
+    for (let i = 0; i < count; i++) playout.push(i);
+  };
+
+  it("releases frames in real time, only the lead ahead of playback", () => {
+    pushFrames(10);
+    // Frames due at 0, 20, 40 and 60ms are within the lead
+    assert.deepEqual(sent, [0, 1, 2, 3]);
+    advance(40);
+    assert.deepEqual(sent, [0, 1, 2, 3, 4, 5]);
+    advance(200);
+    assert.equal(sent.length, 10);
+  });
+
+  it("drops what was not played on interruption and tells how much was", () => {
+    pushFrames(10);
+    advance(50);
+    assert.deepEqual(playout.interrupt(), { playedMs: 40, durationMs: 200, droppedFrames: 8 });
+    const count = sent.length;
+    advance(200);
+    assert.equal(sent.length, count);
+    assert.equal(playout.interrupt(), null);
+  });
+
+  it("tracks the model turns separately", () => {
+    pushFrames(2);
+    playout.endTurn();
+    assert.equal(playout.playingCompletedTurn, true);
+    pushFrames(3);
+    advance(30);
+    // The first frame of the new turn plays from 40ms
+    assert.equal(playout.playingCompletedTurn, true);
+    advance(20);
+    assert.equal(playout.playingCompletedTurn, false);
+    advance(20);
+    assert.deepEqual(playout.interrupt(), { playedMs: 20, durationMs: 60, droppedFrames: 2 });
+  });
+
+  it("tells when everything queued has been played", async () => {
+    pushFrames(3);
+    let drained = false;
+    const done = playout.drained().then(() => (drained = true));
+    advance(40);
+    await Promise.resolve();
+    assert.equal(drained, false);
+    advance(30);
+    await done;
+    assert.equal(drained, true);
+  });
+
+  it("restarts the clock after an underrun", () => {
+    pushFrames(1);
+    advance(500);
+    pushFrames(5);
+    // The clock does not catch up: only the frames within the lead are sent right away
+    assert.equal(sent.length, 5);
+  });
+});
+
+describe("paced audio", () => {
+  let gemini;
+  let server;
+
+  before(async () => {
+    gemini = createLiveServer();
+    await gemini.listen();
+    server = await startServer({ GOOGLE_GEMINI_BASE_URL: gemini.baseUrl });
+  });
+
+  after(async () => {
+    await server.stop();
+    await gemini.close();
+  });
+
+  it("holds back the model's audio and records how much of an interrupted turn was heard", async () => {
+    const client = await server.connect();
+    client.send({ type: "init", uuid: "paced" });
+    const live = await waitFor(() => gemini.sessions[0]);
+    await live.waitForMessage("setup");
+
+    // Two seconds of model audio in one chunk, 100 frames of 20ms
+    const audio = Buffer.alloc(24 * 2000 * 2).toString("base64");
+    live.send({
+      serverContent: {
+        outputTranscription: { text: "one two three four five six seven eight nine ten" },
+        modelTurn: { parts: [{ inlineData: { mimeType: "audio/pcm;rate=24000", data: audio } }] },
+      },
+    });
+    const audioFrames = () => client.messages.filter((message) => message.type === "audio").length;
+    await waitFor(() => audioFrames() >= 5);
+    assert.ok(audioFrames() < 50, `${audioFrames()} frames sent at once`);
+
+    live.send({ serverContent: { interrupted: true } });
+    await waitFor(() => client.messages.some((message) => message.type === "interruption"));
+    const count = audioFrames();
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    assert.equal(audioFrames(), count);
+    client.send({ type: "close" });
+
+    const [entry] = (await server.waitForRecord("paced")).transcript;
+    assert.equal(entry.interrupted, true);
+    assert.ok(entry.playedMs < entry.durationMs, `${entry.playedMs}ms of ${entry.durationMs}ms played`);
+    assert.ok(entry.unplayedText.endsWith("ten"));
+  });
+});
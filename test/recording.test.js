@@ -0,0 +1,138 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { createCallRecorder, pruneRecordings } = require("../utils/recording");
+
+const START = Date.parse("2030-01-07T10:00:00.000Z");
+
+// Chunk of 16-bit PCM holding the same value in every sample
+const pcm = (samples, value) => Buffer.from(new Int16Array(samples).fill(value).buffer);
+
+/**
+ * Reads the format and samples of a WAV file written by the recorder.
+ * @param {string} file
+ * @returns {{format: number, channels: number, sampleRate: number, bits: number, data: Buffer}}
+ */
+function readWav(file) {
+  const wav = fs.readFileSync(file);
+  assert.equal(wav.toString("ascii", 0, 4), "RIFF");
+  assert.equal(wav.readUInt32LE(4), wav.length - 8);
+  const dataOffset = wav.indexOf("data", 36) + 8;
+  assert.equal(wav.readUInt32LE(dataOffset - 4), wav.length - dataOffset);
+  return {
+    format: wav.readUInt16LE(20),
+    channels: wav.readUInt16LE(22),
+    sampleRate: wav.readUInt32LE(24),
+    bits: wav.readUInt16LE(34),
+    data: wav.subarray(dataOffset),
+  };
+}
+
+// Samples of one channel of a stereo 16-bit mix
+const channel = ({ data }, index) =>
+  Array.from({ length: data.length / 4 }, (_, frame) => data.readInt16LE(frame * 4 + index * 2));
+
+describe("call recording", () => {
+  let saved;
+  let root;
+
+  beforeEach(() => {
+    saved = { ...process.env };
+    root = fs.mkdtempSync(path.join(os.tmpdir(), "avr-recordings-"));
+    process.env.AUDIO_SAVE_DIR = root;
+    delete process.env.RECORDING_FORMAT;
+    delete process.env.RECORDING_MIX_SAMPLE_RATE;
+    mock.timers.enable({ apis: ["Date"], now: START });
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+    process.env = saved;
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it("writes each side as WAV and a stereo mix aligned on the call timeline", async () => {
+    const recorder = createCallRecorder("call-1", "bot");
+    // 100ms of caller audio at the start, 200ms of agent audio from 500ms
+    await recorder.write("user", pcm(800, 1000));
+    mock.timers.tick(500);
+    await recorder.write("ai", pcm(4800, 2000));
+    const files = await recorder.finalize();
+
+    const dir = path.join(root, "2030-01-07", "bot", "call-1");
+    assert.deepEqual(files, {
+      user: path.join(dir, "user_audio.wav"),
+      ai: path.join(dir, "ai_audio.wav"),
+      mix: path.join(dir, "call_stereo.wav"),
+    });
+    assert.deepEqual(fs.readdirSync(dir).sort(), ["ai_audio.wav", "call_stereo.wav", "user_audio.wav"]);
+
+    const user = readWav(files.user);
+    assert.deepEqual([user.format, user.channels, user.sampleRate, user.bits], [1, 1, 8000, 16]);
+    assert.deepEqual(user.data, pcm(800, 1000));
+    const ai = readWav(files.ai);
+    assert.deepEqual([ai.channels, ai.sampleRate, ai.data.length], [1, 24000, 9600]);
+
+    const mix = readWav(files.mix);
+    assert.deepEqual([mix.channels, mix.sampleRate], [2, 8000]);
+    const left = channel(mix, 0);
+    const right = channel(mix, 1);
+    // 700ms at 8kHz: caller on the left for 100ms, agent on the right from 500ms
+    assert.equal(left.length, 5600);
+    assert.ok(left.slice(0, 800).every((value) => value === 1000));
+    assert.ok(left.slice(800).every((value) => value === 0));
+    assert.ok(right.slice(0, 4000).every((value) => value === 0));
+    assert.ok(right.slice(4000).every((value) => value === 2000));
+  });
+
+  it("plays agent audio after the audio queued before it", async () => {
+    const recorder = createCallRecorder("call-2", "bot");
+    await recorder.write("ai", pcm(2400, 100));
+    // Generated faster than played: the second chunk starts when the first ends
+    await recorder.write("ai", pcm(2400, 200));
+    mock.timers.tick(1000);
+    await recorder.write("ai", pcm(2400, 300));
+    const right = channel(readWav((await recorder.finalize()).mix), 1);
+    assert.equal(right.length, 8800);
+    assert.deepEqual([right[0], right[799], right[800], right[1599], right[1600], right[7999], right[8000]], [100, 100, 200, 200, 0, 0, 300]);
+  });
+
+  it("cuts the agent audio the caller did not hear from the mix", async () => {
+    const recorder = createCallRecorder("call-3", "bot");
+    await recorder.write("ai", pcm(24000, 500));
+    mock.timers.tick(300);
+    recorder.interrupt();
+    const files = await recorder.finalize();
+    assert.equal(readWav(files.ai).data.length, 48000, "the agent track keeps what was generated");
+    assert.equal(channel(readWav(files.mix), 1).length, 2400);
+  });
+
+  it("writes µ-law files and mixes at the configured sample rate", async () => {
+    process.env.RECORDING_FORMAT = "ulaw";
+    process.env.RECORDING_MIX_SAMPLE_RATE = "16000";
+    const recorder = createCallRecorder("call-4", "bot", { userSampleRate: 16000 });
+    await recorder.write("user", pcm(1600, 0));
+    const files = await recorder.finalize();
+    const user = readWav(files.user);
+    assert.deepEqual([user.format, user.sampleRate, user.bits], [7, 16000, 8]);
+    assert.deepEqual(user.data, Buffer.alloc(1600, 0xff));
+    const mix = readWav(files.mix);
+    assert.deepEqual([mix.format, mix.channels, mix.sampleRate, mix.data.length], [7, 2, 16000, 3200]);
+  });
+
+  it("writes nothing for a call without audio", async () => {
+    assert.deepEqual(await createCallRecorder("call-5", "bot").finalize(), {});
+    assert.deepEqual(fs.readdirSync(root), []);
+  });
+
+  it("deletes the date directories past the retention period", async () => {
+    for (const dir of ["2030-01-05", "2030-01-06", "2030-01-07", "other"]) {
+      fs.mkdirSync(path.join(root, dir, "bot"), { recursive: true });
+    }
+    assert.deepEqual(await pruneRecordings(2), ["2030-01-05"]);
+    assert.deepEqual(fs.readdirSync(root).sort(), ["2030-01-06", "2030-01-07", "other"]);
+  });
+});
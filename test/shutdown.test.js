@@ -0,0 +1,98 @@
+const { describe, it, before, after, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+
+const { createLiveServer, waitFor } = require("./fixtures/live_server");
+const { startServer } = require("./fixtures/avr_server");
+
+/**
+ * Reads the readiness of a server.
+ * @param {number} port
+ * @returns {Promise<{status: number, body: object}>}
+ */
+const readiness = (port) =>
+  new Promise((resolve, reject) => {
+    http
+      .get({ host: "127.0.0.1", port, path: "/readyz" }, (res) => {
+        let body = "";
+        res.on("data", (chunk) => (body += chunk));
+        res.on("end", () => resolve({ status: res.statusCode, body: JSON.parse(body) }));
+      })
+      .on("error", reject);
+  });
+
+describe("graceful shutdown", () => {
+  let gemini;
+  let server;
+
+  before(async () => {
+    gemini = createLiveServer();
+    await gemini.listen();
+  });
+
+  // Each test starts a server of its own, as shutting down ends it
+  afterEach(() => server.stop());
+
+  after(() => gemini.close());
+
+  /**
+   * Starts a call and waits until its Gemini session is set up.
+   * @param {string} uuid
+   * @returns {Promise<{client: object, live: object}>}
+   */
+  const startCall = async (uuid) => {
+    const count = gemini.sessions.length;
+    const client = await server.connect();
+    client.send({ type: "init", uuid });
+    const live = await waitFor(() => gemini.sessions[count]);
+    await live.waitForMessage("setup");
+    return { client, live };
+  };
+
+  const shuttingDown = () => server.logs.some((line) => line.msg === "Shutting down gracefully: draining active calls");
+
+  it("lets calls in progress finish while refusing new ones", async () => {
+    server = await startServer({ GOOGLE_GEMINI_BASE_URL: gemini.baseUrl, SHUTDOWN_DRAIN_TIMEOUT_MS: "10000" });
+    const { client, live } = await startCall("draining");
+    const exited = server.shutdown();
+    await waitFor(shuttingDown);
+
+    const { status, body } = await readiness(server.port);
+    assert.equal(status, 503);
+    assert.equal(body.checks.accepting_calls, false);
+    await assert.rejects(server.connect(), /503/);
+
+    // The call goes on as usual
+    live.send({ toolCall: { functionCalls: [{ id: "t1", name: "get_transcript", args: {} }] } });
+    await live.waitForMessage("toolResponse");
+    client.send({ type: "close" });
+
+    assert.equal(await exited, 0);
+    assert.equal((await server.waitForRecord("draining")).endReason, "caller_hangup");
+  });
+
+  it("asks the model to wrap up and ends the calls left at the drain timeout", async () => {
+    server = await startServer({
+      GOOGLE_GEMINI_BASE_URL: gemini.baseUrl,
+      SHUTDOWN_DRAIN_TIMEOUT_MS: "500",
+      SHUTDOWN_WRAP_UP: "true",
+    });
+    const { client, live } = await startCall("drain-timeout");
+    const exited = server.shutdown();
+
+    const wrapUp = await waitFor(() => live.received.find((message) => /about to restart/.test(message.realtimeInput?.text)));
+    assert.match(wrapUp.realtimeInput.text, /Within the next 1 seconds/);
+    assert.equal((await client.closed).code, 1005);
+    assert.equal(await exited, 0);
+    // The call record is sent before the server exits
+    assert.equal(server.records.find((record) => record.uuid === "drain-timeout")?.endReason, "shutdown");
+  });
+
+  it("exits at once on a second signal", async () => {
+    server = await startServer({ GOOGLE_GEMINI_BASE_URL: gemini.baseUrl, SHUTDOWN_DRAIN_TIMEOUT_MS: "10000" });
+    await startCall("impatient");
+    server.shutdown();
+    await waitFor(shuttingDown);
+    assert.equal(await server.shutdown(), 1);
+  });
+});
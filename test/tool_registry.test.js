@@ -0,0 +1,117 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { initTools, loadTools, isToolEnabled, findTool } = require("../loadTools");
+const { waitFor } = require("./fixtures/live_server");
+
+/**
+ * Source of a tool module.
+ * @param {string} name
+ * @param {object} [fields] - Other exports, as source text keyed by name
+ * @returns {string}
+ */
+const toolSource = (name, fields = {}) => {
+  const exports = { name: JSON.stringify(name), description: '"Test tool"', handler: "async () => \"ok\"", ...fields };
+  const body = Object.entries(exports).map(([key, value]) => `  ${key}: ${value},`).join("\n");
+  return `module.exports = {\n${body}\n};\n`;
+};
+
+describe("tool registry", () => {
+  let saved;
+  let toolDir;
+
+  const writeTool = (file, text) => fs.writeFileSync(path.join(toolDir, file), text);
+  const names = (filter) => loadTools(filter).map((tool) => tool.name);
+
+  before(() => {
+    saved = { ...process.env };
+    toolDir = fs.mkdtempSync(path.join(os.tmpdir(), "avr-tools-"));
+    process.env.TOOLS_DIRS = toolDir;
+    process.env.TOOLS_HOT_RELOAD = "true";
+    delete process.env.REGISTRY_TEST_KEY;
+
+    writeTool("extra_tool.js", toolSource("extra_tool", { manifest: '{ version: "1.0.0" }' }));
+    writeTool("needs_env.js", toolSource("needs_env", { manifest: '{ env: ["REGISTRY_TEST_KEY"] }' }));
+    writeTool("needs_setting.js", toolSource("needs_setting", { manifest: '{ settings: ["crm.account_id"] }' }));
+    writeTool("no_handler.js", toolSource("no_handler", { handler: '"not a function"' }));
+    writeTool("bad_name.js", toolSource("1bad name"));
+    writeTool("get_transcript.js", toolSource("get_transcript", { description: '"Shadowing a project tool"' }));
+    writeTool("notes.txt", toolSource("from_text_file"));
+    writeTool(
+      "http_tools.yaml",
+      [
+        "tools:",
+        "  - name: lookup_order",
+        "    description: Looks up an order",
+        "    method: GET",
+        "    url: https://example.com/orders/{{order_id}}",
+        "    parameters:",
+        "      type: object",
+        "      properties:",
+        "        order_id: { type: string }",
+        "",
+      ].join("\n"),
+    );
+    initTools();
+  });
+
+  after(() => {
+    process.env = saved;
+    fs.rmSync(toolDir, { recursive: true, force: true });
+  });
+
+  it("registers the project tools and those of the extra directories", () => {
+    const registered = names();
+    for (const name of ["avr_hangup", "get_transcript", "extra_tool", "needs_setting", "lookup_order"]) {
+      assert.ok(registered.includes(name), `${name} is registered`);
+    }
+    assert.deepEqual(loadTools().find((tool) => tool.name === "lookup_order").parameters, {
+      type: "object",
+      properties: { order_id: { type: "string" } },
+    });
+  });
+
+  it("ignores invalid modules and files that are not tools", () => {
+    const registered = names();
+    assert.equal(registered.includes("no_handler"), false);
+    assert.equal(registered.includes("1bad name"), false);
+    assert.equal(registered.includes("from_text_file"), false);
+  });
+
+  it("keeps the first definition of a tool name", () => {
+    assert.notEqual(findTool("get_transcript").description, "Shadowing a project tool");
+  });
+
+  it("leaves out tools whose environment variables are missing", () => {
+    assert.equal(findTool("needs_env"), null);
+  });
+
+  it("enables tools whose settings the bot profile provides", () => {
+    assert.equal(isToolEnabled("needs_setting"), false);
+    assert.equal(isToolEnabled("needs_setting", { toolSettings: { crm: { account_id: "A-1" } } }), true);
+  });
+
+  it("applies the enabled and disabled lists of the bot", () => {
+    assert.deepEqual(names({ enabled: ["extra_tool", "avr_hangup", "no_such_tool"] }), ["avr_hangup", "extra_tool"]);
+    const registered = names({ disabled: ["extra_tool"] });
+    assert.equal(registered.includes("extra_tool"), false);
+    assert.equal(registered.includes("avr_hangup"), true);
+    assert.equal(isToolEnabled("extra_tool", { disabled: ["extra_tool"] }), false);
+  });
+
+  it("reloads a changed tool file and picks up new ones", async () => {
+    writeTool("extra_tool.js", toolSource("extra_tool", { description: '"Reloaded"', handler: "async () => \"new\"" }));
+    writeTool("new_tool.js", toolSource("new_tool"));
+    await waitFor(() => findTool("extra_tool").description === "Reloaded" && findTool("new_tool"));
+    assert.equal(await findTool("extra_tool").handler(), "new");
+  });
+
+  it("drops a tool whose file breaks and keeps the others", async () => {
+    writeTool("new_tool.js", "module.exports = {");
+    await waitFor(() => findTool("new_tool") === null);
+    assert.ok(findTool("extra_tool"));
+  });
+});
@@ -0,0 +1,159 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { findTool, registerExternalTools, unregisterExternalTools } = require("../loadTools");
+const { createToolRuntime } = require("../utils/tool_runtime");
+
+const createRuntime = (context = {}) =>
+  createToolRuntime({ sessionUuid: "test-call", isEnabled: () => true, getContext: () => context });
+
+const keypad = (digits) => ({
+  collect: async () => ({ digits, reason: "terminator" }),
+  cancel: () => {},
+});
+
+describe("tool runtime", () => {
+  it("gives the model the digits of a sensitive tool and masks them for logs", async () => {
+    const runtime = createRuntime({ dtmf: keypad("4711") });
+    const [outcome] = await runtime.run([{ id: "1", name: "collect_digits", args: {} }]);
+    assert.equal(outcome.status, "ok");
+    assert.equal(outcome.response.result, "The caller entered: 4711");
+    assert.equal(outcome.redacted, "The caller entered: ****");
+  });
+
+  it("leaves the results of other tools alone", async () => {
+    const transcripts = new Map([["test-call", [{ timestamp: "10:00", speaker: "user", text: "Room 12" }]]]);
+    const runtime = createRuntime({ transcripts });
+    const [outcome] = await runtime.run([{ id: "1", name: "get_transcript", args: {} }]);
+    assert.equal(outcome.status, "ok");
+    assert.match(outcome.response.result, /user: Room 12/);
+    assert.equal(outcome.redacted, undefined);
+  });
+
+  it("answers unknown tools with an error", async () => {
+    const [outcome] = await createRuntime().run([{ id: "1", name: "no_such_tool", args: {} }]);
+    assert.equal(outcome.status, "error");
+    assert.equal(outcome.response.error.code, "unknown_tool");
+  });
+
+  it("rejects arguments that do not match the input schema", async () => {
+    const runtime = createRuntime({ dtmf: keypad("1") });
+    const [outcome] = await runtime.run([{ id: "1", name: "collect_digits", args: { max_digits: "four" } }]);
+    assert.equal(outcome.response.error.code, "invalid_arguments");
+  });
+});
+
+describe("tool runtime with registered tools", () => {
+  const SOURCE = "tool-runtime-test";
+  const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+  let secondStarted;
+  let signals;
+
+  // Waits until aborted, recording the signal so tests can check it was aborted
+  const waitForAbort = (sessionUuid, args, { signal }) => {
+    signals.push(signal);
+    return new Promise(() => {});
+  };
+
+  const tools = [
+    { name: "test_slow", description: "", input_schema: { type: "object" }, timeout_ms: 30, handler: waitForAbort },
+    {
+      name: "test_first",
+      description: "",
+      input_schema: { type: "object" },
+      // Only finishes once the second call has started, so it hangs if the calls run one by one
+      handler: async () => {
+        await Promise.race([secondStarted.promise, delay(1000).then(() => Promise.reject(new Error("ran alone")))]);
+        return "first";
+      },
+    },
+    {
+      name: "test_second",
+      description: "",
+      input_schema: { type: "object" },
+      handler: async () => {
+        secondStarted.resolve();
+        return "second";
+      },
+    },
+    {
+      name: "test_code",
+      description: "",
+      input_schema: { type: "object", properties: { code: { type: "string", pattern: "^\\d+$" } } },
+      handler: async (sessionUuid, { code }) => `code ${code}`,
+    },
+  ];
+
+  before(() => registerExternalTools(SOURCE, tools));
+  after(() => unregisterExternalTools(SOURCE));
+  beforeEach(() => {
+    signals = [];
+    let resolve;
+    secondStarted = { promise: new Promise((done) => (resolve = done)), resolve: () => resolve() };
+  });
+
+  it("answers with a timeout error and aborts the handler", async () => {
+    const [outcome] = await createRuntime().run([{ id: "1", name: "test_slow", args: {} }]);
+    assert.equal(outcome.status, "error");
+    assert.equal(outcome.response.error.code, "timeout");
+    assert.equal(signals[0].aborted, true);
+  });
+
+  it("takes the timeout from tool_settings first", async () => {
+    const runtime = createRuntime({ toolSettings: { test_slow: { timeout_ms: 10 } } });
+    const [outcome] = await runtime.run([{ id: "1", name: "test_slow", args: {} }]);
+    assert.equal(outcome.response.error.message, "test_slow did not answer within 0.01 seconds");
+  });
+
+  it("runs the calls of one request in parallel and answers in order", async () => {
+    const outcomes = await createRuntime().run([
+      { id: "1", name: "test_first", args: {} },
+      { id: "2", name: "test_second", args: {} },
+    ]);
+    assert.deepEqual(outcomes.map((outcome) => outcome.response.result), ["first", "second"]);
+  });
+
+  it("aborts cancelled calls and gives them no response", async () => {
+    const runtime = createRuntime();
+    const running = runtime.run([
+      { id: "1", name: "test_slow", args: {} },
+      { id: "2", name: "test_code", args: { code: "12" } },
+    ]);
+    await delay(5);
+    runtime.cancel(["1", "unknown"]);
+    const [cancelled, done] = await running;
+    assert.deepEqual({ status: cancelled.status, response: cancelled.response }, { status: "cancelled", response: undefined });
+    assert.equal(signals[0].aborted, true);
+    assert.equal(done.response.result, "code 12");
+  });
+
+  it("cancels every running call when the call ends", async () => {
+    const runtime = createRuntime({ toolSettings: { test_slow: { timeout_ms: 5000 } } });
+    const running = runtime.run([{ id: "1", name: "test_slow", args: {} }, { id: "2", name: "test_slow", args: {} }]);
+    await delay(5);
+    runtime.cancelAll();
+    assert.deepEqual((await running).map((outcome) => outcome.status), ["cancelled", "cancelled"]);
+  });
+
+  it("refuses to load a tool whose schema has an invalid pattern", () => {
+    const broken = { ...tools[3], name: "test_broken", input_schema: { properties: { code: { pattern: "[" } } } };
+    registerExternalTools(`${SOURCE}-broken`, [broken]);
+    try {
+      assert.equal(findTool("test_broken"), null);
+    } finally {
+      unregisterExternalTools(`${SOURCE}-broken`);
+    }
+  });
+
+  it("turns a schema that fails validation into a tool error", async () => {
+    const schema = tools[3].input_schema.properties.code;
+    schema.pattern = "[";
+    try {
+      const [outcome] = await createRuntime().run([{ id: "1", name: "test_code", args: { code: "12" } }]);
+      assert.equal(outcome.status, "error");
+      assert.equal(outcome.response.error.code, "tool_error");
+    } finally {
+      schema.pattern = "^\\d+$";
+    }
+  });
+});
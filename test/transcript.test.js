@@ -0,0 +1,122 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createTranscriptRecorder } = require("../utils/transcript");
+const { createLiveServer, waitFor } = require("./fixtures/live_server");
+const { startServer } = require("./fixtures/avr_server");
+
+const lines = (entries) => entries.map(({ speaker, text }) => `${speaker}: ${text}`);
+
+describe("transcript recorder", () => {
+  it("assembles streamed fragments into one entry per speaker turn", () => {
+    const entries = [];
+    const transcript = createTranscriptRecorder(entries);
+    transcript.addInput("I'd like ");
+    transcript.addInput(" an appointment");
+    assert.deepEqual(entries, [], "turns are only recorded once complete");
+    transcript.addOutput("Sure, ");
+    transcript.addOutput("which day?");
+    assert.deepEqual(lines(entries), ["User: I'd like an appointment"]);
+    transcript.completeTurn();
+    transcript.addInput("Monday.");
+    transcript.flush();
+    assert.deepEqual(lines(entries), ["User: I'd like an appointment", "AI: Sure, which day?", "User: Monday."]);
+    assert.ok(entries.every((entry) => !Number.isNaN(Date.parse(entry.timestamp))));
+  });
+
+  it("marks a model turn cut off by the caller", () => {
+    const entries = [];
+    const transcript = createTranscriptRecorder(entries);
+    transcript.addOutput("We are open from nine to five");
+    transcript.interrupt();
+    transcript.addInput("Thanks");
+    transcript.flush();
+    assert.deepEqual(lines(entries), ["AI: We are open from nine to five [interrupted]", "User: Thanks"]);
+    assert.equal(entries[0].interrupted, true);
+  });
+
+  it("cuts an interrupted turn at the share of its audio that was played", () => {
+    const entries = [];
+    const transcript = createTranscriptRecorder(entries);
+    transcript.addOutput("one two three four five six seven eight");
+    transcript.completeTurn();
+    // The turn finished generating, but its audio was still playing
+    transcript.interrupt({ playedMs: 1000, durationMs: 4000 });
+    assert.deepEqual(entries, [
+      {
+        speaker: "AI",
+        text: "one two [interrupted]",
+        unplayedText: "three four five six seven eight",
+        playedMs: 1000,
+        durationMs: 4000,
+        interrupted: true,
+        timestamp: entries[0].timestamp,
+      },
+    ]);
+    // A second interruption leaves the entry alone
+    transcript.interrupt({ playedMs: 0, durationMs: 1000 });
+    assert.equal(entries[0].text, "one two [interrupted]");
+  });
+
+  it("records tool calls, results and keypad digits as entries of their own", () => {
+    const entries = [];
+    const transcript = createTranscriptRecorder(entries);
+    transcript.addInput("Transfer me please");
+    transcript.addToolCall("avr_transfer", { reason: "caller asked" });
+    transcript.addToolResult("avr_transfer", "x".repeat(600));
+    transcript.addDtmf("12#");
+    assert.deepEqual(lines(entries), [
+      "User: Transfer me please",
+      'Tool: avr_transfer called with {"reason":"caller asked"}',
+      `Tool: avr_transfer returned ${"x".repeat(500)}...`,
+      "DTMF: 1 2 #",
+    ]);
+  });
+
+  it("ignores empty fragments and turns", () => {
+    const entries = [];
+    const transcript = createTranscriptRecorder(entries);
+    transcript.addInput("");
+    transcript.addOutput("  ");
+    transcript.completeTurn();
+    transcript.interrupt();
+    assert.deepEqual(entries, []);
+  });
+});
+
+describe("call transcript", () => {
+  let gemini;
+  let server;
+
+  before(async () => {
+    gemini = createLiveServer();
+    await gemini.listen();
+    server = await startServer({ GOOGLE_GEMINI_BASE_URL: gemini.baseUrl });
+  });
+
+  after(async () => {
+    await server.stop();
+    await gemini.close();
+  });
+
+  it("enables transcriptions and sends the assembled turns in the call record", async () => {
+    const client = await server.connect();
+    client.send({ type: "init", uuid: "transcribed" });
+    const live = await waitFor(() => gemini.sessions[0]);
+    const { setup } = await live.waitForMessage("setup");
+    assert.deepEqual(setup.inputAudioTranscription, {});
+    assert.deepEqual(setup.outputAudioTranscription, {});
+
+    live.send({ serverContent: { inputTranscription: { text: "What time " } } });
+    live.send({ serverContent: { inputTranscription: { text: "is it?" } } });
+    live.send({ serverContent: { outputTranscription: { text: "It is " } } });
+    live.send({ serverContent: { outputTranscription: { text: "noon." }, turnComplete: true } });
+    live.send({ serverContent: { outputTranscription: { text: "Anything else" } } });
+    live.send({ serverContent: { interrupted: true } });
+    await waitFor(() => server.logs.some((line) => line.session === "transcribed" && line.msg === "Gemini session interruption"));
+    client.send({ type: "close" });
+
+    const record = await server.waitForRecord("transcribed");
+    assert.deepEqual(lines(record.transcript), ["User: What time is it?", "AI: It is noon.", "AI: Anything else [interrupted]"]);
+  });
+});
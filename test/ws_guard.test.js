@@ -0,0 +1,215 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+const http = require("http");
+
+const {
+  authenticateRequest,
+  isOriginAllowed,
+  createRateLimiter,
+  startKeepalive,
+  loadTlsOptions,
+  verifyJwt,
+} = require("../utils/ws_guard");
+const { startServer } = require("./fixtures/avr_server");
+
+const SECRET = "jwt-test-secret";
+
+/**
+ * Signs a JWT.
+ * @param {object} claims
+ * @param {object} [options]
+ * @param {string} [options.alg]
+ * @param {string} [options.secret]
+ * @returns {string}
+ */
+const signJwt = (claims, { alg = "HS256", secret = SECRET } = {}) => {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+  const body = `${encode({ alg, typ: "JWT" })}.${encode(claims)}`;
+  const hash = { HS256: "sha256", HS384: "sha384", HS512: "sha512" }[alg] || "sha256";
+  return `${body}.${crypto.createHmac(hash, secret).update(body).digest("base64url")}`;
+};
+
+const now = () => Math.floor(Date.now() / 1000);
+
+// Upgrade request as seen by the server
+const upgradeRequest = ({ authorization, url = "/" } = {}) => ({ headers: { authorization }, url });
+
+describe("ws_guard", () => {
+  let saved;
+  beforeEach(() => {
+    saved = { ...process.env };
+    for (const name of ["WS_AUTH_TOKEN", "WS_JWT_SECRET", "WS_JWT_AUDIENCE", "WS_JWT_ISSUER", "WS_ALLOWED_ORIGINS", "TLS_CERT_FILE", "TLS_KEY_FILE"]) {
+      delete process.env[name];
+    }
+  });
+  afterEach(() => {
+    process.env = saved;
+  });
+
+  describe("verifyJwt", () => {
+    it("returns the claims of a valid token", () => {
+      const claims = { sub: "avr-core", exp: now() + 60 };
+      assert.deepEqual(verifyJwt(signJwt(claims), SECRET), claims);
+      assert.deepEqual(verifyJwt(signJwt(claims, { alg: "HS512" }), SECRET), claims);
+    });
+
+    it("refuses malformed, unsigned and badly signed tokens", () => {
+      assert.throws(() => verifyJwt("not-a-token", SECRET), /malformed token/);
+      assert.throws(() => verifyJwt(signJwt({ sub: "x" }, { secret: "other" }), SECRET), /invalid signature/);
+      assert.throws(() => verifyJwt(signJwt({ sub: "x" }, { alg: "none" }), SECRET), /unsupported algorithm none/);
+    });
+
+    it("checks the validity period, with some clock skew", () => {
+      assert.throws(() => verifyJwt(signJwt({ exp: now() - 60 }), SECRET), /token expired/);
+      assert.doesNotThrow(() => verifyJwt(signJwt({ exp: now() - 10 }), SECRET));
+      assert.throws(() => verifyJwt(signJwt({ nbf: now() + 60 }), SECRET), /token not valid yet/);
+    });
+
+    it("checks the audience and issuer when expected", () => {
+      const token = signJwt({ aud: ["avr", "crm"], iss: "https://auth.example.com" });
+      assert.doesNotThrow(() => verifyJwt(token, SECRET, { audience: "avr", issuer: "https://auth.example.com" }));
+      assert.throws(() => verifyJwt(token, SECRET, { audience: "billing" }), /wrong audience/);
+      assert.throws(() => verifyJwt(token, SECRET, { issuer: "https://evil.example.com" }), /wrong issuer/);
+    });
+  });
+
+  describe("authenticateRequest", () => {
+    it("lets every client in when no secret is configured", () => {
+      assert.deepEqual(authenticateRequest(upgradeRequest()), { ok: true });
+    });
+
+    it("accepts the shared token in the header or the query", () => {
+      process.env.WS_AUTH_TOKEN = "s3cret";
+      assert.deepEqual(authenticateRequest(upgradeRequest({ authorization: "Bearer s3cret" })), { ok: true });
+      assert.deepEqual(authenticateRequest(upgradeRequest({ url: "/?token=s3cret" })), { ok: true });
+      assert.deepEqual(authenticateRequest(upgradeRequest()), { ok: false, reason: "missing token" });
+      assert.deepEqual(authenticateRequest(upgradeRequest({ authorization: "Bearer s3cre" })), { ok: false, reason: "invalid token" });
+    });
+
+    it("accepts a JWT and tells who it was issued to", () => {
+      process.env.WS_JWT_SECRET = SECRET;
+      process.env.WS_JWT_AUDIENCE = "avr";
+      const token = signJwt({ sub: "tenant-1", aud: "avr" });
+      assert.deepEqual(authenticateRequest(upgradeRequest({ authorization: `Bearer ${token}` })), { ok: true, subject: "tenant-1" });
+      const other = signJwt({ sub: "tenant-1", aud: "crm" });
+      assert.deepEqual(authenticateRequest(upgradeRequest({ url: `/?token=${other}` })), { ok: false, reason: "wrong audience" });
+    });
+  });
+
+  it("allows the configured origins and clients without one", () => {
+    assert.equal(isOriginAllowed("https://evil.example.com"), true);
+    process.env.WS_ALLOWED_ORIGINS = "https://app.example.com/, https://admin.example.com";
+    assert.equal(isOriginAllowed(undefined), true);
+    assert.equal(isOriginAllowed("https://app.example.com"), true);
+    assert.equal(isOriginAllowed("https://evil.example.com"), false);
+  });
+
+  it("refuses half a TLS configuration", () => {
+    assert.equal(loadTlsOptions(), null);
+    process.env.TLS_CERT_FILE = "cert.pem";
+    assert.throws(() => loadTlsOptions(), /must be set together/);
+  });
+
+  describe("with a mocked clock", () => {
+    beforeEach(() => mock.timers.enable({ apis: ["setInterval", "Date"], now: 0 }));
+    afterEach(() => mock.timers.reset());
+
+    it("allows bursts of two seconds' worth of messages, then the rate", () => {
+      const limiter = createRateLimiter(5);
+      const taken = () => Array.from({ length: 12 }, () => limiter.take()).filter(Boolean).length;
+      assert.equal(taken(), 10);
+      mock.timers.tick(400);
+      assert.equal(taken(), 2);
+      assert.equal(createRateLimiter(0).take(), true);
+    });
+
+    it("terminates a client that stops answering pings", () => {
+      process.env.WS_PING_INTERVAL_MS = "1000";
+      const ws = Object.assign(new EventEmitter(), { pings: 0, terminated: false });
+      ws.ping = () => ws.pings++;
+      ws.terminate = () => (ws.terminated = true);
+      let dead = false;
+      const stop = startKeepalive(ws, () => (dead = true));
+
+      mock.timers.tick(1000);
+      ws.emit("pong");
+      mock.timers.tick(1000);
+      assert.equal(ws.pings, 2);
+      assert.equal(ws.terminated, false);
+      mock.timers.tick(1000);
+      assert.equal(dead, true);
+      assert.equal(ws.terminated, true);
+      stop();
+    });
+  });
+});
+
+describe("WebSocket limits", () => {
+  let server;
+  const auth = { headers: { Authorization: "Bearer s3cret" } };
+
+  before(async () => {
+    server = await startServer({
+      WS_AUTH_TOKEN: "s3cret",
+      MAX_CONCURRENT_SESSIONS: "1",
+      WS_MAX_PAYLOAD_BYTES: "4096",
+      WS_MAX_MESSAGES_PER_SECOND: "5",
+    });
+  });
+
+  after(() => server.stop());
+
+  /**
+   * Waits until the server has room for a call again, as its readiness tells.
+   */
+  const waitForIdle = async () => {
+    const capacity = () =>
+      new Promise((resolve, reject) => {
+        http
+          .get({ host: "127.0.0.1", port: server.port, path: "/readyz" }, (res) => {
+            let body = "";
+            res.on("data", (chunk) => (body += chunk));
+            res.on("end", () => resolve(JSON.parse(body).checks.capacity));
+          })
+          .on("error", reject);
+      });
+    const deadline = Date.now() + 5000;
+    while (!(await capacity())) {
+      if (Date.now() > deadline) throw new Error("The server kept its calls");
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+  };
+
+  it("refuses clients without a valid token", async () => {
+    await assert.rejects(server.connect(), /401/);
+    await assert.rejects(server.connect({ path: "/?token=wrong" }), /401/);
+    const client = await server.connect({ path: "/?token=s3cret" });
+    client.ws.close();
+    await client.closed;
+    await waitForIdle();
+  });
+
+  it("refuses sessions beyond the limit", async () => {
+    const client = await server.connect(auth);
+    await assert.rejects(server.connect(auth), /503/);
+    client.ws.close();
+    await client.closed;
+    await waitForIdle();
+  });
+
+  it("closes connections sending messages that are too large", async () => {
+    const client = await server.connect(auth);
+    client.ws.send("x".repeat(5000));
+    assert.equal((await client.closed).code, 1009);
+    await waitForIdle();
+  });
+
+  it("closes connections sending messages too fast", async () => {
+    const client = await server.connect(auth);
+    for (let i = 0; i < 20; i++) client.send({ type: "noise" });
+    assert.deepEqual(await client.closed, { code: 1008, reason: "Message rate limit exceeded" });
+    await waitForIdle();
+  });
+});
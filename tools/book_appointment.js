@@ -1,4 +1,7 @@
-const { bookAppointment } = require('../utils/google_calendar_helper');
+const { bookAppointment } = require('../utils/calendar');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger("book_appointment");
 
 module.exports = {
   name: "book_appointment",
@@ -14,18 +17,26 @@ module.exports = {
         type: "string",
         description: "The email address of the client booking the appointment.",
       },
+      client_phone: {
+        type: "string",
+        description: "Optional phone number of the client, used to find the appointment again when they call back. Defaults to the number the caller is calling from.",
+      },
       date: {
         type: "string",
         description: "The date of the appointment in YYYY-MM-DD format.",
       },
       time: {
         type: "string",
-        description: "The start time of the appointment in HH:MM format (UTC).",
+        description: "The start time of the appointment in HH:MM 24-hour format, as local time in the business time zone (or in time_zone if given).",
       },
       duration_minutes: {
         type: "number",
         description: "The duration of the appointment in minutes.",
       },
+      time_zone: {
+        type: "string",
+        description: "Optional IANA time zone of the caller (e.g. Europe/London) when it differs from the business time zone.",
+      },
       purpose: {
         type: "string",
         description: "The purpose or subject of the appointment.",
@@ -33,8 +44,13 @@ module.exports = {
     },
     required: ["client_name", "client_email", "date", "time", "duration_minutes", "purpose"],
   },
-  handler: async (sessionUuid, { client_name, client_email, date, time, duration_minutes, purpose }) => {
-    console.log(`Booking appointment for ${client_name} (${client_email}) on ${date} at ${time} for ${duration_minutes} minutes for purpose: ${purpose}, session: ${sessionUuid}.`);
-    return await bookAppointment(client_name, client_email, date, time, duration_minutes, purpose);
+  handler: async (sessionUuid, { client_name, client_email, client_phone, date, time, duration_minutes, purpose, time_zone }, context) => {
+    logger.info("Booking appointment", { client_name, client_email, date, time, duration_minutes, purpose });
+    return await bookAppointment(client_name, client_email, date, time, duration_minutes, purpose, {
+      timeZone: time_zone,
+      businessTimeZone: context?.toolSettings?.calendar?.time_zone,
+      calendarId: context?.toolSettings?.calendar?.calendar_id,
+      properties: { sessionUuid, callerNumber: client_phone || context?.metadata?.caller_number },
+    });
   },
 };
@@ -0,0 +1,38 @@
+const { cancelAppointment } = require('../utils/calendar');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger("cancel_appointment");
+
+module.exports = {
+  name: "cancel_appointment",
+  description: "Cancels an existing appointment found with find_my_appointment. Only call it after the caller has explicitly confirmed the cancellation.",
+  input_schema: {
+    type: "object",
+    properties: {
+      appointment_id: {
+        type: "string",
+        description: "The appointment ID returned by find_my_appointment.",
+      },
+      client_email: {
+        type: "string",
+        description: "The email address used for the booking. Needed, with client_phone, when the caller is not calling from the number used for the booking.",
+      },
+      client_phone: {
+        type: "string",
+        description: "The phone number used for the booking. Needed, with client_email, when the caller is not calling from that number.",
+      },
+      client_name: {
+        type: "string",
+        description: "The full name (first and last name) the appointment was booked under, as given by the caller, to verify their identity.",
+      },
+    },
+    required: ["appointment_id", "client_name"],
+  },
+  handler: async (sessionUuid, { appointment_id, client_email, client_phone, client_name }, context) => {
+    logger.info("Cancelling appointment", { appointment_id });
+    return await cancelAppointment(appointment_id, { email: client_email, phone: client_phone, callerNumber: context?.metadata?.caller_number, name: client_name }, {
+      businessTimeZone: context?.toolSettings?.calendar?.time_zone,
+      calendarId: context?.toolSettings?.calendar?.calendar_id,
+    });
+  },
+};
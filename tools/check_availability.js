@@ -1,4 +1,7 @@
-const { checkAvailability } = require('../utils/google_calendar_helper');
+const { checkAvailability } = require('../utils/calendar');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger("check_availability");
 
 module.exports = {
   name: "check_availability",
@@ -12,17 +15,25 @@ module.exports = {
       },
       time: {
         type: "string",
-        description: "The start time of the appointment in HH:MM format (UTC).",
+        description: "The start time of the appointment in HH:MM 24-hour format, as local time in the business time zone (or in time_zone if given).",
       },
       duration_minutes: {
         type: "number",
         description: "The duration of the appointment in minutes.",
       },
+      time_zone: {
+        type: "string",
+        description: "Optional IANA time zone of the caller (e.g. Europe/London) when it differs from the business time zone.",
+      },
     },
     required: ["date", "time", "duration_minutes"],
   },
-  handler: async (sessionUuid, { date, time, duration_minutes }) => {
-    console.log(`Checking availability for ${date} at ${time} for ${duration_minutes} minutes for session ${sessionUuid}.`);
-    return await checkAvailability(date, time, duration_minutes);
+  handler: async (sessionUuid, { date, time, duration_minutes, time_zone }, context) => {
+    logger.info("Checking availability", { date, time, duration_minutes });
+    return await checkAvailability(date, time, duration_minutes, {
+      timeZone: time_zone,
+      businessTimeZone: context?.toolSettings?.calendar?.time_zone,
+      calendarId: context?.toolSettings?.calendar?.calendar_id,
+    });
   },
 };
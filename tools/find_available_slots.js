@@ -0,0 +1,50 @@
+const { findAvailableSlots } = require('../utils/calendar');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger("find_available_slots");
+
+module.exports = {
+  name: "find_available_slots",
+  description: "Finds the next free appointment slots within business hours. Use it to propose alternatives instead of asking the caller for other times.",
+  input_schema: {
+    type: "object",
+    properties: {
+      start_date: {
+        type: "string",
+        description: "The first day to search in YYYY-MM-DD format. Defaults to today.",
+      },
+      end_date: {
+        type: "string",
+        description: "The last day to search in YYYY-MM-DD format. Defaults to one week after start_date.",
+      },
+      duration_minutes: {
+        type: "number",
+        description: "The duration of the appointment in minutes.",
+      },
+      preference: {
+        type: "string",
+        enum: ["morning", "afternoon", "any"],
+        description: "Whether the caller prefers a morning or afternoon slot.",
+      },
+      max_results: {
+        type: "number",
+        description: "How many slots to return. Defaults to 3.",
+      },
+      time_zone: {
+        type: "string",
+        description: "Optional IANA time zone of the caller (e.g. Europe/London) to quote the slots in when it differs from the business time zone.",
+      },
+    },
+    required: ["duration_minutes"],
+  },
+  handler: async (sessionUuid, { start_date, end_date, duration_minutes, preference, max_results, time_zone }, context) => {
+    logger.info("Finding available slots", { duration_minutes, start_date, end_date, preference });
+    return await findAvailableSlots(start_date, end_date, duration_minutes, {
+      preference,
+      maxResults: max_results,
+      timeZone: time_zone,
+      businessTimeZone: context?.toolSettings?.calendar?.time_zone,
+      calendarId: context?.toolSettings?.calendar?.calendar_id,
+    });
+  },
+};
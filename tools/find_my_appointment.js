@@ -0,0 +1,47 @@
+const { findAppointments } = require('../utils/calendar');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger("find_my_appointment");
+
+module.exports = {
+  name: "find_my_appointment",
+  description: "Finds the caller's existing appointments. The caller must give the full name the appointment was booked under. That is enough when they call from the number used for the booking; otherwise also ask for both the email address and the phone number used for the booking. Returns appointment IDs for reschedule_appointment and cancel_appointment.",
+  input_schema: {
+    type: "object",
+    properties: {
+      client_email: {
+        type: "string",
+        description: "The email address used for the booking. Needed, with client_phone, when the caller is not calling from the number used for the booking.",
+      },
+      client_phone: {
+        type: "string",
+        description: "The phone number used for the booking. Needed, with client_email, when the caller is not calling from that number.",
+      },
+      client_name: {
+        type: "string",
+        description: "The full name (first and last name) the appointment was booked under, as given by the caller, to verify their identity.",
+      },
+      date: {
+        type: "string",
+        description: "Optional date of the appointment in YYYY-MM-DD format. Without it the coming months are searched.",
+      },
+      time_zone: {
+        type: "string",
+        description: "Optional IANA time zone of the caller (e.g. Europe/London) to quote times in when it differs from the business time zone.",
+      },
+    },
+    required: ["client_name"],
+  },
+  handler: async (sessionUuid, { client_email, client_phone, client_name, date, time_zone }, context) => {
+    logger.info("Finding appointments", { client_email, client_phone, date });
+    return await findAppointments(
+      { email: client_email, phone: client_phone, callerNumber: context?.metadata?.caller_number, name: client_name },
+      date,
+      {
+        timeZone: time_zone,
+        businessTimeZone: context?.toolSettings?.calendar?.time_zone,
+        calendarId: context?.toolSettings?.calendar?.calendar_id,
+      },
+    );
+  },
+};
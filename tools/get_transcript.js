@@ -4,6 +4,10 @@
  * This tool retrieves the current conversation transcript for the session.
  */
 
+const { createLogger } = require("../utils/logger");
+
+const logger = createLogger("get_transcript");
+
 // Tool definition
 const name = "get_transcript";
 const description = "Get the full transcript of the conversation so far. Should be offered to the user at the end of a successful call.";
@@ -22,7 +26,8 @@ const input_schema = {
  * @returns {string} The formatted conversation transcript.
  */
 async function handler(sessionUuid, args, context) {
-  console.log("get_transcript tool called. Transcripts:", context.transcripts.get(sessionUuid));
+  // The transcript itself is the conversation, so only its size is logged
+  logger.info("get_transcript tool called", { entries: context.transcripts?.get(sessionUuid)?.length ?? 0 });
   if (context.transcripts && context.transcripts.has(sessionUuid)) {
     const transcript = context.transcripts.get(sessionUuid);
     if (transcript.length === 0) {
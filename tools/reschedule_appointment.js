@@ -0,0 +1,62 @@
+const { rescheduleAppointment } = require('../utils/calendar');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger("reschedule_appointment");
+
+module.exports = {
+  name: "reschedule_appointment",
+  description: "Moves an existing appointment, found with find_my_appointment, to a new date and time if that slot is free. Confirm the new time with the caller first.",
+  input_schema: {
+    type: "object",
+    properties: {
+      appointment_id: {
+        type: "string",
+        description: "The appointment ID returned by find_my_appointment.",
+      },
+      client_email: {
+        type: "string",
+        description: "The email address used for the booking. Needed, with client_phone, when the caller is not calling from the number used for the booking.",
+      },
+      client_phone: {
+        type: "string",
+        description: "The phone number used for the booking. Needed, with client_email, when the caller is not calling from that number.",
+      },
+      client_name: {
+        type: "string",
+        description: "The full name (first and last name) the appointment was booked under, as given by the caller, to verify their identity.",
+      },
+      date: {
+        type: "string",
+        description: "The new date in YYYY-MM-DD format.",
+      },
+      time: {
+        type: "string",
+        description: "The new start time in HH:MM 24-hour format, as local time in the business time zone (or in time_zone if given).",
+      },
+      duration_minutes: {
+        type: "number",
+        description: "Optional new duration in minutes. Defaults to the current duration.",
+      },
+      time_zone: {
+        type: "string",
+        description: "Optional IANA time zone of the caller (e.g. Europe/London) when it differs from the business time zone.",
+      },
+    },
+    required: ["appointment_id", "client_name", "date", "time"],
+  },
+  handler: async (sessionUuid, { appointment_id, client_email, client_phone, client_name, date, time, duration_minutes, time_zone }, context) => {
+    logger.info("Rescheduling appointment", { appointment_id, date, time });
+    return await rescheduleAppointment(
+      appointment_id,
+      { email: client_email, phone: client_phone, callerNumber: context?.metadata?.caller_number, name: client_name },
+      date,
+      time,
+      duration_minutes,
+      {
+        timeZone: time_zone,
+        businessTimeZone: context?.toolSettings?.calendar?.time_zone,
+        calendarId: context?.toolSettings?.calendar?.calendar_id,
+      },
+    );
+  },
+};
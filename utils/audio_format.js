@@ -0,0 +1,126 @@
+/**
+ * audio_format.js
+ * Audio formats of the client WebSocket protocol.
+ *
+ * The client may ask for a format in the init message:
+ *   "audioFormat": { "encoding": "ulaw", "sampleRate": 8000, "frameMs": 20 }
+ * - encoding: slin (signed 16-bit little-endian PCM), ulaw (G.711 µ-law) or alaw (G.711 A-law)
+ * - sampleRate: 8000, 16000 or 24000 (companded encodings are 8000 only)
+ * - frameMs: duration of the audio frames sent to the client, 10, 20 or 30
+ *
+ * Common codec names are accepted as encodings too, e.g. pcmu, pcma or slin16
+ * (which also selects 16kHz). Without audioFormat the format is 8kHz slin in
+ * 20ms frames, as before.
+ */
+
+const { toSamples } = require("./resampler");
+const { encodeMuLaw, decodeMuLaw, encodeALaw, decodeALaw } = require("./g711");
+
+const DEFAULT_AUDIO_FORMAT = Object.freeze({ encoding: "slin", sampleRate: 8000, frameMs: 20 });
+
+const SAMPLE_RATES = [8000, 16000, 24000];
+const FRAME_DURATIONS = [10, 20, 30];
+
+// Codec names mapped to an encoding, and the sample rate they imply
+const ENCODING_ALIASES = {
+  slin: { encoding: "slin" },
+  pcm: { encoding: "slin" },
+  linear16: { encoding: "slin" },
+  slin16: { encoding: "slin", sampleRate: 16000 },
+  slin24: { encoding: "slin", sampleRate: 24000 },
+  ulaw: { encoding: "ulaw", sampleRate: 8000 },
+  mulaw: { encoding: "ulaw", sampleRate: 8000 },
+  pcmu: { encoding: "ulaw", sampleRate: 8000 },
+  alaw: { encoding: "alaw", sampleRate: 8000 },
+  pcma: { encoding: "alaw", sampleRate: 8000 },
+};
+
+/**
+ * Resolves the audio format requested by a client.
+ * Invalid fields are reported and replaced by the default so the call can go on.
+ *
+ * @param {object} [requested] - The audioFormat of the init message
+ * @returns {{format: object, problems: string[]}} The format in use and what was rejected
+ */
+function negotiateAudioFormat(requested) {
+  const format = { ...DEFAULT_AUDIO_FORMAT };
+  const problems = [];
+  if (requested === undefined || requested === null) return { format, problems };
+  if (typeof requested !== "object" || Array.isArray(requested)) {
+    return { format, problems: ["audioFormat must be an object"] };
+  }
+
+  let impliedRate;
+  if (requested.encoding !== undefined) {
+    const alias = ENCODING_ALIASES[String(requested.encoding).toLowerCase()];
+    if (alias) {
+      format.encoding = alias.encoding;
+      impliedRate = alias.sampleRate;
+    } else {
+      problems.push(`unsupported encoding "${requested.encoding}"`);
+    }
+  }
+
+  if (requested.sampleRate !== undefined) {
+    const sampleRate = Number(requested.sampleRate);
+    if (!SAMPLE_RATES.includes(sampleRate)) {
+      problems.push(`unsupported sampleRate "${requested.sampleRate}", expected one of ${SAMPLE_RATES.join(", ")}`);
+    } else if (impliedRate && sampleRate !== impliedRate) {
+      problems.push(`encoding ${requested.encoding} requires sampleRate ${impliedRate}`);
+    } else {
+      format.sampleRate = sampleRate;
+    }
+  }
+  if (impliedRate) format.sampleRate = impliedRate;
+
+  if (requested.frameMs !== undefined) {
+    const frameMs = Number(requested.frameMs);
+    if (FRAME_DURATIONS.includes(frameMs)) {
+      format.frameMs = frameMs;
+    } else {
+      problems.push(`unsupported frameMs "${requested.frameMs}", expected one of ${FRAME_DURATIONS.join(", ")}`);
+    }
+  }
+
+  return { format, problems };
+}
+
+/**
+ * Returns the number of samples in one frame of a format.
+ * @param {object} format
+ * @returns {number}
+ */
+const getFrameSamples = (format) => (format.sampleRate * format.frameMs) / 1000;
+
+/**
+ * Creates the codec converting between a client encoding and 16-bit PCM.
+ * @param {string} encoding - slin, ulaw or alaw
+ * @returns {{decode: function(Buffer): Buffer, encode: function(Buffer): Buffer}}
+ */
+function createCodec(encoding) {
+  const toBuffer = (samples) => Buffer.from(samples.buffer, samples.byteOffset, samples.byteLength);
+  switch (encoding) {
+    case "ulaw":
+      return {
+        decode: (chunk) => toBuffer(decodeMuLaw(chunk)),
+        encode: (pcm) => encodeMuLaw(toSamples(pcm)),
+      };
+    case "alaw":
+      return {
+        decode: (chunk) => toBuffer(decodeALaw(chunk)),
+        encode: (pcm) => encodeALaw(toSamples(pcm)),
+      };
+    default:
+      return {
+        decode: (chunk) => chunk,
+        encode: (pcm) => pcm,
+      };
+  }
+}
+
+module.exports = {
+  DEFAULT_AUDIO_FORMAT,
+  negotiateAudioFormat,
+  getFrameSamples,
+  createCodec,
+};
@@ -0,0 +1,69 @@
+/**
+ * avr_ami.js
+ * Requests to the AVR AMI service (AMI_URL), which controls the Asterisk
+ * channel of a call: transfers, hold, channel variables and hangup.
+ *
+ * Expected API: every action is a POST to AMI_URL/<action> with a JSON body
+ * holding the call uuid and the fields of the action.
+ *
+ *   POST /transfer       { uuid, exten, context, priority }
+ *   POST /warm_transfer  { uuid, exten, context, priority, whisper, timeout }
+ *                        Rings exten for at most timeout seconds, plays the
+ *                        whisper text to the agent once they answer, then
+ *                        bridges them with the caller. Answers only when the
+ *                        transfer is completed or has failed.
+ *   POST /hold           { uuid, music_class }
+ *   POST /unhold         { uuid }
+ *   POST /variables      { uuid, variables: { NAME: "value", ... } }
+ *   POST /hangup         { uuid }
+ *
+ * A 2xx response means the action was carried out and has the body
+ * { message }, a sentence for the model. Any other status means it was not
+ * (unknown uuid, agent busy, declined or not answering, ...), optionally with
+ * { message } telling why; the call then goes on with the model.
+ */
+
+require("dotenv").config();
+
+const axios = require("axios");
+const { createLogger } = require("./logger");
+
+const logger = createLogger("avr_ami");
+
+/**
+ * Sends an action to the AMI service.
+ *
+ * @param {string} action - Endpoint, e.g. "hold"
+ * @param {object} body - Request body, with the uuid of the call
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts the request
+ * @returns {Promise<object>} The response body
+ */
+async function postAmiAction(action, body, { signal } = {}) {
+  const url = process.env.AMI_URL || "http://127.0.0.1:6006";
+  const res = await axios.post(`${url}/${action}`, body, { signal });
+  logger.info("AMI response", { action, response: res.data });
+  return res.data;
+}
+
+/**
+ * Describes a failed AMI request for the model, logging the details.
+ *
+ * @param {string} action - What was attempted, e.g. "hold"
+ * @param {Error} error
+ * @returns {string} "Error during <action>: ..."
+ */
+function describeAmiError(action, error) {
+  logger.error("AMI action failed", {
+    action,
+    error: error.message,
+    status: error.response?.status,
+    response: error.response?.data,
+  });
+  return `Error during ${action}: ${error.response?.data?.message || error.message}`;
+}
+
+module.exports = {
+  postAmiAction,
+  describeAmiError,
+};
@@ -0,0 +1,198 @@
+/**
+ * bot_profile.js
+ * Per-call bot configuration.
+ *
+ * A profile holds everything that may differ between tenants or dialed numbers:
+ * system instructions, model, voice, language, greeting, enabled tools,
+ * tool-specific settings and the recording/transcript policy.
+ *
+ * Instructions are loaded in this order (first match wins):
+ * 1. GEMINI_INSTRUCTIONS environment variable
+ * 2. GEMINI_URL_INSTRUCTIONS web service, queried with the X-AVR-UUID header
+ *    and the call metadata headers (see utils/call_metadata.js).
+ *    Besides "system" it may return any other profile field.
+ * 3. GEMINI_FILE_INSTRUCTIONS file
+ * 4. Built-in default instructions
+ *
+ * Fields missing from the web service response fall back to the environment.
+ * Call metadata placeholders in the instructions and the greeting are filled in
+ * last, whatever their source, and the caller's language hint is used when the
+ * profile sets no language.
+ */
+
+const axios = require("axios");
+const fs = require("fs").promises;
+const { renderTemplate, metadataHeaders } = require("./call_metadata");
+const { createLogger } = require("./logger");
+const { isValidTimeZone } = require("./calendar/timezone");
+
+const logger = createLogger("bot_profile");
+
+const DEFAULT_MODEL = "gemini-live-2.5-flash-preview-native-audio-12-2025";
+const DEFAULT_INSTRUCTIONS = "You are a helpful assistant and answer in a friendly tone.";
+const DEFAULT_BOT_NAME = "gemini_bot";
+
+/**
+ * Parses a comma-separated list of names.
+ * @param {string} [value]
+ * @returns {string[]|null} The names, or null when the list is not set
+ */
+const parseNameList = (value) =>
+  value ? value.split(",").map((name) => name.trim()).filter(Boolean) : null;
+
+/**
+ * Builds the profile used when nothing is configured per call.
+ * @returns {object}
+ */
+function getDefaultProfile() {
+  return {
+    name: process.env.BOT_NAME || DEFAULT_BOT_NAME,
+    systemInstruction: DEFAULT_INSTRUCTIONS,
+    model: process.env.GEMINI_MODEL || DEFAULT_MODEL,
+    greeting: null,
+    liveOptions: {},
+    tools: parseNameList(process.env.TOOLS_ENABLED),
+    disabledTools: parseNameList(process.env.TOOLS_DISABLED) || [],
+    toolSettings: {},
+    saveAudio: process.env.SAVE_AUDIO_CHUNKS === "true",
+    saveTranscript: process.env.SAVE_TRANSCRIPTS !== "false",
+  };
+}
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+const isNonEmptyString = (value) => typeof value === "string" && value.trim() !== "";
+
+/**
+ * Applies the fields of a web service response onto a profile.
+ * Every field is optional; fields with the wrong type are logged and ignored.
+ *
+ * Response fields:
+ * - system {string}: system instructions
+ * - name {string}: bot name, used for the recordings directory
+ * - model {string}: Gemini Live model
+ * - voice {string}, language {string}: shortcuts for the voice and languageCode Live options
+ * - config {object}: any other Live session option (see utils/live_config.js)
+ * - greeting {string}: what the bot says first
+ * - tools {string[]}: names of the tools enabled for this call, all when omitted
+ * - disabled_tools {string[]}: names of tools never used in this call
+ * - tool_settings {object}: settings keyed by tool (e.g. avr_transfer) or group (e.g. calendar);
+ *   calendar.time_zone is the bot's business time zone and must be an IANA name
+ * - save_audio {boolean}, save_transcript {boolean}: recording and transcript policy
+ *
+ * @param {object} profile - Profile to update
+ * @param {*} data - Parsed response body
+ * @returns {object} The updated profile
+ */
+function applyProfileData(profile, data) {
+  if (!isPlainObject(data)) {
+    logger.error("Ignoring malformed bot profile: expected a JSON object");
+    return profile;
+  }
+  const invalid = [];
+  const take = (field, check, apply) => {
+    if (data[field] === undefined || data[field] === null) return;
+    if (check(data[field])) apply(data[field]);
+    else invalid.push(field);
+  };
+
+  take("system", isNonEmptyString, (value) => (profile.systemInstruction = value));
+  take("name", (value) => isNonEmptyString(value) && /^[\w.-]+$/.test(value), (value) => (profile.name = value));
+  take("model", isNonEmptyString, (value) => (profile.model = value));
+  take("config", isPlainObject, (value) => Object.assign(profile.liveOptions, value));
+  take("voice", isNonEmptyString, (value) => (profile.liveOptions.voice = value));
+  take("language", isNonEmptyString, (value) => (profile.liveOptions.languageCode = value));
+  take("greeting", isNonEmptyString, (value) => (profile.greeting = value));
+  take(
+    "tools",
+    (value) => Array.isArray(value) && value.every(isNonEmptyString),
+    (value) => (profile.tools = value),
+  );
+  take(
+    "disabled_tools",
+    (value) => Array.isArray(value) && value.every(isNonEmptyString),
+    (value) => (profile.disabledTools = value),
+  );
+  take("tool_settings", isPlainObject, (value) => (profile.toolSettings = value));
+  const calendarSettings = profile.toolSettings.calendar;
+  if (isPlainObject(calendarSettings) && calendarSettings.time_zone !== undefined && !isValidTimeZone(calendarSettings.time_zone)) {
+    const { time_zone, ...rest } = calendarSettings;
+    profile.toolSettings = { ...profile.toolSettings, calendar: rest };
+    invalid.push("tool_settings.calendar.time_zone");
+  }
+  take("save_audio", (value) => typeof value === "boolean", (value) => (profile.saveAudio = value));
+  take("save_transcript", (value) => typeof value === "boolean", (value) => (profile.saveTranscript = value));
+
+  if (invalid.length > 0) {
+    logger.error("Ignoring invalid bot profile fields", { fields: invalid });
+  }
+  return profile;
+}
+
+/**
+ * Loads the bot profile for a call.
+ * Never throws: any loading problem is logged and the defaults are used.
+ *
+ * @param {string} sessionUuid - The UUID of the call
+ * @param {object} [metadata] - Call metadata from the init message
+ * @returns {Promise<object>} The bot profile
+ */
+async function loadBotProfile(sessionUuid, metadata = null) {
+  const profile = getDefaultProfile();
+
+  if (process.env.GEMINI_INSTRUCTIONS) {
+    profile.systemInstruction = process.env.GEMINI_INSTRUCTIONS;
+    logger.info("Using GEMINI_INSTRUCTIONS from environment variable");
+  } else if (process.env.GEMINI_URL_INSTRUCTIONS) {
+    try {
+      const response = await axios.get(process.env.GEMINI_URL_INSTRUCTIONS, {
+        headers: {
+          "Content-Type": "application/json",
+          "X-AVR-UUID": sessionUuid,
+          ...(metadata ? metadataHeaders(metadata) : {}),
+        },
+        timeout: parseInt(process.env.GEMINI_URL_INSTRUCTIONS_TIMEOUT_MS || "5000", 10),
+      });
+      // The profile holds the system prompt, so only its field names are logged
+      logger.info("Bot profile loaded from GEMINI_URL_INSTRUCTIONS", {
+        fields: isPlainObject(response.data) ? Object.keys(response.data) : undefined,
+      });
+      logger.debug("Bot profile", { profile: response.data });
+      applyProfileData(profile, response.data);
+    } catch (error) {
+      logger.error("Error loading instructions", {
+        url: process.env.GEMINI_URL_INSTRUCTIONS,
+        error: error.message,
+      });
+    }
+  } else if (process.env.GEMINI_FILE_INSTRUCTIONS) {
+    try {
+      const data = await fs.readFile(process.env.GEMINI_FILE_INSTRUCTIONS, "utf8");
+      logger.info("Using GEMINI_FILE_INSTRUCTIONS from environment variable", { length: data.length });
+      profile.systemInstruction = data;
+    } catch (error) {
+      logger.error("Error loading instructions", {
+        file: process.env.GEMINI_FILE_INSTRUCTIONS,
+        error: error.message,
+      });
+    }
+  } else {
+    logger.info("Using default instructions");
+  }
+
+  if (metadata) {
+    profile.systemInstruction = renderTemplate(profile.systemInstruction, metadata);
+    profile.greeting = renderTemplate(profile.greeting, metadata);
+    if (metadata.language && !profile.liveOptions.languageCode) {
+      profile.liveOptions.languageCode = metadata.language;
+    }
+  }
+
+  return profile;
+}
+
+module.exports = {
+  getDefaultProfile,
+  loadBotProfile,
+};
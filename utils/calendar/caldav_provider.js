@@ -0,0 +1,264 @@
+/**
+ * caldav_provider.js
+ * Calendar provider for CalDAV servers (Nextcloud, Radicale, Baïkal, ...).
+ *
+ * Configuration:
+ * - CALDAV_URL: URL of the calendar collection, e.g. https://cloud.example.com/remote.php/dav/calendars/user/personal/
+ * - CALDAV_USERNAME / CALDAV_PASSWORD: credentials for HTTP basic authentication
+ *
+ * The calendarId accepted by every function is the URL of another calendar
+ * collection on the same server, reached with the same credentials.
+ */
+
+const axios = require("axios");
+const ical = require("./ical");
+const recurrence = require("./recurrence");
+
+/**
+ * Returns the calendar collection URL, always ending with a slash.
+ * @param {string} [calendarId] Collection URL to use instead of CALDAV_URL.
+ * @returns {string}
+ * @throws {Error} If CALDAV_URL is not configured.
+ */
+function getCollectionUrl(calendarId) {
+  const url = calendarId || process.env.CALDAV_URL;
+  if (!url) {
+    throw new Error("Missing required CalDAV environment variable CALDAV_URL.");
+  }
+  return url.replace(/\/?$/, "/");
+}
+
+/**
+ * Sends a request to the CalDAV server with authentication.
+ * @param {object} options axios request options
+ * @returns {Promise<object>} axios response
+ */
+function request(options) {
+  const auth = process.env.CALDAV_USERNAME
+    ? { username: process.env.CALDAV_USERNAME, password: process.env.CALDAV_PASSWORD || "" }
+    : undefined;
+  return axios({ auth, ...options });
+}
+
+const decodeXml = (value) =>
+  value
+    .replace(/^<!\[CDATA\[([\s\S]*)\]\]>$/, "$1")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCharCode(parseInt(code, 16)))
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+
+const xmlElement = (name) =>
+  new RegExp(`<(?:[\\w-]+:)?${name}\\b[^>]*>([\\s\\S]*?)</(?:[\\w-]+:)?${name}>`, "g");
+
+/**
+ * Extracts href, etag and calendar data of each resource in a multistatus response.
+ * @param {string} xml
+ * @returns {Array<{href: string, etag: string|undefined, data: string}>}
+ */
+function parseMultistatus(xml) {
+  const resources = [];
+  for (const [, response] of xml.matchAll(xmlElement("response"))) {
+    const href = xmlElement("href").exec(response);
+    const etag = xmlElement("getetag").exec(response);
+    const data = xmlElement("calendar-data").exec(response);
+    if (href && data) {
+      resources.push({
+        href: decodeXml(href[1].trim()),
+        etag: etag ? decodeXml(etag[1].trim()) : undefined,
+        data: decodeXml(data[1].trim()),
+      });
+    }
+  }
+  return resources;
+}
+
+/**
+ * Runs a calendar-query REPORT and returns the matching events.
+ * @param {string} filter The inner comp-filter XML for VEVENT.
+ * @param {string} [calendarId]
+ * @param {object} [expand] Asks the server to expand recurring events into their
+ *   occurrences between expand.start and expand.end (RFC 4791 section 9.6.5)
+ * @param {string} [timeZone] Zone for floating times, defaults to CALENDAR_TIME_ZONE.
+ * @returns {Promise<Array<object>>} Events, each carrying the href, etag and raw data of its resource.
+ */
+async function queryEvents(filter, calendarId, expand, timeZone) {
+  const collectionUrl = getCollectionUrl(calendarId);
+  const calendarData = expand
+    ? "<c:calendar-data>" +
+      `<c:expand start="${ical.formatDateValue(expand.start)}" end="${ical.formatDateValue(expand.end)}"/>` +
+      "</c:calendar-data>"
+    : "<c:calendar-data/>";
+  const body =
+    '<?xml version="1.0" encoding="utf-8"?>' +
+    '<c:calendar-query xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav">' +
+    `<d:prop><d:getetag/>${calendarData}</d:prop>` +
+    '<c:filter><c:comp-filter name="VCALENDAR"><c:comp-filter name="VEVENT">' +
+    filter +
+    "</c:comp-filter></c:comp-filter></c:filter>" +
+    "</c:calendar-query>";
+
+  const res = await request({
+    method: "REPORT",
+    url: collectionUrl,
+    headers: { Depth: "1", "Content-Type": "application/xml; charset=utf-8" },
+    data: body,
+    responseType: "text",
+  });
+
+  return parseMultistatus(res.data).flatMap(({ href, etag, data }) =>
+    ical.parseEvents(data, timeZone).map(event => ({
+      ...event,
+      href: new URL(href, collectionUrl).toString(),
+      etag,
+      data,
+    })),
+  );
+}
+
+/**
+ * Finds the event with the given UID together with its resource.
+ * @param {string} eventId
+ * @param {string} [calendarId]
+ * @param {string} [timeZone]
+ * @returns {Promise<object|undefined>}
+ */
+async function queryEventById(eventId, calendarId, timeZone) {
+  const escaped = eventId.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+  const events = await queryEvents(
+    `<c:prop-filter name="UID"><c:text-match collation="i;octet">${escaped}</c:text-match></c:prop-filter>`,
+    calendarId,
+    undefined,
+    timeZone,
+  );
+  // The master event, not one of its overridden occurrences
+  return events.find(event => event.id === eventId && !event.recurrenceId) ||
+    events.find(event => event.id === eventId);
+}
+
+const toEvent = ({ href, etag, data, ...event }) => ({ ...event, url: href });
+
+/**
+ * Lists the events overlapping a time range, recurring events as their
+ * occurrences in the range. The server is asked to expand them; servers that
+ * ignore the request send the recurrence rules, which are expanded here.
+ * @param {Date} start
+ * @param {Date} end
+ * @param {string} [calendarId]
+ * @param {object} [options]
+ * @param {string} [options.timeZone] Zone for floating times, defaults to CALENDAR_TIME_ZONE.
+ * @returns {Promise<Array<object>>}
+ */
+async function listEvents(start, end, calendarId, { timeZone } = {}) {
+  const events = await queryEvents(
+    `<c:time-range start="${ical.formatDateValue(start)}" end="${ical.formatDateValue(end)}"/>`,
+    calendarId,
+    { start, end },
+    timeZone,
+  );
+  return recurrence
+    .expandEvents(events, start, end, timeZone)
+    .sort((a, b) => a.start - b.start)
+    .map(toEvent);
+}
+
+/**
+ * Returns the busy intervals between two instants.
+ * @param {Date} start
+ * @param {Date} end
+ * @param {string} [calendarId]
+ * @param {object} [options]
+ * @param {string} [options.timeZone] Zone for floating times, defaults to CALENDAR_TIME_ZONE.
+ * @returns {Promise<Array<{start: Date, end: Date}>>}
+ */
+async function getBusy(start, end, calendarId, options) {
+  const events = await listEvents(start, end, calendarId, options);
+  return events
+    .filter(ical.isBusy)
+    .map(event => ({ start: event.start, end: event.end }));
+}
+
+/**
+ * Creates an event as a new calendar object resource.
+ * @param {object} event
+ * @param {string} [calendarId]
+ * @returns {Promise<{id: string, url: string}>}
+ */
+async function createEvent(event, calendarId) {
+  const id = ical.generateUid();
+  const url = new URL(`${encodeURIComponent(id)}.ics`, getCollectionUrl(calendarId)).toString();
+
+  await request({
+    method: "PUT",
+    url,
+    headers: { "Content-Type": "text/calendar; charset=utf-8", "If-None-Match": "*" },
+    data: ical.wrapCalendar(ical.serializeEvent({ ...event, id })),
+  });
+  return { id, url };
+}
+
+/**
+ * Deletes the calendar object resource holding the event with the given UID.
+ * @param {string} eventId
+ * @param {string} [calendarId]
+ * @throws {Error} If no event with that UID exists.
+ */
+async function deleteEvent(eventId, calendarId) {
+  const event = await queryEventById(eventId, calendarId);
+  if (!event) {
+    throw new Error(`Event ${eventId} not found.`);
+  }
+  await request({ method: "DELETE", url: event.href });
+}
+
+/**
+ * Returns a single event by UID.
+ * @param {string} eventId
+ * @param {string} [calendarId]
+ * @param {object} [options]
+ * @param {string} [options.timeZone] Zone for floating times, defaults to CALENDAR_TIME_ZONE.
+ * @returns {Promise<object|null>} The event, or null if it does not exist.
+ */
+async function getEvent(eventId, calendarId, { timeZone } = {}) {
+  const event = await queryEventById(eventId, calendarId, timeZone);
+  return event ? toEvent(event) : null;
+}
+
+/**
+ * Moves an event to a new time range, rewriting its calendar object resource.
+ * The etag guards against overwriting a concurrent change.
+ * @param {string} eventId
+ * @param {object} changes
+ * @param {Date} changes.start
+ * @param {Date} changes.end
+ * @param {string} [calendarId]
+ * @throws {Error} If no event with that UID exists.
+ */
+async function updateEvent(eventId, { start, end }, calendarId) {
+  const event = await queryEventById(eventId, calendarId);
+  if (!event) {
+    throw new Error(`Event ${eventId} not found.`);
+  }
+  const { text } = ical.rescheduleEventBlock(event.data, eventId, start, end);
+  await request({
+    method: "PUT",
+    url: event.href,
+    headers: {
+      "Content-Type": "text/calendar; charset=utf-8",
+      ...(event.etag ? { "If-Match": event.etag } : {}),
+    },
+    data: text,
+  });
+}
+
+module.exports = {
+  getBusy,
+  createEvent,
+  listEvents,
+  getEvent,
+  updateEvent,
+  deleteEvent,
+};
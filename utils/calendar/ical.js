@@ -0,0 +1,375 @@
+/**
+ * ical.js
+ * Minimal iCalendar (RFC 5545) reading and writing shared by the ICS file and
+ * CalDAV calendar providers. Only the VEVENT properties needed for booking are
+ * handled; everything else in a calendar file is preserved untouched.
+ */
+
+const crypto = require("crypto");
+const timezone = require("./timezone");
+
+// Private key/value metadata (session UUID, caller number, ...) is stored as X-AVR-PROPERTY;KEY=<key>:<value>
+const PROPERTY_NAME = "X-AVR-PROPERTY";
+
+const EVENT_BLOCK_REGEX = /BEGIN:VEVENT\r?\n[\s\S]*?END:VEVENT\r?\n?/g;
+
+/**
+ * Joins folded content lines back together.
+ * @param {string} text
+ * @returns {string[]} Unfolded content lines.
+ */
+function unfold(text) {
+  return text.replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+}
+
+/**
+ * Folds a content line at 75 characters as required by RFC 5545.
+ * @param {string} line
+ * @returns {string}
+ */
+function fold(line) {
+  const chunks = [];
+  for (let i = 0; i < line.length; i += i === 0 ? 75 : 74) {
+    chunks.push(line.slice(i, i === 0 ? 75 : i + 74));
+  }
+  return chunks.join("\r\n ");
+}
+
+const escapeText = (value) =>
+  String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+const unescapeText = (value) =>
+  value.replace(/\\([\\;,nN])/g, (_, char) => (char.toLowerCase() === "n" ? "\n" : char));
+
+/**
+ * Splits a content line into its name, parameters and value.
+ * Parameter values may be quoted and contain ':' or ';'.
+ * @param {string} line
+ * @returns {{name: string, params: object, value: string}|null}
+ */
+function parseLine(line) {
+  let inQuotes = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    if (line[i] === ":" && !inQuotes) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon === -1) return null;
+
+  const [name, ...rawParams] = line.slice(0, colon).split(";");
+  const params = {};
+  for (const param of rawParams) {
+    const [key, ...rest] = param.split("=");
+    params[key.toUpperCase()] = rest.join("=").replace(/^"|"$/g, "");
+  }
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+/**
+ * Parses an iCalendar DATE or DATE-TIME value.
+ * UTC values end in 'Z'; TZID values are read in that zone and floating values
+ * and dates in the business time zone.
+ * @param {string} value
+ * @param {string} [tzid] The TZID parameter of the property.
+ * @param {string} [defaultTimeZone] Zone for floating values, defaults to CALENDAR_TIME_ZONE.
+ * @returns {{date: Date, allDay: boolean, timeZone: string}} timeZone is the zone the
+ *   value was read in, "UTC" for UTC values
+ */
+function parseDateValue(value, tzid, defaultTimeZone) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim());
+  if (!match) {
+    throw new Error(`Invalid iCalendar date: ${value}`);
+  }
+  const [, year, month, day, hour, minute, second, utc] = match;
+  if (utc) {
+    return {
+      date: new Date(Date.UTC(year, month - 1, day, hour, minute, second)),
+      allDay: false,
+      timeZone: "UTC",
+    };
+  }
+  const timeZone = timezone.isValidTimeZone(tzid) ? tzid : timezone.getBusinessTimeZone(defaultTimeZone);
+  if (hour === undefined) {
+    return { date: timezone.zonedTimeToUtc(`${year}-${month}-${day}`, "00:00", timeZone), allDay: true, timeZone };
+  }
+  const date = timezone.zonedTimeToUtc(`${year}-${month}-${day}`, `${hour}:${minute}`, timeZone);
+  return { date: new Date(date.getTime() + second * 1000), allDay: false, timeZone };
+}
+
+/**
+ * Parses an iCalendar DURATION value such as PT30M or P1DT2H.
+ * @param {string} value
+ * @returns {number} Duration in milliseconds.
+ */
+function parseDuration(value) {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+  if (!match) return 0;
+  const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+  const ms = ((((+weeks * 7 + +days) * 24 + +hours) * 60 + +minutes) * 60 + +seconds) * 1000;
+  return sign === "-" ? -ms : ms;
+}
+
+/**
+ * Formats a Date as an iCalendar UTC DATE-TIME value (YYYYMMDDTHHMMSSZ).
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatDateValue(date) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+/**
+ * Parses a list of DATE or DATE-TIME values, as in EXDATE and RDATE.
+ * @param {string} value Comma separated values.
+ * @param {string} [tzid]
+ * @param {string} [defaultTimeZone]
+ * @returns {Date[]}
+ */
+function parseDateList(value, tzid, defaultTimeZone) {
+  return value
+    .split(",")
+    .filter(Boolean)
+    .map(item => parseDateValue(item, tzid, defaultTimeZone).date);
+}
+
+/**
+ * Parses the VEVENT components of an iCalendar document.
+ * Recurring events are returned once, as written: the master event carries
+ * rrule, rdates and exdates, and each overridden occurrence its recurrenceId.
+ * See recurrence.js to expand them into occurrences.
+ *
+ * @param {string} text
+ * @param {string} [defaultTimeZone] Zone for floating times and dates, defaults to CALENDAR_TIME_ZONE.
+ * @returns {Array<object>} Events in the provider-neutral shape.
+ */
+function parseEvents(text, defaultTimeZone) {
+  const events = [];
+  let current = null;
+
+  for (const line of unfold(text)) {
+    if (line === "BEGIN:VEVENT") {
+      current = { attendees: [], properties: {}, exdates: [], rdates: [] };
+      continue;
+    }
+    if (!current) continue;
+    if (line === "END:VEVENT") {
+      if (current.start) {
+        if (!current.end) {
+          current.end = new Date(current.start.getTime() + (current.duration || (current.allDay ? 86400000 : 0)));
+        }
+        delete current.duration;
+        events.push(current);
+      }
+      current = null;
+      continue;
+    }
+
+    const property = parseLine(line);
+    if (!property) continue;
+    const { name, params, value } = property;
+
+    switch (name) {
+      case "UID":
+        current.id = value;
+        break;
+      case "SUMMARY":
+        current.summary = unescapeText(value);
+        break;
+      case "DESCRIPTION":
+        current.description = unescapeText(value);
+        break;
+      case "DTSTART": {
+        const { date, allDay, timeZone } = parseDateValue(value, params.TZID, defaultTimeZone);
+        current.start = date;
+        current.allDay = allDay || params.VALUE === "DATE";
+        current.timeZone = timeZone;
+        break;
+      }
+      case "DTEND":
+        current.end = parseDateValue(value, params.TZID, defaultTimeZone).date;
+        break;
+      case "DURATION":
+        current.duration = parseDuration(value);
+        break;
+      case "RRULE":
+        current.rrule = value;
+        break;
+      case "RDATE":
+        // RDATE;VALUE=PERIOD is not supported, only plain dates
+        if (params.VALUE !== "PERIOD") current.rdates.push(...parseDateList(value, params.TZID, defaultTimeZone));
+        break;
+      case "EXDATE":
+        current.exdates.push(...parseDateList(value, params.TZID, defaultTimeZone));
+        break;
+      case "RECURRENCE-ID":
+        current.recurrenceId = parseDateValue(value, params.TZID, defaultTimeZone).date;
+        break;
+      case "ATTENDEE":
+        current.attendees.push(value.replace(/^mailto:/i, ""));
+        break;
+      case "STATUS":
+        current.status = value.toUpperCase();
+        break;
+      case "TRANSP":
+        current.transparent = value.toUpperCase() === "TRANSPARENT";
+        break;
+      case PROPERTY_NAME:
+        if (params.KEY) current.properties[params.KEY] = unescapeText(value);
+        break;
+      default:
+        break;
+    }
+  }
+
+  return events;
+}
+
+/**
+ * Serializes an event into a VEVENT component.
+ * @param {object} event
+ * @returns {string} The VEVENT block, CRLF terminated.
+ */
+function serializeEvent({ id, summary, description, start, end, attendees = [], properties = {} }) {
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${id}`,
+    `DTSTAMP:${formatDateValue(new Date())}`,
+    `DTSTART:${formatDateValue(start)}`,
+    `DTEND:${formatDateValue(end)}`,
+    `SUMMARY:${escapeText(summary || "")}`,
+  ];
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  for (const email of attendees) {
+    lines.push(`ATTENDEE;ROLE=REQ-PARTICIPANT:mailto:${email}`);
+  }
+  for (const [key, value] of Object.entries(properties)) {
+    if (value !== undefined && value !== null) {
+      lines.push(`${PROPERTY_NAME};KEY=${key}:${escapeText(value)}`);
+    }
+  }
+  lines.push("END:VEVENT");
+  return lines.map(fold).join("\r\n") + "\r\n";
+}
+
+/**
+ * Wraps VEVENT blocks into a complete VCALENDAR document.
+ * @param {string} eventBlocks
+ * @returns {string}
+ */
+function wrapCalendar(eventBlocks = "") {
+  return (
+    "BEGIN:VCALENDAR\r\nVERSION:2.0\r\nPRODID:-//Agent Voice Response//avr-sts-gemini//EN\r\n" +
+    eventBlocks +
+    "END:VCALENDAR\r\n"
+  );
+}
+
+/**
+ * Adds a VEVENT block to an existing calendar document, creating one if empty.
+ * @param {string} text
+ * @param {string} eventBlock
+ * @returns {string}
+ */
+function addEventBlock(text, eventBlock) {
+  const index = text.lastIndexOf("END:VCALENDAR");
+  if (index === -1) return wrapCalendar(eventBlock);
+  return text.slice(0, index) + eventBlock + text.slice(index);
+}
+
+/**
+ * Replaces the VEVENT block(s) with the given UID in a calendar document.
+ * @param {string} text
+ * @param {string} uid
+ * @param {function(string): string} replace Receives the block, returns its replacement.
+ * @returns {{text: string, count: number}}
+ */
+function replaceEventBlock(text, uid, replace) {
+  let count = 0;
+  const result = text.replace(EVENT_BLOCK_REGEX, (block) => {
+    const [event] = parseEvents(block);
+    if (event && event.id === uid) {
+      count++;
+      return replace(block);
+    }
+    return block;
+  });
+  return { text: result, count };
+}
+
+/**
+ * Removes the VEVENT block(s) with the given UID from a calendar document.
+ * @param {string} text
+ * @param {string} uid
+ * @returns {{text: string, removed: number}}
+ */
+function removeEventBlock(text, uid) {
+  const { text: result, count } = replaceEventBlock(text, uid, () => "");
+  return { text: result, removed: count };
+}
+
+/**
+ * Moves the VEVENT block(s) with the given UID to a new time range, keeping all
+ * other properties and bumping the SEQUENCE so clients pick up the change.
+ * @param {string} text
+ * @param {string} uid
+ * @param {Date} start
+ * @param {Date} end
+ * @returns {{text: string, updated: number}}
+ */
+function rescheduleEventBlock(text, uid, start, end) {
+  const { text: result, count } = replaceEventBlock(text, uid, (block) => {
+    let sequence = 0;
+    const lines = unfold(block).filter(line => {
+      const property = parseLine(line);
+      if (!property) return line !== "";
+      if (property.name === "SEQUENCE") sequence = Number(property.value) || 0;
+      return !["DTSTART", "DTEND", "DURATION", "DTSTAMP", "SEQUENCE"].includes(property.name);
+    });
+    lines.splice(
+      lines.length - 1,
+      0,
+      `DTSTAMP:${formatDateValue(new Date())}`,
+      `DTSTART:${formatDateValue(start)}`,
+      `DTEND:${formatDateValue(end)}`,
+      `SEQUENCE:${sequence + 1}`,
+    );
+    return lines.map(fold).join("\r\n") + "\r\n";
+  });
+  return { text: result, updated: count };
+}
+
+/**
+ * Generates a globally unique event UID.
+ * @returns {string}
+ */
+function generateUid() {
+  return `${crypto.randomUUID()}@avr-sts-gemini`;
+}
+
+/**
+ * Tells whether an event blocks time, i.e. is neither cancelled nor transparent.
+ * @param {object} event
+ * @returns {boolean}
+ */
+function isBusy(event) {
+  return event.status !== "CANCELLED" && !event.transparent;
+}
+
+module.exports = {
+  parseEvents,
+  serializeEvent,
+  wrapCalendar,
+  addEventBlock,
+  removeEventBlock,
+  rescheduleEventBlock,
+  formatDateValue,
+  generateUid,
+  isBusy,
+};
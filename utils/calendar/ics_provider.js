@@ -0,0 +1,163 @@
+/**
+ * ics_provider.js
+ * Calendar provider backed by a local iCalendar (.ics) file.
+ * Useful for running the booking flow without any external calendar service.
+ *
+ * Configuration:
+ * - CALENDAR_ICS_FILE: path of the .ics file (default: ./calendar.ics)
+ *
+ * The calendarId accepted by every function is the path of another .ics file,
+ * so a bot profile can keep its appointments apart.
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+const ical = require("./ical");
+const recurrence = require("./recurrence");
+
+// Writes are chained so that concurrent sessions never interleave read/modify/write cycles
+let writeQueue = Promise.resolve();
+
+const getFilePath = (calendarId) =>
+  path.resolve(calendarId || process.env.CALENDAR_ICS_FILE || "./calendar.ics");
+
+/**
+ * Reads the calendar file, returning an empty string if it does not exist yet.
+ * @param {string} [calendarId]
+ * @returns {Promise<string>}
+ */
+async function readCalendar(calendarId) {
+  try {
+    return await fs.readFile(getFilePath(calendarId), "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT") return "";
+    throw error;
+  }
+}
+
+/**
+ * Applies a transformation to the calendar file atomically with respect to other writes.
+ * @param {function(string): string} transform
+ * @param {string} [calendarId]
+ * @returns {Promise<void>}
+ */
+function updateCalendar(transform, calendarId) {
+  const task = writeQueue.then(async () => {
+    const filePath = getFilePath(calendarId);
+    const text = transform(await readCalendar(calendarId));
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, text, "utf8");
+  });
+  writeQueue = task.catch(() => {});
+  return task;
+}
+
+/**
+ * Lists the events overlapping a time range, recurring events as their
+ * occurrences in the range.
+ * @param {Date} start
+ * @param {Date} end
+ * @param {string} [calendarId]
+ * @param {object} [options]
+ * @param {string} [options.timeZone] Zone for floating times, defaults to CALENDAR_TIME_ZONE.
+ * @returns {Promise<Array<object>>}
+ */
+async function listEvents(start, end, calendarId, { timeZone } = {}) {
+  const events = ical.parseEvents(await readCalendar(calendarId), timeZone);
+  return recurrence
+    .expandEvents(events, start, end, timeZone)
+    .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Returns the busy intervals between two instants.
+ * @param {Date} start
+ * @param {Date} end
+ * @param {string} [calendarId]
+ * @param {object} [options]
+ * @param {string} [options.timeZone] Zone for floating times, defaults to CALENDAR_TIME_ZONE.
+ * @returns {Promise<Array<{start: Date, end: Date}>>}
+ */
+async function getBusy(start, end, calendarId, options) {
+  const events = await listEvents(start, end, calendarId, options);
+  return events
+    .filter(ical.isBusy)
+    .map(event => ({ start: event.start, end: event.end }));
+}
+
+/**
+ * Appends an event to the calendar file.
+ * @param {object} event
+ * @param {string} [calendarId]
+ * @returns {Promise<{id: string, url: string}>}
+ */
+async function createEvent(event, calendarId) {
+  const id = ical.generateUid();
+  const block = ical.serializeEvent({ ...event, id });
+  await updateCalendar(text => ical.addEventBlock(text, block), calendarId);
+  return { id, url: `file://${getFilePath(calendarId)}` };
+}
+
+/**
+ * Removes an event from the calendar file.
+ * @param {string} eventId
+ * @param {string} [calendarId]
+ * @throws {Error} If no event with that ID exists.
+ */
+async function deleteEvent(eventId, calendarId) {
+  let removed = 0;
+  await updateCalendar(text => {
+    const result = ical.removeEventBlock(text, eventId);
+    removed = result.removed;
+    return result.text;
+  }, calendarId);
+  if (removed === 0) {
+    throw new Error(`Event ${eventId} not found.`);
+  }
+}
+
+/**
+ * Returns a single event by ID.
+ * @param {string} eventId
+ * @param {string} [calendarId]
+ * @param {object} [options]
+ * @param {string} [options.timeZone] Zone for floating times, defaults to CALENDAR_TIME_ZONE.
+ * @returns {Promise<object|null>} The event, or null if it does not exist.
+ */
+async function getEvent(eventId, calendarId, { timeZone } = {}) {
+  const events = ical.parseEvents(await readCalendar(calendarId), timeZone);
+  // The master event, not one of its overridden occurrences
+  return events.find(event => event.id === eventId && !event.recurrenceId) ||
+    events.find(event => event.id === eventId) ||
+    null;
+}
+
+/**
+ * Moves an event to a new time range.
+ * @param {string} eventId
+ * @param {object} changes
+ * @param {Date} changes.start
+ * @param {Date} changes.end
+ * @param {string} [calendarId]
+ * @throws {Error} If no event with that ID exists.
+ */
+async function updateEvent(eventId, { start, end }, calendarId) {
+  let updated = 0;
+  await updateCalendar(text => {
+    const result = ical.rescheduleEventBlock(text, eventId, start, end);
+    updated = result.updated;
+    return result.text;
+  }, calendarId);
+  if (updated === 0) {
+    throw new Error(`Event ${eventId} not found.`);
+  }
+}
+
+module.exports = {
+  getBusy,
+  createEvent,
+  listEvents,
+  getEvent,
+  updateEvent,
+  deleteEvent,
+};
@@ -0,0 +1,449 @@
+/**
+ * utils/calendar/index.js
+ * Calendar backend used by the appointment tools.
+ *
+ * The provider is selected with CALENDAR_PROVIDER:
+ * - google (default): Google Calendar, see utils/google_calendar_helper.js
+ * - ics: a local .ics file, see ./ics_provider.js
+ * - caldav: a CalDAV server, see ./caldav_provider.js
+ *
+ * Every provider implements the same interface, working on Date instances:
+ * - getBusy(start, end, calendarId, { timeZone }) -> [{ start, end }]
+ * - createEvent({ summary, description, start, end, timeZone, attendees, properties }, calendarId) -> { id, url }
+ * - listEvents(start, end, calendarId, { timeZone }) -> [{ id, summary, description, start, end, attendees, properties, url }]
+ * - getEvent(eventId, calendarId, { timeZone }) -> event or null
+ * - updateEvent(eventId, { start, end }, calendarId)
+ * - deleteEvent(eventId, calendarId)
+ *
+ * calendarId is optional and selects another calendar than the configured one
+ * (a Google calendar ID, a .ics file path or a CalDAV collection URL), so each
+ * bot profile can book into its own calendar. The optional timeZone is the
+ * business time zone, used by the ics and caldav providers for floating times.
+ *
+ * `properties` are private key/value tags (session UUID, caller number, client
+ * name and email) that let callers find their appointments again later.
+ *
+ * Dates and times from the model are wall-clock values in the business time zone
+ * unless the tool passes the caller's own time zone. The business time zone is the
+ * bot profile's tool_settings.calendar.time_zone, falling back to CALENDAR_TIME_ZONE.
+ */
+
+const timezone = require("./timezone");
+const slots = require("./slots");
+const { isBusy } = require("./ical");
+const { createLogger } = require("../logger");
+
+const logger = createLogger("calendar");
+
+const PROVIDERS = {
+  google: () => require("../google_calendar_helper"),
+  ics: () => require("./ics_provider"),
+  caldav: () => require("./caldav_provider"),
+};
+
+// Longest date range find_available_slots will search in one call
+const MAX_SEARCH_DAYS = 31;
+
+// How far ahead find_my_appointment looks when the caller gives no date
+const LOOKUP_DAYS = 90;
+
+// Phone numbers match on their trailing digits, so +31 6... and 06... are the same caller
+const PHONE_MATCH_DIGITS = 9;
+
+// Deliberately vague so a failed identity check does not reveal that an appointment exists
+const NOT_FOUND_MESSAGE =
+  "No appointment matching these details was found. Callers calling from another number than the one used " +
+  "for the booking must give both the email address and the phone number of the booking, and their full name.";
+
+const LOOKUP_FACTORS_MESSAGE =
+  "The caller's number is unknown: please ask for both the email address and the phone number used for the booking.";
+
+/**
+ * Returns the configured calendar provider.
+ * Providers are required lazily so unused backends never need their configuration.
+ * @returns {object} The calendar provider.
+ * @throws {Error} If CALENDAR_PROVIDER names an unknown provider.
+ */
+function getCalendarProvider() {
+  const name = (process.env.CALENDAR_PROVIDER || "google").toLowerCase();
+  const load = PROVIDERS[name];
+  if (!load) {
+    throw new Error(
+      `Unknown CALENDAR_PROVIDER "${name}". Available providers: ${Object.keys(PROVIDERS).join(", ")}`,
+    );
+  }
+  return load();
+}
+
+/**
+ * Converts a wall-clock date, time and duration into a UTC range.
+ * @param {string} date YYYY-MM-DD
+ * @param {string} time HH:MM
+ * @param {number} duration_minutes
+ * @param {string} timeZone IANA time zone the date and time are expressed in
+ * @returns {{start: Date, end: Date}}
+ * @throws {Error} If an argument is invalid.
+ */
+function toUtcRange(date, time, duration_minutes, timeZone) {
+  const duration = Number(duration_minutes);
+  if (!Number.isFinite(duration) || duration <= 0) {
+    throw new Error(`Invalid duration "${duration_minutes}", expected a positive number of minutes.`);
+  }
+  const start = timezone.zonedTimeToUtc(date, time, timeZone);
+  const end = new Date(start.getTime() + duration * 60000);
+  return { start, end };
+}
+
+/**
+ * Resolves the time zone used to interpret tool arguments and quote times back.
+ * @param {object} [options]
+ * @param {string} [options.timeZone] The caller's time zone, defaults to the business time zone.
+ * @param {string} [options.businessTimeZone] The bot's time zone, defaults to CALENDAR_TIME_ZONE.
+ * @returns {string}
+ * @throws {Error} If the time zone is not a valid IANA name.
+ */
+function resolveTimeZone({ timeZone, businessTimeZone } = {}) {
+  if (!timeZone) return timezone.getBusinessTimeZone(businessTimeZone);
+  if (!timezone.isValidTimeZone(timeZone)) {
+    throw new Error(`Unknown time zone "${timeZone}". Use an IANA name such as Europe/London.`);
+  }
+  return timeZone;
+}
+
+// Options passed on to the provider, which reads floating calendar times in the business time zone
+const providerOptions = (options) => ({ timeZone: timezone.getBusinessTimeZone(options.businessTimeZone) });
+
+const normalizePhone = (phone) => String(phone || "").replace(/\D/g, "").slice(-PHONE_MATCH_DIGITS);
+
+const normalizeWords = (text) =>
+  String(text || "")
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+
+/**
+ * Tells whether a phone number is the one an event was booked from.
+ * @param {object} event
+ * @param {string} [phone]
+ * @returns {boolean}
+ */
+function matchesPhone(event, phone) {
+  const wanted = normalizePhone(phone);
+  return wanted.length >= 6 && normalizePhone(event.properties?.callerNumber) === wanted;
+}
+
+/**
+ * Tells whether an email address is the one an event was booked with.
+ * @param {object} event
+ * @param {string} [email]
+ * @returns {boolean}
+ */
+function matchesEmail(event, email) {
+  if (!email) return false;
+  const wanted = email.trim().toLowerCase();
+  return [...event.attendees, event.properties?.clientEmail]
+    .filter(Boolean)
+    .some(value => value.toLowerCase() === wanted);
+}
+
+/**
+ * Verifies the name the caller gave against the name the appointment was booked under.
+ * The full name is required, in any order: "John Doe" and "Doe John" verify an
+ * appointment booked for John Doe, "Doe" does not.
+ * @param {object} event
+ * @param {string} name
+ * @returns {boolean}
+ */
+function verifyName(event, name) {
+  const bookedName = event.properties?.clientName || /^Appointment with (.*)\.$/.exec(event.description || "")?.[1];
+  const booked = new Set(normalizeWords(bookedName));
+  const given = new Set(normalizeWords(name));
+  return booked.size > 0 && booked.size === given.size && [...given].every(word => booked.has(word));
+}
+
+/**
+ * Tells whether the identity has enough to look appointments up: the number the
+ * caller is calling from, or both the email address and the phone number of the booking.
+ * @param {{email?: string, phone?: string, callerNumber?: string}} identity
+ * @returns {boolean}
+ */
+const hasLookupFactors = ({ email, phone, callerNumber }) => Boolean(callerNumber || (email && phone));
+
+/**
+ * Verifies that the caller is the person an appointment was booked for: the full
+ * booked name, plus either the caller's own number matching the booking or,
+ * when calling from another number, both the email address and the phone
+ * number the appointment was booked with.
+ * @param {object} event
+ * @param {{email?: string, phone?: string, callerNumber?: string, name: string}} identity
+ * @returns {boolean}
+ */
+function verifyIdentity(event, identity) {
+  if (!verifyName(event, identity.name)) return false;
+  if (matchesPhone(event, identity.callerNumber)) return true;
+  return matchesEmail(event, identity.email) && matchesPhone(event, identity.phone);
+}
+
+/**
+ * Loads an appointment and checks it belongs to the caller.
+ * @param {string} eventId
+ * @param {{email?: string, phone?: string, callerNumber?: string, name: string}} identity
+ * @param {object} [options]
+ * @param {string} [options.calendarId]
+ * @param {string} [options.businessTimeZone]
+ * @returns {Promise<object|null>} The event, or null if missing or not verified.
+ * @throws {Error} If the identity has too few factors, see hasLookupFactors.
+ */
+async function getVerifiedAppointment(eventId, identity, options = {}) {
+  if (!hasLookupFactors(identity)) {
+    throw new Error(LOOKUP_FACTORS_MESSAGE);
+  }
+  const event = await getCalendarProvider().getEvent(eventId, options.calendarId, providerOptions(options));
+  if (!event || !verifyIdentity(event, identity)) {
+    return null;
+  }
+  return event;
+}
+
+/**
+ * Checks whether a time slot is free.
+ * @param {string} date YYYY-MM-DD
+ * @param {string} time HH:MM
+ * @param {number} duration_minutes
+ * @param {object} [options]
+ * @param {string} [options.timeZone] Time zone of date and time, defaults to the business time zone.
+ * @param {string} [options.businessTimeZone] The bot's time zone, defaults to CALENDAR_TIME_ZONE.
+ * @param {string} [options.calendarId] Calendar to use instead of the configured one.
+ * @returns {Promise<string>} A message indicating if the slot is available.
+ */
+async function checkAvailability(date, time, duration_minutes, options = {}) {
+  try {
+    const timeZone = resolveTimeZone(options);
+    const { start, end } = toUtcRange(date, time, duration_minutes, timeZone);
+    const busy = await getCalendarProvider().getBusy(start, end, options.calendarId, providerOptions(options));
+    const slot = timezone.describeRange(start, end, timeZone);
+    if (busy.length > 0) {
+      return `The time slot on ${slot} is NOT available.`;
+    }
+    return `The time slot on ${slot} is available.`;
+  } catch (error) {
+    logger.error("Error checking calendar availability", { error });
+    return `Error checking calendar availability: ${error.message}`;
+  }
+}
+
+/**
+ * Suggests the next free slots within business hours.
+ * @param {string} [start_date] First day to search, YYYY-MM-DD (default: today).
+ * @param {string} [end_date] Last day to search, inclusive (default: a week after start_date).
+ * @param {number} duration_minutes
+ * @param {object} [options]
+ * @param {string} [options.preference] "morning", "afternoon" or "any".
+ * @param {number} [options.maxResults] Number of slots to return (default: 3).
+ * @param {string} [options.timeZone] Time zone to quote the slots in, defaults to the business time zone.
+ * @param {string} [options.businessTimeZone] The bot's time zone, defaults to CALENDAR_TIME_ZONE.
+ * @param {string} [options.calendarId] Calendar to use instead of the configured one.
+ * @returns {Promise<string>} A readable list of free slots.
+ */
+async function findAvailableSlots(start_date, end_date, duration_minutes, options = {}) {
+  try {
+    const businessTimeZone = timezone.getBusinessTimeZone(options.businessTimeZone);
+    const timeZone = resolveTimeZone(options);
+    const duration = Number(duration_minutes);
+    if (!Number.isFinite(duration) || duration <= 0) {
+      throw new Error(`Invalid duration "${duration_minutes}", expected a positive number of minutes.`);
+    }
+    const startDate = start_date || timezone.formatInTimeZone(new Date(), businessTimeZone).date;
+    const endDate = end_date || timezone.addDays(startDate, 6);
+    timezone.parseDate(startDate);
+    timezone.parseDate(endDate);
+    if (endDate < startDate) {
+      throw new Error("The end date is before the start date.");
+    }
+    if (endDate > timezone.addDays(startDate, MAX_SEARCH_DAYS)) {
+      throw new Error(`The search range cannot exceed ${MAX_SEARCH_DAYS} days.`);
+    }
+
+    const businessHours = slots.getBusinessHours();
+    const bufferMs = businessHours.bufferMinutes * 60000;
+    const rangeStart = timezone.zonedTimeToUtc(startDate, "00:00", businessTimeZone);
+    const rangeEnd = timezone.zonedTimeToUtc(timezone.addDays(endDate), "00:00", businessTimeZone);
+    const busy = await getCalendarProvider().getBusy(
+      new Date(rangeStart.getTime() - bufferMs),
+      new Date(rangeEnd.getTime() + bufferMs),
+      options.calendarId,
+      { timeZone: businessTimeZone },
+    );
+
+    const free = slots.findFreeSlots({
+      startDate,
+      endDate,
+      durationMinutes: duration,
+      busy,
+      timeZone: businessTimeZone,
+      businessHours,
+      preference: options.preference || "any",
+      maxResults: Math.max(1, Number(options.maxResults) || 3),
+    });
+    if (free.length === 0) {
+      return `No free ${duration}-minute slots found between ${startDate} and ${endDate}${options.preference && options.preference !== "any" ? ` in the ${options.preference}` : ""}.`;
+    }
+    const lines = free.map(slot => `- ${timezone.describeRange(slot.start, slot.end, timeZone)}`);
+    return `The next free ${duration}-minute slots are:\n${lines.join("\n")}`;
+  } catch (error) {
+    logger.error("Error finding available slots", { error });
+    return `Error finding available slots: ${error.message}`;
+  }
+}
+
+/**
+ * Books an appointment.
+ * @param {string} client_name
+ * @param {string} client_email
+ * @param {string} date YYYY-MM-DD
+ * @param {string} time HH:MM
+ * @param {number} duration_minutes
+ * @param {string} purpose
+ * @param {object} [options]
+ * @param {string} [options.timeZone] Time zone of date and time, defaults to the business time zone.
+ * @param {string} [options.businessTimeZone] The bot's time zone, defaults to CALENDAR_TIME_ZONE.
+ * @param {string} [options.calendarId] Calendar to use instead of the configured one.
+ * @param {object} [options.properties] Extra tags stored on the event, e.g. sessionUuid and callerNumber.
+ * @returns {Promise<string>} A confirmation message.
+ */
+async function bookAppointment(client_name, client_email, date, time, duration_minutes, purpose, options = {}) {
+  try {
+    const timeZone = resolveTimeZone(options);
+    const { start, end } = toUtcRange(date, time, duration_minutes, timeZone);
+    const { id, url } = await getCalendarProvider().createEvent({
+      summary: purpose,
+      description: `Appointment with ${client_name}.`,
+      start,
+      end,
+      timeZone,
+      attendees: client_email ? [client_email] : [],
+      properties: { ...options.properties, clientName: client_name, clientEmail: client_email },
+    }, options.calendarId);
+    logger.info("Appointment booked", { id });
+    return `Appointment successfully booked for ${client_name} on ${timezone.describeRange(start, end, timeZone)}.${url ? ` Event URL: ${url}` : ""}`;
+  } catch (error) {
+    logger.error("Error booking appointment", { error });
+    return `Error booking appointment: ${error.message}`;
+  }
+}
+
+/**
+ * Finds the caller's appointments, optionally on a given day.
+ * @param {{email?: string, phone?: string, callerNumber?: string, name: string}} identity
+ *   The caller's number, email and phone given for the booking, and full name, see verifyIdentity.
+ * @param {string} [date] YYYY-MM-DD, otherwise the coming LOOKUP_DAYS days are searched.
+ * @param {object} [options]
+ * @param {string} [options.timeZone] Time zone to quote times in, defaults to the business time zone.
+ * @param {string} [options.businessTimeZone] The bot's time zone, defaults to CALENDAR_TIME_ZONE.
+ * @param {string} [options.calendarId] Calendar to use instead of the configured one.
+ * @returns {Promise<string>} A readable list of appointments with their IDs.
+ */
+async function findAppointments(identity, date, options = {}) {
+  try {
+    if (!hasLookupFactors(identity)) {
+      return LOOKUP_FACTORS_MESSAGE;
+    }
+    const timeZone = resolveTimeZone(options);
+    let start = new Date();
+    let end = new Date(start.getTime() + LOOKUP_DAYS * 86400000);
+    if (date) {
+      start = timezone.zonedTimeToUtc(date, "00:00", timeZone);
+      end = timezone.zonedTimeToUtc(timezone.addDays(date), "00:00", timeZone);
+    }
+    const events = (await getCalendarProvider().listEvents(start, end, options.calendarId, providerOptions(options))).filter(
+      event => isBusy(event) && verifyIdentity(event, identity),
+    );
+    if (events.length === 0) {
+      return NOT_FOUND_MESSAGE;
+    }
+    const lines = events.map(
+      event => `- ${timezone.describeRange(event.start, event.end, timeZone)}: ${event.summary} (appointment ID: ${event.id})`,
+    );
+    return `Found ${events.length} appointment(s):\n${lines.join("\n")}`;
+  } catch (error) {
+    logger.error("Error finding appointments", { error });
+    return `Error finding appointments: ${error.message}`;
+  }
+}
+
+/**
+ * Moves a verified appointment to a new date and time, if that slot is free.
+ * @param {string} eventId
+ * @param {{email?: string, phone?: string, callerNumber?: string, name: string}} identity
+ * @param {string} date YYYY-MM-DD
+ * @param {string} time HH:MM
+ * @param {number} [duration_minutes] Defaults to the current duration.
+ * @param {object} [options]
+ * @param {string} [options.timeZone] Time zone of date and time, defaults to the business time zone.
+ * @param {string} [options.businessTimeZone] The bot's time zone, defaults to CALENDAR_TIME_ZONE.
+ * @param {string} [options.calendarId] Calendar to use instead of the configured one.
+ * @returns {Promise<string>} A confirmation message.
+ */
+async function rescheduleAppointment(eventId, identity, date, time, duration_minutes, options = {}) {
+  try {
+    const event = await getVerifiedAppointment(eventId, identity, options);
+    if (!event) {
+      return NOT_FOUND_MESSAGE;
+    }
+    const timeZone = resolveTimeZone(options);
+    const duration = duration_minutes || (event.end - event.start) / 60000;
+    const { start, end } = toUtcRange(date, time, duration, timeZone);
+
+    const provider = getCalendarProvider();
+    const conflicts = (await provider.listEvents(start, end, options.calendarId, providerOptions(options))).filter(
+      other => other.id !== eventId && isBusy(other),
+    );
+    const slot = timezone.describeRange(start, end, timeZone);
+    if (conflicts.length > 0) {
+      return `The time slot on ${slot} is NOT available, the appointment was not moved.`;
+    }
+
+    await provider.updateEvent(eventId, { start, end }, options.calendarId);
+    return `The appointment has been moved from ${timezone.describeRange(event.start, event.end, timeZone)} to ${slot}.`;
+  } catch (error) {
+    logger.error("Error rescheduling appointment", { error });
+    return `Error rescheduling appointment: ${error.message}`;
+  }
+}
+
+/**
+ * Cancels a verified appointment.
+ * @param {string} eventId The ID returned by findAppointments.
+ * @param {{email?: string, phone?: string, callerNumber?: string, name: string}} identity
+ * @param {object} [options]
+ * @param {string} [options.timeZone] Time zone to quote times in, defaults to the business time zone.
+ * @param {string} [options.businessTimeZone] The bot's time zone, defaults to CALENDAR_TIME_ZONE.
+ * @param {string} [options.calendarId] Calendar to use instead of the configured one.
+ * @returns {Promise<string>} A confirmation message.
+ */
+async function cancelAppointment(eventId, identity, options = {}) {
+  try {
+    const event = await getVerifiedAppointment(eventId, identity, options);
+    if (!event) {
+      return NOT_FOUND_MESSAGE;
+    }
+    const timeZone = resolveTimeZone(options);
+    await getCalendarProvider().deleteEvent(eventId, options.calendarId);
+    return `The appointment on ${timezone.describeRange(event.start, event.end, timeZone)} has been cancelled.`;
+  } catch (error) {
+    logger.error("Error cancelling appointment", { error });
+    return `Error cancelling appointment: ${error.message}`;
+  }
+}
+
+module.exports = {
+  getCalendarProvider,
+  checkAvailability,
+  findAvailableSlots,
+  bookAppointment,
+  findAppointments,
+  rescheduleAppointment,
+  cancelAppointment,
+};
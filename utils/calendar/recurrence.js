@@ -0,0 +1,298 @@
+/**
+ * recurrence.js
+ * Expands recurring iCalendar events into their occurrences, so that a
+ * weekly meeting is busy every week and not only on its first date.
+ *
+ * Handled: RRULE with FREQ=DAILY, WEEKLY, MONTHLY or YEARLY and INTERVAL,
+ * COUNT, UNTIL, BYDAY (with ordinals such as 1MO or -1FR), BYMONTHDAY,
+ * BYMONTH, BYSETPOS and WKST; RDATE; EXDATE; and occurrences overridden by a
+ * VEVENT with the same UID and a RECURRENCE-ID. Occurrences keep the
+ * wall-clock time of DTSTART in its time zone across DST changes.
+ *
+ * Other rule parts (BYHOUR, BYWEEKNO, ...) are ignored, and rules with a
+ * shorter frequency than DAILY are not expanded: only DTSTART counts.
+ */
+
+const timezone = require("./timezone");
+
+const DAY_MS = 86400000;
+const WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+const FREQUENCIES = ["DAILY", "WEEKLY", "MONTHLY", "YEARLY"];
+// Guards against endless rules that never produce an occurrence in range
+const MAX_PERIODS = 50000;
+
+const pad = (value) => String(value).padStart(2, "0");
+
+// Calendar days are handled as day numbers (days since 1970-01-01) to do date arithmetic without time zones
+const toDayNumber = (year, month, day) => Date.UTC(year, month - 1, day) / DAY_MS;
+const weekdayOf = (dayNumber) => (dayNumber + 4) % 7; // 1970-01-01 was a Thursday
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+/**
+ * Formats a day number as YYYY-MM-DD.
+ * @param {number} dayNumber
+ * @returns {string}
+ */
+function formatDay(dayNumber) {
+  return new Date(dayNumber * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Parses an integer list rule part such as "1,15,-1".
+ * @param {string} [value]
+ * @returns {number[]}
+ */
+function parseNumbers(value) {
+  return (value || "")
+    .split(",")
+    .map(Number)
+    .filter(number => Number.isInteger(number) && number !== 0);
+}
+
+/**
+ * Parses an RRULE value.
+ * @param {string} value e.g. "FREQ=WEEKLY;BYDAY=MO,WE;UNTIL=20251231T235959Z"
+ * @param {string} timeZone Time zone of DTSTART, for a floating or date UNTIL
+ * @returns {object|null} The rule, or null if its frequency is not supported.
+ */
+function parseRule(value, timeZone) {
+  const parts = {};
+  for (const part of value.split(";")) {
+    const [key, ...rest] = part.split("=");
+    parts[key.trim().toUpperCase()] = rest.join("=").trim().toUpperCase();
+  }
+  if (!FREQUENCIES.includes(parts.FREQ)) return null;
+
+  let until = null;
+  const untilMatch = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(parts.UNTIL || "");
+  if (untilMatch) {
+    const [, year, month, day, hour, minute, second, utc] = untilMatch;
+    if (utc) {
+      until = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+    } else if (hour === undefined) {
+      // A date UNTIL includes that whole day
+      const nextDay = formatDay(toDayNumber(+year, +month, +day) + 1);
+      until = new Date(timezone.zonedTimeToUtc(nextDay, "00:00", timeZone).getTime() - 1);
+    } else {
+      const date = timezone.zonedTimeToUtc(`${year}-${month}-${day}`, `${hour}:${minute}`, timeZone);
+      until = new Date(date.getTime() + second * 1000);
+    }
+  }
+
+  const byDay = (parts.BYDAY || "")
+    .split(",")
+    .map(item => /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(item))
+    .filter(Boolean)
+    .map(([, ordinal, day]) => ({ weekday: WEEKDAYS.indexOf(day), ordinal: Number(ordinal) || 0 }));
+
+  return {
+    freq: parts.FREQ,
+    interval: Math.max(1, parseInt(parts.INTERVAL, 10) || 1),
+    count: parseInt(parts.COUNT, 10) || null,
+    until,
+    byDay,
+    byMonthDay: parseNumbers(parts.BYMONTHDAY),
+    byMonth: parseNumbers(parts.BYMONTH).filter(month => month >= 1 && month <= 12),
+    bySetPos: parseNumbers(parts.BYSETPOS),
+    wkst: WEEKDAYS.includes(parts.WKST) ? WEEKDAYS.indexOf(parts.WKST) : 1,
+  };
+}
+
+/**
+ * Lists the days of a month selected by BYMONTHDAY and BYDAY, or the day of
+ * the month of DTSTART without them.
+ *
+ * @param {object} rule
+ * @param {object} first - Wall-clock fields of DTSTART
+ * @param {number} year
+ * @param {number} month
+ * @returns {number[]} Day numbers
+ */
+function monthDays(rule, first, year, month) {
+  const length = daysInMonth(year, month);
+  const firstDay = toDayNumber(year, month, 1);
+  if (rule.byMonthDay.length > 0) {
+    const weekdays = rule.byDay.map(({ weekday }) => weekday);
+    return rule.byMonthDay
+      .map(day => (day > 0 ? day : length + day + 1))
+      .filter(day => day >= 1 && day <= length)
+      .map(day => firstDay + day - 1)
+      .filter(day => weekdays.length === 0 || weekdays.includes(weekdayOf(day)));
+  }
+  if (rule.byDay.length > 0) {
+    const days = [];
+    for (const { weekday, ordinal } of rule.byDay) {
+      const matching = [];
+      for (let day = firstDay; day < firstDay + length; day++) {
+        if (weekdayOf(day) === weekday) matching.push(day);
+      }
+      if (!ordinal) days.push(...matching);
+      else if (ordinal > 0 && matching[ordinal - 1] !== undefined) days.push(matching[ordinal - 1]);
+      else if (ordinal < 0 && matching[matching.length + ordinal] !== undefined) {
+        days.push(matching[matching.length + ordinal]);
+      }
+    }
+    return days;
+  }
+  return first.day <= length ? [firstDay + first.day - 1] : [];
+}
+
+/**
+ * Lists the days of the index-th period (day, week, month or year) of a rule.
+ *
+ * @param {object} rule
+ * @param {object} first - Wall-clock fields of DTSTART
+ * @param {number} index
+ * @returns {{days: number[], periodStart: number}} Sorted day numbers, and the first day of the period
+ */
+function periodDays(rule, first, index) {
+  const inMonths = (day) => {
+    const month = new Date(day * DAY_MS).getUTCMonth() + 1;
+    return rule.byMonth.length === 0 || rule.byMonth.includes(month);
+  };
+  const weekdays = rule.byDay.map(({ weekday }) => weekday);
+  let days;
+  let periodStart;
+
+  switch (rule.freq) {
+    case "DAILY": {
+      periodStart = first.dayNumber + index * rule.interval;
+      const day = new Date(periodStart * DAY_MS).getUTCDate();
+      const matches =
+        inMonths(periodStart) &&
+        (weekdays.length === 0 || weekdays.includes(weekdayOf(periodStart))) &&
+        (rule.byMonthDay.length === 0 || rule.byMonthDay.includes(day));
+      days = matches ? [periodStart] : [];
+      break;
+    }
+    case "WEEKLY": {
+      const weekStart = first.dayNumber - ((weekdayOf(first.dayNumber) - rule.wkst + 7) % 7);
+      periodStart = weekStart + index * 7 * rule.interval;
+      const selected = weekdays.length > 0 ? weekdays : [weekdayOf(first.dayNumber)];
+      days = [];
+      for (let day = periodStart; day < periodStart + 7; day++) {
+        if (selected.includes(weekdayOf(day)) && inMonths(day)) days.push(day);
+      }
+      break;
+    }
+    case "MONTHLY": {
+      const monthIndex = first.year * 12 + first.month - 1 + index * rule.interval;
+      const year = Math.floor(monthIndex / 12);
+      const month = (monthIndex % 12) + 1;
+      periodStart = toDayNumber(year, month, 1);
+      days = inMonths(periodStart) ? monthDays(rule, first, year, month) : [];
+      break;
+    }
+    default: {
+      const year = first.year + index * rule.interval;
+      periodStart = toDayNumber(year, 1, 1);
+      const months = rule.byMonth.length > 0 ? rule.byMonth : [first.month];
+      days = months.flatMap(month => monthDays(rule, first, year, month));
+      break;
+    }
+  }
+
+  days = [...new Set(days)].sort((a, b) => a - b);
+  if (rule.bySetPos.length > 0) {
+    days = rule.bySetPos
+      .map(position => days[position > 0 ? position - 1 : days.length + position])
+      .filter(day => day !== undefined)
+      .sort((a, b) => a - b);
+  }
+  return { days, periodStart };
+}
+
+/**
+ * Lists the start instants of a recurring event up to a time range end.
+ *
+ * @param {object} event - Master event with rrule
+ * @param {Date} rangeStart
+ * @param {Date} rangeEnd
+ * @param {string} [defaultTimeZone] - Zone for events without one
+ * @returns {Date[]} Starts, DTSTART first
+ */
+function listRuleStarts(event, rangeStart, rangeEnd, defaultTimeZone) {
+  const timeZone = event.timeZone || timezone.getBusinessTimeZone(defaultTimeZone);
+  const rule = parseRule(event.rrule, timeZone);
+  if (!rule) return [event.start];
+
+  const local = timezone.getZonedParts(event.start, timeZone);
+  const first = { ...local, dayNumber: toDayNumber(local.year, local.month, local.day) };
+  const time = `${pad(local.hour)}:${pad(local.minute)}`;
+  const toInstant = (dayNumber) =>
+    new Date(timezone.zonedTimeToUtc(formatDay(dayNumber), time, timeZone).getTime() + local.second * 1000);
+
+  // Days well before the range only need counting, not converting
+  const lastSkippedDay = Math.floor(rangeStart.getTime() / DAY_MS) - 2;
+  const untilDay = rule.until ? Math.floor(rule.until.getTime() / DAY_MS) - 2 : Infinity;
+  const endDay = Math.floor(rangeEnd.getTime() / DAY_MS) + 2;
+
+  const starts = [event.start];
+  let count = 1;
+  for (let index = 0; index < MAX_PERIODS; index++) {
+    const { days, periodStart } = periodDays(rule, first, index);
+    if (periodStart > endDay) break;
+    for (const day of days) {
+      if (day <= first.dayNumber) continue; // DTSTART is always the first occurrence
+      if (rule.count && count >= rule.count) return starts;
+      if (day < lastSkippedDay && day < untilDay) {
+        count++;
+        continue;
+      }
+      const start = toInstant(day);
+      if (rule.until && start > rule.until) return starts;
+      if (start >= rangeEnd) return starts;
+      count++;
+      starts.push(start);
+    }
+  }
+  return starts;
+}
+
+/**
+ * Replaces recurring events with their occurrences in a time range. Events
+ * that do not recur and overridden occurrences are kept as they are.
+ *
+ * @param {Array<object>} events - Events from ical.parseEvents
+ * @param {Date} rangeStart
+ * @param {Date} rangeEnd
+ * @param {string} [defaultTimeZone] - Zone for events without one, defaults to CALENDAR_TIME_ZONE
+ * @returns {Array<object>} Events overlapping the range
+ */
+function expandEvents(events, rangeStart, rangeEnd, defaultTimeZone) {
+  // Occurrences replaced by an overriding VEVENT, per UID
+  const overridden = new Map();
+  for (const event of events) {
+    if (!event.recurrenceId) continue;
+    if (!overridden.has(event.id)) overridden.set(event.id, new Set());
+    overridden.get(event.id).add(event.recurrenceId.getTime());
+  }
+
+  const expanded = [];
+  for (const event of events) {
+    const recurs = !event.recurrenceId && (event.rrule || event.rdates?.length > 0);
+    if (!recurs) {
+      expanded.push(event);
+      continue;
+    }
+    const duration = event.end - event.start;
+    const excluded = new Set([
+      ...(event.exdates || []).map(date => date.getTime()),
+      ...(overridden.get(event.id) || []),
+    ]);
+    const starts = event.rrule ? listRuleStarts(event, rangeStart, rangeEnd, defaultTimeZone) : [event.start];
+    const seen = new Set();
+    for (const start of [...starts, ...(event.rdates || [])]) {
+      const time = start.getTime();
+      if (excluded.has(time) || seen.has(time)) continue;
+      seen.add(time);
+      expanded.push({ ...event, start, end: new Date(time + duration), recurrenceId: start });
+    }
+  }
+  return expanded.filter(event => event.start < rangeEnd && event.end > rangeStart);
+}
+
+module.exports = {
+  parseRule,
+  expandEvents,
+};
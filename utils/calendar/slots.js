@@ -0,0 +1,159 @@
+/**
+ * slots.js
+ * Business-hours configuration and free slot search for appointment suggestions.
+ *
+ * Configuration:
+ * - CALENDAR_OPENING_HOURS: weekly opening hours in the business time zone,
+ *   e.g. "mon-fri 09:00-12:30,13:30-17:00; sat 10:00-14:00" (default: "mon-fri 09:00-17:00")
+ * - CALENDAR_HOLIDAYS: comma separated closed dates, e.g. "2025-12-25,2025-12-26"
+ * - CALENDAR_BUFFER_MINUTES: free time kept before and after existing appointments (default: 0)
+ * - CALENDAR_MIN_LEAD_MINUTES: how far from now the earliest slot may start (default: 60)
+ * - CALENDAR_SLOT_INTERVAL_MINUTES: granularity of suggested start times (default: 30)
+ */
+
+const timezone = require("./timezone");
+
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const DEFAULT_OPENING_HOURS = "mon-fri 09:00-17:00";
+
+// Slots starting before this local time count as morning, the rest as afternoon
+const NOON_MINUTES = 12 * 60;
+
+/**
+ * Parses an HH:MM time into minutes after midnight.
+ * @param {string} time
+ * @returns {number}
+ */
+function toMinutes(time) {
+  const { hour, minute } = timezone.parseTime(time);
+  return hour * 60 + minute;
+}
+
+/**
+ * Parses an opening hours specification into a map of weekday index to intervals.
+ * @param {string} spec e.g. "mon-fri 09:00-17:00; sat 10:00-13:00"
+ * @returns {Object<number, Array<{from: number, to: number}>>} Intervals in minutes after midnight.
+ * @throws {Error} If the specification is malformed.
+ */
+function parseOpeningHours(spec) {
+  const hours = {};
+  for (const rule of spec.split(";").map(part => part.trim()).filter(Boolean)) {
+    const match = /^([a-z]{3})(?:-([a-z]{3}))?\s+(.+)$/i.exec(rule);
+    if (!match) {
+      throw new Error(`Invalid opening hours rule "${rule}".`);
+    }
+    const first = WEEKDAYS.indexOf(match[1].toLowerCase());
+    const last = WEEKDAYS.indexOf((match[2] || match[1]).toLowerCase());
+    if (first === -1 || last === -1) {
+      throw new Error(`Invalid weekday in opening hours rule "${rule}".`);
+    }
+    const intervals = match[3].split(",").map(range => {
+      const [from, to] = range.trim().split("-");
+      const interval = { from: toMinutes(from), to: to === "24:00" ? 24 * 60 : toMinutes(to) };
+      if (interval.to <= interval.from) {
+        throw new Error(`Invalid opening hours range "${range.trim()}".`);
+      }
+      return interval;
+    });
+    // Ranges such as sat-mon wrap around the end of the week
+    for (let day = first; ; day = (day + 1) % 7) {
+      hours[day] = intervals;
+      if (day === last) break;
+    }
+  }
+  return hours;
+}
+
+const readMinutes = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+/**
+ * Reads the business-hours configuration from the environment.
+ * @returns {{openingHours: object, holidays: Set<string>, bufferMinutes: number, minLeadMinutes: number, intervalMinutes: number}}
+ * @throws {Error} If CALENDAR_OPENING_HOURS is malformed.
+ */
+function getBusinessHours() {
+  return {
+    openingHours: parseOpeningHours(process.env.CALENDAR_OPENING_HOURS || DEFAULT_OPENING_HOURS),
+    holidays: new Set(
+      (process.env.CALENDAR_HOLIDAYS || "").split(",").map(date => date.trim()).filter(Boolean),
+    ),
+    bufferMinutes: readMinutes("CALENDAR_BUFFER_MINUTES", 0),
+    minLeadMinutes: readMinutes("CALENDAR_MIN_LEAD_MINUTES", 60),
+    intervalMinutes: readMinutes("CALENDAR_SLOT_INTERVAL_MINUTES", 30) || 30,
+  };
+}
+
+/**
+ * Finds free slots between two dates.
+ *
+ * Candidate start times are generated on the slot interval inside the opening
+ * hours of each non-holiday day, then dropped when they start before the
+ * minimum lead time or overlap a busy interval widened by the buffer.
+ *
+ * @param {object} params
+ * @param {string} params.startDate First day to search, YYYY-MM-DD in the business time zone.
+ * @param {string} params.endDate Last day to search (inclusive).
+ * @param {number} params.durationMinutes
+ * @param {Array<{start: Date, end: Date}>} params.busy Busy intervals over the searched range.
+ * @param {string} params.timeZone Business time zone.
+ * @param {object} params.businessHours As returned by getBusinessHours().
+ * @param {string} [params.preference] "morning", "afternoon" or "any".
+ * @param {number} [params.maxResults=3]
+ * @param {Date} [params.now]
+ * @returns {Array<{start: Date, end: Date}>}
+ */
+function findFreeSlots({
+  startDate,
+  endDate,
+  durationMinutes,
+  busy,
+  timeZone,
+  businessHours,
+  preference = "any",
+  maxResults = 3,
+  now = new Date(),
+}) {
+  const { openingHours, holidays, bufferMinutes, minLeadMinutes, intervalMinutes } = businessHours;
+  const bufferMs = bufferMinutes * 60000;
+  const earliest = now.getTime() + minLeadMinutes * 60000;
+  const blocked = busy.map(slot => ({
+    start: slot.start.getTime() - bufferMs,
+    end: slot.end.getTime() + bufferMs,
+  }));
+
+  const slots = [];
+  for (let date = startDate; date <= endDate && slots.length < maxResults; date = timezone.addDays(date)) {
+    if (holidays.has(date)) continue;
+    const { year, month, day } = timezone.parseDate(date);
+    const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+
+    for (const { from, to } of openingHours[weekday] || []) {
+      for (let minutes = from; minutes + durationMinutes <= to; minutes += intervalMinutes) {
+        if (preference === "morning" && minutes >= NOON_MINUTES) break;
+        if (preference === "afternoon" && minutes < NOON_MINUTES) continue;
+
+        const time = `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
+        const start = timezone.zonedTimeToUtc(date, time, timeZone);
+        const end = new Date(start.getTime() + durationMinutes * 60000);
+        // Skip times that do not exist on DST change days
+        if (timezone.formatInTimeZone(start, timeZone).time !== time) continue;
+        if (start.getTime() < earliest) continue;
+        if (blocked.some(slot => slot.start < end.getTime() && slot.end > start.getTime())) continue;
+
+        slots.push({ start, end });
+        if (slots.length >= maxResults) break;
+      }
+      if (slots.length >= maxResults) break;
+    }
+  }
+  return slots;
+}
+
+module.exports = {
+  parseOpeningHours,
+  getBusinessHours,
+  findFreeSlots,
+};
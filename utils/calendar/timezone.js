@@ -0,0 +1,226 @@
+/**
+ * timezone.js
+ * DST-aware conversions between wall-clock times in an IANA time zone and UTC
+ * instants, built on Intl so no time zone database has to be bundled.
+ */
+
+const DEFAULT_TIME_ZONE = "Europe/Amsterdam";
+
+const formatters = new Map();
+
+/**
+ * Returns a cached formatter producing numeric date parts in a time zone.
+ * @param {string} timeZone
+ * @returns {Intl.DateTimeFormat}
+ */
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+        weekday: "long",
+      }),
+    );
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Tells whether a string is a time zone name known to the runtime.
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+  if (!timeZone) return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Returns the business time zone: the bot's own time zone when it has one,
+ * otherwise CALENDAR_TIME_ZONE.
+ * @param {string} [botTimeZone] tool_settings.calendar.time_zone of the bot profile.
+ * @returns {string}
+ * @throws {Error} If the time zone is not a valid IANA time zone.
+ */
+function getBusinessTimeZone(botTimeZone) {
+  if (botTimeZone) {
+    if (!isValidTimeZone(botTimeZone)) {
+      throw new Error(`Invalid calendar time_zone "${botTimeZone}". Use an IANA name such as Europe/Amsterdam.`);
+    }
+    return botTimeZone;
+  }
+  const timeZone = process.env.CALENDAR_TIME_ZONE || DEFAULT_TIME_ZONE;
+  if (!isValidTimeZone(timeZone)) {
+    throw new Error(`Invalid CALENDAR_TIME_ZONE "${timeZone}". Use an IANA name such as Europe/Amsterdam.`);
+  }
+  return timeZone;
+}
+
+/**
+ * Breaks a UTC instant down into its wall-clock fields in a time zone.
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number, weekday: string}}
+ */
+function getZonedParts(date, timeZone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+    parts[type] = type === "weekday" ? value : Number(value);
+  }
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+    weekday: parts.weekday,
+  };
+}
+
+/**
+ * Returns the offset of a time zone from UTC at a given instant.
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {number} Offset in milliseconds (positive east of Greenwich).
+ */
+function getTimeZoneOffset(date, timeZone) {
+  const { year, month, day, hour, minute, second } = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  return asUtc - (date.getTime() - date.getMilliseconds());
+}
+
+/**
+ * Parses and validates a YYYY-MM-DD date argument.
+ * @param {string} date
+ * @returns {{year: number, month: number, day: number}}
+ * @throws {Error} If the date is malformed or does not exist.
+ */
+function parseDate(date) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(date).trim());
+  if (!match) {
+    throw new Error(`Invalid date "${date}", expected YYYY-MM-DD.`);
+  }
+  const [year, month, day] = match.slice(1).map(Number);
+  const check = new Date(Date.UTC(year, month - 1, day));
+  if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) {
+    throw new Error(`Invalid date "${date}", that day does not exist.`);
+  }
+  return { year, month, day };
+}
+
+/**
+ * Parses and validates an HH:MM time argument.
+ * @param {string} time
+ * @returns {{hour: number, minute: number}}
+ * @throws {Error} If the time is malformed.
+ */
+function parseTime(time) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(time).trim());
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    throw new Error(`Invalid time "${time}", expected HH:MM in 24-hour format.`);
+  }
+  return { hour: Number(match[1]), minute: Number(match[2]) };
+}
+
+/**
+ * Converts a wall-clock date and time in a time zone to a UTC instant.
+ * Times skipped by a DST change are moved forward by the size of the gap;
+ * ambiguous times (clocks going back) resolve to the earlier instant.
+ *
+ * @param {string} date YYYY-MM-DD
+ * @param {string} time HH:MM
+ * @param {string} timeZone IANA time zone
+ * @returns {Date}
+ */
+function zonedTimeToUtc(date, time, timeZone) {
+  const { year, month, day } = parseDate(date);
+  const { hour, minute } = parseTime(time);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+  // Try the offsets in effect a few hours either side; the first that maps back
+  // to the requested wall-clock time is the right one.
+  const candidates = [
+    getTimeZoneOffset(new Date(wallClock - 12 * 3600000), timeZone),
+    getTimeZoneOffset(new Date(wallClock + 12 * 3600000), timeZone),
+  ].sort((a, b) => b - a);
+  for (const offset of candidates) {
+    const instant = new Date(wallClock - offset);
+    if (getTimeZoneOffset(instant, timeZone) === offset) {
+      return instant;
+    }
+  }
+  // Nonexistent local time: keep the pre-transition offset, which lands after the gap
+  return new Date(wallClock - candidates[candidates.length - 1]);
+}
+
+/**
+ * Formats a UTC instant as wall-clock date and time in a time zone.
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {{date: string, time: string, weekday: string}}
+ */
+function formatInTimeZone(date, timeZone) {
+  const { year, month, day, hour, minute, weekday } = getZonedParts(date, timeZone);
+  const pad = (value) => String(value).padStart(2, "0");
+  return {
+    date: `${year}-${pad(month)}-${pad(day)}`,
+    time: `${pad(hour)}:${pad(minute)}`,
+    weekday,
+  };
+}
+
+/**
+ * Returns the date following a YYYY-MM-DD date.
+ * @param {string} date
+ * @param {number} [days=1]
+ * @returns {string}
+ */
+function addDays(date, days = 1) {
+  const { year, month, day } = parseDate(date);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * Describes a time range for the model in a time zone, e.g.
+ * "Wednesday 2025-12-24 from 09:00 to 09:30 (Europe/Amsterdam)".
+ * Ranges crossing midnight mention the end date as well.
+ *
+ * @param {Date} start
+ * @param {Date} end
+ * @param {string} timeZone
+ * @returns {string}
+ */
+function describeRange(start, end, timeZone) {
+  const from = formatInTimeZone(start, timeZone);
+  const to = formatInTimeZone(end, timeZone);
+  const until = from.date === to.date ? to.time : `${to.weekday} ${to.date} ${to.time}`;
+  return `${from.weekday} ${from.date} from ${from.time} to ${until} (${timeZone})`;
+}
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  isValidTimeZone,
+  getBusinessTimeZone,
+  getTimeZoneOffset,
+  getZonedParts,
+  parseDate,
+  parseTime,
+  zonedTimeToUtc,
+  formatInTimeZone,
+  addDays,
+  describeRange,
+};
@@ -0,0 +1,147 @@
+/**
+ * call_metadata.js
+ * Call metadata sent by the client in the init message:
+ *   "metadata": {
+ *     "caller_number": "+31612345678", "caller_name": "Jane Doe",
+ *     "dialed_number": "+31201234567", "language": "nl-NL",
+ *     "channel_variables": { "QUEUE": "sales" }, "custom": { "customer_id": "C-42" }
+ *   }
+ *
+ * Every field is optional. The metadata is given to tool handlers, sent to the
+ * instructions web service and can be used in the system instructions and the
+ * greeting as {{caller_number}}, {{channel_variables.QUEUE}}, {{custom.customer_id}}
+ * (or just {{customer_id}}), with an optional fallback: {{caller_name|there}}.
+ */
+
+const { createLogger } = require("./logger");
+
+const logger = createLogger("call_metadata");
+
+const STANDARD_FIELDS = ["caller_number", "caller_name", "dialed_number", "language"];
+const MAP_FIELDS = ["channel_variables", "custom"];
+
+// Longest value kept, so a misbehaving client cannot bloat prompts and logs
+const MAX_VALUE_LENGTH = 256;
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Converts a metadata value to a string, or null when it is not a scalar.
+ * @param {*} value
+ * @returns {string|null}
+ */
+function toValue(value) {
+  if (typeof value !== "string" && typeof value !== "number" && typeof value !== "boolean") {
+    return null;
+  }
+  return String(value).trim().slice(0, MAX_VALUE_LENGTH);
+}
+
+/**
+ * Builds the metadata of a call from the init message.
+ * Invalid fields are logged and ignored.
+ *
+ * @param {string} sessionUuid - The UUID of the call
+ * @param {*} raw - The metadata of the init message
+ * @returns {object} The call metadata
+ */
+function parseCallMetadata(sessionUuid, raw) {
+  const metadata = { uuid: sessionUuid };
+  for (const field of STANDARD_FIELDS) metadata[field] = null;
+  for (const field of MAP_FIELDS) metadata[field] = {};
+  if (raw === undefined || raw === null) return metadata;
+  if (!isPlainObject(raw)) {
+    logger.error("Ignoring call metadata: expected a JSON object");
+    return metadata;
+  }
+
+  const invalid = [];
+  for (const field of STANDARD_FIELDS) {
+    if (raw[field] === undefined || raw[field] === null) continue;
+    const value = toValue(raw[field]);
+    if (value === null) invalid.push(field);
+    else metadata[field] = value;
+  }
+  for (const field of MAP_FIELDS) {
+    if (raw[field] === undefined || raw[field] === null) continue;
+    if (!isPlainObject(raw[field])) {
+      invalid.push(field);
+      continue;
+    }
+    for (const [key, rawValue] of Object.entries(raw[field])) {
+      const value = toValue(rawValue);
+      if (value === null) invalid.push(`${field}.${key}`);
+      else metadata[field][key] = value;
+    }
+  }
+
+  if (invalid.length > 0) {
+    logger.error("Ignoring invalid call metadata fields", { fields: invalid });
+  }
+  return metadata;
+}
+
+/**
+ * Looks up a template variable.
+ * @param {object} metadata
+ * @param {string} name - e.g. caller_number, custom.customer_id or customer_id
+ * @returns {string|null}
+ */
+function lookup(metadata, name) {
+  const [head, ...rest] = name.split(".");
+  if (rest.length > 0) {
+    return MAP_FIELDS.includes(head) ? metadata[head][rest.join(".")] ?? null : null;
+  }
+  if (head === "uuid" || STANDARD_FIELDS.includes(head)) return metadata[head] ?? null;
+  return metadata.custom[head] ?? null;
+}
+
+/**
+ * Replaces {{variable}} and {{variable|fallback}} placeholders with call metadata.
+ * Variables without a value and without a fallback are replaced by nothing.
+ *
+ * @param {string} template
+ * @param {object} metadata
+ * @returns {string}
+ */
+function renderTemplate(template, metadata) {
+  if (typeof template !== "string" || !metadata) return template;
+  return template.replace(/\{\{\s*([\w.-]+)\s*(?:\|([^}]*))?\}\}/g, (_, name, fallback) => {
+    const value = lookup(metadata, name);
+    return value ? value : (fallback ?? "").trim();
+  });
+}
+
+/**
+ * Builds the headers describing the call for the instructions web service.
+ * The standard fields get a header of their own; the complete metadata is
+ * sent as JSON, escaped to ASCII so any value is a valid header.
+ *
+ * @param {object} metadata
+ * @returns {object} Request headers
+ */
+function metadataHeaders(metadata) {
+  const headers = {};
+  const names = {
+    caller_number: "X-AVR-Caller-Number",
+    dialed_number: "X-AVR-Dialed-Number",
+    language: "X-AVR-Language",
+  };
+  for (const [field, header] of Object.entries(names)) {
+    if (metadata[field] && /^[\x20-\x7e]+$/.test(metadata[field])) {
+      headers[header] = metadata[field];
+    }
+  }
+  headers["X-AVR-Metadata"] = JSON.stringify(metadata).replace(
+    /[^\x20-\x7e]/g,
+    (char) => `\\u${char.charCodeAt(0).toString(16).padStart(4, "0")}`,
+  );
+  return headers;
+}
+
+module.exports = {
+  parseCallMetadata,
+  renderTemplate,
+  metadataHeaders,
+};
@@ -0,0 +1,173 @@
+/**
+ * call_webhook.js
+ * Delivers a JSON record of every call to a post-call webhook.
+ *
+ * Configuration:
+ * - POST_CALL_WEBHOOK_URL: endpoint receiving the call records (disabled when unset)
+ * - POST_CALL_WEBHOOK_TIMEOUT_MS: timeout of each delivery attempt (default: 10000)
+ * - POST_CALL_WEBHOOK_RETRIES: retries after a failed attempt (default: 3)
+ * - POST_CALL_WEBHOOK_SPOOL_DIR: where undelivered records are kept (default: ./spool/webhooks)
+ * - POST_CALL_WEBHOOK_SPOOL_INTERVAL_MS: how often the spool is retried (default: 300000)
+ *
+ * Records that could not be delivered after all retries are written to the
+ * spool directory and sent again at startup and every spool interval, so a
+ * webhook outage never loses a call.
+ */
+
+const axios = require("axios");
+const fs = require("fs").promises;
+const path = require("path");
+const { createLogger } = require("./logger");
+
+const logger = createLogger("call_webhook");
+
+const getWebhookUrl = () => process.env.POST_CALL_WEBHOOK_URL;
+
+const getSpoolDir = () =>
+  path.resolve(process.env.POST_CALL_WEBHOOK_SPOOL_DIR || "./spool/webhooks");
+
+const readInteger = (name, fallback) => {
+  const value = parseInt(process.env[name] || "", 10);
+  return Number.isInteger(value) && value >= 0 ? value : fallback;
+};
+
+// Spool files being delivered, so overlapping spool runs never send one twice
+const inFlight = new Set();
+
+/**
+ * POSTs a call record to the webhook once.
+ * @param {object} record
+ * @returns {Promise<void>}
+ * @throws {Error} If the request fails or the webhook answers with a non-2xx status.
+ */
+async function postRecord(record) {
+  await axios.post(getWebhookUrl(), record, {
+    headers: {
+      "Content-Type": "application/json",
+      "X-AVR-UUID": record.uuid,
+    },
+    timeout: readInteger("POST_CALL_WEBHOOK_TIMEOUT_MS", 10000),
+  });
+}
+
+/**
+ * Writes an undelivered record to the spool directory.
+ * @param {object} record
+ * @returns {Promise<string>} Path of the spool file
+ */
+async function spoolRecord(record) {
+  const spoolDir = getSpoolDir();
+  await fs.mkdir(spoolDir, { recursive: true });
+  const filePath = path.join(spoolDir, `${Date.now()}-${record.uuid}.json`);
+  await fs.writeFile(filePath, JSON.stringify(record), "utf8");
+  return filePath;
+}
+
+/**
+ * Sends a call record to the webhook, retrying with exponential backoff and
+ * spooling it to disk if every attempt fails.
+ * Never throws: delivery problems are logged.
+ *
+ * @param {object} record - The call record
+ * @param {object} [options]
+ * @param {number} [options.retries] - Retries before spooling (default:
+ *   POST_CALL_WEBHOOK_RETRIES), e.g. 0 to spool right away on shutdown
+ * @returns {Promise<boolean>} True if delivered, false if disabled or spooled
+ */
+async function sendCallRecord(record, { retries = readInteger("POST_CALL_WEBHOOK_RETRIES", 3) } = {}) {
+  if (!getWebhookUrl()) return false;
+
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    try {
+      await postRecord(record);
+      logger.info("Call record delivered to the post-call webhook", { session: record.uuid });
+      return true;
+    } catch (error) {
+      logger.warn("Post-call webhook attempt failed", {
+        session: record.uuid,
+        attempt: attempt + 1,
+        attempts: retries + 1,
+        error: error.message,
+      });
+      if (attempt < retries) {
+        await new Promise((resolve) => setTimeout(resolve, 1000 * 2 ** attempt));
+      }
+    }
+  }
+
+  try {
+    const filePath = await spoolRecord(record);
+    logger.error("Call record not delivered, spooled", { session: record.uuid, file: filePath });
+  } catch (error) {
+    logger.error("Failed to spool call record", { session: record.uuid, error });
+  }
+  return false;
+}
+
+/**
+ * Sends the spooled records again, deleting each one once delivered.
+ * Stops at the first failure, as the webhook is most likely still down.
+ * @returns {Promise<number>} Number of records delivered
+ */
+async function flushSpool() {
+  if (!getWebhookUrl()) return 0;
+
+  const spoolDir = getSpoolDir();
+  let files;
+  try {
+    files = (await fs.readdir(spoolDir)).filter((file) => file.endsWith(".json")).sort();
+  } catch (error) {
+    if (error.code === "ENOENT") return 0;
+    throw error;
+  }
+
+  let delivered = 0;
+  for (const file of files) {
+    const filePath = path.join(spoolDir, file);
+    if (inFlight.has(filePath)) continue;
+    inFlight.add(filePath);
+    try {
+      let record;
+      try {
+        record = JSON.parse(await fs.readFile(filePath, "utf8"));
+      } catch (error) {
+        // Unreadable records would block the spool forever
+        logger.error("Discarding unreadable spooled call record", { file: filePath, error: error.message });
+        await fs.rename(filePath, `${filePath}.invalid`);
+        continue;
+      }
+      await postRecord(record);
+      await fs.unlink(filePath);
+      delivered++;
+    } catch (error) {
+      logger.warn("Spooled call records not delivered yet", { error: error.message });
+      break;
+    } finally {
+      inFlight.delete(filePath);
+    }
+  }
+  if (delivered > 0) {
+    logger.info("Spooled call records delivered to the post-call webhook", { delivered });
+  }
+  return delivered;
+}
+
+/**
+ * Retries the spool now and then periodically.
+ * @returns {NodeJS.Timeout|null} The interval timer, or null when the webhook is disabled
+ */
+function startSpoolRetry() {
+  if (!getWebhookUrl()) return null;
+
+  const run = () => flushSpool().catch((error) => logger.error("Error flushing call record spool", { error }));
+  run();
+  const timer = setInterval(run, Math.max(1000, readInteger("POST_CALL_WEBHOOK_SPOOL_INTERVAL_MS", 300000)));
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  sendCallRecord,
+  flushSpool,
+  startSpoolRetry,
+};
@@ -0,0 +1,124 @@
+/**
+ * client_protocol.js
+ * Validation of the messages a client sends over the WebSocket, and the
+ * states of a client session that decide which messages are accepted:
+ *
+ *   awaiting_init --init--> connecting --Gemini setup complete--> live
+ *         \                     |                                 |
+ *          `--------------------+--- close/end or hangup ---------+--> closing
+ *
+ * - awaiting_init: only init (or close/end) is accepted
+ * - connecting: the Gemini session is being set up; caller audio is buffered
+ * - live: audio goes to Gemini as it arrives
+ * - closing: the call is being cleaned up; messages are ignored
+ */
+
+const SESSION_STATES = Object.freeze({
+  AWAITING_INIT: "awaiting_init",
+  CONNECTING: "connecting",
+  LIVE: "live",
+  CLOSING: "closing",
+});
+
+// Message types accepted in each state
+const ACCEPTED_MESSAGES = {
+  [SESSION_STATES.AWAITING_INIT]: ["init", "close", "end"],
+  [SESSION_STATES.CONNECTING]: ["audio", "dtmf", "close", "end"],
+  [SESSION_STATES.LIVE]: ["audio", "dtmf", "close", "end"],
+  [SESSION_STATES.CLOSING]: [],
+};
+
+// Call UUIDs name transcript and recording files, so they must be safe file names
+const UUID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.-]{0,127}$/;
+const BASE64_PATTERN = /^[A-Za-z0-9+/]*={0,2}$/;
+
+// Fields of each message type besides "type": expected type, and whether required
+const MESSAGE_SCHEMAS = {
+  init: {
+    uuid: { type: "string", required: true, pattern: UUID_PATTERN },
+    config: { type: "object" },
+    audioFormat: { type: "object" },
+    metadata: { type: "object" },
+  },
+  audio: {
+    audio: { type: "string", required: true, pattern: BASE64_PATTERN },
+  },
+  dtmf: {
+    digit: { type: ["string", "number"], required: true },
+    duration: { type: "number" },
+  },
+  close: {
+    reason: { type: "string" },
+  },
+  end: {
+    reason: { type: "string" },
+  },
+};
+
+/**
+ * Tells the JSON type of a value.
+ * @param {*} value
+ * @returns {string} string, number, boolean, object, array or null
+ */
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+/**
+ * Parses and validates a client message.
+ *
+ * @param {Buffer|string} data - Raw WebSocket message
+ * @returns {{message?: object, error?: string}} The message, or why it is invalid
+ */
+function parseClientMessage(data) {
+  let message;
+  try {
+    message = JSON.parse(data);
+  } catch (error) {
+    return { error: "Invalid message: not valid JSON" };
+  }
+  if (typeOf(message) !== "object") {
+    return { error: "Invalid message: expected a JSON object" };
+  }
+  const schema = MESSAGE_SCHEMAS[message.type];
+  if (!schema) {
+    return { error: `Unknown message type: ${String(message.type).slice(0, 32)}` };
+  }
+
+  const problems = [];
+  for (const [field, rule] of Object.entries(schema)) {
+    const value = message[field];
+    if (value === undefined || value === null) {
+      if (rule.required) problems.push(`${field} is required`);
+      continue;
+    }
+    const types = [].concat(rule.type);
+    if (!types.includes(typeOf(value))) {
+      problems.push(`${field} must be ${types.join(" or ")}`);
+    } else if (rule.pattern && !rule.pattern.test(value)) {
+      problems.push(`${field} is not valid`);
+    }
+  }
+  if (problems.length > 0) {
+    return { error: `Invalid ${message.type} message: ${problems.join("; ")}` };
+  }
+  return { message };
+}
+
+/**
+ * Tells whether a session in the given state accepts a message type.
+ * @param {string} state - One of SESSION_STATES
+ * @param {string} type
+ * @returns {boolean}
+ */
+function isAccepted(state, type) {
+  return ACCEPTED_MESSAGES[state].includes(type);
+}
+
+module.exports = {
+  SESSION_STATES,
+  parseClientMessage,
+  isAccepted,
+};
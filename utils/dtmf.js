@@ -0,0 +1,166 @@
+/**
+ * dtmf.js
+ * Keypad digits pressed by the caller.
+ *
+ * Digits normally go to the model as text, grouped when they are pressed in
+ * quick succession so that e.g. "1 2" reaches it as one input rather than two.
+ * While the collect_digits tool is waiting for input, digits go to the tool
+ * instead, which returns them once the caller presses the terminator, enters
+ * the maximum number of digits or stops typing.
+ *
+ * Collected digits may be a PIN. Digits pressed while a collection runs, or
+ * less than its inter-digit timeout after it ended (the caller typing past the
+ * end of a PIN), are sensitive: they are forwarded flagged so that they are
+ * only logged and stored masked.
+ */
+
+const DIGIT_PATTERN = /^[0-9*#A-D]$/;
+
+const COLLECT_DEFAULTS = {
+  maxDigits: 20,
+  terminator: "#",
+  timeoutMs: 10000, // Before the first digit
+  interDigitTimeoutMs: 5000,
+};
+
+/**
+ * Normalizes a digit received from the client.
+ * @param {*} digit
+ * @returns {string|null} The digit, or null when it is not a DTMF digit
+ */
+function normalizeDigit(digit) {
+  const value = String(digit ?? "").toUpperCase();
+  return DIGIT_PATTERN.test(value) ? value : null;
+}
+
+/**
+ * Creates the DTMF receiver of a call.
+ *
+ * @param {object} options
+ * @param {function(string, {sensitive: boolean}): void} options.onDigits - Called with the digits
+ *   to forward to the model
+ * @param {number} [options.groupMs] - How long to wait for more digits before forwarding (default: 1000)
+ * @returns {object} The receiver
+ */
+function createDtmfReceiver({ onDigits, groupMs = 1000 }) {
+  let grouped = "";
+  let groupedSensitive = false;
+  let groupTimer = null;
+  let collection = null;
+  let sensitiveUntil = 0; // End of the sensitive window after the last collection
+
+  const forward = () => {
+    groupTimer = null;
+    const digits = grouped;
+    const sensitive = groupedSensitive;
+    grouped = "";
+    groupedSensitive = false;
+    if (digits) onDigits(digits, { sensitive });
+  };
+
+  /**
+   * Ends the running collection.
+   * @param {string} reason - terminator, max_digits, timeout or cancelled
+   */
+  const finish = (reason) => {
+    if (!collection) return;
+    const { digits, timer, resolve, options } = collection;
+    clearTimeout(timer);
+    collection = null;
+    sensitiveUntil = Date.now() + options.interDigitTimeoutMs;
+    resolve({ digits, reason });
+  };
+
+  const receiver = {
+    /**
+     * Handles a digit pressed by the caller.
+     * @param {string} digit - A normalized digit
+     */
+    press(digit) {
+      if (collection) {
+        const { options } = collection;
+        clearTimeout(collection.timer);
+        if (digit === options.terminator) {
+          finish("terminator");
+          return;
+        }
+        collection.digits += digit;
+        if (collection.digits.length >= options.maxDigits) {
+          finish("max_digits");
+          return;
+        }
+        collection.timer = setTimeout(() => finish("timeout"), options.interDigitTimeoutMs);
+        return;
+      }
+      grouped += digit;
+      groupedSensitive = groupedSensitive || receiver.sensitive;
+      clearTimeout(groupTimer);
+      groupTimer = setTimeout(forward, groupMs);
+    },
+
+    /**
+     * Collects digits for the collect_digits tool. A collection already
+     * running is cancelled first.
+     *
+     * @param {object} [options] - maxDigits, terminator, timeoutMs, interDigitTimeoutMs
+     * @returns {Promise<{digits: string, reason: string}>}
+     */
+    collect(options = {}) {
+      finish("cancelled");
+      // Digits pressed just before the collection started belong to it
+      clearTimeout(groupTimer);
+      const early = grouped;
+      grouped = "";
+      groupedSensitive = false;
+
+      const settings = { ...COLLECT_DEFAULTS };
+      for (const [key, value] of Object.entries(options)) {
+        if (value !== undefined && value !== null) settings[key] = value;
+      }
+      return new Promise((resolve) => {
+        collection = {
+          options: settings,
+          digits: "",
+          timer: setTimeout(() => finish("timeout"), settings.timeoutMs),
+          resolve,
+        };
+        for (const digit of early) receiver.press(digit);
+      });
+    },
+
+    /**
+     * Whether a collection is waiting for digits.
+     * @returns {boolean}
+     */
+    get collecting() {
+      return collection !== null;
+    },
+
+    /**
+     * Whether digits pressed now are sensitive: a collection is running or
+     * has just ended.
+     * @returns {boolean}
+     */
+    get sensitive() {
+      return collection !== null || Date.now() < sensitiveUntil;
+    },
+
+    /**
+     * Cancels the running collection and drops digits not forwarded yet.
+     */
+    cancel() {
+      clearTimeout(groupTimer);
+      grouped = "";
+      groupedSensitive = false;
+      finish("cancelled");
+    },
+  };
+
+  return receiver;
+}
+
+module.exports = {
+  COLLECT_DEFAULTS,
+  normalizeDigit,
+  createDtmfReceiver,
+};
@@ -0,0 +1,71 @@
+/**
+ * framer.js
+ * Cuts a 16-bit PCM stream into fixed-size frames (20ms at 8kHz by default)
+ * using a ring buffer, without allocating per chunk or per frame.
+ */
+
+const { toSamples } = require("./resampler");
+
+/**
+ * Creates a framer.
+ * The ring holds a whole number of frames and frames are always read from a
+ * frame boundary, so a frame never wraps around and can be handed out as a
+ * view on the ring instead of a copy.
+ *
+ * @param {number} [frameSamples] - Samples per frame (default: 160)
+ * @param {number} [capacityFrames] - Frames the ring can hold (default: 64)
+ * @returns {object} The framer
+ */
+function createFramer(frameSamples = 160, capacityFrames = 64) {
+  const ring = new Int16Array(frameSamples * capacityFrames);
+  const ringBytes = Buffer.from(ring.buffer);
+  let readPos = 0;
+  let length = 0;
+
+  return {
+    /**
+     * Adds samples and emits every frame completed by them.
+     *
+     * @param {Buffer} chunk - 16-bit PCM
+     * @param {function(Buffer): void} onFrame - Called with each frame. The frame
+     *   is a view on the ring, only valid during the call: copy it to keep it.
+     */
+    write(chunk, onFrame) {
+      const samples = toSamples(chunk);
+      let offset = 0;
+      while (offset < samples.length) {
+        const writePos = (readPos + length) % ring.length;
+        const count = Math.min(samples.length - offset, ring.length - length, ring.length - writePos);
+        ring.set(samples.subarray(offset, offset + count), writePos);
+        offset += count;
+        length += count;
+
+        while (length >= frameSamples) {
+          onFrame(ringBytes.subarray(readPos * 2, (readPos + frameSamples) * 2));
+          readPos = (readPos + frameSamples) % ring.length;
+          length -= frameSamples;
+        }
+      }
+    },
+
+    /**
+     * Drops the incomplete frame, e.g. when the model is interrupted.
+     */
+    clear() {
+      readPos = 0;
+      length = 0;
+    },
+
+    /**
+     * Number of samples waiting for a frame to complete.
+     * @returns {number}
+     */
+    get buffered() {
+      return length;
+    },
+  };
+}
+
+module.exports = {
+  createFramer,
+};
@@ -0,0 +1,132 @@
+/**
+ * g711.js
+ * G.711 µ-law and A-law companding of 16-bit PCM samples.
+ * Decoding goes through 256-entry lookup tables built once at load time.
+ */
+
+const MULAW_BIAS = 0x84;
+const MULAW_CLIP = 32635;
+
+/**
+ * Encodes one 16-bit PCM sample to µ-law.
+ * @param {number} sample
+ * @returns {number} The µ-law byte
+ */
+function encodeMuLawSample(sample) {
+  const sign = sample < 0 ? 0x80 : 0;
+  let magnitude = Math.min(Math.abs(sample), MULAW_CLIP) + MULAW_BIAS;
+  let exponent = 7;
+  for (let mask = 0x4000; (magnitude & mask) === 0 && exponent > 0; mask >>= 1) {
+    exponent--;
+  }
+  const mantissa = (magnitude >> (exponent + 3)) & 0x0f;
+  return ~(sign | (exponent << 4) | mantissa) & 0xff;
+}
+
+/**
+ * Decodes one µ-law byte to a 16-bit PCM sample.
+ * @param {number} byte
+ * @returns {number}
+ */
+function decodeMuLawSample(byte) {
+  const value = ~byte & 0xff;
+  const exponent = (value >> 4) & 0x07;
+  const magnitude = (((value & 0x0f) << 3) + MULAW_BIAS) << exponent;
+  return value & 0x80 ? MULAW_BIAS - magnitude : magnitude - MULAW_BIAS;
+}
+
+// Upper bounds of the A-law segments, on 13-bit magnitudes
+const ALAW_SEGMENT_ENDS = [0x1f, 0x3f, 0x7f, 0xff, 0x1ff, 0x3ff, 0x7ff, 0xfff];
+
+/**
+ * Encodes one 16-bit PCM sample to A-law.
+ * @param {number} sample
+ * @returns {number} The A-law byte
+ */
+function encodeALawSample(sample) {
+  let value = sample >> 3;
+  let mask = 0xd5;
+  if (value < 0) {
+    mask = 0x55;
+    value = -value - 1;
+  }
+  const segment = ALAW_SEGMENT_ENDS.findIndex((end) => value <= end);
+  if (segment === -1) return 0x7f ^ mask;
+  const mantissa = segment < 2 ? (value >> 1) & 0x0f : (value >> segment) & 0x0f;
+  return ((segment << 4) | mantissa) ^ mask;
+}
+
+/**
+ * Decodes one A-law byte to a 16-bit PCM sample.
+ * @param {number} byte
+ * @returns {number}
+ */
+function decodeALawSample(byte) {
+  const value = byte ^ 0x55;
+  const segment = (value & 0x70) >> 4;
+  let magnitude = ((value & 0x0f) << 4) + 8;
+  if (segment > 0) magnitude = (magnitude + 0x100) << (segment - 1);
+  return value & 0x80 ? magnitude : -magnitude;
+}
+
+const MULAW_TABLE = Int16Array.from({ length: 256 }, (_, byte) => decodeMuLawSample(byte));
+const ALAW_TABLE = Int16Array.from({ length: 256 }, (_, byte) => decodeALawSample(byte));
+
+/**
+ * Encodes 16-bit PCM samples to µ-law.
+ * @param {Int16Array} samples
+ * @returns {Buffer}
+ */
+function encodeMuLaw(samples) {
+  const output = Buffer.alloc(samples.length);
+  for (let i = 0; i < samples.length; i++) {
+    output[i] = encodeMuLawSample(samples[i]);
+  }
+  return output;
+}
+
+/**
+ * Decodes µ-law bytes to 16-bit PCM samples.
+ * @param {Buffer} bytes
+ * @returns {Int16Array}
+ */
+function decodeMuLaw(bytes) {
+  const output = new Int16Array(bytes.length);
+  for (let i = 0; i < bytes.length; i++) {
+    output[i] = MULAW_TABLE[bytes[i]];
+  }
+  return output;
+}
+
+/**
+ * Encodes 16-bit PCM samples to A-law.
+ * @param {Int16Array} samples
+ * @returns {Buffer}
+ */
+function encodeALaw(samples) {
+  const output = Buffer.alloc(samples.length);
+  for (let i = 0; i < samples.length; i++) {
+    output[i] = encodeALawSample(samples[i]);
+  }
+  return output;
+}
+
+/**
+ * Decodes A-law bytes to 16-bit PCM samples.
+ * @param {Buffer} bytes
+ * @returns {Int16Array}
+ */
+function decodeALaw(bytes) {
+  const output = new Int16Array(bytes.length);
+  for (let i = 0; i < bytes.length; i++) {
+    output[i] = ALAW_TABLE[bytes[i]];
+  }
+  return output;
+}
+
+module.exports = {
+  encodeMuLaw,
+  decodeMuLaw,
+  encodeALaw,
+  decodeALaw,
+};
@@ -3,21 +3,24 @@
 const { google } = require("googleapis");
 const fs = require("fs").promises;
 const path = require("path");
+const { createLogger } = require("./logger");
 
 require("dotenv").config({ path: path.resolve(__dirname, '../../../.env') });
 
 const TOKEN_PATH = path.join(__dirname, "token.json");
 
-// Check if the required environment variables are loaded
-if (!process.env.GOOGLE_CLIENT_ID || !process.env.GOOGLE_CLIENT_SECRET || !process.env.GOOGLE_REDIRECT_URI) {
-    throw new Error("Missing required Google Calendar environment variables (GOOGLE_CLIENT_ID, GOOGLE_CLIENT_SECRET, GOOGLE_REDIRECT_URI). Please check your .env file in the root directory.");
-}
+const logger = createLogger("google_calendar");
 
 /**
  * Creates an OAuth2 client with the given credentials.
  * @returns {google.auth.OAuth2} The OAuth2 client.
+ * @throws {Error} If the Google Calendar environment variables are missing.
  */
 function createOAuth2Client() {
+  // Checked lazily so that loading the tools does not fail on deployments without Google
+  if (!process.env.GOOGLE_CLIENT_ID || !process.env.GOOGLE_CLIENT_SECRET || !process.env.GOOGLE_REDIRECT_URI) {
+    throw new Error("Missing required Google Calendar environment variables (GOOGLE_CLIENT_ID, GOOGLE_CLIENT_SECRET, GOOGLE_REDIRECT_URI). Please check your .env file in the root directory.");
+  }
   return new google.auth.OAuth2(
     process.env.GOOGLE_CLIENT_ID,
     process.env.GOOGLE_CLIENT_SECRET,
@@ -50,7 +53,7 @@ async function getAccessToken(code) {
   oAuth2Client.setCredentials(tokens);
   // Store the new tokens to disk for later use
   await fs.writeFile(TOKEN_PATH, JSON.stringify(tokens));
-  console.log("Token stored to", TOKEN_PATH);
+  logger.info("Token stored", { path: TOKEN_PATH });
   return oAuth2Client;
 }
 
@@ -72,150 +75,206 @@ async function getAuthorizedClient() {
         const newTokens = await oAuth2Client.refreshAccessToken();
         oAuth2Client.setCredentials(newTokens.credentials);
         await fs.writeFile(TOKEN_PATH, JSON.stringify(newTokens.credentials));
-        console.log("Token refreshed and stored.");
+        logger.info("Token refreshed and stored");
       } else {
-        console.log("Token is expiring but no refresh_token available, using current token.");
+        logger.warn("Token is expiring but no refresh_token available, using current token");
       }
     }
     return oAuth2Client;
   } catch (error) {
-    console.error("Error loading credentials:", error);
-    console.log("Please authorize the application by visiting the following URL and then running the getAccessToken function with the provided code:");
-    console.log(getAuthorizationUrl());
+    logger.error("Error loading credentials", { error });
+    logger.info(
+      "Please authorize the application by visiting the following URL and then running the getAccessToken function with the provided code",
+      { url: getAuthorizationUrl() }
+    );
     return null;
   }
 }
 
 /**
- * Checks availability on the Google Calendar.
- * @param {string} start_time The start time of the event in ISO 8601 format.
- * @param {number} duration_minutes The duration of the event in minutes.
- * @returns {Promise<string>} A message indicating if the slot is available.
+ * Converts a Calendar API event into the provider-neutral shape.
+ * @param {object} item
+ * @returns {object}
  */
-async function checkAvailability(date, time, duration_minutes) {
-   const oAuth2Client = await getAuthorizedClient();
-   if (!oAuth2Client) {
-     return "Google Calendar is not authorized. Please authorize the application first.";
-   }
-   const calendar = google.calendar({ version: "v3", auth: oAuth2Client });
-
-   // Assume input date and time are for Europe/Amsterdam timezone.
-   // For December 2025, Europe/Amsterdam uses Central European Time (CET), which is UTC+1.
-   const timeZone = "Europe/Amsterdam";
-
-   const [year, month, day] = date.split('-').map(Number);
-   const [hour, minute] = time.split(':').map(Number);
-
-   // Convert local time to UTC (Amsterdam is UTC+1 in December)
-   const utcHour = hour - 1;
-   const startUtc = `${year}-${month.toString().padStart(2, '0')}-${day.toString().padStart(2, '0')}T${utcHour.toString().padStart(2, '0')}:${minute.toString().padStart(2, '0')}:00Z`;
-   const endMinute = minute + duration_minutes;
-   const endHour = hour + Math.floor(endMinute / 60);
-   const endMin = endMinute % 60;
-   const utcEndHour = endHour - 1;
-   const endUtc = `${year}-${month.toString().padStart(2, '0')}-${day.toString().padStart(2, '0')}T${utcEndHour.toString().padStart(2, '0')}:${endMin.toString().padStart(2, '0')}:00Z`;
-
-   // Get the primary calendar ID
-   const calendarList = await calendar.calendarList.list();
-   const primaryCalendar = calendarList.data.items.find(item => item.primary);
-   if (!primaryCalendar) {
-     return "No primary calendar found.";
-   }
-   const calendarId = primaryCalendar.id;
-
-   try {
-     const requestBody = {
-       timeMin: startUtc,
-       timeMax: endUtc,
-       timeZone: timeZone,
-       items: [{ id: calendarId }],
-     };
-     console.log("Freebusy request:", JSON.stringify(requestBody, null, 2));
-     const res = await calendar.freebusy.query({
-       requestBody,
-     });
-     console.log("Freebusy response:", JSON.stringify(res.data, null, 2));
-
-     if (res.data.calendars[calendarId] && res.data.calendars[calendarId].busy.length > 0) {
-       return `The time slot from ${date} ${time} (Europe/Amsterdam) for ${duration_minutes} minutes is NOT available.`;
-     } else {
-       return `The time slot from ${date} ${time} (Europe/Amsterdam) for ${duration_minutes} minutes is available.`;
-     }
-   } catch (error) {
-     console.error("Error checking calendar availability:", error);
-     return `Error checking calendar availability: ${error.message}`;
-   }
- }
+function toEvent(item) {
+  return {
+    id: item.id,
+    summary: item.summary || "",
+    description: item.description || "",
+    start: new Date(item.start.dateTime || item.start.date),
+    end: new Date(item.end.dateTime || item.end.date),
+    attendees: (item.attendees || []).map(attendee => attendee.email),
+    status: (item.status || "").toUpperCase(),
+    transparent: item.transparency === "transparent",
+    properties: item.extendedProperties?.private || {},
+    url: item.htmlLink,
+  };
+}
 
 /**
- * Books an appointment on the Google Calendar.
- * @param {string} client_name
- * @param {string} client_email
- * @param {string} start_time ISO 8601 format
- * @param {number} duration_minutes
- * @param {string} purpose
- * @returns {Promise<string>} A confirmation message.
+ * Drops empty values and stringifies the rest, as extended properties only hold strings.
+ * @param {object} properties
+ * @returns {object}
  */
-async function bookAppointment(client_name, client_email, date, time, duration_minutes, purpose) {
-   const oAuth2Client = await getAuthorizedClient();
-   if (!oAuth2Client) {
-     return "Google Calendar is not authorized. Please authorize the application first.";
-   }
-   const calendar = google.calendar({ version: "v3", auth: oAuth2Client });
-
-   // Assume input date and time are for Europe/Amsterdam timezone.
-   // For December 2025, Europe/Amsterdam uses Central European Time (CET), which is UTC+1.
-   const timeZone = "Europe/Amsterdam";
-
-   const [year, month, day] = date.split('-').map(Number);
-   const [hour, minute] = time.split(':').map(Number);
-
-   // Convert local time to UTC (Amsterdam is UTC+1 in December)
-   const utcHour = hour - 1;
-   const startUtc = `${year}-${month.toString().padStart(2, '0')}-${day.toString().padStart(2, '0')}T${utcHour.toString().padStart(2, '0')}:${minute.toString().padStart(2, '0')}:00Z`;
-   const endMinute = minute + duration_minutes;
-   const endHour = hour + Math.floor(endMinute / 60);
-   const endMin = endMinute % 60;
-   const utcEndHour = endHour - 1;
-   const endUtc = `${year}-${month.toString().padStart(2, '0')}-${day.toString().padStart(2, '0')}T${utcEndHour.toString().padStart(2, '0')}:${endMin.toString().padStart(2, '0')}:00Z`;
-
-   // Get the primary calendar ID
-   const calendarList = await calendar.calendarList.list();
-   const primaryCalendar = calendarList.data.items.find(item => item.primary);
-   if (!primaryCalendar) {
-     return "No primary calendar found.";
-   }
-   const calendarId = primaryCalendar.id;
-
-   const event = {
-     summary: purpose,
-     description: `Appointment with ${client_name}.`,
-     start: {
-       dateTime: startUtc,
-       timeZone: timeZone,
-     },
-     end: {
-       dateTime: endUtc,
-       timeZone: timeZone,
-     },
-     attendees: [{ email: client_email }],
-   };
-
-   try {
-     const res = await calendar.events.insert({
-       calendarId: calendarId,
-       resource: event,
-     });
-     return `Appointment successfully booked for ${client_name} from ${date} ${time} (Europe/Amsterdam) for ${duration_minutes} minutes. Event URL: ${res.data.htmlLink}`;
-   } catch (error) {
-     console.error("Error booking appointment:", error);
-     return `Error booking appointment: ${error.message}`;
-   }
- }
+function stringifyProperties(properties) {
+  return Object.fromEntries(
+    Object.entries(properties)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([key, value]) => [key, String(value)]),
+  );
+}
+
+/**
+ * Returns an authorized Calendar API client together with the calendar to use.
+ * @param {string} [calendarId] Calendar to use instead of the primary calendar.
+ * @returns {Promise<{calendar: object, calendarId: string}>}
+ * @throws {Error} If the application is not authorized or has no primary calendar.
+ */
+async function getCalendar(calendarId) {
+  const oAuth2Client = await getAuthorizedClient();
+  if (!oAuth2Client) {
+    throw new Error("Google Calendar is not authorized. Please authorize the application first.");
+  }
+  const calendar = google.calendar({ version: "v3", auth: oAuth2Client });
+  if (calendarId) {
+    return { calendar, calendarId };
+  }
+
+  const calendarList = await calendar.calendarList.list();
+  const primaryCalendar = calendarList.data.items.find(item => item.primary);
+  if (!primaryCalendar) {
+    throw new Error("No primary calendar found.");
+  }
+  return { calendar, calendarId: primaryCalendar.id };
+}
+
+/**
+ * Returns the busy intervals of the calendar between two instants.
+ * @param {Date} start
+ * @param {Date} end
+ * @param {string} [targetCalendarId] Calendar ID, defaults to the primary calendar.
+ * @returns {Promise<Array<{start: Date, end: Date}>>}
+ */
+async function getBusy(start, end, targetCalendarId) {
+  const { calendar, calendarId } = await getCalendar(targetCalendarId);
+
+  const requestBody = {
+    timeMin: start.toISOString(),
+    timeMax: end.toISOString(),
+    items: [{ id: calendarId }],
+  };
+  logger.debug("Freebusy request", { request: requestBody });
+  const res = await calendar.freebusy.query({ requestBody });
+  logger.debug("Freebusy response", { response: res.data });
+
+  const busy = res.data.calendars[calendarId]?.busy || [];
+  return busy.map(slot => ({ start: new Date(slot.start), end: new Date(slot.end) }));
+}
+
+/**
+ * Inserts an event into the calendar.
+ * @param {object} event
+ * @param {string} event.summary
+ * @param {string} event.description
+ * @param {Date} event.start
+ * @param {Date} event.end
+ * @param {string} [event.timeZone] Time zone the event is displayed in.
+ * @param {string[]} event.attendees Attendee email addresses.
+ * @param {object} [event.properties] Private key/value metadata, stored as private extended properties.
+ * @param {string} [targetCalendarId] Calendar ID, defaults to the primary calendar.
+ * @returns {Promise<{id: string, url: string}>}
+ */
+async function createEvent({ summary, description, start, end, timeZone, attendees = [], properties = {} }, targetCalendarId) {
+  const { calendar, calendarId } = await getCalendar(targetCalendarId);
+
+  const res = await calendar.events.insert({
+    calendarId: calendarId,
+    resource: {
+      summary,
+      description,
+      start: { dateTime: start.toISOString(), timeZone },
+      end: { dateTime: end.toISOString(), timeZone },
+      attendees: attendees.map(email => ({ email })),
+      extendedProperties: { private: stringifyProperties(properties) },
+    },
+  });
+  return { id: res.data.id, url: res.data.htmlLink };
+}
+
+/**
+ * Lists the events of the calendar overlapping a time range.
+ * @param {Date} start
+ * @param {Date} end
+ * @param {string} [targetCalendarId] Calendar ID, defaults to the primary calendar.
+ * @returns {Promise<Array<object>>} Events in the provider-neutral shape.
+ */
+async function listEvents(start, end, targetCalendarId) {
+  const { calendar, calendarId } = await getCalendar(targetCalendarId);
+
+  const res = await calendar.events.list({
+    calendarId,
+    timeMin: start.toISOString(),
+    timeMax: end.toISOString(),
+    singleEvents: true,
+    orderBy: "startTime",
+  });
+  return (res.data.items || []).map(toEvent);
+}
+
+/**
+ * Returns a single event of the calendar.
+ * @param {string} eventId
+ * @param {string} [targetCalendarId] Calendar ID, defaults to the primary calendar.
+ * @returns {Promise<object|null>} The event, or null if it does not exist or was cancelled.
+ */
+async function getEvent(eventId, targetCalendarId) {
+  const { calendar, calendarId } = await getCalendar(targetCalendarId);
+  try {
+    const res = await calendar.events.get({ calendarId, eventId });
+    return res.data.status === "cancelled" ? null : toEvent(res.data);
+  } catch (error) {
+    if (error.code === 404 || error.code === 410) return null;
+    throw error;
+  }
+}
+
+/**
+ * Moves an event of the calendar to a new time range.
+ * @param {string} eventId
+ * @param {object} changes
+ * @param {Date} changes.start
+ * @param {Date} changes.end
+ * @param {string} [targetCalendarId] Calendar ID, defaults to the primary calendar.
+ */
+async function updateEvent(eventId, { start, end }, targetCalendarId) {
+  const { calendar, calendarId } = await getCalendar(targetCalendarId);
+  await calendar.events.patch({
+    calendarId,
+    eventId,
+    resource: {
+      start: { dateTime: start.toISOString() },
+      end: { dateTime: end.toISOString() },
+    },
+  });
+}
+
+/**
+ * Deletes an event from the calendar.
+ * @param {string} eventId
+ * @param {string} [targetCalendarId] Calendar ID, defaults to the primary calendar.
+ */
+async function deleteEvent(eventId, targetCalendarId) {
+  const { calendar, calendarId } = await getCalendar(targetCalendarId);
+  await calendar.events.delete({ calendarId, eventId });
+}
 
 module.exports = {
   getAuthorizationUrl,
   getAccessToken,
-  checkAvailability,
-  bookAppointment,
+  getBusy,
+  createEvent,
+  listEvents,
+  getEvent,
+  updateEvent,
+  deleteEvent,
 };
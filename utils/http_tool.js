@@ -0,0 +1,215 @@
+/**
+ * http_tool.js
+ * Tools declared in configuration that call an HTTP endpoint, so that
+ * integrating a web service needs no JavaScript.
+ *
+ * A definition (one entry of a .json/.yaml tool file, see loadTools.js):
+ *   name: lookup_customer
+ *   description: Looks up the caller in the CRM.
+ *   parameters: { type: object, properties: { ... }, required: [ ... ] }
+ *   url: https://crm.example.com/customers?phone={{metadata.caller_number}}
+ *   method: GET                      # GET (default), POST, PUT, PATCH or DELETE
+ *   headers: { Authorization: "Bearer {{env.CRM_TOKEN}}" }
+ *   query: { customer: "{{args.customer_id}}" }
+ *   body: { session: "{{uuid}}", note: "{{args.note}}" }   # object or string template
+ *   response_field: data.summary     # path in the JSON response, whole body when omitted
+ *   timeout_ms: 5000
+ *
+ * Placeholders: {{uuid}}, {{args.<name>}}, {{metadata.<field>}} (call metadata,
+ * e.g. metadata.custom.customer_id) and {{env.<VARIABLE>}}, with an optional
+ * fallback: {{args.phone|metadata.caller_number}} tries each path in turn and
+ * {{args.lang|'en'}} ends with a literal. In the url, uuid, args and metadata
+ * values are URL-encoded, while env values and literals come from the
+ * configuration and are inserted as they are, so that {{env.CRM_URL}}/customers
+ * may hold a base URL with a path.
+ * A body string that is a single placeholder keeps the type of its value.
+ * Environment variables referenced by a definition are required: the tool is
+ * not registered without them.
+ */
+
+const axios = require("axios");
+const { checkSchema } = require("./json_schema");
+const { createLogger } = require("./logger");
+
+const logger = createLogger("http_tool");
+
+const METHODS = ["GET", "POST", "PUT", "PATCH", "DELETE"];
+const PLACEHOLDER = /\{\{\s*([^}]+?)\s*\}\}/g;
+const SINGLE_PLACEHOLDER = /^\{\{\s*([^}]+?)\s*\}\}$/;
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Reads a dotted path such as data.customer.name.
+ * @param {*} value
+ * @param {string} path
+ * @returns {*}
+ */
+const getPath = (value, path) =>
+  path.split(".").reduce((current, key) => (current == null ? undefined : current[key]), value);
+
+/**
+ * Resolves a placeholder expression: paths separated by |, tried in turn,
+ * optionally ending with a quoted literal.
+ * @param {string} expression
+ * @param {object} scope - { uuid, args, metadata, env }
+ * @returns {{value: *, source?: string}} The value, undefined when none matched, and where it
+ *   came from: "literal" or the first part of the path (uuid, args, metadata or env)
+ */
+function resolveExpression(expression, scope) {
+  for (const alternative of expression.split("|").map((part) => part.trim())) {
+    const literal = alternative.match(/^'(.*)'$|^"(.*)"$/);
+    if (literal) return { value: literal[1] ?? literal[2], source: "literal" };
+    const value = getPath(scope, alternative);
+    if (value !== undefined && value !== null && value !== "") {
+      return { value, source: alternative.split(".")[0] };
+    }
+  }
+  return { value: undefined };
+}
+
+/**
+ * Renders a string template.
+ * @param {string} template
+ * @param {object} scope
+ * @param {function(string, string): string} [encode] - Applied to each value, with its source
+ * @returns {string}
+ */
+function renderString(template, scope, encode = (text) => text) {
+  return template.replace(PLACEHOLDER, (_, expression) => {
+    const { value, source } = resolveExpression(expression, scope);
+    if (value === undefined) return "";
+    return encode(typeof value === "object" ? JSON.stringify(value) : String(value), source);
+  });
+}
+
+/**
+ * URL-encodes the values the model or the caller controls. Env values and
+ * literals are part of the configuration and may hold a base URL or a path.
+ * @param {string} text
+ * @param {string} source
+ * @returns {string}
+ */
+const encodeUrlValue = (text, source) =>
+  source === "env" || source === "literal" ? text : encodeURIComponent(text);
+
+/**
+ * Renders every string of a JSON value.
+ * @param {*} template
+ * @param {object} scope
+ * @returns {*}
+ */
+function renderValue(template, scope) {
+  if (typeof template === "string") {
+    const single = template.match(SINGLE_PLACEHOLDER);
+    return single ? resolveExpression(single[1], scope).value ?? null : renderString(template, scope);
+  }
+  if (Array.isArray(template)) return template.map((item) => renderValue(item, scope));
+  if (isPlainObject(template)) {
+    return Object.fromEntries(
+      Object.entries(template).map(([key, value]) => [key, renderValue(value, scope)]),
+    );
+  }
+  return template;
+}
+
+/**
+ * Lists the environment variables a definition references in its
+ * placeholders. Text outside placeholders, such as a host named
+ * api.env.example.com, is not a reference.
+ * @param {object} definition
+ * @returns {string[]}
+ */
+function findEnvReferences(definition) {
+  const text = JSON.stringify([definition.url, definition.headers, definition.query, definition.body]);
+  const names = [...text.matchAll(PLACEHOLDER)].flatMap(([, expression]) =>
+    expression
+      .split("|")
+      .map((alternative) => /^env\.([A-Za-z_]\w*)$/.exec(alternative.trim()))
+      .filter(Boolean)
+      .map((match) => match[1]),
+  );
+  return [...new Set(names)];
+}
+
+/**
+ * Checks a definition.
+ * @param {*} definition
+ * @returns {string[]} The problems found
+ */
+function validateDefinition(definition) {
+  if (!isPlainObject(definition)) return ["must be an object"];
+  const problems = [];
+  if (typeof definition.url !== "string" || definition.url.trim() === "") {
+    problems.push("url is required");
+  }
+  if (definition.method !== undefined && !METHODS.includes(String(definition.method).toUpperCase())) {
+    problems.push(`method must be one of ${METHODS.join(", ")}`);
+  }
+  for (const field of ["headers", "query"]) {
+    const value = definition[field];
+    if (value !== undefined && (!isPlainObject(value) || !Object.values(value).every((item) => typeof item === "string"))) {
+      problems.push(`${field} must map names to strings`);
+    }
+  }
+  const schema = definition.parameters ?? definition.input_schema;
+  if (schema !== undefined && !isPlainObject(schema)) problems.push("parameters must be an object");
+  else if (schema !== undefined) problems.push(...checkSchema(schema, "parameters"));
+  if (definition.response_field !== undefined && typeof definition.response_field !== "string") {
+    problems.push("response_field must be a string");
+  }
+  return problems;
+}
+
+/**
+ * Builds a tool module from an HTTP tool definition.
+ *
+ * @param {object} definition
+ * @returns {{tool: object|null, problems: string[]}} The tool, or the problems
+ *   that prevent building it
+ */
+function createHttpTool(definition) {
+  const problems = validateDefinition(definition);
+  if (problems.length > 0) return { tool: null, problems };
+
+  const method = String(definition.method || "GET").toUpperCase();
+  const tool = {
+    name: definition.name,
+    description: definition.description,
+    input_schema: definition.parameters ?? definition.input_schema ?? { type: "object", properties: {} },
+    timeout_ms: definition.timeout_ms,
+    manifest: {
+      ...definition.manifest,
+      env: [...new Set([...(definition.manifest?.env || []), ...findEnvReferences(definition)])],
+    },
+    handler: async (sessionUuid, args, context) => {
+      const scope = { uuid: sessionUuid, args: args || {}, metadata: context?.metadata || {}, env: process.env };
+      const request = {
+        method,
+        url: renderString(definition.url, scope, encodeUrlValue),
+        headers: renderValue(definition.headers || {}, scope),
+        params: definition.query ? renderValue(definition.query, scope) : undefined,
+        signal: context?.signal,
+      };
+      if (definition.body !== undefined && method !== "GET") {
+        request.data =
+          typeof definition.body === "string" ? renderString(definition.body, scope) : renderValue(definition.body, scope);
+      }
+
+      logger.info("HTTP tool request", { tool: definition.name, method, url: request.url.split("?")[0] });
+      const response = await axios(request);
+      if (!definition.response_field) return response.data;
+      const value = getPath(response.data, definition.response_field);
+      if (value === undefined) {
+        throw new Error(`the response has no ${definition.response_field} field`);
+      }
+      return value;
+    },
+  };
+  return { tool, problems: [] };
+}
+
+module.exports = {
+  createHttpTool,
+};
@@ -0,0 +1,250 @@
+/**
+ * json_schema.js
+ * Validation of tool arguments against the JSON schema subset used in tool
+ * definitions: type, properties, required, additionalProperties, items, enum,
+ * minimum/maximum, minLength/maxLength, pattern and minItems/maxItems.
+ * Type names are case-insensitive, so Gemini-style schemas ("STRING") work too.
+ *
+ * Also translates full JSON schemas, e.g. those of MCP tools, into the OpenAPI
+ * subset accepted by Gemini function declarations.
+ */
+
+const TYPE_CHECKS = {
+  string: (value) => typeof value === "string",
+  number: (value) => typeof value === "number" && Number.isFinite(value),
+  integer: (value) => Number.isInteger(value),
+  boolean: (value) => typeof value === "boolean",
+  array: (value) => Array.isArray(value),
+  object: (value) => value !== null && typeof value === "object" && !Array.isArray(value),
+  null: (value) => value === null,
+};
+
+/**
+ * Checks a value against a schema, adding a line per problem.
+ * @param {object} schema
+ * @param {*} value
+ * @param {string} path - Where the value is, for the messages
+ * @param {string[]} problems
+ */
+function check(schema, value, path, problems) {
+  if (!schema || typeof schema !== "object") return;
+
+  if (schema.type) {
+    const types = (Array.isArray(schema.type) ? schema.type : [schema.type]).map((type) =>
+      String(type).toLowerCase(),
+    );
+    const matches = types.some((type) => !TYPE_CHECKS[type] || TYPE_CHECKS[type](value));
+    if (!matches) {
+      problems.push(`${path} must be of type ${types.join(" or ")}`);
+      return;
+    }
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+    problems.push(`${path} must be one of ${schema.enum.map((option) => JSON.stringify(option)).join(", ")}`);
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      problems.push(`${path} must be at least ${schema.minLength} characters long`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      problems.push(`${path} must be at most ${schema.maxLength} characters long`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      problems.push(`${path} must match ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      problems.push(`${path} must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      problems.push(`${path} must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      problems.push(`${path} must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      problems.push(`${path} must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => check(schema.items, item, `${path}[${index}]`, problems));
+    }
+  }
+
+  if (TYPE_CHECKS.object(value)) {
+    const properties = schema.properties || {};
+    for (const name of schema.required || []) {
+      if (value[name] === undefined || value[name] === null) {
+        problems.push(`${path}.${name} is required`);
+      }
+    }
+    for (const [name, item] of Object.entries(value)) {
+      if (properties[name]) {
+        // Optional arguments sent as null count as omitted
+        if (item !== null) check(properties[name], item, `${path}.${name}`, problems);
+      } else if (schema.additionalProperties === false) {
+        problems.push(`${path}.${name} is not allowed`);
+      }
+    }
+  }
+}
+
+/**
+ * Validates a value against a schema.
+ *
+ * @param {object} schema - JSON schema
+ * @param {*} value
+ * @param {string} [path] - Name of the value in the messages (default: args)
+ * @returns {string[]} The problems found, empty when the value is valid
+ */
+function validate(schema, value, path = "args") {
+  const problems = [];
+  check(schema, value, path, problems);
+  return problems;
+}
+
+/**
+ * Checks that a schema can be used by validate: every pattern must be a valid
+ * regular expression, or validating a value against it would throw.
+ *
+ * @param {object} schema - JSON schema
+ * @param {string} [path] - Name of the schema in the messages (default: input_schema)
+ * @returns {string[]} The problems found, empty when the schema is usable
+ */
+function checkSchema(schema, path = "input_schema") {
+  const problems = [];
+  const walk = (node, where) => {
+    if (!node || typeof node !== "object") return;
+    if (node.pattern !== undefined) {
+      try {
+        new RegExp(node.pattern);
+      } catch (error) {
+        problems.push(`${where}.pattern is not a valid regular expression: ${error.message}`);
+      }
+    }
+    for (const [name, property] of Object.entries(node.properties || {})) {
+      walk(property, `${where}.properties.${name}`);
+    }
+    walk(node.items, `${where}.items`);
+  };
+  walk(schema, path);
+  return problems;
+}
+
+// Keys of a JSON schema that Gemini function declarations accept as they are
+const GEMINI_SCHEMA_KEYS = [
+  "description",
+  "title",
+  "minItems",
+  "maxItems",
+  "minLength",
+  "maxLength",
+  "minProperties",
+  "maxProperties",
+  "minimum",
+  "maximum",
+  "pattern",
+];
+const GEMINI_FORMATS = ["date-time", "int32", "int64", "float", "double"];
+
+// Deepest nesting translated, so recursive $refs cannot loop forever
+const MAX_SCHEMA_DEPTH = 10;
+
+/**
+ * Translates a JSON schema into a Gemini function declaration schema:
+ * $refs are inlined, type lists become nullable or anyOf, oneOf becomes anyOf,
+ * allOf is merged and unsupported keywords are dropped.
+ *
+ * @param {object} schema - JSON schema
+ * @param {object} [root] - Schema holding the $defs/definitions (default: schema)
+ * @param {number} [depth]
+ * @returns {object} Gemini schema
+ */
+function toGeminiSchema(schema, root = schema, depth = 0) {
+  if (!schema || typeof schema !== "object" || depth > MAX_SCHEMA_DEPTH) {
+    return { type: "object" };
+  }
+
+  if (typeof schema.$ref === "string") {
+    const match = schema.$ref.match(/^#\/(\$defs|definitions)\/(.+)$/);
+    const target = match ? root[match[1]]?.[match[2]] : null;
+    const { $ref, ...rest } = schema;
+    return toGeminiSchema({ ...target, ...rest }, root, depth + 1);
+  }
+
+  if (Array.isArray(schema.allOf)) {
+    const { allOf, ...rest } = schema;
+    const merged = { ...rest, properties: { ...rest.properties }, required: [...(rest.required || [])] };
+    for (const part of allOf) {
+      const resolved = part?.$ref ? toGeminiSchema(part, root, depth + 1) : part || {};
+      merged.type = merged.type || resolved.type;
+      Object.assign(merged.properties, resolved.properties);
+      merged.required.push(...(resolved.required || []));
+    }
+    return toGeminiSchema(merged, root, depth + 1);
+  }
+
+  const result = {};
+  for (const key of GEMINI_SCHEMA_KEYS) {
+    if (schema[key] !== undefined) result[key] = schema[key];
+  }
+  if (GEMINI_FORMATS.includes(schema.format)) result.format = schema.format;
+
+  const variants = schema.anyOf || schema.oneOf;
+  if (Array.isArray(variants)) {
+    const nonNull = variants.filter((variant) => variant?.type !== "null");
+    if (nonNull.length < variants.length) result.nullable = true;
+    if (nonNull.length === 1) return { ...toGeminiSchema(nonNull[0], root, depth + 1), ...result };
+    result.anyOf = nonNull.map((variant) => toGeminiSchema(variant, root, depth + 1));
+    return result;
+  }
+
+  let types = Array.isArray(schema.type) ? schema.type : schema.type ? [schema.type] : [];
+  types = types.map((type) => String(type).toLowerCase());
+  if (types.includes("null")) {
+    result.nullable = true;
+    types = types.filter((type) => type !== "null");
+  }
+  if (types.length > 1) {
+    result.anyOf = types.map((type) => toGeminiSchema({ ...schema, type }, root, depth + 1));
+    return result;
+  }
+  let type = types[0];
+  if (!type) {
+    if (schema.properties) type = "object";
+    else if (schema.items) type = "array";
+    else if (schema.enum || schema.const !== undefined) type = "string";
+  }
+  if (type) result.type = type;
+
+  // Gemini only accepts string enums
+  const options = schema.const !== undefined ? [schema.const] : schema.enum;
+  if (Array.isArray(options) && options.every((option) => typeof option === "string")) {
+    result.enum = options;
+  }
+
+  if (type === "object" && schema.properties) {
+    result.properties = {};
+    for (const [name, property] of Object.entries(schema.properties)) {
+      result.properties[name] = toGeminiSchema(property, root, depth + 1);
+    }
+    const required = (schema.required || []).filter((name) => name in result.properties);
+    if (required.length > 0) result.required = required;
+  }
+  if (type === "array") {
+    result.items = toGeminiSchema(schema.items || { type: "string" }, root, depth + 1);
+  }
+  return result;
+}
+
+module.exports = {
+  validate,
+  checkSchema,
+  toGeminiSchema,
+};
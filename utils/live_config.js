@@ -0,0 +1,283 @@
+/**
+ * live_config.js
+ * Gemini Live session options: voice, language, temperature, context window
+ * compression, voice activity detection and audio transcription.
+ *
+ * Defaults come from environment variables and are validated once at startup;
+ * each call may override any option (see resolveLiveOptions).
+ */
+
+const {
+  ActivityHandling,
+  EndSensitivity,
+  StartSensitivity,
+  TurnCoverage,
+} = require("@google/genai");
+const { createLogger } = require("./logger");
+
+const logger = createLogger("live_config");
+
+const START_SENSITIVITIES = {
+  high: StartSensitivity.START_SENSITIVITY_HIGH,
+  low: StartSensitivity.START_SENSITIVITY_LOW,
+};
+
+const END_SENSITIVITIES = {
+  high: EndSensitivity.END_SENSITIVITY_HIGH,
+  low: EndSensitivity.END_SENSITIVITY_LOW,
+};
+
+const ACTIVITY_HANDLINGS = {
+  interrupt: ActivityHandling.START_OF_ACTIVITY_INTERRUPTS,
+  no_interrupt: ActivityHandling.NO_INTERRUPTION,
+};
+
+const TURN_COVERAGES = {
+  activity_only: TurnCoverage.TURN_INCLUDES_ONLY_ACTIVITY,
+  all_input: TurnCoverage.TURN_INCLUDES_ALL_INPUT,
+};
+
+/**
+ * Supported options with the environment variable holding their default.
+ */
+const OPTIONS = {
+  voice: { env: "GEMINI_VOICE", type: "string" },
+  languageCode: {
+    env: "GEMINI_LANGUAGE_CODE",
+    type: "string",
+    pattern: /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/,
+  },
+  temperature: { env: "GEMINI_TEMPERATURE", type: "number", min: 0, max: 2 },
+  contextCompression: { env: "GEMINI_CONTEXT_COMPRESSION", type: "boolean", default: true },
+  compressionTriggerTokens: { env: "GEMINI_CONTEXT_TRIGGER_TOKENS", type: "integer", min: 1 },
+  compressionTargetTokens: { env: "GEMINI_CONTEXT_TARGET_TOKENS", type: "integer", min: 1 },
+  // Without automatic detection the client must send activityStart and activityEnd
+  // around each caller turn, which this server does not do: the model would never answer
+  vadDisabled: {
+    env: "GEMINI_VAD_DISABLED",
+    type: "boolean",
+    default: false,
+    unsupported: { value: true, reason: "manual activity detection is not implemented" },
+  },
+  vadStartSensitivity: { env: "GEMINI_VAD_START_SENSITIVITY", type: "enum", values: START_SENSITIVITIES },
+  vadEndSensitivity: { env: "GEMINI_VAD_END_SENSITIVITY", type: "enum", values: END_SENSITIVITIES },
+  vadPrefixPaddingMs: { env: "GEMINI_VAD_PREFIX_PADDING_MS", type: "integer", min: 0 },
+  vadSilenceDurationMs: { env: "GEMINI_VAD_SILENCE_DURATION_MS", type: "integer", min: 0 },
+  activityHandling: { env: "GEMINI_ACTIVITY_HANDLING", type: "enum", values: ACTIVITY_HANDLINGS },
+  turnCoverage: { env: "GEMINI_TURN_COVERAGE", type: "enum", values: TURN_COVERAGES },
+  inputTranscription: { env: "GEMINI_INPUT_TRANSCRIPTION", type: "boolean", default: true },
+  outputTranscription: { env: "GEMINI_OUTPUT_TRANSCRIPTION", type: "boolean", default: true },
+};
+
+// Defaults loaded from the environment at startup
+let defaultOptions = null;
+
+/**
+ * Parses and validates a single option value.
+ * Strings are accepted for every type so values can come from the environment.
+ *
+ * @param {string} name - Option name
+ * @param {*} value - Raw value
+ * @returns {*} The parsed value
+ * @throws {Error} If the value is invalid
+ */
+function parseOption(name, value) {
+  const spec = OPTIONS[name];
+  switch (spec.type) {
+    case "string": {
+      const text = String(value).trim();
+      if (!text || (spec.pattern && !spec.pattern.test(text))) {
+        throw new Error(`${name} has an invalid value "${value}"`);
+      }
+      return text;
+    }
+    case "number":
+    case "integer": {
+      const number = typeof value === "number" ? value : Number(String(value).trim());
+      if (
+        !Number.isFinite(number) ||
+        (spec.type === "integer" && !Number.isInteger(number)) ||
+        (spec.min !== undefined && number < spec.min) ||
+        (spec.max !== undefined && number > spec.max)
+      ) {
+        const range = [spec.min, spec.max].every((bound) => bound !== undefined)
+          ? ` between ${spec.min} and ${spec.max}`
+          : spec.min !== undefined
+            ? ` of at least ${spec.min}`
+            : "";
+        throw new Error(`${name} must be ${spec.type === "integer" ? "an integer" : "a number"}${range}, got "${value}"`);
+      }
+      return number;
+    }
+    case "boolean": {
+      const text = String(value).trim().toLowerCase();
+      if (text !== "true" && text !== "false") {
+        throw new Error(`${name} must be true or false, got "${value}"`);
+      }
+      const flag = text === "true";
+      if (spec.unsupported && flag === spec.unsupported.value) {
+        throw new Error(`${name}=${flag} is not supported: ${spec.unsupported.reason}`);
+      }
+      return flag;
+    }
+    case "enum": {
+      const key = String(value).trim().toLowerCase();
+      if (!Object.prototype.hasOwnProperty.call(spec.values, key)) {
+        throw new Error(`${name} must be one of ${Object.keys(spec.values).join(", ")}, got "${value}"`);
+      }
+      return key;
+    }
+    default:
+      throw new Error(`Unsupported option type for ${name}`);
+  }
+}
+
+/**
+ * Checks constraints spanning several options.
+ * @param {object} options
+ * @returns {string[]} Problems found
+ */
+function crossValidate(options) {
+  const problems = [];
+  if (
+    options.compressionTriggerTokens !== undefined &&
+    options.compressionTargetTokens !== undefined &&
+    options.compressionTargetTokens >= options.compressionTriggerTokens
+  ) {
+    problems.push("compressionTargetTokens must be lower than compressionTriggerTokens");
+  }
+  return problems;
+}
+
+/**
+ * Loads and validates the default options from the environment.
+ * Called once at startup so a misconfiguration stops the server immediately.
+ *
+ * @returns {object} The default options
+ * @throws {Error} Listing every invalid variable
+ */
+function loadLiveOptions() {
+  const options = {};
+  const problems = [];
+  for (const [name, spec] of Object.entries(OPTIONS)) {
+    const raw = process.env[spec.env];
+    if (raw === undefined || raw === "") {
+      if (spec.default !== undefined) options[name] = spec.default;
+      continue;
+    }
+    try {
+      options[name] = parseOption(name, raw);
+    } catch (error) {
+      problems.push(`${spec.env}: ${error.message}`);
+    }
+  }
+  problems.push(...crossValidate(options));
+  if (problems.length > 0) {
+    throw new Error(`Invalid Gemini Live configuration:\n- ${problems.join("\n- ")}`);
+  }
+  defaultOptions = options;
+  return options;
+}
+
+/**
+ * Merges per-call overrides into the defaults.
+ * Invalid or unknown overrides are skipped with a warning so a bad value never
+ * prevents the call from starting.
+ *
+ * @param {object} [overrides] - Option values for this call
+ * @returns {object} The options for this call
+ */
+function resolveLiveOptions(overrides = {}) {
+  const options = { ...(defaultOptions || loadLiveOptions()) };
+  for (const [name, value] of Object.entries(overrides || {})) {
+    if (value === undefined || value === null) continue;
+    if (!OPTIONS[name]) {
+      logger.warn("Ignoring unknown Gemini Live option", { option: name });
+      continue;
+    }
+    try {
+      options[name] = parseOption(name, value);
+    } catch (error) {
+      logger.warn("Ignoring Gemini Live option override", { option: name, error: error.message });
+    }
+  }
+  const problems = crossValidate(options);
+  if (problems.length > 0) {
+    logger.warn("Ignoring compression token overrides", { problems });
+    options.compressionTriggerTokens = defaultOptions?.compressionTriggerTokens;
+    options.compressionTargetTokens = defaultOptions?.compressionTargetTokens;
+  }
+  return options;
+}
+
+/**
+ * Translates options into Live API connect config fields.
+ * Options left unset are omitted so the server defaults apply.
+ *
+ * @param {object} options - As returned by resolveLiveOptions
+ * @returns {object} Fields to merge into the LiveConnectConfig
+ */
+function buildLiveConfig(options) {
+  const config = {};
+
+  if (options.voice || options.languageCode) {
+    config.speechConfig = {};
+    if (options.voice) {
+      config.speechConfig.voiceConfig = {
+        prebuiltVoiceConfig: { voiceName: options.voice },
+      };
+    }
+    if (options.languageCode) {
+      config.speechConfig.languageCode = options.languageCode;
+    }
+  }
+
+  if (options.temperature !== undefined) {
+    config.temperature = options.temperature;
+  }
+
+  if (options.contextCompression) {
+    // Token counts are int64 values, sent as strings
+    config.contextWindowCompression = { slidingWindow: {} };
+    if (options.compressionTriggerTokens !== undefined) {
+      config.contextWindowCompression.triggerTokens = String(options.compressionTriggerTokens);
+    }
+    if (options.compressionTargetTokens !== undefined) {
+      config.contextWindowCompression.slidingWindow.targetTokens = String(options.compressionTargetTokens);
+    }
+  }
+
+  const detection = {};
+  if (options.vadStartSensitivity) {
+    detection.startOfSpeechSensitivity = START_SENSITIVITIES[options.vadStartSensitivity];
+  }
+  if (options.vadEndSensitivity) {
+    detection.endOfSpeechSensitivity = END_SENSITIVITIES[options.vadEndSensitivity];
+  }
+  if (options.vadPrefixPaddingMs !== undefined) detection.prefixPaddingMs = options.vadPrefixPaddingMs;
+  if (options.vadSilenceDurationMs !== undefined) detection.silenceDurationMs = options.vadSilenceDurationMs;
+
+  const realtimeInputConfig = {};
+  if (Object.keys(detection).length > 0) realtimeInputConfig.automaticActivityDetection = detection;
+  if (options.activityHandling) {
+    realtimeInputConfig.activityHandling = ACTIVITY_HANDLINGS[options.activityHandling];
+  }
+  if (options.turnCoverage) {
+    realtimeInputConfig.turnCoverage = TURN_COVERAGES[options.turnCoverage];
+  }
+  if (Object.keys(realtimeInputConfig).length > 0) {
+    config.realtimeInputConfig = realtimeInputConfig;
+  }
+
+  if (options.inputTranscription) config.inputAudioTranscription = {};
+  if (options.outputTranscription) config.outputAudioTranscription = {};
+
+  return config;
+}
+
+module.exports = {
+  OPTIONS,
+  loadLiveOptions,
+  resolveLiveOptions,
+  buildLiveConfig,
+};
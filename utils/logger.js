@@ -0,0 +1,215 @@
+/**
+ * logger.js
+ * Structured logging: one JSON object per line on stdout, e.g.
+ *   {"time":"2025-06-01T10:00:00.000Z","level":"info","component":"index","session":"4f1c...","msg":"Audio format","format":{...}}
+ *
+ * - LOG_LEVEL: debug, info (default), warn, error or silent
+ * - Lines logged while handling a call carry its session UUID: the call's
+ *   handlers run in a call context (runInCallContext/bindCallContext), which
+ *   follows the async work they start, tool handlers included.
+ * - Personal data is masked in messages and fields (LOG_REDACT, default true):
+ *   email addresses, phone numbers and card-like digit strings, and the values
+ *   of fields such as caller_number or client_email.
+ * - Audio never reaches the logs: base64 payloads are replaced with their size.
+ *
+ * captureConsole routes console.* through the logger, so modules and
+ * libraries that still use the console produce the same JSON lines.
+ */
+
+const { AsyncLocalStorage } = require("async_hooks");
+const util = require("util");
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Fields whose values are personal data whatever they look like
+const PII_FIELDS = /^(caller_number|caller_name|client_name|client_email|client_phone|email|phone|phone_number|dialed_number)$/i;
+// Fields holding base64 audio
+const AUDIO_FIELDS = /^(audio|data)$/i;
+// Longer strings are cut, so a single line never swamps the log
+const MAX_STRING_LENGTH = 2000;
+const MAX_DEPTH = 8;
+
+const EMAIL = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g;
+const CARD_LIKE = /(?<![\w-])\d(?:[ -]?\d){12,18}(?![\w-])/g;
+const PHONE_LIKE = /(?<![\w.:/-])\+?\(?\d[\d\s()-]{7,}\d(?![\w:/-])/g;
+
+const callContext = new AsyncLocalStorage();
+
+const getLevel = () => LEVELS[(process.env.LOG_LEVEL || "info").toLowerCase()] ?? LEVELS.info;
+const isRedactionEnabled = () => process.env.LOG_REDACT !== "false";
+
+/**
+ * Luhn checksum, which payment card numbers pass.
+ * @param {string} digits
+ * @returns {boolean}
+ */
+function passesLuhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Masks email addresses, phone numbers and card-like digit strings in a text.
+ * Dates, times and timestamps are left alone.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function redactText(text) {
+  return text
+    .replace(EMAIL, "[email]")
+    .replace(CARD_LIKE, (match) => (passesLuhn(match.replace(/\D/g, "")) ? "[card]" : match))
+    .replace(PHONE_LIKE, (match) => {
+      const digits = match.replace(/\D/g, "");
+      if (digits.length < 9 || digits.length > 15) return match;
+      // Millisecond timestamps, not phone numbers
+      if (/^1\d{12}$/.test(match)) return match;
+      return `[phone ..${digits.slice(-2)}]`;
+    });
+}
+
+/**
+ * Makes a value safe to log: errors become plain objects, personal data is
+ * masked, audio is replaced with its size and long strings are cut.
+ *
+ * @param {*} value
+ * @param {string} [key] - Field name of the value
+ * @param {number} [depth]
+ * @returns {*}
+ */
+function sanitize(value, key = "", depth = 0) {
+  if (value instanceof Error) {
+    const error = { name: value.name, message: value.message, stack: value.stack };
+    if (value.code) error.code = value.code;
+    if (value.response?.status) error.status = value.response.status;
+    return sanitize(error, key, depth);
+  }
+  if (typeof value === "string") {
+    if (AUDIO_FIELDS.test(key) && value.length > 256) return `[${value.length} base64 chars]`;
+    if (!isRedactionEnabled()) return value.slice(0, MAX_STRING_LENGTH);
+    if (PII_FIELDS.test(key) && value) return "[redacted]";
+    const text = value.length > MAX_STRING_LENGTH ? `${value.slice(0, MAX_STRING_LENGTH)}...` : value;
+    return redactText(text);
+  }
+  if (Buffer.isBuffer(value)) return `[${value.length} bytes]`;
+  if (value === null || typeof value !== "object") return value;
+  if (depth >= MAX_DEPTH) return "[...]";
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map((item) => sanitize(item, key, depth + 1));
+  if (value instanceof Map) return sanitize(Object.fromEntries(value), key, depth);
+  return Object.fromEntries(
+    Object.entries(value).map(([name, item]) => [name, sanitize(item, name, depth + 1)]),
+  );
+}
+
+/**
+ * Writes one log line.
+ *
+ * @param {string} level
+ * @param {object} bindings - Fields of the logger, such as the component
+ * @param {string} message
+ * @param {object} [fields]
+ */
+function write(level, bindings, message, fields) {
+  if (LEVELS[level] < getLevel()) return;
+  const line = {
+    time: new Date().toISOString(),
+    level,
+    ...bindings,
+    ...Object.fromEntries(
+      Object.entries(callContext.getStore() || {}).filter(([, value]) => value != null),
+    ),
+    msg: sanitize(String(message)),
+    ...sanitize(fields || {}),
+  };
+  try {
+    process.stdout.write(`${JSON.stringify(line)}\n`);
+  } catch (error) {
+    process.stdout.write(`${JSON.stringify({ time: line.time, level, msg: line.msg })}\n`);
+  }
+}
+
+/**
+ * Creates a logger.
+ *
+ * @param {string|object} bindings - Component name, or fields added to every line
+ * @returns {object} The logger: debug, info, warn and error take a message and
+ *   an optional object of fields; isDebugEnabled() and child(fields)
+ */
+function createLogger(bindings) {
+  const base = typeof bindings === "string" ? { component: bindings } : { ...bindings };
+  return {
+    debug: (message, fields) => write("debug", base, message, fields),
+    info: (message, fields) => write("info", base, message, fields),
+    warn: (message, fields) => write("warn", base, message, fields),
+    error: (message, fields) => write("error", base, message, fields),
+    isDebugEnabled: () => getLevel() <= LEVELS.debug,
+    child: (fields) => createLogger({ ...base, ...fields }),
+  };
+}
+
+/**
+ * Runs a function in a call context: lines logged by it, and by the async
+ * work it starts, carry the fields of the context.
+ *
+ * @param {object} fields - e.g. { session }; may be updated afterwards
+ * @param {Function} fn
+ * @returns {*} What fn returns
+ */
+function runInCallContext(fields, fn) {
+  return callContext.run(fields, fn);
+}
+
+/**
+ * Binds a callback, e.g. an event listener, to a call context.
+ *
+ * @param {object} fields
+ * @param {Function} fn
+ * @returns {Function}
+ */
+function bindCallContext(fields, fn) {
+  return (...args) => callContext.run(fields, () => fn(...args));
+}
+
+/**
+ * Routes console.log/info/debug/warn/error through the logger.
+ * The first argument is the message, the others are formatted into it.
+ */
+function captureConsole() {
+  const logger = createLogger("console");
+  const forward = (level) => (...args) => {
+    const [first, ...rest] = args;
+    const error = args.find((arg) => arg instanceof Error);
+    const message = util.format(
+      typeof first === "string"
+        ? first
+        : first instanceof Error
+          ? first.message
+          : util.inspect(first, { depth: 3 }),
+      ...rest.filter((arg) => arg !== error),
+    );
+    logger[level](message, error ? { error } : undefined);
+  };
+  console.log = forward("info");
+  console.info = forward("info");
+  console.debug = forward("debug");
+  console.warn = forward("warn");
+  console.error = forward("error");
+}
+
+module.exports = {
+  createLogger,
+  runInCallContext,
+  bindCallContext,
+  captureConsole,
+  redactText,
+  sanitize,
+};
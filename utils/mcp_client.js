@@ -0,0 +1,332 @@
+/**
+ * mcp_client.js
+ * Connects to Model Context Protocol servers and registers their tools in the
+ * tool registry (see loadTools.js), so the model can call them like local tools.
+ *
+ * The servers are configured in the file named by MCP_SERVERS_FILE (JSON or
+ * YAML) or as JSON in MCP_SERVERS, in the format other MCP clients use:
+ *   {
+ *     "mcpServers": {
+ *       "crm": { "command": "node", "args": ["crm-server.js"], "env": { "CRM_TOKEN": "{{env.CRM_TOKEN}}" } },
+ *       "docs": { "url": "https://mcp.example.com/mcp", "headers": { "Authorization": "Bearer {{env.DOCS_TOKEN}}" } }
+ *     }
+ *   }
+ * A server with a command runs as a child process over stdio, a server with a
+ * url is reached over streamable HTTP. Optional fields of a server:
+ * - prefix: added to its tool names, e.g. "crm_"
+ * - tools: names of the only tools to register
+ * - timeout_ms: timeout of its tool calls (see utils/tool_runtime.js)
+ * - enabled: false to skip the server
+ * {{env.VARIABLE}} in command, args, env, cwd, url and headers is replaced with
+ * the environment variable.
+ *
+ * The tool list follows the server's list changed notifications. When a
+ * server goes away its tools are removed until it is reconnected.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const YAML = require("yaml");
+const { Client } = require("@modelcontextprotocol/sdk/client/index.js");
+const { StdioClientTransport, getDefaultEnvironment } = require("@modelcontextprotocol/sdk/client/stdio.js");
+const { StreamableHTTPClientTransport } = require("@modelcontextprotocol/sdk/client/streamableHttp.js");
+const { registerExternalTools, unregisterExternalTools } = require("../loadTools");
+const { createLogger } = require("./logger");
+const { version } = require("../package.json");
+
+const logger = createLogger("mcp_client");
+
+// Read when used, as .env is loaded after this module
+const getConnectTimeoutMs = () => parseInt(process.env.MCP_CONNECT_TIMEOUT_MS || "10000", 10);
+const getReconnectDelayMs = () => parseInt(process.env.MCP_RECONNECT_DELAY_MS || "5000", 10);
+const MAX_RECONNECT_DELAY_MS = 60000;
+
+// Tool names Gemini accepts: letters, digits, _ and -, at most 64
+const TOOL_NAME_LENGTH = 64;
+
+const servers = new Map(); // Server name -> server state
+let closing = false;
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Replaces {{env.VARIABLE}} placeholders in the strings of a value.
+ * @param {*} value
+ * @returns {*}
+ */
+function expandEnv(value) {
+  if (typeof value === "string") {
+    return value.replace(/\{\{\s*env\.(\w+)\s*\}\}/g, (_, name) => process.env[name] ?? "");
+  }
+  if (Array.isArray(value)) return value.map(expandEnv);
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, expandEnv(item)]));
+  }
+  return value;
+}
+
+/**
+ * Reads the server configuration from MCP_SERVERS_FILE or MCP_SERVERS.
+ * @returns {object} Server name -> server configuration
+ */
+function readServerConfigs() {
+  let data = null;
+  if (process.env.MCP_SERVERS_FILE) {
+    const file = path.resolve(process.env.MCP_SERVERS_FILE);
+    const text = fs.readFileSync(file, "utf8");
+    data = path.extname(file) === ".json" ? JSON.parse(text) : YAML.parse(text);
+  } else if (process.env.MCP_SERVERS) {
+    data = JSON.parse(process.env.MCP_SERVERS);
+  }
+  if (!data) return {};
+  const configs = data.mcpServers ?? data;
+  if (!isPlainObject(configs)) {
+    throw new Error("MCP server configuration must map server names to servers");
+  }
+  return configs;
+}
+
+/**
+ * Checks the configuration of a server.
+ * @param {*} config
+ * @returns {string[]} The problems found
+ */
+function validateServerConfig(config) {
+  if (!isPlainObject(config)) return ["must be an object"];
+  const problems = [];
+  if (!config.command === !config.url) problems.push("needs either a command or a url");
+  if (config.args !== undefined && !Array.isArray(config.args)) problems.push("args must be a list");
+  for (const field of ["env", "headers"]) {
+    if (config[field] !== undefined && !isPlainObject(config[field])) {
+      problems.push(`${field} must map names to strings`);
+    }
+  }
+  if (config.tools !== undefined && !Array.isArray(config.tools)) problems.push("tools must be a list of names");
+  if (config.timeout_ms !== undefined && !(Number.isFinite(config.timeout_ms) && config.timeout_ms > 0)) {
+    problems.push("timeout_ms must be a positive number");
+  }
+  return problems;
+}
+
+/**
+ * Creates the transport of a server.
+ * @param {object} config - Server configuration, placeholders expanded
+ * @returns {object} MCP transport
+ */
+function createTransport(config) {
+  if (config.url) {
+    return new StreamableHTTPClientTransport(new URL(config.url), {
+      requestInit: { headers: config.headers || {} },
+    });
+  }
+  return new StdioClientTransport({
+    command: config.command,
+    args: (config.args || []).map(String),
+    env: { ...getDefaultEnvironment(), ...config.env },
+    cwd: config.cwd,
+    stderr: "inherit",
+  });
+}
+
+/**
+ * Turns an MCP tool name into a valid, prefixed function name.
+ * @param {string} prefix
+ * @param {string} name
+ * @returns {string}
+ */
+function toFunctionName(prefix, name) {
+  let functionName = `${prefix}${name}`.replace(/[^\w-]/g, "_");
+  if (!/^[A-Za-z_]/.test(functionName)) functionName = `_${functionName}`;
+  return functionName.slice(0, TOOL_NAME_LENGTH);
+}
+
+/**
+ * Turns the result of an MCP tool call into the tool response for the model.
+ * @param {object} result - CallToolResult
+ * @returns {*}
+ * @throws {Error} If the tool reported an error
+ */
+function toToolResponse(result) {
+  const text = (result.content || [])
+    .map((item) => {
+      if (item.type === "text") return item.text;
+      if (item.type === "resource") return item.resource?.text ?? `[resource ${item.resource?.uri}]`;
+      return `[${item.type} content]`;
+    })
+    .join("\n");
+  if (result.isError) throw new Error(text || "the MCP tool reported an error");
+  return result.structuredContent ?? text;
+}
+
+/**
+ * Builds a tool module that forwards calls to an MCP server.
+ * @param {object} server - Server state
+ * @param {object} mcpTool - Tool description from tools/list
+ * @returns {object}
+ */
+function createMcpTool(server, mcpTool) {
+  const { config } = server;
+  return {
+    name: toFunctionName(config.prefix || "", mcpTool.name),
+    description: mcpTool.description || mcpTool.title || "",
+    input_schema: mcpTool.inputSchema || { type: "object", properties: {} },
+    timeout_ms: config.timeout_ms,
+    handler: async (sessionUuid, args, context) => {
+      if (!server.client) {
+        throw new Error(`MCP server ${server.name} is not connected`);
+      }
+      logger.info("MCP tool called", { server: server.name, tool: mcpTool.name });
+      const result = await server.client.callTool(
+        { name: mcpTool.name, arguments: args || {} },
+        undefined,
+        { signal: context?.signal, timeout: config.timeout_ms },
+      );
+      return toToolResponse(result);
+    },
+  };
+}
+
+/**
+ * Lists the tools of a connected server and registers them.
+ * @param {object} server - Server state
+ */
+async function refreshTools(server) {
+  const mcpTools = [];
+  let cursor;
+  do {
+    const page = await server.client.listTools(cursor ? { cursor } : undefined);
+    mcpTools.push(...page.tools);
+    cursor = page.nextCursor;
+  } while (cursor);
+
+  const allowed = server.config.tools;
+  const tools = mcpTools
+    .filter((mcpTool) => !allowed || allowed.includes(mcpTool.name))
+    .map((mcpTool) => createMcpTool(server, mcpTool));
+  logger.info("MCP server tools registered", { server: server.name, tools: tools.map((tool) => tool.name) });
+  registerExternalTools(`MCP server ${server.name}`, tools);
+}
+
+/**
+ * Retries connecting to a server after a delay that grows with each failure.
+ * @param {object} server - Server state
+ */
+function scheduleReconnect(server) {
+  if (closing || server.timer) return;
+  const delay = server.retryDelay;
+  server.retryDelay = Math.min(server.retryDelay * 2, MAX_RECONNECT_DELAY_MS);
+  logger.info("Reconnecting to MCP server", { server: server.name, delayMs: delay });
+  server.timer = setTimeout(() => {
+    server.timer = null;
+    connectServer(server);
+  }, delay);
+  server.timer.unref();
+}
+
+/**
+ * Connects to a server and registers its tools.
+ * @param {object} server - Server state
+ * @returns {Promise<boolean>} Whether the server is connected
+ */
+async function connectServer(server) {
+  const client = new Client(
+    { name: "avr-sts-gemini", version },
+    {
+      listChanged: {
+        tools: {
+          autoRefresh: false,
+          onChanged: () =>
+            refreshTools(server).catch((error) =>
+              logger.error("Cannot refresh MCP server tools", { server: server.name, error: error.message }),
+            ),
+        },
+      },
+    },
+  );
+  client.onerror = (error) => {
+    // Connection failures are reported by connectServer
+    if (server.client === client) logger.error("MCP server error", { server: server.name, error: error.message });
+  };
+  client.onclose = () => {
+    if (server.client !== client) return;
+    server.client = null;
+    unregisterExternalTools(`MCP server ${server.name}`);
+    if (closing) return;
+    logger.warn("MCP server connection closed", { server: server.name });
+    scheduleReconnect(server);
+  };
+
+  try {
+    await client.connect(createTransport(server.config), { timeout: getConnectTimeoutMs() });
+    server.client = client;
+    await refreshTools(server);
+    server.retryDelay = getReconnectDelayMs();
+    return true;
+  } catch (error) {
+    logger.error("Cannot connect to MCP server", { server: server.name, error: error.message });
+    server.client = null;
+    unregisterExternalTools(`MCP server ${server.name}`);
+    await client.close().catch(() => {});
+    scheduleReconnect(server);
+    return false;
+  }
+}
+
+/**
+ * Connects to the configured MCP servers. A server that cannot be reached is
+ * retried in the background, so it never prevents the server from starting.
+ * @returns {Promise<void>}
+ */
+async function connectMcpServers() {
+  let configs;
+  try {
+    configs = readServerConfigs();
+  } catch (error) {
+    logger.error("Cannot read the MCP server configuration", { error: error.message });
+    return;
+  }
+
+  for (const [name, rawConfig] of Object.entries(configs)) {
+    const problems = validateServerConfig(rawConfig);
+    if (problems.length > 0) {
+      logger.error("Ignoring invalid MCP server", { server: name, problems });
+      continue;
+    }
+    if (rawConfig.enabled === false || servers.has(name)) continue;
+    servers.set(name, {
+      name,
+      config: expandEnv(rawConfig),
+      client: null,
+      timer: null,
+      retryDelay: getReconnectDelayMs(),
+    });
+  }
+
+  const results = await Promise.all([...servers.values()].map(connectServer));
+  if (servers.size > 0) {
+    logger.info("Connected to MCP servers", { connected: results.filter(Boolean).length, configured: servers.size });
+  }
+}
+
+/**
+ * Disconnects from the MCP servers, stopping the stdio ones, and removes their tools.
+ * @returns {Promise<void>}
+ */
+async function closeMcpServers() {
+  closing = true;
+  await Promise.all(
+    [...servers.values()].map(async (server) => {
+      clearTimeout(server.timer);
+      const client = server.client;
+      server.client = null;
+      await client?.close().catch(() => {});
+      unregisterExternalTools(`MCP server ${server.name}`);
+    }),
+  );
+}
+
+module.exports = {
+  connectMcpServers,
+  closeMcpServers,
+};
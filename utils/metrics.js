@@ -0,0 +1,117 @@
+/**
+ * metrics.js
+ * Prometheus metrics of the server, exposed on /metrics (see monitoring.js).
+ *
+ * Besides the default Node.js process metrics (CPU, memory, event loop lag),
+ * prefixed with avr_sts_:
+ * - avr_sts_active_sessions: client connections open now
+ * - avr_sts_calls_total{end_reason}: ended calls
+ * - avr_sts_call_duration_seconds: duration of ended calls
+ * - avr_sts_gemini_connect_seconds: time to open a Gemini Live session, up to setup complete
+ * - avr_sts_time_to_first_audio_seconds: time from init to the first audio sent to the caller
+ * - avr_sts_tool_calls_total{tool,status}: tool calls by status (ok, error, cancelled)
+ * - avr_sts_tool_call_errors_total{tool,code}: failed tool calls by error code
+ * - avr_sts_tool_call_duration_seconds{tool}: tool call latency
+ * - avr_sts_interruptions_total{source}: playback interruptions by the model or the caller
+ * - avr_sts_dropped_frames_total{direction}: audio frames dropped, inbound (caller audio
+ *   without a Gemini session) or outbound (model audio cut by an interruption)
+ * - avr_sts_rejected_connections_total{reason}: client connections refused (shutdown,
+ *   origin, unauthorized, capacity) or closed for exceeding the message rate (rate_limit)
+ */
+
+const client = require("prom-client");
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register, prefix: "avr_sts_" });
+
+const activeSessions = new client.Gauge({
+  name: "avr_sts_active_sessions",
+  help: "Client connections open now",
+  registers: [register],
+});
+
+const calls = new client.Counter({
+  name: "avr_sts_calls_total",
+  help: "Ended calls",
+  labelNames: ["end_reason"],
+  registers: [register],
+});
+
+const callDuration = new client.Histogram({
+  name: "avr_sts_call_duration_seconds",
+  help: "Duration of ended calls",
+  buckets: [10, 30, 60, 120, 300, 600, 1200, 3600],
+  registers: [register],
+});
+
+const geminiConnect = new client.Histogram({
+  name: "avr_sts_gemini_connect_seconds",
+  help: "Time to open a Gemini Live session, up to setup complete",
+  buckets: [0.1, 0.25, 0.5, 1, 2, 5, 10],
+  registers: [register],
+});
+
+const timeToFirstAudio = new client.Histogram({
+  name: "avr_sts_time_to_first_audio_seconds",
+  help: "Time from init to the first audio sent to the caller",
+  buckets: [0.25, 0.5, 1, 1.5, 2, 3, 5, 10],
+  registers: [register],
+});
+
+const toolCalls = new client.Counter({
+  name: "avr_sts_tool_calls_total",
+  help: "Tool calls by status",
+  labelNames: ["tool", "status"],
+  registers: [register],
+});
+
+const toolCallErrors = new client.Counter({
+  name: "avr_sts_tool_call_errors_total",
+  help: "Failed tool calls by error code",
+  labelNames: ["tool", "code"],
+  registers: [register],
+});
+
+const toolCallDuration = new client.Histogram({
+  name: "avr_sts_tool_call_duration_seconds",
+  help: "Tool call latency",
+  labelNames: ["tool"],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  registers: [register],
+});
+
+const interruptions = new client.Counter({
+  name: "avr_sts_interruptions_total",
+  help: "Playback interruptions by source (model or caller)",
+  labelNames: ["source"],
+  registers: [register],
+});
+
+const droppedFrames = new client.Counter({
+  name: "avr_sts_dropped_frames_total",
+  help: "Audio frames dropped, by direction (inbound or outbound)",
+  labelNames: ["direction"],
+  registers: [register],
+});
+
+const rejectedConnections = new client.Counter({
+  name: "avr_sts_rejected_connections_total",
+  help: "Client connections refused or closed by the server, by reason",
+  labelNames: ["reason"],
+  registers: [register],
+});
+
+module.exports = {
+  register,
+  activeSessions,
+  calls,
+  callDuration,
+  geminiConnect,
+  timeToFirstAudio,
+  toolCalls,
+  toolCallErrors,
+  toolCallDuration,
+  interruptions,
+  droppedFrames,
+  rejectedConnections,
+};
@@ -0,0 +1,100 @@
+/**
+ * monitoring.js
+ * HTTP endpoints for orchestrators and monitoring:
+ * - GET /healthz: 200 while the process runs (liveness probe)
+ * - GET /readyz: 200 when every readiness check passes, 503 otherwise,
+ *   with the result of each check (readiness probe)
+ * - GET /metrics: Prometheus metrics (see metrics.js)
+ */
+
+const { register } = require("./metrics");
+const { createLogger } = require("./logger");
+
+const logger = createLogger("monitoring");
+
+const readinessChecks = new Map(); // Check name -> function(): boolean
+
+/**
+ * Adds a readiness check; the server is ready when all of them pass.
+ *
+ * @param {string} name - Name shown in the /readyz response
+ * @param {function(): boolean} check
+ */
+function addReadinessCheck(name, check) {
+  readinessChecks.set(name, check);
+}
+
+/**
+ * Runs the readiness checks.
+ * @returns {{ready: boolean, checks: object}} Overall result and result per check
+ */
+function getReadiness() {
+  const checks = {};
+  for (const [name, check] of readinessChecks) {
+    try {
+      checks[name] = Boolean(check());
+    } catch (error) {
+      logger.error("Readiness check failed", { check: name, error });
+      checks[name] = false;
+    }
+  }
+  return { ready: Object.values(checks).every(Boolean), checks };
+}
+
+/**
+ * Sends a JSON response.
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {object} body
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Answers an HTTP request to a monitoring endpoint, or with 404.
+ *
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ */
+async function handleMonitoringRequest(req, res) {
+  const { pathname } = new URL(req.url, "http://localhost");
+  if (req.method !== "GET" && req.method !== "HEAD") {
+    sendJson(res, 405, { error: "method not allowed" });
+    return;
+  }
+
+  switch (pathname) {
+    case "/healthz":
+      sendJson(res, 200, { status: "ok" });
+      break;
+
+    case "/readyz": {
+      const { ready, checks } = getReadiness();
+      sendJson(res, ready ? 200 : 503, { status: ready ? "ready" : "not_ready", checks });
+      break;
+    }
+
+    case "/metrics":
+      try {
+        const body = await register.metrics();
+        res.writeHead(200, { "Content-Type": register.contentType });
+        res.end(body);
+      } catch (error) {
+        logger.error("Error collecting metrics", { error });
+        sendJson(res, 500, { error: "cannot collect metrics" });
+      }
+      break;
+
+    default:
+      sendJson(res, 404, { error: "not found" });
+      break;
+  }
+}
+
+module.exports = {
+  addReadinessCheck,
+  getReadiness,
+  handleMonitoringRequest,
+};
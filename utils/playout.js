@@ -0,0 +1,170 @@
+/**
+ * playout.js
+ * Paces the audio sent to the client at real-time speed.
+ *
+ * Gemini generates audio faster than it is played, so sending it as it arrives
+ * hands the client seconds of audio that an interruption can no longer take
+ * back. The playout queue releases frames on a real-time clock, only LEAD_MS
+ * ahead of the moment they are due to play, so on interruption little more than
+ * the lead has to be dropped by the client.
+ *
+ * The queue also knows which frames have been played, assuming the client plays
+ * frames as soon as they are due, and therefore how much of each model turn the
+ * caller actually heard, and when everything queued has been played.
+ */
+
+/**
+ * Creates a playout queue.
+ *
+ * @param {object} options
+ * @param {number} options.frameMs - Duration of one frame
+ * @param {function(*): void} options.send - Sends one frame to the client
+ * @param {number} [options.leadMs] - How far ahead of its play time a frame is sent (default: 60)
+ * @returns {object} The playout queue
+ */
+function createPlayout({ frameMs, send, leadMs = 60 }) {
+  const queue = []; // Frames not sent yet, as { payload, turn }
+  const inFlight = []; // Frames sent but not played yet, as { end, turn }
+  let nextDue = 0; // Play time of the next frame sent
+  let timer = null;
+  let turn = null; // Model turn frames are currently added to
+  let drainTimer = null;
+  const drainWaiters = []; // Resolved once every queued frame is played
+
+  /**
+   * Counts the frames whose play time is over as played.
+   * @param {number} now
+   */
+  function settle(now) {
+    while (inFlight.length > 0 && inFlight[0].end <= now) {
+      inFlight.shift().turn.played++;
+    }
+  }
+
+  /**
+   * Resolves the drain waiters once the last frame sent has been played.
+   * While frames are queued, release calls it again when the queue empties.
+   */
+  function checkDrained() {
+    drainTimer = null;
+    settle(Date.now());
+    if (queue.length > 0 || drainWaiters.length === 0) return;
+    if (inFlight.length === 0) {
+      drainWaiters.splice(0).forEach((resolve) => resolve());
+      return;
+    }
+    drainTimer = setTimeout(checkDrained, Math.max(0, inFlight.at(-1).end - Date.now()));
+  }
+
+  /**
+   * Sends the frames due within the lead and schedules the next run.
+   */
+  function release() {
+    timer = null;
+    const now = Date.now();
+    settle(now);
+    if (queue.length === 0) return;
+    // After an underrun the clock restarts from now instead of catching up
+    if (nextDue < now) nextDue = now;
+    while (queue.length > 0 && nextDue - leadMs <= now) {
+      const frame = queue.shift();
+      send(frame.payload);
+      nextDue += frameMs;
+      inFlight.push({ end: nextDue, turn: frame.turn });
+    }
+    if (queue.length > 0) {
+      timer = setTimeout(release, Math.max(0, nextDue - leadMs - Date.now()));
+    } else if (!drainTimer) {
+      checkDrained();
+    }
+  }
+
+  return {
+    /**
+     * Queues a frame of the current model turn.
+     * @param {*} payload - What send is called with; must not be modified afterwards
+     */
+    push(payload) {
+      if (!turn) turn = { frames: 0, played: 0, complete: false };
+      turn.frames++;
+      queue.push({ payload, turn });
+      if (!timer) release();
+    },
+
+    /**
+     * Marks the end of the current model turn; the next frame starts a new one.
+     */
+    endTurn() {
+      if (turn) turn.complete = true;
+      turn = null;
+    },
+
+    /**
+     * Whether audio of a model turn that has finished generating is still
+     * waiting to be played.
+     * @returns {boolean}
+     */
+    get playingCompletedTurn() {
+      settle(Date.now());
+      const frame = queue[0] || inFlight[0];
+      return Boolean(frame && frame.turn.complete);
+    },
+
+    /**
+     * Waits until every frame queued so far has been played, e.g. for the
+     * goodbye of the model before hanging up. Also resolves on interruption.
+     * @returns {Promise<void>}
+     */
+    drained() {
+      return new Promise((resolve) => {
+        drainWaiters.push(resolve);
+        if (!drainTimer) checkDrained();
+      });
+    },
+
+    /**
+     * Drops the frames not played yet, including those already sent, which
+     * the client is expected to drop as well.
+     * @returns {{playedMs: number, durationMs: number, droppedFrames: number}|null}
+     *   How much of the latest model turn was played and how many frames were
+     *   dropped, or null when nothing was queued
+     */
+    interrupt() {
+      if (timer) clearTimeout(timer);
+      timer = null;
+      settle(Date.now());
+      clearTimeout(drainTimer);
+      drainTimer = null;
+      drainWaiters.splice(0).forEach((resolve) => resolve());
+      const latest = queue.at(-1)?.turn || inFlight.at(-1)?.turn || null;
+      const droppedFrames = queue.length + inFlight.length;
+      queue.length = 0;
+      inFlight.length = 0;
+      nextDue = 0;
+      turn = null;
+      if (!latest) return null;
+      return {
+        playedMs: latest.played * frameMs,
+        durationMs: latest.frames * frameMs,
+        droppedFrames,
+      };
+    },
+
+    /**
+     * Stops the queue; it must not be used afterwards.
+     */
+    destroy() {
+      if (timer) clearTimeout(timer);
+      timer = null;
+      clearTimeout(drainTimer);
+      drainTimer = null;
+      drainWaiters.splice(0).forEach((resolve) => resolve());
+      queue.length = 0;
+      inFlight.length = 0;
+    },
+  };
+}
+
+module.exports = {
+  createPlayout,
+};
@@ -0,0 +1,409 @@
+/**
+ * recording.js
+ * Call recordings: caller and agent tracks saved as WAV files, plus a
+ * time-aligned stereo mix of the whole call.
+ *
+ * During the call the raw PCM of each side is appended to a temporary file and
+ * every chunk is placed on the call timeline: caller audio when it is received,
+ * agent audio when it starts playing, i.e. once the previous agent audio has
+ * played out. Agent audio that was never played because the caller interrupted
+ * is cut from the timeline. On finalize the temporary files become:
+ * - user_audio.wav: caller audio, mono at the client sample rate (8kHz by default)
+ * - ai_audio.wav: agent audio as generated (24kHz mono)
+ * - call_stereo.wav: caller left, agent right, silence in the gaps
+ *
+ * Configuration:
+ * - AUDIO_SAVE_DIR: root directory of the recordings (default: ./saved_audios)
+ * - RECORDING_FORMAT: wav (16-bit PCM, default) or ulaw (8-bit G.711 µ-law, half the size)
+ * - RECORDING_MIX_SAMPLE_RATE: sample rate of the stereo mix (default: 8000)
+ * - RECORDING_RETENTION_DAYS: delete date directories older than this (default: 0, keep forever)
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+const { encodeMuLaw } = require("./g711");
+const { createLogger } = require("./logger");
+
+const logger = createLogger("recording");
+
+const TRACKS = {
+  user: { file: "user_audio", sampleRate: 8000 },
+  ai: { file: "ai_audio", sampleRate: 24000 },
+};
+
+// Chunks arriving this close to the end of the previous one continue it,
+// so network jitter does not insert clicks of silence
+const JITTER_TOLERANCE_MS = 100;
+
+// Length of the blocks the stereo mix is rendered in, to bound memory use
+const MIX_BLOCK_SECONDS = 10;
+
+// Size of the blocks raw tracks are converted in
+const COPY_BLOCK_BYTES = 64 * 1024;
+
+const DATE_DIRECTORY = /^\d{4}-\d{2}-\d{2}$/;
+
+const getRecordingsRoot = () => process.env.AUDIO_SAVE_DIR || "./saved_audios";
+
+/**
+ * Reads the recording settings from the environment.
+ * @returns {{format: string, mixSampleRate: number}}
+ */
+function getRecordingSettings() {
+  const format = (process.env.RECORDING_FORMAT || "wav").toLowerCase();
+  if (format !== "wav" && format !== "ulaw") {
+    logger.warn("Unknown RECORDING_FORMAT, using wav", { format });
+  }
+  const mixSampleRate = parseInt(process.env.RECORDING_MIX_SAMPLE_RATE || "8000", 10);
+  return {
+    format: format === "ulaw" ? "ulaw" : "wav",
+    mixSampleRate: [8000, 16000, 24000].includes(mixSampleRate) ? mixSampleRate : 8000,
+  };
+}
+
+/**
+ * Builds a WAV header.
+ * @param {object} options
+ * @param {number} options.channels
+ * @param {number} options.sampleRate
+ * @param {string} options.format - wav or ulaw
+ * @param {number} options.frames - Number of samples per channel
+ * @returns {Buffer}
+ */
+function wavHeader({ channels, sampleRate, format, frames }) {
+  const ulaw = format === "ulaw";
+  const bytesPerSample = ulaw ? 1 : 2;
+  const dataBytes = frames * channels * bytesPerSample;
+  // Non-PCM formats carry a cbSize field and a fact chunk
+  const fmtBytes = ulaw ? 18 : 16;
+  const factBytes = ulaw ? 12 : 0;
+  const header = Buffer.alloc(12 + 8 + fmtBytes + factBytes + 8);
+
+  let offset = 0;
+  offset = header.write("RIFF", offset);
+  offset = header.writeUInt32LE(header.length - 8 + dataBytes, offset);
+  offset += header.write("WAVE", offset);
+  offset += header.write("fmt ", offset);
+  offset = header.writeUInt32LE(fmtBytes, offset);
+  offset = header.writeUInt16LE(ulaw ? 7 : 1, offset);
+  offset = header.writeUInt16LE(channels, offset);
+  offset = header.writeUInt32LE(sampleRate, offset);
+  offset = header.writeUInt32LE(sampleRate * channels * bytesPerSample, offset);
+  offset = header.writeUInt16LE(channels * bytesPerSample, offset);
+  offset = header.writeUInt16LE(bytesPerSample * 8, offset);
+  if (ulaw) {
+    offset = header.writeUInt16LE(0, offset);
+    offset += header.write("fact", offset);
+    offset = header.writeUInt32LE(4, offset);
+    offset = header.writeUInt32LE(frames, offset);
+  }
+  offset += header.write("data", offset);
+  header.writeUInt32LE(dataBytes, offset);
+  return header;
+}
+
+/**
+ * Encodes samples in the recording format.
+ * @param {Int16Array} samples
+ * @param {string} format
+ * @returns {Buffer}
+ */
+const encodeSamples = (samples, format) =>
+  format === "ulaw"
+    ? encodeMuLaw(samples)
+    : Buffer.from(samples.buffer, samples.byteOffset, samples.byteLength);
+
+/**
+ * Reads 16-bit samples from a raw PCM file.
+ * @param {object} handle - Open file handle
+ * @param {number} firstSample
+ * @param {number} count
+ * @returns {Promise<Int16Array>}
+ */
+async function readSamples(handle, firstSample, count) {
+  const buffer = Buffer.alloc(count * 2);
+  const { bytesRead } = await handle.read(buffer, 0, buffer.length, firstSample * 2);
+  return new Int16Array(buffer.buffer, buffer.byteOffset, Math.floor(bytesRead / 2));
+}
+
+/**
+ * Converts a raw PCM track into a mono WAV file.
+ * @param {object} track
+ * @param {string} outPath
+ * @param {string} format
+ */
+async function writeTrackWav(track, outPath, format) {
+  const input = await fs.open(track.pcmPath, "r");
+  const output = await fs.open(outPath, "w");
+  try {
+    const frames = track.bytes / 2;
+    await output.write(wavHeader({ channels: 1, sampleRate: track.sampleRate, format, frames }));
+    for (let sample = 0; sample < frames; sample += COPY_BLOCK_BYTES / 2) {
+      const samples = await readSamples(input, sample, Math.min(COPY_BLOCK_BYTES / 2, frames - sample));
+      await output.write(encodeSamples(samples, format));
+    }
+  } finally {
+    await input.close();
+    await output.close();
+  }
+}
+
+/**
+ * Renders the part of a track's timeline falling in one block of the mix.
+ * Downsampling averages the source samples, upsampling interpolates linearly.
+ *
+ * @param {object} track
+ * @param {object} input - Open handle on the track's raw PCM file
+ * @param {Int16Array} block - Interleaved stereo block to fill
+ * @param {number} channel - 0 (left) or 1 (right)
+ * @param {number} blockStart - First frame of the block on the mix timeline
+ * @param {number} mixRate
+ */
+async function renderTrack(track, input, block, channel, blockStart, mixRate) {
+  const blockFrames = block.length / 2;
+  const ratio = track.sampleRate / mixRate;
+  for (const segment of track.segments) {
+    const segmentStart = Math.round(segment.start / ratio);
+    const segmentEnd = Math.round((segment.start + segment.samples) / ratio);
+    const from = Math.max(segmentStart, blockStart);
+    const to = Math.min(segmentEnd, blockStart + blockFrames);
+    if (from >= to) continue;
+
+    // Source samples covering this part of the segment
+    const firstSource = Math.floor((from - segmentStart) * ratio);
+    const lastSource = Math.min(Math.ceil((to - segmentStart) * ratio) + 1, segment.samples);
+    const source = await readSamples(
+      input,
+      segment.offset / 2 + firstSource,
+      lastSource - firstSource,
+    );
+    if (source.length === 0) continue;
+
+    for (let frame = from; frame < to; frame++) {
+      const position = (frame - segmentStart) * ratio - firstSource;
+      let value;
+      if (ratio > 1) {
+        const begin = Math.min(Math.floor(position), source.length - 1);
+        const end = Math.min(Math.floor(position + ratio), source.length);
+        let sum = 0;
+        for (let i = begin; i < end; i++) sum += source[i];
+        value = end > begin ? sum / (end - begin) : source[begin];
+      } else {
+        const index = Math.min(Math.floor(position), source.length - 1);
+        const next = Math.min(index + 1, source.length - 1);
+        const fraction = position - Math.floor(position);
+        value = source[index] + (source[next] - source[index]) * fraction;
+      }
+      block[(frame - blockStart) * 2 + channel] = Math.round(value);
+    }
+  }
+}
+
+/**
+ * Writes the time-aligned stereo mix of the call.
+ * @param {object} tracks - The user and ai tracks
+ * @param {string} outPath
+ * @param {{format: string, mixSampleRate: number}} settings
+ */
+async function writeStereoMix(tracks, outPath, { format, mixSampleRate }) {
+  const channels = [tracks.user, tracks.ai];
+  const frames = Math.max(
+    0,
+    ...channels.flatMap((track) =>
+      track.segments.map((segment) =>
+        Math.round((segment.start + segment.samples) * (mixSampleRate / track.sampleRate)),
+      ),
+    ),
+  );
+
+  const inputs = await Promise.all(
+    channels.map((track) => (track.bytes > 0 ? fs.open(track.pcmPath, "r") : null)),
+  );
+  const output = await fs.open(outPath, "w");
+  try {
+    await output.write(wavHeader({ channels: 2, sampleRate: mixSampleRate, format, frames }));
+    const blockFrames = MIX_BLOCK_SECONDS * mixSampleRate;
+    for (let blockStart = 0; blockStart < frames; blockStart += blockFrames) {
+      const block = new Int16Array(Math.min(blockFrames, frames - blockStart) * 2);
+      for (let channel = 0; channel < channels.length; channel++) {
+        if (inputs[channel]) {
+          await renderTrack(channels[channel], inputs[channel], block, channel, blockStart, mixSampleRate);
+        }
+      }
+      await output.write(encodeSamples(block, format));
+    }
+  } finally {
+    await Promise.all(inputs.filter(Boolean).map((input) => input.close()));
+    await output.close();
+  }
+}
+
+/**
+ * Creates the recorder of one call.
+ * Nothing is written to disk until the first chunk arrives.
+ *
+ * @param {string} sessionUuid - The UUID of the call
+ * @param {string} botName - Name of the bot, used in the directory layout
+ * @param {object} [options]
+ * @param {number} [options.userSampleRate] - Sample rate of the caller audio (default: 8000)
+ * @returns {object} The recorder
+ */
+function createCallRecorder(sessionUuid, botName, { userSampleRate = TRACKS.user.sampleRate } = {}) {
+  const startedAt = Date.now();
+  const today = new Date(startedAt).toISOString().slice(0, 10); // YYYY-MM-DD
+  const sessionDir = path.join(getRecordingsRoot(), today, botName, sessionUuid);
+
+  const tracks = {};
+  for (const [type, { file, sampleRate }] of Object.entries(TRACKS)) {
+    tracks[type] = {
+      sampleRate: type === "user" ? userSampleRate : sampleRate,
+      pcmPath: path.join(sessionDir, `${file}.pcm`),
+      handle: null,
+      bytes: 0,
+      // Placement of the audio on the call timeline, in track samples
+      segments: [],
+      // Appends are chained so chunks are written in order
+      queue: Promise.resolve(),
+    };
+  }
+
+  const now = (track) => Math.round(((Date.now() - startedAt) / 1000) * track.sampleRate);
+
+  /**
+   * Places a chunk on the timeline: it starts when it arrives, or when the
+   * previous chunk ends if that is later or just about now.
+   */
+  function place(track, samples) {
+    const last = track.segments[track.segments.length - 1];
+    const lastEnd = last ? last.start + last.samples : 0;
+    const arrival = now(track);
+    const tolerance = (JITTER_TOLERANCE_MS / 1000) * track.sampleRate;
+    if (last && arrival - lastEnd <= tolerance && last.offset + last.samples * 2 === track.bytes) {
+      last.samples += samples;
+    } else {
+      track.segments.push({ start: Math.max(arrival, lastEnd), offset: track.bytes, samples });
+    }
+    track.bytes += samples * 2;
+  }
+
+  return {
+    /**
+     * Appends a chunk of 16-bit PCM audio.
+     * @param {string} type - user (client sample rate) or ai (24kHz)
+     * @param {Buffer} chunk
+     * @returns {Promise<void>}
+     */
+    write(type, chunk) {
+      const track = tracks[type];
+      place(track, Math.floor(chunk.length / 2));
+      track.queue = track.queue.then(async () => {
+        if (!track.handle) {
+          await fs.mkdir(sessionDir, { recursive: true });
+          track.handle = await fs.open(track.pcmPath, "a");
+        }
+        await track.handle.write(chunk, 0, chunk.length - (chunk.length % 2));
+      });
+      return track.queue;
+    },
+
+    /**
+     * Cuts the agent audio that had not been played yet when the caller interrupted.
+     */
+    interrupt() {
+      const track = tracks.ai;
+      const cut = now(track);
+      while (track.segments.length > 0) {
+        const last = track.segments[track.segments.length - 1];
+        if (last.start >= cut) {
+          track.segments.pop();
+        } else {
+          last.samples = Math.min(last.samples, cut - last.start);
+          break;
+        }
+      }
+    },
+
+    /**
+     * Closes the recording and converts it to WAV files.
+     * @returns {Promise<object>} Paths of the files written, keyed by user, ai and mix
+     */
+    async finalize() {
+      const settings = getRecordingSettings();
+      const files = {};
+      for (const track of Object.values(tracks)) {
+        await track.queue.catch(() => {});
+        if (track.handle) {
+          await track.handle.close();
+          track.handle = null;
+        }
+      }
+      if (Object.values(tracks).every((track) => track.bytes === 0)) {
+        return files;
+      }
+
+      for (const [type, track] of Object.entries(tracks)) {
+        if (track.bytes === 0) continue;
+        const outPath = path.join(sessionDir, `${TRACKS[type].file}.wav`);
+        await writeTrackWav(track, outPath, settings.format);
+        files[type] = outPath;
+      }
+      const mixPath = path.join(sessionDir, "call_stereo.wav");
+      await writeStereoMix(tracks, mixPath, settings);
+      files.mix = mixPath;
+
+      for (const track of Object.values(tracks)) {
+        if (track.bytes > 0) await fs.unlink(track.pcmPath);
+      }
+      return files;
+    },
+  };
+}
+
+/**
+ * Deletes the recording date directories older than the retention period.
+ * @param {number} days - Number of days to keep, today included
+ * @returns {Promise<string[]>} The directories deleted
+ */
+async function pruneRecordings(days) {
+  const root = getRecordingsRoot();
+  const oldestKept = new Date(Date.now() - (days - 1) * 86400000).toISOString().slice(0, 10);
+  let entries;
+  try {
+    entries = await fs.readdir(root, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+  const deleted = [];
+  for (const entry of entries) {
+    if (entry.isDirectory() && DATE_DIRECTORY.test(entry.name) && entry.name < oldestKept) {
+      await fs.rm(path.join(root, entry.name), { recursive: true, force: true });
+      deleted.push(entry.name);
+    }
+  }
+  if (deleted.length > 0) {
+    logger.info("Deleted old recordings", { days, directories: deleted });
+  }
+  return deleted;
+}
+
+/**
+ * Applies RECORDING_RETENTION_DAYS now and then daily.
+ * @returns {NodeJS.Timeout|null} The interval timer, or null when retention is disabled
+ */
+function startRetention() {
+  const days = parseInt(process.env.RECORDING_RETENTION_DAYS || "0", 10);
+  if (!Number.isInteger(days) || days <= 0) return null;
+
+  const run = () => pruneRecordings(days).catch((error) => logger.error("Error pruning recordings", { error }));
+  run();
+  const timer = setInterval(run, 86400000);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  createCallRecorder,
+  pruneRecordings,
+  startRetention,
+};
@@ -0,0 +1,89 @@
+/**
+ * resampler.js
+ * Streaming 16-bit PCM resampler built on libsamplerate.
+ *
+ * Each call gets its own resamplers: the converter keeps filter state between
+ * chunks, so sharing one between calls (or resetting it per chunk) produces
+ * clicks at chunk boundaries. Buffers are reused between chunks to keep the
+ * garbage collector out of the audio path.
+ */
+
+const { create, ConverterType } = require("@alexanderolsen/libsamplerate-js");
+
+/**
+ * Returns the samples of a 16-bit PCM buffer, as a view when it is aligned.
+ * @param {Buffer} chunk
+ * @returns {Int16Array}
+ */
+function toSamples(chunk) {
+  const length = Math.floor(chunk.length / 2);
+  if (chunk.byteOffset % 2 === 0) {
+    return new Int16Array(chunk.buffer, chunk.byteOffset, length);
+  }
+  return new Int16Array(chunk.buffer.slice(chunk.byteOffset, chunk.byteOffset + length * 2));
+}
+
+/**
+ * Creates a streaming resampler.
+ *
+ * @param {number} inputRate - Sample rate of the audio passed in
+ * @param {number} outputRate - Sample rate of the audio returned
+ * @returns {Promise<object>} The resampler
+ */
+async function createResampler(inputRate, outputRate) {
+  const converter =
+    inputRate === outputRate
+      ? null
+      : await create(1, inputRate, outputRate, {
+          converterType: ConverterType.SRC_SINC_FASTEST,
+        });
+  const ratio = outputRate / inputRate;
+  const outLength = { frames: 0 };
+  let floatOutput = new Float32Array(0);
+  let output = new Int16Array(0);
+
+  return {
+    inputRate,
+    outputRate,
+
+    /**
+     * Resamples the next chunk of the stream.
+     * The converter is linear, so samples are passed in their 16-bit range
+     * without scaling to [-1, 1] and back.
+     *
+     * @param {Buffer} chunk - 16-bit PCM at inputRate
+     * @returns {Buffer} 16-bit PCM at outputRate. The buffer is reused by the
+     *   next call, copy it to keep it.
+     */
+    process(chunk) {
+      if (!converter) return chunk;
+      const samples = toSamples(chunk);
+
+      const capacity = Math.ceil(samples.length * ratio) + 1;
+      if (floatOutput.length < capacity) {
+        floatOutput = new Float32Array(capacity * 2);
+        output = new Int16Array(capacity * 2);
+      }
+      converter.full(samples, floatOutput, outLength);
+
+      const frames = outLength.frames;
+      for (let i = 0; i < frames; i++) {
+        const value = Math.round(floatOutput[i]);
+        output[i] = value > 32767 ? 32767 : value < -32768 ? -32768 : value;
+      }
+      return Buffer.from(output.buffer, 0, frames * 2);
+    },
+
+    /**
+     * Frees the converter; the resampler must not be used afterwards.
+     */
+    destroy() {
+      if (converter && !converter.isDestroyed) converter.destroy();
+    },
+  };
+}
+
+module.exports = {
+  createResampler,
+  toSamples,
+};
@@ -0,0 +1,207 @@
+/**
+ * tool_runtime.js
+ * Runs the tool calls requested by the model.
+ *
+ * Every call gets an answer the model can act on: unknown or disabled tools,
+ * invalid arguments, handler errors and timeouts all become an error response
+ * of the shape { error: { code, message } } instead of breaking the turn.
+ * Calls of one request run in parallel. Calls cancelled by the Live API (the
+ * caller interrupted the model) are aborted and get no response at all.
+ *
+ * Handlers receive an AbortSignal as context.signal, aborted on timeout and on
+ * cancellation, so long-running tools can stop early.
+ *
+ * Timeouts, first match wins:
+ * 1. tool_settings.<tool>.timeout_ms in the bot profile
+ * 2. timeout_ms exported by the tool module
+ * 3. TOOL_TIMEOUT_MS environment variable (default: 15000)
+ *
+ * Tool modules exporting sensitive: true return secrets such as a PIN. Their
+ * outcome carries a redacted copy of the result, with every digit masked,
+ * which is what gets logged and stored; only the model sees the real result.
+ */
+
+const { findTool } = require("../loadTools");
+const { validate } = require("./json_schema");
+const metrics = require("./metrics");
+const { createLogger } = require("./logger");
+
+const logger = createLogger("tool_runtime");
+
+const DEFAULT_TIMEOUT_MS = 15000;
+
+/**
+ * Builds an error outcome.
+ * @param {string} code - unknown_tool, invalid_arguments, tool_error or timeout
+ * @param {string} message
+ * @returns {object}
+ */
+const failure = (code, message) => ({
+  status: "error",
+  response: { error: { code, message } },
+});
+
+/**
+ * Masks every digit of a tool result.
+ * @param {*} result
+ * @returns {string}
+ */
+const maskDigits = (result) =>
+  (typeof result === "string" ? result : JSON.stringify(result)).replace(/\d/g, "*");
+
+/**
+ * Creates the tool runtime of a call.
+ *
+ * @param {object} options
+ * @param {string} options.sessionUuid - The UUID of the call, passed to handlers
+ * @param {function(string): boolean} options.isEnabled - Whether a tool may be used in this call
+ * @param {function(): object} options.getContext - Builds the context passed to handlers
+ * @returns {object} The runtime
+ */
+function createToolRuntime({ sessionUuid, isEnabled, getContext }) {
+  const running = new Map(); // Call id -> AbortController
+
+  /**
+   * Resolves the timeout of a tool.
+   * @param {string} name
+   * @param {object} tool - The tool module
+   * @param {object} context
+   * @returns {number}
+   */
+  function getTimeoutMs(name, tool, context) {
+    const candidates = [
+      context.toolSettings?.[name]?.timeout_ms,
+      tool.timeout_ms,
+      parseInt(process.env.TOOL_TIMEOUT_MS || "", 10),
+    ];
+    return candidates.find((value) => Number.isFinite(value) && value > 0) || DEFAULT_TIMEOUT_MS;
+  }
+
+  /**
+   * Runs one call.
+   * @param {object} call - Function call from the Live API: { id, name, args }
+   * @returns {Promise<object>} The outcome: { status, response }
+   */
+  async function execute(call) {
+    const { name } = call;
+    const args = call.args || {};
+
+    let tool = null;
+    try {
+      tool = isEnabled(name) ? findTool(name) : null;
+    } catch (error) {
+      logger.error("Error loading tool", { tool: name, error });
+      return failure("tool_error", `Tool "${name}" could not be loaded`);
+    }
+    if (!tool || typeof tool.handler !== "function") {
+      return failure("unknown_tool", `Tool "${name}" is not available`);
+    }
+
+    const controller = new AbortController();
+    const key = call.id ?? Symbol(name);
+    let timer = null;
+
+    try {
+      // Tools are checked when loaded, but a schema that still cannot be used must not crash the call
+      const problems = validate(tool.input_schema || {}, args);
+      if (problems.length > 0) {
+        return failure("invalid_arguments", `Invalid arguments for ${name}: ${problems.join("; ")}`);
+      }
+
+      const context = getContext();
+      const timeoutMs = getTimeoutMs(name, tool, context);
+      running.set(key, controller);
+      const aborted = new Promise((resolve) => {
+        controller.signal.addEventListener("abort", () => resolve(controller.signal.reason), {
+          once: true,
+        });
+      });
+      timer = setTimeout(() => controller.abort("timeout"), timeoutMs);
+
+      const outcome = await Promise.race([
+        Promise.resolve()
+          .then(() => tool.handler(sessionUuid, args, { ...context, signal: controller.signal }))
+          .then((result) => ({ result })),
+        aborted.then((reason) => ({ reason })),
+      ]);
+      if (outcome.reason === "cancelled") return { status: "cancelled" };
+      if (outcome.reason === "timeout") {
+        return failure("timeout", `${name} did not answer within ${timeoutMs / 1000} seconds`);
+      }
+      const result = outcome.result ?? "";
+      return {
+        status: "ok",
+        response: { result },
+        ...(tool.sensitive ? { redacted: maskDigits(result) } : {}),
+      };
+    } catch (error) {
+      logger.error("Error running tool", { tool: name, error });
+      return failure("tool_error", `${name} failed: ${error.message}`);
+    } finally {
+      clearTimeout(timer);
+      running.delete(key);
+    }
+  }
+
+  /**
+   * Counts a finished call in the tool metrics.
+   * @param {string} name
+   * @param {object} outcome
+   * @param {number} seconds
+   */
+  function recordMetrics(name, outcome, seconds) {
+    const code = outcome.response?.error?.code;
+    // Names the model made up would each become a new series
+    const tool = code === "unknown_tool" ? "unknown" : name;
+    metrics.toolCalls.inc({ tool, status: outcome.status });
+    if (code) metrics.toolCallErrors.inc({ tool, code });
+    metrics.toolCallDuration.observe({ tool }, seconds);
+  }
+
+  return {
+    /**
+     * Runs the calls of one tool call request in parallel.
+     *
+     * @param {Array<object>} calls - Function calls from the Live API
+     * @returns {Promise<Array<object>>} One outcome per call, in order:
+     *   { status: "ok"|"error"|"cancelled", response, redacted, startedAt, endedAt },
+     *   redacted being set for the results of sensitive tools
+     */
+    run(calls) {
+      return Promise.all(
+        calls.map(async (call) => {
+          const startedAt = new Date();
+          const outcome = await execute(call);
+          const endedAt = new Date();
+          recordMetrics(call.name, outcome, (endedAt - startedAt) / 1000);
+          return { ...outcome, startedAt: startedAt.toISOString(), endedAt: endedAt.toISOString() };
+        }),
+      );
+    },
+
+    /**
+     * Cancels running calls.
+     * @param {string[]} ids - Ids of the calls
+     */
+    cancel(ids) {
+      for (const id of ids) {
+        const controller = running.get(id);
+        if (controller) {
+          logger.info("Cancelling tool call", { id });
+          controller.abort("cancelled");
+        }
+      }
+    },
+
+    /**
+     * Cancels every running call, e.g. when the call ends.
+     */
+    cancelAll() {
+      for (const controller of running.values()) controller.abort("cancelled");
+    },
+  };
+}
+
+module.exports = {
+  createToolRuntime,
+};
@@ -0,0 +1,209 @@
+/**
+ * transcript.js
+ * Builds the call transcript from the Live API transcription stream.
+ *
+ * Gemini streams input (caller) and output (model) transcriptions as small
+ * fragments. They are assembled here into one entry per speaker turn:
+ * - a caller turn ends when the model starts answering or a tool is called
+ * - a model turn ends on turnComplete, or when it is interrupted by the caller,
+ *   in which case the entry is marked as truncated
+ * Tool calls and their results, and keypad digits forwarded to the model, are
+ * recorded as entries of their own.
+ *
+ * Entries have the shape { speaker, text, timestamp } with speaker "User", "AI",
+ * "Tool" or "DTMF", plus interrupted: true on truncated model turns. When it is known
+ * how much of the turn's audio was played, the text is cut at the same share of
+ * its words and the part the caller never heard is kept as unplayedText, along
+ * with playedMs and durationMs. The cut is an estimate: speech rate varies.
+ */
+
+const { createLogger } = require("./logger");
+
+const logger = createLogger("transcript");
+
+// Appended to model turns the caller talked over
+const INTERRUPTED_MARKER = "[interrupted]";
+
+// Longest tool argument/result text kept in the transcript
+const MAX_TOOL_TEXT_LENGTH = 500;
+
+const normalizeText = (text) => text.replace(/\s+/g, " ").trim();
+
+/**
+ * Marks a model turn entry as interrupted, cutting its text at the share of
+ * the audio that was played.
+ * @param {object} entry
+ * @param {{playedMs: number, durationMs: number}|null} [played]
+ */
+function markInterrupted(entry, played) {
+  let text = entry.text;
+  if (played && played.durationMs > 0 && played.playedMs < played.durationMs) {
+    const words = text.split(" ");
+    const heard = Math.round((words.length * played.playedMs) / played.durationMs);
+    text = words.slice(0, heard).join(" ");
+    entry.unplayedText = words.slice(heard).join(" ");
+  }
+  if (played) {
+    entry.playedMs = played.playedMs;
+    entry.durationMs = played.durationMs;
+  }
+  entry.text = text ? `${text} ${INTERRUPTED_MARKER}` : INTERRUPTED_MARKER;
+  entry.interrupted = true;
+}
+
+/**
+ * Renders a tool argument or result as a single line of text.
+ * @param {*} value
+ * @returns {string}
+ */
+function describeValue(value) {
+  const text = typeof value === "string" ? value : JSON.stringify(value ?? {});
+  const line = normalizeText(text);
+  return line.length > MAX_TOOL_TEXT_LENGTH ? `${line.slice(0, MAX_TOOL_TEXT_LENGTH)}...` : line;
+}
+
+/**
+ * Creates a recorder appending assembled turns to a transcript.
+ *
+ * @param {Array<object>} entries - Transcript to append to, e.g. the one kept in the transcripts map
+ * @returns {object} The recorder
+ */
+function createTranscriptRecorder(entries) {
+  // Turns being assembled, keyed by speaker
+  const pending = { User: null, AI: null };
+
+  /**
+   * Appends the pending turn of a speaker to the transcript.
+   * @param {string} speaker - "User" or "AI"
+   * @param {boolean} [interrupted] - Mark the turn as cut off
+   * @param {object} [played] - How much of the turn's audio was played
+   */
+  function flush(speaker, interrupted = false, played = null) {
+    const turn = pending[speaker];
+    pending[speaker] = null;
+    if (!turn) return;
+    const text = normalizeText(turn.text);
+    if (!text) return;
+    const entry = { speaker, text, timestamp: turn.timestamp };
+    if (interrupted) markInterrupted(entry, played);
+    entries.push(entry);
+    // What the caller says is personal data: only logged when debugging
+    logger.debug("Transcript entry", { speaker, text: entry.text, interrupted: entry.interrupted });
+  }
+
+  /**
+   * Adds a transcription fragment to the pending turn of a speaker.
+   * @param {string} speaker
+   * @param {string} text
+   */
+  function append(speaker, text) {
+    if (!text) return;
+    if (!pending[speaker]) {
+      pending[speaker] = { text: "", timestamp: new Date().toISOString() };
+    }
+    pending[speaker].text += text;
+  }
+
+  return {
+    /**
+     * Records a fragment of the caller's speech.
+     * A pending model turn is left open: whether the caller barged in is only
+     * known from the server's interrupted flag.
+     * @param {string} text
+     */
+    addInput(text) {
+      append("User", text);
+    },
+
+    /**
+     * Records a fragment of the model's speech, closing the caller's turn.
+     * @param {string} text
+     */
+    addOutput(text) {
+      if (!text) return;
+      if (!pending.AI) flush("User");
+      append("AI", text);
+    },
+
+    /**
+     * Closes the model turn as truncated by the caller. Audio may still be
+     * playing after the model finished its turn, in which case the last model
+     * entry is the one truncated.
+     * @param {{playedMs: number, durationMs: number}|null} [played] - How much
+     *   of the turn's audio was played, when known
+     */
+    interrupt(played = null) {
+      if (pending.AI) {
+        flush("AI", true, played);
+        return;
+      }
+      if (!played) return;
+      const entry = entries.findLast((candidate) => candidate.speaker === "AI");
+      if (entry && !entry.interrupted) {
+        markInterrupted(entry, played);
+        logger.debug("Model turn interrupted", { text: entry.text });
+      }
+    },
+
+    /**
+     * Closes the pending turns once the model has finished its turn.
+     */
+    completeTurn() {
+      flush("User");
+      flush("AI");
+    },
+
+    /**
+     * Records a tool call requested by the model.
+     * @param {string} name
+     * @param {object} args
+     */
+    addToolCall(name, args) {
+      this.completeTurn();
+      entries.push({
+        speaker: "Tool",
+        text: `${name} called with ${describeValue(args)}`,
+        timestamp: new Date().toISOString(),
+      });
+    },
+
+    /**
+     * Records the result returned to the model for a tool call.
+     * @param {string} name
+     * @param {*} result
+     */
+    addToolResult(name, result) {
+      entries.push({
+        speaker: "Tool",
+        text: `${name} returned ${describeValue(result)}`,
+        timestamp: new Date().toISOString(),
+      });
+    },
+
+    /**
+     * Records keypad digits forwarded to the model.
+     * @param {string} digits
+     */
+    addDtmf(digits) {
+      flush("User");
+      entries.push({
+        speaker: "DTMF",
+        text: digits.split("").join(" "),
+        timestamp: new Date().toISOString(),
+      });
+    },
+
+    /**
+     * Appends whatever is still pending, e.g. when the call ends mid-turn.
+     */
+    flush() {
+      flush("User");
+      flush("AI");
+    },
+  };
+}
+
+module.exports = {
+  INTERRUPTED_MARKER,
+  createTranscriptRecorder,
+};
@@ -0,0 +1,224 @@
+/**
+ * ws_guard.js
+ * Protects the WebSocket server from unwanted and misbehaving clients.
+ *
+ * Configuration:
+ * - WS_AUTH_TOKEN: shared secret the client must present
+ * - WS_JWT_SECRET: secret of HMAC-signed (HS256/384/512) JWTs the client may present
+ *   instead, checked for exp and nbf, and for aud and iss when
+ *   WS_JWT_AUDIENCE / WS_JWT_ISSUER are set
+ * - WS_ALLOWED_ORIGINS: comma-separated origins allowed for browser clients
+ * - WS_MAX_MESSAGES_PER_SECOND: message rate allowed per connection (default: 200)
+ * - WS_PING_INTERVAL_MS: keepalive ping interval (default: 30000, 0 disables)
+ * - TLS_CERT_FILE / TLS_KEY_FILE: serve wss:// and https:// with this certificate
+ *
+ * Authentication is off unless WS_AUTH_TOKEN or WS_JWT_SECRET is set. The
+ * token is sent in an "Authorization: Bearer <token>" header of the upgrade
+ * request, or as a "token" query parameter for clients that cannot set headers.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+
+const JWT_ALGORITHMS = { HS256: "sha256", HS384: "sha384", HS512: "sha512" };
+// Tolerated clock difference with the token issuer
+const JWT_CLOCK_SKEW_S = 30;
+
+const readInteger = (name, fallback) => {
+  const value = parseInt(process.env[name] || "", 10);
+  return Number.isInteger(value) && value >= 0 ? value : fallback;
+};
+
+const getAllowedOrigins = () =>
+  (process.env.WS_ALLOWED_ORIGINS || "")
+    .split(",")
+    .map((origin) => origin.trim().replace(/\/$/, ""))
+    .filter(Boolean);
+
+/**
+ * Compares two strings in constant time.
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Reads the token of an upgrade request.
+ * @param {http.IncomingMessage} req
+ * @returns {string|null}
+ */
+function getRequestToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || "");
+  if (match) return match[1];
+  return new URL(req.url, "http://localhost").searchParams.get("token");
+}
+
+/**
+ * Verifies an HMAC-signed JWT.
+ *
+ * @param {string} token
+ * @param {string} secret
+ * @param {object} [expected]
+ * @param {string} [expected.audience]
+ * @param {string} [expected.issuer]
+ * @returns {object} The claims of the token
+ * @throws {Error} If the token is malformed, badly signed, expired or not for us.
+ */
+function verifyJwt(token, secret, { audience, issuer } = {}) {
+  const parts = token.split(".");
+  if (parts.length !== 3) throw new Error("malformed token");
+  let header;
+  let claims;
+  try {
+    header = JSON.parse(Buffer.from(parts[0], "base64url").toString("utf8"));
+    claims = JSON.parse(Buffer.from(parts[1], "base64url").toString("utf8"));
+  } catch (error) {
+    throw new Error("malformed token");
+  }
+  const algorithm = JWT_ALGORITHMS[header?.alg];
+  if (!algorithm) throw new Error(`unsupported algorithm ${header?.alg}`);
+  const signature = crypto
+    .createHmac(algorithm, secret)
+    .update(`${parts[0]}.${parts[1]}`)
+    .digest("base64url");
+  if (!safeEqual(signature, parts[2])) throw new Error("invalid signature");
+  if (!claims || typeof claims !== "object") throw new Error("malformed token");
+
+  const now = Date.now() / 1000;
+  if (typeof claims.exp === "number" && now > claims.exp + JWT_CLOCK_SKEW_S) {
+    throw new Error("token expired");
+  }
+  if (typeof claims.nbf === "number" && now < claims.nbf - JWT_CLOCK_SKEW_S) {
+    throw new Error("token not valid yet");
+  }
+  if (audience && ![].concat(claims.aud).includes(audience)) {
+    throw new Error("wrong audience");
+  }
+  if (issuer && claims.iss !== issuer) throw new Error("wrong issuer");
+  return claims;
+}
+
+/**
+ * Authenticates an upgrade request.
+ *
+ * @param {http.IncomingMessage} req
+ * @returns {{ok: boolean, reason?: string, subject?: string}} reason tells why
+ *   the request was refused, subject is the "sub" claim of a JWT
+ */
+function authenticateRequest(req) {
+  const sharedToken = process.env.WS_AUTH_TOKEN;
+  const jwtSecret = process.env.WS_JWT_SECRET;
+  if (!sharedToken && !jwtSecret) return { ok: true };
+
+  const token = getRequestToken(req);
+  if (!token) return { ok: false, reason: "missing token" };
+  if (sharedToken && safeEqual(token, sharedToken)) return { ok: true };
+  if (!jwtSecret) return { ok: false, reason: "invalid token" };
+  try {
+    const claims = verifyJwt(token, jwtSecret, {
+      audience: process.env.WS_JWT_AUDIENCE,
+      issuer: process.env.WS_JWT_ISSUER,
+    });
+    return { ok: true, subject: claims.sub };
+  } catch (error) {
+    return { ok: false, reason: error.message };
+  }
+}
+
+/**
+ * Checks the Origin of an upgrade request. Clients that send no Origin, such
+ * as Asterisk or AVR Core, are not browsers and are always allowed.
+ *
+ * @param {string} [origin]
+ * @returns {boolean}
+ */
+function isOriginAllowed(origin) {
+  const allowed = getAllowedOrigins();
+  if (!origin || allowed.length === 0) return true;
+  return allowed.includes("*") || allowed.includes(origin.replace(/\/$/, ""));
+}
+
+/**
+ * Creates a token bucket limiting the messages of one connection. Bursts of
+ * up to two seconds' worth of messages are allowed.
+ *
+ * @param {number} [ratePerSecond] - WS_MAX_MESSAGES_PER_SECOND by default; 0 disables the limit
+ * @returns {{take: function(): boolean}} take() is false when the message is over the limit
+ */
+function createRateLimiter(ratePerSecond = readInteger("WS_MAX_MESSAGES_PER_SECOND", 200)) {
+  if (!ratePerSecond) return { take: () => true };
+  const capacity = ratePerSecond * 2;
+  let tokens = capacity;
+  let refilledAt = Date.now();
+  return {
+    take() {
+      const now = Date.now();
+      tokens = Math.min(capacity, tokens + ((now - refilledAt) * ratePerSecond) / 1000);
+      refilledAt = now;
+      if (tokens < 1) return false;
+      tokens -= 1;
+      return true;
+    },
+  };
+}
+
+/**
+ * Pings a client regularly and terminates the connection when the previous
+ * ping got no pong, so dead clients do not hold a Gemini session open.
+ *
+ * @param {WebSocket} ws
+ * @param {function(): void} [onDead] - Called before a dead connection is terminated
+ * @returns {function(): void} Stops the keepalive
+ */
+function startKeepalive(ws, onDead) {
+  const intervalMs = readInteger("WS_PING_INTERVAL_MS", 30000);
+  if (!intervalMs) return () => {};
+  let alive = true;
+  const onPong = () => {
+    alive = true;
+  };
+  ws.on("pong", onPong);
+  const timer = setInterval(() => {
+    if (!alive) {
+      onDead?.();
+      ws.terminate();
+      return;
+    }
+    alive = false;
+    ws.ping();
+  }, intervalMs);
+  timer.unref();
+  return () => {
+    clearInterval(timer);
+    ws.off("pong", onPong);
+  };
+}
+
+/**
+ * Reads the TLS certificate and key, when configured.
+ * @returns {{cert: Buffer, key: Buffer}|null} Options of https.createServer
+ * @throws {Error} If only one of the files is set, or a file cannot be read.
+ */
+function loadTlsOptions() {
+  const certFile = process.env.TLS_CERT_FILE;
+  const keyFile = process.env.TLS_KEY_FILE;
+  if (!certFile && !keyFile) return null;
+  if (!certFile || !keyFile) {
+    throw new Error("TLS_CERT_FILE and TLS_KEY_FILE must be set together");
+  }
+  return { cert: fs.readFileSync(certFile), key: fs.readFileSync(keyFile) };
+}
+
+module.exports = {
+  authenticateRequest,
+  isOriginAllowed,
+  createRateLimiter,
+  startKeepalive,
+  loadTlsOptions,
+  verifyJwt,
+};